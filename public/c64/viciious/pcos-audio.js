@@ -0,0 +1,22 @@
+/*
+   pcos-audio.js - Lets pcos-bridge.js reach the sound of Vicii-ous
+
+   Loaded before main.js, whose audio context and gain nodes stay inside the
+   bundle. The nodes it connects to the speakers are remembered in
+   globalThis.pcosAudio.outputs, so that a recording can connect them to a
+   stream as well.
+*/
+
+(() => {
+  const outputs = [];
+  const connect = AudioNode.prototype.connect;
+
+  AudioNode.prototype.connect = function (destination, ...rest) {
+    if (destination instanceof AudioDestinationNode && !outputs.includes(this)) {
+      outputs.push(this);
+    }
+    return connect.call(this, destination, ...rest);
+  };
+
+  globalThis.pcosAudio = { outputs };
+})();
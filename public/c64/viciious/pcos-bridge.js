@@ -0,0 +1,690 @@
+/*
+   pcos-bridge.js - Lets the PCOS IDE drive Vicii-ous from the parent window
+
+   Loaded after main.js, which publishes the emulated machine as c64. The IDE
+   and the emulator exchange postMessage objects, all carrying
+   { protocol: 'pcos-c64', version }:
+
+     emulator -> IDE  { type: 'c64_ready', commands }    the bridge is up, sent
+                                                         at start and in reply
+                                                         to c64_hello
+     IDE -> emulator  { type: 'c64_hello' }
+     IDE -> emulator  { type: 'c64_command', id, command, params }
+     emulator -> IDE  { type: 'c64_response', id, result }
+     emulator -> IDE  { type: 'c64_error', id, error }
+     emulator -> IDE  { type: 'c64_event', event, ... }  something happened
+                                                         without a request, e.g.
+                                                         a breakpoint stopped
+                                                         the CPU
+
+   A command gets exactly one response or error with the id of the request.
+   Messages of another major version are answered with an error.
+*/
+
+(() => {
+  const PROTOCOL = 'pcos-c64';
+  const VERSION = 1;
+
+  // Zero page and keyboard buffer locations used to talk to BASIC
+  const TXTTAB = 0x2B;   // Start of the BASIC program
+  const VARTAB = 0x2D;   // Start of variables, then arrays ($2F) and end of arrays ($31)
+  const MSGFLG = 0x9D;   // $80 in direct mode, 0 while a program runs
+  const BASIC_LOAD_ADDRESS = 0x0801;
+
+  const c64 = globalThis.c64;
+  const host = window.parent;
+
+  if (!c64 || host === window) {
+    return;
+  }
+
+  const { cpuRead, cpuWrite } = c64.wires;
+  const readWord = (address) => cpuRead(address) | (cpuRead(address + 1) << 8);
+  const writeWord = (address, value) => {
+    cpuWrite(address, value & 0xFF);
+    cpuWrite(address + 1, value >> 8);
+  };
+  const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  function post(message) {
+    host.postMessage({ protocol: PROTOCOL, version: VERSION, ...message }, window.location.origin);
+  }
+
+  // Keyboard
+
+  // Tap RUN/STOP, which the keyboard handler maps to Escape, long enough for
+  // the KERNAL keyboard scan to see it
+  async function pressRunStop() {
+    const keyInit = { key: 'Escape', code: 'Escape', bubbles: true, cancelable: true };
+    window.dispatchEvent(new KeyboardEvent('keydown', keyInit));
+    await delay(100);
+    window.dispatchEvent(new KeyboardEvent('keyup', keyInit));
+  }
+
+  function isDirectMode() {
+    return cpuRead(MSGFLG) === 0x80;
+  }
+
+  // Wait until BASIC shows READY, breaking into a running program; also
+  // covers the few seconds the machine takes to start
+  async function waitForBasic(breakProgram) {
+    if (breakProgram && !isDirectMode()) {
+      await pressRunStop();
+    }
+    for (let waited = 0; !isDirectMode(); waited += 50) {
+      if (waited > 5000) {
+        throw new Error('BASIC is not ready: the C64 is busy');
+      }
+      await delay(50);
+    }
+  }
+
+  // Memory
+
+  // Set the link of each line from its ending zero, as the KERNAL does after LOAD
+  function relink(start) {
+    let address = start;
+    while (readWord(address) !== 0) {
+      let end = address + 4;
+      while (cpuRead(end) !== 0) {
+        if (++end > 0xFFFF) throw new Error('The program has no end');
+      }
+      writeWord(address, end + 1);
+      address = end + 1;
+    }
+    return address + 2;
+  }
+
+  function setProgramEnd(end) {
+    writeWord(VARTAB, end);     // Variables
+    writeWord(VARTAB + 2, end); // Arrays
+    writeWord(VARTAB + 4, end); // End of arrays
+  }
+
+  // Store a PRG image: BASIC programs move to the start of BASIC, as with
+  // LOAD"NAME",8; anything else goes to its own load address, as with ,8,1
+  function storePrg(bytes) {
+    if (!(bytes instanceof Uint8Array) || bytes.length < 2) {
+      throw new Error('Expected the bytes of a PRG file');
+    }
+    const loadAddress = bytes[0] | (bytes[1] << 8);
+    const basic = loadAddress === BASIC_LOAD_ADDRESS;
+    const address = basic ? readWord(TXTTAB) : loadAddress;
+    if (address + bytes.length - 2 > 0x10000) {
+      throw new Error('The program does not fit in memory');
+    }
+
+    // Page out the ROMs and I/O so that all of the RAM can be written
+    const direction = cpuRead(0);
+    const port = cpuRead(1);
+    cpuWrite(0, 0b111);
+    cpuWrite(1, 0);
+    for (let i = 2; i < bytes.length; i++) {
+      cpuWrite(address + i - 2, bytes[i]);
+    }
+    cpuWrite(0, direction);
+    cpuWrite(1, port);
+
+    if (basic) {
+      setProgramEnd(relink(address));
+    }
+    return { address, length: bytes.length - 2, basic };
+  }
+
+  // Monitor
+
+  // Breakpoints on instruction addresses, watchpoints on RAM accesses
+  const breakpoints = new Set();
+  let watchpoints = [];     // { from, to, load, store }
+  let watchHit = null;      // Access seen by the RAM hooks since the last instruction
+  let running = false;
+
+  // Follow the machine starting and stopping, whoever asks for it
+  const { didStart, didStop } = c64.hooks;
+  c64.hooks.didStart = () => {
+    running = true;
+    if (didStart) didStart();
+  };
+  c64.hooks.didStop = () => {
+    running = false;
+    if (didStop) didStop();
+  };
+
+  // The CPU has just fetched an opcode: the instruction before it is complete
+  // and the one at instructionAddress() is next. The fetch and decode stages
+  // are only told apart by the names of their functions in the bundle.
+  function atInstruction() {
+    const { fdTick } = c64.cpu.getState();
+    return !!fdTick && fdTick.name === 'fd_decode_T1';
+  }
+
+  function instructionAddress() {
+    const cpu = c64.cpu.getState();
+    // An interrupt fetches a BRK without moving the PC
+    return cpu.pendingInt ? cpu.pc : (cpu.pc - 1) & 0xFFFF;
+  }
+
+  function getRegisters() {
+    const cpu = c64.cpu.getState();
+    return {
+      pc: instructionAddress(),
+      a: cpu.a,
+      x: cpu.x,
+      y: cpu.y,
+      s: cpu.s,
+      p: (cpu.n << 7) | (cpu.v << 6) | 0x20 | (cpu.d << 3) | (cpu.i << 2) | (cpu.z << 1) | cpu.c,
+      cycle: c64.runloop.getState().cycle,
+      running,
+      atInstruction: atInstruction()
+    };
+  }
+
+  function setRegisters(values) {
+    const cpu = c64.cpu.getState();
+    ['a', 'x', 'y', 's'].forEach(name => {
+      if (values[name] !== undefined) cpu[name] = values[name] & 0xFF;
+    });
+    if (values.p !== undefined) {
+      ['c', 'z', 'i', 'd', null, null, 'v', 'n'].forEach((flag, bit) => {
+        if (flag) cpu[flag] = (values.p >> bit) & 1;
+      });
+    }
+    if (values.pc !== undefined) {
+      const pc = values.pc & 0xFFFF;
+      if (cpu.pendingInt) {
+        cpu.pc = pc;
+      } else {
+        // Fetch again from the new address
+        cpu.ir = cpuRead(pc);
+        cpu.pc = (pc + 1) & 0xFFFF;
+      }
+    }
+  }
+
+  function watchAccess(address, store) {
+    if (watchHit) return;
+    const watch = watchpoints.find(w => address >= w.from && address <= w.to && (store ? w.store : w.load));
+    if (watch) {
+      watchHit = { address, store };
+    }
+  }
+
+  const watchRead = (address) => watchAccess(address, false);
+  const watchWrite = (address) => watchAccess(address, true);
+
+  // Take the RAM hooks while there are watchpoints; Vicii-ous's own RAM
+  // access view uses them too, and gets them back afterwards
+  function installWatchHooks() {
+    const { hooks } = c64;
+    if (watchpoints.some(w => w.load)) {
+      hooks.onRamRead = watchRead;
+    } else if (hooks.onRamRead === watchRead) {
+      hooks.onRamRead = undefined;
+    }
+    if (watchpoints.some(w => w.store)) {
+      hooks.onRamWrite = watchWrite;
+    } else if (hooks.onRamWrite === watchWrite) {
+      hooks.onRamWrite = undefined;
+    }
+  }
+
+  // Look at or change memory without tripping the watchpoints
+  function unwatched(access) {
+    const { onRamRead, onRamWrite } = c64.hooks;
+    c64.hooks.onRamRead = c64.hooks.onRamWrite = undefined;
+    try {
+      return access();
+    } finally {
+      c64.hooks.onRamRead = onRamRead;
+      c64.hooks.onRamWrite = onRamWrite;
+    }
+  }
+
+  // Run until the CPU has fetched `count` more opcodes
+  function runInstructions(count) {
+    let left = count;
+    return c64.runloop.run({ fps: Infinity, tick: () => atInstruction() && --left <= 0 });
+  }
+
+  // Stop between two instructions
+  async function pause() {
+    if (running || !atInstruction()) {
+      await runInstructions(1);
+    }
+  }
+
+  // Run the machine, stopping on the breakpoints and watchpoints
+  function resume() {
+    if (breakpoints.size === 0 && watchpoints.length === 0) {
+      c64.runloop.run();
+      return;
+    }
+
+    installWatchHooks();
+    watchHit = null;
+    let stopped = null;
+    c64.runloop.run({
+      tick: () => {
+        if (!atInstruction()) return false;
+        if (watchHit) {
+          stopped = { reason: 'watchpoint', address: watchHit.address, store: watchHit.store };
+        } else if (breakpoints.has(instructionAddress())) {
+          stopped = { reason: 'breakpoint', address: instructionAddress() };
+        }
+        return stopped !== null;
+      }
+    }).then(() => {
+      if (stopped) {
+        post({ type: 'c64_event', event: 'stopped', ...stopped, registers: getRegisters() });
+      }
+    });
+  }
+
+  // Reading these registers clears them, so the monitor does not look
+  function hasReadSideEffect(address) {
+    if (address < 0xD000 || address > 0xDDFF) return false;
+
+    const direction = cpuRead(0);
+    const lines = (cpuRead(1) & direction) | (~direction & 0x07);
+    if ((lines & 0x03) === 0 || (lines & 0x04) === 0) return false; // I/O not mapped in
+
+    if (address < 0xD400) {
+      const register = address & 0x3F;
+      return register === 0x1E || register === 0x1F; // VIC collisions
+    }
+    return address >= 0xDC00 && (address & 0x0F) === 0x0D; // CIA interrupt control
+  }
+
+  // Joystick
+
+  // Switches of a joystick, as CIA1 reads them: a closed switch pulls its line low
+  const JOYSTICK_BITS = { up: 0x01, down: 0x02, left: 0x04, right: 0x08, fire: 0x10 };
+
+  // Standard gamepad layout: the buttons of the d-pad
+  const GAMEPAD_DPAD = { up: 12, down: 13, left: 14, right: 15 };
+
+  // Settings sent by the IDE with the input command; until then Vicii-ous
+  // drives port 2 from the cursor keys and Shift itself
+  let input = null;
+  const keysDown = new Set(); // Switches held on the keyboard
+  let gamepadBits = 0;        // Switches held on the gamepads
+  let polling = false;
+
+  function joystickBits() {
+    let bits = gamepadBits;
+    keysDown.forEach(name => {
+      bits |= JOYSTICK_BITS[name];
+    });
+    return bits;
+  }
+
+  // $DC00 is port 2, $DC01 port 1 (shared with the keyboard rows)
+  const readCia1 = c64.cias.read_dc00_dcff;
+  c64.cias.read_dc00_dcff = (address) => {
+    const value = readCia1(address);
+    if (!input) return value;
+
+    const register = address & 0x0F;
+    if ((register === 0 && input.port === 2) || (register === 1 && input.port === 1)) {
+      return value & ~joystickBits() & 0xFF;
+    }
+    return value;
+  };
+
+  // Joystick keys are caught before the keyboard handler of Vicii-ous, which
+  // only sees them if they also type on the C64 keyboard
+  function handleJoystickKey(event) {
+    if (!input || event.metaKey) return;
+    const name = Object.keys(JOYSTICK_BITS).find(switchName => input.keys[switchName] === event.code);
+    if (!name) return;
+
+    if (event.type === 'keydown') {
+      keysDown.add(name);
+    } else {
+      keysDown.delete(name);
+    }
+    if (!input.keysToKeyboard) {
+      event.stopImmediatePropagation();
+      event.preventDefault();
+    }
+  }
+  window.addEventListener('keydown', handleJoystickKey, true);
+  window.addEventListener('keyup', handleJoystickKey, true);
+
+  // Keys and gamepads only drive the C64 while its frame has the focus:
+  // whatever is held when it goes is released
+  window.addEventListener('blur', () => {
+    keysDown.clear();
+    gamepadBits = 0;
+  });
+
+  function connectedGamepads() {
+    return navigator.getGamepads ? [...navigator.getGamepads()].filter(Boolean) : [];
+  }
+
+  // Read the gamepads once a frame while one is connected
+  function pollGamepads() {
+    const gamepads = connectedGamepads();
+    gamepadBits = 0;
+    if (input && input.gamepad.enabled && document.hasFocus()) {
+      const { index, fire, deadZone } = input.gamepad;
+      gamepads
+        .filter(gamepad => index === null || gamepad.index === index)
+        .forEach(gamepad => {
+          const pressed = (button) => !!gamepad.buttons[button] && gamepad.buttons[button].pressed;
+          const [x = 0, y = 0] = gamepad.axes;
+          if (y < -deadZone || pressed(GAMEPAD_DPAD.up)) gamepadBits |= JOYSTICK_BITS.up;
+          if (y > deadZone || pressed(GAMEPAD_DPAD.down)) gamepadBits |= JOYSTICK_BITS.down;
+          if (x < -deadZone || pressed(GAMEPAD_DPAD.left)) gamepadBits |= JOYSTICK_BITS.left;
+          if (x > deadZone || pressed(GAMEPAD_DPAD.right)) gamepadBits |= JOYSTICK_BITS.right;
+          if (fire.some(pressed)) gamepadBits |= JOYSTICK_BITS.fire;
+        });
+    }
+
+    polling = gamepads.length > 0;
+    if (polling) {
+      requestAnimationFrame(pollGamepads);
+    }
+  }
+
+  window.addEventListener('gamepadconnected', () => {
+    if (!polling) pollGamepads();
+  });
+
+  // Recording
+
+  // The screen at the PAL frame rate, and the SID through the nodes that
+  // pcos-audio.js saw connected to the speakers
+  const RECORDING_FPS = 50;
+  const RECORDING_TYPES = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'];
+
+  let recording = null; // { recorder, chunks, audio, startTime }
+
+  function startRecording() {
+    if (recording) {
+      throw new Error('The C64 is already being recorded');
+    }
+    if (typeof MediaRecorder === 'undefined') {
+      throw new Error('This browser cannot record');
+    }
+
+    const canvas = document.getElementById('canvas');
+    const stream = canvas.captureStream(RECORDING_FPS);
+    const outputs = globalThis.pcosAudio ? globalThis.pcosAudio.outputs : [];
+    let audio = null;
+    if (outputs.length > 0) {
+      audio = outputs[0].context.createMediaStreamDestination();
+      outputs.forEach(node => node.connect(audio));
+      audio.stream.getAudioTracks().forEach(track => stream.addTrack(track));
+    }
+
+    const mimeType = RECORDING_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : {});
+    const chunks = [];
+    recorder.addEventListener('dataavailable', (event) => {
+      if (event.data.size > 0) chunks.push(event.data);
+    });
+    // The IDE hears of a recording that ends without being asked to
+    recorder.addEventListener('error', (event) => {
+      console.error('PCOS bridge: recording failed:', event.error);
+      const error = event.error ? event.error.message : 'The recording failed';
+      endRecording();
+      post({ type: 'c64_event', event: 'recording_failed', error });
+    });
+    recorder.start(1000);
+
+    recording = { recorder, chunks, audio, startTime: performance.now() };
+    return { mimeType: recorder.mimeType, audio: audio !== null };
+  }
+
+  // Release the stream and the audio tap of the recording
+  function endRecording() {
+    if (!recording) return;
+
+    const { recorder, audio } = recording;
+    recorder.stream.getTracks().forEach(track => track.stop());
+    if (audio) {
+      globalThis.pcosAudio.outputs.forEach(node => node.disconnect(audio));
+    }
+    recording = null;
+  }
+
+  async function stopRecording() {
+    if (!recording) {
+      throw new Error('The C64 is not being recorded');
+    }
+
+    const { recorder, chunks, startTime } = recording;
+    const stopped = new Promise(resolve => recorder.addEventListener('stop', resolve, { once: true }));
+    recorder.stop();
+    await stopped;
+    endRecording();
+
+    const blob = new Blob(chunks, { type: recorder.mimeType });
+    return {
+      bytes: new Uint8Array(await blob.arrayBuffer()),
+      mimeType: blob.type,
+      duration: (performance.now() - startTime) / 1000
+    };
+  }
+
+  // Commands
+
+  const commands = {
+    async run() {
+      await waitForBasic(true);
+      c64.runloop.type('RUN\r');
+      return {};
+    },
+
+    async stop() {
+      await pressRunStop();
+      return {};
+    },
+
+    reset() {
+      c64.runloop.reset();
+      resume();
+      return {};
+    },
+
+    async load({ bytes, autostart = false }) {
+      await waitForBasic(true);
+      const loaded = storePrg(bytes);
+      if (autostart) {
+        c64.runloop.type(loaded.basic ? 'RUN\r' : `SYS${loaded.address}\r`);
+      }
+      return loaded;
+    },
+
+    // The BASIC program in memory, as a PRG image loading at its start
+    save() {
+      const start = readWord(TXTTAB);
+      const end = readWord(VARTAB);
+      const length = Math.max(end - start, 0);
+      const bytes = new Uint8Array(length + 2);
+      bytes[0] = start & 0xFF;
+      bytes[1] = start >> 8;
+      for (let i = 0; i < length; i++) {
+        bytes[i + 2] = cpuRead(start + i);
+      }
+      return { bytes };
+    },
+
+    async new() {
+      await waitForBasic(true);
+      const start = readWord(TXTTAB);
+      writeWord(start, 0);
+      setProgramEnd(start + 2);
+      return {};
+    },
+
+    // The whole machine: CPU, RAM, VIC, SID, CIAs and tape, as the text of a
+    // snapshot file that can also be dropped on Vicii-ous
+    snapshot() {
+      return { snapshot: JSON.stringify(c64.runloop.serialize()) };
+    },
+
+    restore({ snapshot }) {
+      const serial = checkSnapshot(snapshot);
+      c64.runloop.stop();
+      c64.runloop.reset();
+      c64.runloop.deserialize(serial);
+      resume();
+      return {};
+    },
+
+    // Monitor: registers, memory, breakpoints and stepping. Addresses are
+    // numbers; the CPU is stopped between two instructions for stepping.
+
+    async registers({ set }) {
+      if (set) {
+        if (running) throw new Error('Pause the C64 to change its registers');
+        await pause();
+        setRegisters(set);
+      }
+      return getRegisters();
+    },
+
+    // Bytes as the CPU sees them; null for registers that reading would clear
+    peek({ address, length = 1 }) {
+      const bytes = [];
+      unwatched(() => {
+        for (let i = 0; i < length; i++) {
+          const a = (address + i) & 0xFFFF;
+          bytes.push(hasReadSideEffect(a) ? null : cpuRead(a));
+        }
+      });
+      return { address, bytes };
+    },
+
+    poke({ address, bytes }) {
+      unwatched(() => bytes.forEach((byte, i) => cpuWrite((address + i) & 0xFFFF, byte & 0xFF)));
+      return { address, length: bytes.length };
+    },
+
+    async pause() {
+      await pause();
+      return getRegisters();
+    },
+
+    async step({ count = 1 }) {
+      await pause();
+      await runInstructions(count);
+      return getRegisters();
+    },
+
+    async go({ address }) {
+      if (address !== undefined) {
+        await pause();
+        setRegisters({ pc: address });
+      }
+      resume();
+      return {};
+    },
+
+    // Replace the breakpoints and watchpoints, applying them at once if the
+    // machine is running
+    breakpoints({ breakpoints: addresses = [], watchpoints: watches = [] }) {
+      breakpoints.clear();
+      addresses.forEach(address => breakpoints.add(address & 0xFFFF));
+      watchpoints = watches.map(({ from, to = from, load = false, store = true }) => ({ from, to, load, store }));
+      installWatchHooks();
+      if (running) {
+        resume();
+      }
+      return { breakpoints: breakpoints.size, watchpoints: watchpoints.length };
+    },
+
+    // Joystick: the port it is plugged in, the key codes (KeyboardEvent.code)
+    // of its switches, whether they also type on the C64 keyboard, and the
+    // gamepad (index, or null for any) and buttons driving it
+    input({ port = 2, keys = {}, keysToKeyboard = true, gamepad = {} }) {
+      if (port !== 1 && port !== 2) {
+        throw new Error(`There is no joystick port ${port}`);
+      }
+      input = {
+        port,
+        keys: { ...keys },
+        keysToKeyboard,
+        gamepad: {
+          enabled: gamepad.enabled !== false,
+          index: Number.isInteger(gamepad.index) ? gamepad.index : null,
+          fire: Array.isArray(gamepad.fire) ? gamepad.fire : [0],
+          deadZone: typeof gamepad.deadZone === 'number' ? gamepad.deadZone : 0.5
+        }
+      };
+      keysDown.clear();
+
+      // The joystick of Vicii-ous, on the cursor keys, gives way
+      c64.joystick.toControlPort1 = false;
+      c64.joystick.toControlPort2 = false;
+
+      if (!polling) pollGamepads();
+      return { gamepads: connectedGamepads().map(({ index, id }) => ({ index, id })) };
+    },
+
+    // Record the screen and the sound as WebM: 'start' answers with the
+    // format, 'stop' with the bytes of the file and its duration in seconds
+    record({ action = 'start' }) {
+      switch (action) {
+        case 'start':
+          return startRecording();
+        case 'stop':
+          return stopRecording();
+        default:
+          throw new Error(`Unknown recording action: ${action}`);
+      }
+    }
+  };
+
+  // Unwrap the text of a snapshot file, checking that Vicii-ous wrote it
+  function checkSnapshot(text) {
+    let serial, version;
+    try {
+      serial = JSON.parse(text);
+      version = JSON.parse(serial).version;
+    } catch (error) {
+      throw new Error('This is not a C64 snapshot');
+    }
+    if (!version || version.creator !== 'viciious') {
+      throw new Error('This is not a Vicii-ous snapshot');
+    }
+    return serial;
+  }
+
+  async function handleCommand({ id, command, params }) {
+    try {
+      if (!Object.prototype.hasOwnProperty.call(commands, command)) {
+        throw new Error(`Unknown command: ${command}`);
+      }
+      const result = await commands[command](params || {});
+      post({ type: 'c64_response', id, result });
+    } catch (error) {
+      console.error(`PCOS bridge: ${command} failed:`, error);
+      post({ type: 'c64_error', id, error: error.message || String(error) });
+    }
+  }
+
+  window.addEventListener('message', (event) => {
+    const message = event.data;
+    if (event.source !== host || !message || message.protocol !== PROTOCOL) return;
+
+    if (Math.floor(message.version) !== VERSION) {
+      post({ type: 'c64_error', id: message.id, error: `Unsupported protocol version ${message.version}` });
+      return;
+    }
+
+    switch (message.type) {
+      case 'c64_hello':
+        post({ type: 'c64_ready', commands: Object.keys(commands) });
+        break;
+
+      case 'c64_command':
+        handleCommand(message);
+        break;
+    }
+  });
+
+  post({ type: 'c64_ready', commands: Object.keys(commands) });
+})();
@@ -0,0 +1,882 @@
+/**
+ * BankEditor.js
+ *
+ * Bank manager for the STOS and AMOS modes, opened with STOS's Listbank key
+ * or the Edit > Banks menu. Loads .ABK and .MBK files or the banks of the
+ * AMOS program being edited, and lets the user draw sprites and icons within
+ * the colours of their bank, play and rename samples and look at data banks.
+ * Banks are saved in the project on the server, downloaded, or put back in
+ * the program so that saving it writes them after the code.
+ */
+
+import BaseComponent from '../utils/BaseComponent.js';
+import BankFile, { createImage, amigaToCss, cssToAmiga, DEFAULT_PALETTE } from '../utils/basic/BankFile.js';
+import ProjectFiles from '../utils/ProjectFiles.js';
+
+// Bytes shown in the hex view of a data bank
+const HEX_VIEW_LIMIT = 4096;
+
+// Lowest rate accepted by the Web Audio API
+const MIN_SAMPLE_RATE = 3000;
+
+class BankEditor extends BaseComponent {
+  /**
+   * Constructor
+   * @param {string} parentId - ID of the parent component
+   * @param {Object} editor - Main Editor component, for the program banks and the Output window
+   */
+  constructor(parentId = null, editor = null) {
+    super('BankEditor', parentId);
+
+    this.editor = editor;
+    this.format = new BankFile();
+    this.banks = [];
+    this.fileName = null;
+    this.selectedBank = null;
+    this.selectedImage = 0;
+    this.colour = 1; // Palette index drawn with the left button
+    this.zoom = 12;
+    this.painting = null; // Colour drawn while a button is held down
+    this.audioContext = null;
+
+    this.addStyles();
+    this.createDialog();
+    document.body.appendChild(this.element);
+  }
+
+  /**
+   * Create the dialog: bank list on the left, selected bank on the right
+   */
+  createDialog() {
+    this.element = document.createElement('div');
+    this.element.className = 'bank-editor';
+    this.element.style.display = 'none';
+    this.element.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') this.hide();
+    });
+
+    const header = document.createElement('div');
+    header.className = 'bank-editor-header';
+    this.titleElement = document.createElement('h2');
+    header.appendChild(this.titleElement);
+    header.appendChild(this.createToolbar([
+      ['Load...', () => this.load()],
+      ['From Program', () => this.loadFromProgram()],
+      ['New Sprite Bank', () => this.newSpriteBank()],
+      ['Delete Bank', () => this.deleteBank()]
+    ]));
+
+    const body = document.createElement('div');
+    body.className = 'bank-editor-body';
+    this.listElement = document.createElement('div');
+    this.listElement.className = 'bank-list';
+    this.detailElement = document.createElement('div');
+    this.detailElement.className = 'bank-detail';
+    body.appendChild(this.listElement);
+    body.appendChild(this.detailElement);
+
+    const footer = this.createToolbar([
+      ['Save to Project', () => this.saveToProject()],
+      ['Download', () => this.download()],
+      ['Put in Program', () => this.putInProgram()],
+      ['Close', () => this.hide()]
+    ]);
+    footer.classList.add('bank-editor-footer');
+
+    this.element.appendChild(header);
+    this.element.appendChild(body);
+    this.element.appendChild(footer);
+  }
+
+  /**
+   * Create a row of buttons
+   * @param {Array} buttons - [label, handler] pairs
+   * @returns {HTMLElement} - The toolbar
+   */
+  createToolbar(buttons) {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'bank-editor-toolbar';
+    buttons.forEach(([label, handler]) => {
+      const button = document.createElement('button');
+      button.textContent = label;
+      button.addEventListener('click', handler);
+      toolbar.appendChild(button);
+    });
+    return toolbar;
+  }
+
+  /**
+   * Show the bank editor
+   */
+  show() {
+    this.element.style.display = 'flex';
+    this.render();
+  }
+
+  /**
+   * Hide the bank editor
+   */
+  hide() {
+    this.element.style.display = 'none';
+  }
+
+  render() {
+    this.titleElement.textContent = this.fileName ? `Banks - ${this.fileName}` : 'Banks';
+    this.renderList();
+    this.renderDetail();
+  }
+
+  renderList() {
+    this.listElement.innerHTML = '';
+    if (!this.banks.length) {
+      this.listElement.innerHTML = '<div class="bank-empty">No banks loaded</div>';
+      return;
+    }
+
+    this.banks.forEach(bank => {
+      const item = document.createElement('div');
+      item.className = 'bank-list-item';
+      if (bank === this.selectedBank) {
+        item.classList.add('active');
+      }
+      item.textContent = `${bank.number}  ${bank.name}  ${this.describeBank(bank)}`;
+      item.addEventListener('click', () => {
+        this.selectedBank = bank;
+        this.selectedImage = 0;
+        this.render();
+      });
+      this.listElement.appendChild(item);
+    });
+  }
+
+  /**
+   * Short description of the contents of a bank
+   * @param {Object} bank - Bank
+   * @returns {string} - e.g. "(12 images)"
+   */
+  describeBank(bank) {
+    switch (bank.type) {
+      case 'sprites':
+      case 'icons':
+        return `(${bank.images.length} images)`;
+      case 'samples':
+        return `(${bank.samples.length} samples)`;
+      default:
+        return `(${bank.data.length} bytes)`;
+    }
+  }
+
+  renderDetail() {
+    this.detailElement.innerHTML = '';
+    const bank = this.selectedBank;
+    if (!bank) return;
+
+    switch (bank.type) {
+      case 'sprites':
+      case 'icons':
+        this.renderImages(bank);
+        break;
+      case 'samples':
+        this.renderSamples(bank);
+        break;
+      default:
+        this.renderData(bank);
+    }
+  }
+
+  // Sprites and icons
+
+  /**
+   * Show the images of a sprite or icon bank, and the pixel editor
+   * @param {Object} bank - Sprite or icon bank
+   */
+  renderImages(bank) {
+    this.detailElement.appendChild(this.createToolbar([
+      ['Add Image', () => this.addImage(bank)],
+      ['Delete Image', () => this.deleteImage(bank)],
+      ['Hot Spot...', () => this.setHotSpot(bank)],
+      ['Zoom +', () => this.setZoom(this.zoom + 4)],
+      ['Zoom -', () => this.setZoom(this.zoom - 4)]
+    ]));
+
+    const strip = document.createElement('div');
+    strip.className = 'bank-image-strip';
+    bank.images.forEach((image, index) => {
+      const thumbnail = this.drawImage(image, bank.palette, 2);
+      thumbnail.title = `Image ${index + 1}: ${image.width}x${image.height}, ${1 << image.depth} colours`;
+      if (index === this.selectedImage) {
+        thumbnail.classList.add('active');
+      }
+      thumbnail.addEventListener('click', () => {
+        this.selectedImage = index;
+        this.renderDetail();
+      });
+      strip.appendChild(thumbnail);
+    });
+    this.detailElement.appendChild(strip);
+
+    const image = bank.images[this.selectedImage];
+    if (!image) return;
+
+    const info = document.createElement('div');
+    info.className = 'bank-info';
+    info.textContent = `Image ${this.selectedImage + 1}: ${image.width}x${image.height}, ` +
+      `${image.depth} bitplanes, hot spot ${image.hotX},${image.hotY}. ` +
+      'Left button draws, right button erases to colour 0, double-click a colour to change it.';
+    this.detailElement.appendChild(info);
+
+    this.detailElement.appendChild(this.createPalette(bank, image));
+    this.detailElement.appendChild(this.createPixelEditor(bank, image));
+  }
+
+  /**
+   * Draw an image on a new canvas
+   * @param {Object} image - Sprite or icon
+   * @param {Array<number>} palette - Amiga colours of the bank
+   * @param {number} scale - Size of a pixel on the canvas
+   * @returns {HTMLCanvasElement} - The canvas
+   */
+  drawImage(image, palette, scale) {
+    const canvas = document.createElement('canvas');
+    canvas.className = 'bank-image';
+    canvas.width = Math.max(image.width, 1) * scale;
+    canvas.height = Math.max(image.height, 1) * scale;
+    this.paintImage(canvas, image, palette, scale);
+    return canvas;
+  }
+
+  paintImage(canvas, image, palette, scale) {
+    const context = canvas.getContext('2d');
+    for (let y = 0; y < image.height; y++) {
+      for (let x = 0; x < image.width; x++) {
+        const colour = image.pixels[y * image.width + x];
+        // Colour 0 is transparent on screen, shown as a checkerboard
+        context.fillStyle = colour ? amigaToCss(palette[colour]) : ((x + y) & 1 ? '#3a3a3a' : '#2a2a2a');
+        context.fillRect(x * scale, y * scale, scale, scale);
+      }
+    }
+  }
+
+  /**
+   * The colours an image can use: as many as its bitplanes allow
+   * @param {Object} bank - Sprite or icon bank
+   * @param {Object} image - Image being edited
+   * @returns {HTMLElement} - The palette
+   */
+  createPalette(bank, image) {
+    const palette = document.createElement('div');
+    palette.className = 'bank-palette';
+    this.colour = Math.min(this.colour, (1 << image.depth) - 1);
+
+    for (let index = 0; index < 1 << image.depth; index++) {
+      const swatch = document.createElement('div');
+      swatch.className = 'bank-swatch';
+      swatch.style.backgroundColor = amigaToCss(bank.palette[index]);
+      swatch.title = `Colour ${index}: $${bank.palette[index].toString(16).toUpperCase().padStart(3, '0')}`;
+      if (index === this.colour) {
+        swatch.classList.add('active');
+      }
+      swatch.addEventListener('click', () => {
+        this.colour = index;
+        this.renderDetail();
+      });
+      swatch.addEventListener('dblclick', () => this.editColour(bank, index));
+      palette.appendChild(swatch);
+    }
+    return palette;
+  }
+
+  /**
+   * Change a colour of the palette; the Amiga has 4 bits per channel
+   * @param {Object} bank - Sprite or icon bank
+   * @param {number} index - Palette index
+   */
+  editColour(bank, index) {
+    const input = document.createElement('input');
+    input.type = 'color';
+    input.value = amigaToCss(bank.palette[index]);
+    input.addEventListener('change', () => {
+      bank.palette[index] = cssToAmiga(input.value);
+      this.renderDetail();
+    });
+    input.click();
+  }
+
+  /**
+   * Zoomed canvas the image is drawn on
+   * @param {Object} bank - Sprite or icon bank
+   * @param {Object} image - Image being edited
+   * @returns {HTMLElement} - The editor
+   */
+  createPixelEditor(bank, image) {
+    const container = document.createElement('div');
+    container.className = 'bank-pixel-editor';
+    const canvas = this.drawImage(image, bank.palette, this.zoom);
+    this.drawHotSpot(canvas, image);
+
+    const plot = (event) => {
+      const rect = canvas.getBoundingClientRect();
+      const x = Math.floor((event.clientX - rect.left) / this.zoom);
+      const y = Math.floor((event.clientY - rect.top) / this.zoom);
+      if (x < 0 || y < 0 || x >= image.width || y >= image.height) return;
+
+      image.pixels[y * image.width + x] = this.painting;
+      this.paintImage(canvas, image, bank.palette, this.zoom);
+      this.drawHotSpot(canvas, image);
+    };
+
+    canvas.addEventListener('contextmenu', (event) => event.preventDefault());
+    canvas.addEventListener('mousedown', (event) => {
+      this.painting = event.button === 2 ? 0 : this.colour;
+      plot(event);
+    });
+    canvas.addEventListener('mousemove', (event) => {
+      if (this.painting !== null) plot(event);
+    });
+    // The thumbnails are redrawn once the stroke is over
+    const stop = () => {
+      if (this.painting === null) return;
+      this.painting = null;
+      this.renderDetail();
+    };
+    canvas.addEventListener('mouseup', stop);
+    canvas.addEventListener('mouseleave', stop);
+
+    container.appendChild(canvas);
+    return container;
+  }
+
+  drawHotSpot(canvas, image) {
+    const context = canvas.getContext('2d');
+    const x = (image.hotX + 0.5) * this.zoom;
+    const y = (image.hotY + 0.5) * this.zoom;
+    context.strokeStyle = '#ff0';
+    context.beginPath();
+    context.moveTo(x - this.zoom, y);
+    context.lineTo(x + this.zoom, y);
+    context.moveTo(x, y - this.zoom);
+    context.lineTo(x, y + this.zoom);
+    context.stroke();
+  }
+
+  setZoom(zoom) {
+    this.zoom = Math.min(Math.max(zoom, 4), 32);
+    this.renderDetail();
+  }
+
+  addImage(bank) {
+    const previous = bank.images[this.selectedImage];
+    const answer = prompt('New image: width, height, bitplanes',
+      previous ? `${previous.width},${previous.height},${previous.depth}` : '16,16,4');
+    if (answer === null) return;
+
+    const match = /^\s*([0-9]+)\s*,\s*([0-9]+)\s*(?:,\s*([1-5]))?\s*$/.exec(answer);
+    if (!match || parseInt(match[1], 10) === 0 || parseInt(match[2], 10) === 0) {
+      this.report(`"${answer}" is not "width, height, bitplanes"`, 'warn');
+      return;
+    }
+
+    bank.images.splice(this.selectedImage + 1, 0,
+      createImage(parseInt(match[1], 10), parseInt(match[2], 10), parseInt(match[3] || '4', 10)));
+    this.selectedImage = Math.min(this.selectedImage + 1, bank.images.length - 1);
+    this.render();
+  }
+
+  deleteImage(bank) {
+    if (!bank.images[this.selectedImage]) return;
+    if (!confirm(`Delete image ${this.selectedImage + 1}?`)) return;
+
+    bank.images.splice(this.selectedImage, 1);
+    this.selectedImage = Math.max(Math.min(this.selectedImage, bank.images.length - 1), 0);
+    this.render();
+  }
+
+  setHotSpot(bank) {
+    const image = bank.images[this.selectedImage];
+    if (!image) return;
+
+    const answer = prompt('Hot spot: x, y', `${image.hotX},${image.hotY}`);
+    if (answer === null) return;
+
+    const match = /^\s*([0-9]+)\s*,\s*([0-9]+)\s*$/.exec(answer);
+    if (!match) {
+      this.report(`"${answer}" is not "x, y"`, 'warn');
+      return;
+    }
+    image.hotX = parseInt(match[1], 10);
+    image.hotY = parseInt(match[2], 10);
+    this.renderDetail();
+  }
+
+  // Samples
+
+  /**
+   * List the samples of a bank
+   * @param {Object} bank - Sample bank
+   */
+  renderSamples(bank) {
+    const table = document.createElement('table');
+    table.className = 'bank-samples';
+    table.innerHTML = '<tr><th>#</th><th>Name</th><th>Frequency</th><th>Length</th><th></th></tr>';
+
+    bank.samples.forEach((sample, index) => {
+      const row = document.createElement('tr');
+      [String(index + 1), sample.name, `${sample.frequency} Hz`, `${sample.data.length} bytes`].forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+
+      const actions = document.createElement('td');
+      actions.appendChild(this.createToolbar([
+        ['Play', () => this.playSample(sample)],
+        ['Rename...', () => this.renameSample(bank, sample)],
+        ['Frequency...', () => this.setFrequency(bank, sample)],
+        ['Delete', () => this.deleteSample(bank, index)]
+      ]));
+      row.appendChild(actions);
+      table.appendChild(row);
+    });
+    this.detailElement.appendChild(table);
+  }
+
+  /**
+   * Play a sample: signed 8 bit data at its frequency
+   * @param {Object} sample - Sample
+   */
+  playSample(sample) {
+    if (!sample.data.length) return;
+    if (!this.audioContext) {
+      this.audioContext = new AudioContext();
+    }
+
+    const rate = Math.max(sample.frequency, MIN_SAMPLE_RATE);
+    const buffer = this.audioContext.createBuffer(1, sample.data.length, rate);
+    const channel = buffer.getChannelData(0);
+    sample.data.forEach((byte, index) => {
+      channel[index] = (byte << 24 >> 24) / 128;
+    });
+
+    const source = this.audioContext.createBufferSource();
+    source.buffer = buffer;
+    source.playbackRate.value = sample.frequency / rate;
+    source.connect(this.audioContext.destination);
+    source.start();
+  }
+
+  renameSample(bank, sample) {
+    const name = prompt('Sample name (8 characters)', sample.name);
+    if (name === null) return;
+    sample.name = name.slice(0, 8);
+    this.renderDetail();
+  }
+
+  setFrequency(bank, sample) {
+    const answer = prompt('Frequency in Hz', String(sample.frequency));
+    if (answer === null) return;
+
+    const frequency = parseInt(answer, 10);
+    if (!(frequency > 0 && frequency <= 65535)) {
+      this.report(`"${answer}" is not a frequency from 1 to 65535`, 'warn');
+      return;
+    }
+    sample.frequency = frequency;
+    this.renderDetail();
+  }
+
+  deleteSample(bank, index) {
+    if (!confirm(`Delete sample ${bank.samples[index].name}?`)) return;
+    bank.samples.splice(index, 1);
+    this.render();
+  }
+
+  // Data banks
+
+  /**
+   * Show the bytes of a data bank
+   * @param {Object} bank - Data bank
+   */
+  renderData(bank) {
+    this.detailElement.appendChild(this.createToolbar([
+      ['Rename...', () => this.renameBank(bank)],
+      ['Replace Contents...', () => this.replaceData(bank)],
+      ['Export', () => this.downloadBytes(bank.data, `${bank.name || 'bank'}${bank.number}.bin`)]
+    ]));
+
+    const dump = document.createElement('pre');
+    dump.className = 'bank-hex';
+    const lines = [];
+    for (let offset = 0; offset < Math.min(bank.data.length, HEX_VIEW_LIMIT); offset += 16) {
+      const row = bank.data.subarray(offset, offset + 16);
+      const hex = Array.from(row, byte => byte.toString(16).padStart(2, '0')).join(' ');
+      const text = Array.from(row, byte => (byte >= 32 && byte < 127 ? String.fromCharCode(byte) : '.')).join('');
+      lines.push(`${offset.toString(16).padStart(6, '0')}  ${hex.padEnd(48)}  ${text}`);
+    }
+    if (bank.data.length > HEX_VIEW_LIMIT) {
+      lines.push(`... ${bank.data.length - HEX_VIEW_LIMIT} more bytes`);
+    }
+    dump.textContent = lines.join('\n');
+    this.detailElement.appendChild(dump);
+  }
+
+  renameBank(bank) {
+    const name = prompt('Bank name (8 characters)', bank.name);
+    if (name === null) return;
+    bank.name = name.slice(0, 8);
+    this.render();
+  }
+
+  async replaceData(bank) {
+    const file = await this.pickFile('');
+    if (!file) return;
+    bank.data = new Uint8Array(await file.arrayBuffer());
+    this.render();
+  }
+
+  // Banks
+
+  /**
+   * Ask for an .ABK or .MBK file and load its banks
+   */
+  async load() {
+    const file = await this.pickFile(this.format.extensions.join(','));
+    if (!file) return;
+
+    try {
+      this.setBanks(new Uint8Array(await file.arrayBuffer()), file.name);
+      this.report(`Loaded ${this.banks.length} banks from ${file.name}`);
+    } catch (error) {
+      console.error(`Error loading ${file.name}:`, error);
+      this.report(`Cannot load ${file.name}: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Load the banks saved with the AMOS program being edited
+   */
+  loadFromProgram() {
+    const tab = this.editor && this.editor.getActiveTab();
+    if (!tab || !tab.data.banks) {
+      this.report('The program has no banks', 'warn');
+      return;
+    }
+
+    try {
+      this.setBanks(tab.data.banks, null);
+      this.report(`Loaded ${this.banks.length} banks from ${tab.name}`);
+    } catch (error) {
+      console.error(`Error reading the banks of ${tab.name}:`, error);
+      this.report(`Cannot read the banks of ${tab.name}: ${error.message}`, 'error');
+    }
+  }
+
+  setBanks(bytes, fileName) {
+    const { banks, warnings } = this.format.read(bytes);
+    this.banks = banks.sort((a, b) => a.number - b.number);
+    this.fileName = fileName;
+    this.selectedBank = this.banks[0] || null;
+    this.selectedImage = 0;
+    warnings.forEach(warning => this.report(warning, 'warn'));
+    this.render();
+  }
+
+  newSpriteBank() {
+    let bank = this.banks.find(each => each.type === 'sprites');
+    if (!bank) {
+      bank = { number: 1, type: 'sprites', name: 'Sprites', images: [createImage(16, 16, 4)], palette: [...DEFAULT_PALETTE] };
+      this.banks.unshift(bank);
+    }
+    this.selectedBank = bank;
+    this.selectedImage = 0;
+    this.render();
+  }
+
+  deleteBank() {
+    const bank = this.selectedBank;
+    if (!bank || !confirm(`Delete bank ${bank.number} (${bank.name})?`)) return;
+
+    this.banks.splice(this.banks.indexOf(bank), 1);
+    this.selectedBank = this.banks[0] || null;
+    this.render();
+  }
+
+  /**
+   * Convert the banks to a file, reporting what cannot be written
+   * @param {string} fileName - .ABK or .MBK file name
+   * @returns {Uint8Array|null} - File contents
+   */
+  writeBanks(fileName) {
+    if (!this.banks.length) {
+      this.report('There are no banks to save', 'warn');
+      return null;
+    }
+    try {
+      return this.format.write(this.banks, fileName);
+    } catch (error) {
+      this.report(`Cannot save ${fileName}: ${error.message}`, 'error');
+      return null;
+    }
+  }
+
+  /**
+   * Save the banks in the project, through the server connection
+   */
+  saveToProject() {
+    const fileName = prompt('Save the banks in the project as', this.fileName || this.format.defaultName);
+    if (!fileName) return;
+    const bytes = this.writeBanks(fileName);
+    if (!bytes) return;
+
+    new ProjectFiles(this).writeBytes(fileName, bytes).then(
+      () => {
+        this.fileName = fileName;
+        this.render();
+        this.report(`Saved ${fileName} in the project`);
+      },
+      (error) => this.report(`Cannot save ${fileName} in the project: ${error.message}`, 'error')
+    );
+  }
+
+  download() {
+    const fileName = this.fileName || this.format.defaultName;
+    const bytes = this.writeBanks(fileName);
+    if (bytes) {
+      this.downloadBytes(bytes, fileName);
+    }
+  }
+
+  /**
+   * Store the banks in the AMOS program being edited, written when it is saved
+   */
+  putInProgram() {
+    const tab = this.editor && this.editor.getActiveTab();
+    if (!tab || !['amos1_3', 'amosPro'].includes(tab.mode)) {
+      this.report('Only AMOS programs keep banks with their code', 'warn');
+      return;
+    }
+
+    tab.data.banks = this.banks.length ? this.format.writeBankSet(this.banks) : null;
+    this.editor.setTabDirty(tab, true);
+    this.report(`${this.banks.length} banks put in ${tab.name}, saved with the program`);
+  }
+
+  /**
+   * Let the user choose a file
+   * @param {string} accept - Accepted extensions
+   * @returns {Promise<File|null>} - The chosen file, or null if cancelled
+   */
+  pickFile(accept) {
+    return new Promise(resolve => {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = accept;
+      input.addEventListener('change', () => resolve(input.files[0] || null));
+      input.addEventListener('cancel', () => resolve(null));
+      input.click();
+    });
+  }
+
+  downloadBytes(bytes, fileName) {
+    const url = URL.createObjectURL(new Blob([bytes], { type: 'application/octet-stream' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  report(message, level = null) {
+    if (this.editor) {
+      this.editor.appendOutput(`${message}\n`, level);
+    }
+  }
+
+  /**
+   * Add styles for the bank editor
+   */
+  addStyles() {
+    // Add styles if not already present
+    if (!document.getElementById('bank-editor-styles')) {
+      const style = document.createElement('style');
+      style.id = 'bank-editor-styles';
+      style.textContent = `
+        .bank-editor {
+          position: fixed;
+          top: 50%;
+          left: 50%;
+          transform: translate(-50%, -50%);
+          width: 80vw;
+          height: 80vh;
+          flex-direction: column;
+          background-color: #2a2a2a;
+          border: 1px solid #444;
+          border-radius: 4px;
+          box-shadow: 0 4px 8px rgba(0, 0, 0, 0.3);
+          padding: 12px;
+          color: #ddd;
+          font-family: Arial, sans-serif;
+          font-size: 13px;
+          z-index: 1000;
+        }
+
+        .bank-editor-header {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          border-bottom: 1px solid #444;
+          padding-bottom: 8px;
+        }
+
+        .bank-editor-header h2 {
+          margin: 0;
+          font-size: 18px;
+          color: #eee;
+        }
+
+        .bank-editor-body {
+          display: flex;
+          flex: 1;
+          min-height: 0;
+          gap: 12px;
+          margin: 8px 0;
+        }
+
+        .bank-editor-toolbar {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 6px;
+        }
+
+        .bank-editor-toolbar button {
+          padding: 4px 10px;
+          background-color: #444;
+          color: #eee;
+          border: none;
+          border-radius: 3px;
+          cursor: pointer;
+        }
+
+        .bank-editor-toolbar button:hover {
+          background-color: #555;
+        }
+
+        .bank-editor-footer {
+          justify-content: flex-end;
+          border-top: 1px solid #444;
+          padding-top: 8px;
+        }
+
+        .bank-list {
+          width: 220px;
+          overflow-y: auto;
+          border-right: 1px solid #444;
+        }
+
+        .bank-list-item {
+          padding: 4px 8px;
+          cursor: pointer;
+          white-space: pre;
+        }
+
+        .bank-list-item.active {
+          background-color: #334155;
+          color: #fff;
+        }
+
+        .bank-empty {
+          padding: 8px;
+          color: #888;
+        }
+
+        .bank-detail {
+          flex: 1;
+          overflow: auto;
+          display: flex;
+          flex-direction: column;
+          gap: 8px;
+        }
+
+        .bank-image-strip {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: flex-end;
+          gap: 6px;
+        }
+
+        .bank-image-strip .bank-image {
+          border: 1px solid #444;
+          cursor: pointer;
+        }
+
+        .bank-image-strip .bank-image.active {
+          border-color: #ff0;
+        }
+
+        .bank-info {
+          color: #aaa;
+        }
+
+        .bank-palette {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 3px;
+        }
+
+        .bank-swatch {
+          width: 20px;
+          height: 20px;
+          border: 2px solid #444;
+          cursor: pointer;
+        }
+
+        .bank-swatch.active {
+          border-color: #fff;
+        }
+
+        .bank-pixel-editor canvas {
+          cursor: crosshair;
+          image-rendering: pixelated;
+        }
+
+        .bank-samples {
+          border-collapse: collapse;
+        }
+
+        .bank-samples th,
+        .bank-samples td {
+          padding: 4px 8px;
+          text-align: left;
+          border-bottom: 1px solid #3a3a3a;
+        }
+
+        .bank-hex {
+          margin: 0;
+          font-family: monospace;
+          font-size: 12px;
+          color: #ccc;
+        }
+      `;
+      document.head.appendChild(style);
+    }
+  }
+
+  /**
+   * Handle incoming messages
+   * @param {string} messageType - Type of message received
+   * @param {Object} messageData - Data associated with the message
+   * @param {Object} sender - Component that sent the message
+   * @returns {boolean} - True if the message was handled
+   */
+  handleMessage(messageType, messageData, sender) {
+    if (messageType === 'SHOW_BANK_EDITOR') {
+      this.show();
+      return true;
+    }
+
+    return super.handleMessage(messageType, messageData, sender);
+  }
+}
+
+export default BankEditor;
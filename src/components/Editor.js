@@ -1,9 +1,14 @@
 // Editor.js - Component for the code editor area
 import { basicSetup } from 'codemirror'
-import { EditorState } from '@codemirror/state'
+import { EditorState, StateEffect } from '@codemirror/state'
 import { EditorView, keymap } from '@codemirror/view'
 import { defaultKeymap } from '@codemirror/commands'
 import BaseComponent from '../utils/BaseComponent.js'
+import EditorTabs from './EditorTabs.js'
+import DialectConverter from '../utils/basic/DialectConverter.js'
+
+// localStorage key of the texts typed by the user function keys
+const FUNCTION_KEYS_STORAGE = 'pcos-function-keys';
 
 class Editor extends BaseComponent {
   constructor(containerId, currentMode = 'modern') {
@@ -15,6 +20,29 @@ class Editor extends BaseComponent {
     this.editorInstance = null;
     this.editorView = null;
     this.modeConfig = null;
+    this.pendingInputs = new Map(); // requestId -> resolve function for program input
+    this.lastInputId = 0;
+    this.programRun = 0; // Increases with each run, so that only the latest one reports its end
+    this.programRunning = false;
+    
+    // Open documents, one per tab, each with its own EditorState
+    this.tabs = [];
+    this.activeTab = null;
+    this.pendingTab = null; // Tab to show once its mode is loaded
+    this.lastTabId = 0;
+    this.lastTabUse = 0; // Orders the tabs by last use, to find the one of a mode
+    this.tabStrip = new EditorTabs(document.getElementById('editor-tabs'), {
+      select: (tab) => this.activateTab(tab),
+      close: (tab) => this.closeTab(tab)
+    });
+    
+    // Warn before unsaved documents are lost with the page
+    window.addEventListener('beforeunload', (event) => {
+      if (this.tabs.some(tab => tab.dirty)) {
+        event.preventDefault();
+        event.returnValue = '';
+      }
+    });
   }
 
   async render() {
@@ -24,14 +52,8 @@ class Editor extends BaseComponent {
     // Load mode-specific configuration
     await this.loadModeSpecificConfig();
     
-    // If this is the C64 mode, delegate to the C64 editor
-    if (this.currentMode === 'c64') {
-      await this.loadC64Editor();
-      return;
-    }
-    
     // Create the CodeMirror editor with mode-specific configuration
-    this.createEditor();
+    await this.createEditor();
     
   }
   
@@ -40,30 +62,10 @@ class Editor extends BaseComponent {
       console.log(`Loading configuration for ${this.currentMode} mode`);
       
       // Dynamically import the editor module for the current mode
-      let ConfigModule;
-      
-      switch (this.currentMode) {
-        case 'modern':
-          ConfigModule = await import('./modern/editor.js');
-          break;
-        case 'stos':
-          ConfigModule = await import('./stos/editor.js');
-          break;
-        case 'amos1_3':
-          ConfigModule = await import('./amos1_3/editor.js');
-          break;
-        case 'amosPro':
-          ConfigModule = await import('./amosPro/editor.js');
-          break;
-        case 'c64':
-          ConfigModule = await import('./c64/editor.js');
-          break;
-        default:
-          ConfigModule = await import('./modern/editor.js');
-      }
+      const ConfigModule = await this.importModeModule(this.currentMode);
       
       // Create the mode-specific configuration
-      this.editorInstance = new ConfigModule.default(this.container);
+      this.editorInstance = new ConfigModule.default(this.container, this);
       
       // Get configuration from the mode-specific instance
       this.modeConfig = this.editorInstance.getConfig ? 
@@ -78,28 +80,31 @@ class Editor extends BaseComponent {
     }
   }
   
-  async loadC64Editor() {
-    try {
-      console.log('Loading C64 editor');
-      
-      // For C64, we delegate completely to the C64Editor
-      if (this.editorInstance && typeof this.editorInstance.render === 'function') {
-        this.editorInstance.render();
-        
-        // Connect to icon bar
-        this.connectToIconBar();
-      } else {
-        console.error('C64 editor instance not properly initialized');
-        this.container.innerHTML = `<div class="error-message">Failed to load C64 editor: Editor instance not properly initialized</div>`;
-      }
-      
-    } catch (error) {
-      console.error('Error loading C64 editor:', error);
-      this.container.innerHTML = `<div class="error-message">Failed to load C64 editor: ${error.message || 'Unknown error'}</div>`;
+  /**
+   * Import the editor module of a mode
+   * @param {string} mode - Mode name
+   * @returns {Promise<Object>} - The module, with the editor class as default export
+   */
+  importModeModule(mode) {
+    switch (mode) {
+      case 'modern':
+        return import('./modern/editor.js');
+      case 'stos':
+        return import('./stos/editor.js');
+      case 'amos1_3':
+        return import('./amos1_3/editor.js');
+      case 'amosPro':
+        return import('./amosPro/editor.js');
+      case 'c64':
+        return import('./c64/editor.js');
+      case 'c64asm':
+        return import('./c64asm/editor.js');
+      default:
+        return import('./modern/editor.js');
     }
   }
   
-  createEditor() {
+  async createEditor() {
     try {
       console.log('Creating CodeMirror editor with mode-specific configuration');
       
@@ -113,28 +118,19 @@ class Editor extends BaseComponent {
                      this.editorInstance.getEditorParent() : 
                      this.container;
       
-      // Create base extensions that all editors need
-      const baseExtensions = [
-        basicSetup,
-        keymap.of(defaultKeymap),
-        EditorView.lineWrapping
-      ];
-      
-      // Combine base extensions with mode-specific extensions
-      const allExtensions = [...baseExtensions, ...(this.modeConfig.extensions || [])];
-      
-      // Create editor state
-      const startState = EditorState.create({
-        doc: this.modeConfig.initialDoc || '',
-        extensions: allExtensions
-      });
-      
+      // Show the document of the tab, in its own state
+      this.activeTab = await this.takeTabToShow();
+
       // Create editor view
       this.editorView = new EditorView({
-        state: startState,
+        state: this.getTabState(this.activeTab),
         parent: parent
       });
-      
+      if (this.activeTab.scroll) {
+        this.editorView.dispatch({ effects: this.activeTab.scroll });
+      }
+      this.renderTabs();
+
       // Let the mode-specific instance know about the editor view
       if (this.editorInstance.setEditorView) {
         this.editorInstance.setEditorView(this.editorView);
@@ -149,15 +145,291 @@ class Editor extends BaseComponent {
   }
   
   
-  // Core editor methods that all modes can use
+  // Documents, one per tab
   
-  getContent() {
-    // For C64, delegate to the C64 editor
-    if (this.currentMode === 'c64' && this.editorInstance) {
-      return this.editorInstance.getContent();
+  /**
+   * Create the record of an open document
+   * @param {Object} options - name, path, mode, content and data of the document
+   * @returns {Object} - The new tab
+   * @private
+   */
+  createTab({ name = null, path = null, mode = this.currentMode, content = null, data = {} } = {}) {
+    const id = ++this.lastTabId;
+    return {
+      id,
+      name: name || (path ? path.split('/').pop() : `Untitled ${id}`),
+      path, // Project path, if the document comes from the project
+      mode,
+      content, // Text of a document not shown yet; null for the mode's initial program
+      state: null, // EditorState, with its undo history and selection
+      scroll: null, // Scroll position, restored when the tab is shown again
+      configuredFor: null, // Mode configuration the state was built with
+      dirty: false,
+      lastUse: 0,
+      data // Mode-specific data, e.g. the banks of an AMOS program
+    };
+  }
+  
+  /**
+   * Choose the tab to show after the mode has been loaded
+   * @returns {Promise<Object>} - The tab
+   * @private
+   */
+  async takeTabToShow() {
+    const pending = this.pendingTab;
+    this.pendingTab = null;
+    if (pending && this.tabs.includes(pending)) {
+      return this.useTab(pending);
+    }
+    
+    const tab = this.activeTab;
+    if (tab && tab.mode !== this.currentMode) {
+      // A new document that was never changed is simply replaced
+      if (!tab.dirty && !tab.path && !tab.data.fileName) {
+        Object.assign(tab, { mode: this.currentMode, content: null, state: null, scroll: null, data: {} });
+        return this.useTab(tab);
+      }
+      
+      // A program of a compatible dialect can move to the new mode, converted
+      const convertsFrom = this.modeConfig.convertsFrom || [];
+      if (convertsFrom.includes(tab.mode) &&
+          confirm(`Move "${tab.name}" to ${this.modeConfig.title}?\n\n` +
+                  `Cancel keeps it in its own mode, in its tab.`)) {
+        await this.moveTab(tab);
+        return this.useTab(tab);
+      }
+    }
+    if (tab && tab.mode === this.currentMode) {
+      return this.useTab(tab);
+    }
+    
+    // Otherwise the document is kept in its mode, and the last document of
+    // the new mode comes back
+    const modeTabs = this.tabs.filter(other => other.mode === this.currentMode);
+    if (modeTabs.length) {
+      return this.useTab(modeTabs.reduce((last, other) => other.lastUse > last.lastUse ? other : last));
+    }
+    
+    const created = this.createTab();
+    this.tabs.push(created);
+    return this.useTab(created);
+  }
+  
+  /**
+   * Convert the program of a tab to the current mode. The conversion is a
+   * change of its state, so that the undo history and the cursor are kept
+   * and undoing it brings the original program back.
+   * @param {Object} tab - The tab, of a mode whose dialect converts to the current one
+   * @private
+   */
+  async moveTab(tab) {
+    const [source, target] = await Promise.all([
+      this.importModeModule(tab.mode),
+      this.importModeModule(this.currentMode)
+    ]);
+    const content = tab.state ? tab.state.doc.toString() :
+                    tab.content !== null ? tab.content : '';
+    const converter = new DialectConverter(source.dialect, target.dialect);
+    const { text, warnings } = converter.convert(content);
+    
+    if (tab.state) {
+      tab.state = tab.state.update({ changes: { from: 0, to: tab.state.doc.length, insert: text } }).state;
+    } else {
+      tab.content = text;
+    }
+    tab.mode = this.currentMode;
+    this.setTabDirty(tab, true);
+    
+    this.appendOutput(`Moved "${tab.name}" from ${source.dialect.title} to ${target.dialect.title}\n`, 'info');
+    warnings.forEach(warning => this.appendOutput(`${warning}\n`, 'warn'));
+  }
+  
+  /**
+   * Note that a tab is shown, so that it comes back with its mode
+   * @param {Object} tab - The tab
+   * @returns {Object} - The same tab
+   * @private
+   */
+  useTab(tab) {
+    tab.lastUse = ++this.lastTabUse;
+    return tab;
+  }
+  
+  /**
+   * Get the EditorState of a tab in the current mode, creating it the
+   * first time and moving it to a newly loaded configuration so that its
+   * undo history is kept
+   * @param {Object} tab - The tab
+   * @returns {EditorState} - The state to show
+   * @private
+   */
+  getTabState(tab) {
+    const extensions = [
+      basicSetup,
+      keymap.of(defaultKeymap),
+      EditorView.lineWrapping,
+      EditorView.updateListener.of(update => {
+        if (update.docChanged) this.setTabDirty(this.activeTab, true);
+      }),
+      ...(this.modeConfig.extensions || [])
+    ];
+    
+    if (!tab.state) {
+      tab.state = EditorState.create({
+        doc: tab.content !== null ? tab.content : (this.modeConfig.initialDoc || ''),
+        extensions
+      });
+      tab.content = null;
+    } else if (tab.configuredFor !== this.modeConfig) {
+      tab.state = tab.state.update({ effects: StateEffect.reconfigure.of(extensions) }).state;
+    }
+    tab.configuredFor = this.modeConfig;
+    return tab.state;
+  }
+  
+  /**
+   * Keep the state and scroll position of the tab shown in the editor
+   * @private
+   */
+  storeActiveTab() {
+    if (this.activeTab && this.editorView) {
+      this.activeTab.state = this.editorView.state;
+      this.activeTab.scroll = this.editorView.scrollSnapshot();
+    }
+  }
+  
+  /**
+   * Show a tab in the editor. A tab of another mode changes the mode first.
+   * @param {Object} tab - The tab to show
+   */
+  activateTab(tab) {
+    if (tab === this.activeTab) {
+      if (this.editorView) this.editorView.focus();
+      return;
+    }
+    
+    if (tab.mode !== this.currentMode) {
+      this.pendingTab = tab;
+      this.sendMessageDown('MODE_CHANGE', { mode: tab.mode });
+      return;
+    }
+    
+    this.storeActiveTab();
+    this.activeTab = this.useTab(tab);
+    this.renderTabs();
+    
+    if (this.editorView) {
+      // Problems are found again for the new document
+      this.showProblems([]);
+      this.editorView.setState(this.getTabState(tab));
+      if (tab.scroll) {
+        this.editorView.dispatch({ effects: tab.scroll });
+      }
+      this.editorView.focus();
+    }
+  }
+  
+  /**
+   * Open a document in a new tab, or show the tab that already has it
+   * @param {Object} options - name, path, mode, content and data of the document
+   * @returns {Object} - The tab of the document
+   */
+  openDocument(options = {}) {
+    const existing = options.path && this.tabs.find(tab => tab.path === options.path);
+    if (existing) {
+      this.activateTab(existing);
+      return existing;
+    }
+    
+    const tab = this.createTab({ content: '', ...options });
+    // An untouched new document is replaced rather than kept
+    const active = this.activeTab;
+    if (active && !active.dirty && !active.path && !active.data.fileName && active.mode === tab.mode) {
+      this.tabs.splice(this.tabs.indexOf(active), 1, tab);
+      this.activeTab = null;
+    } else {
+      this.tabs.push(tab);
+    }
+    this.activateTab(tab);
+    return tab;
+  }
+  
+  /**
+   * Close a tab, asking first if its document has unsaved changes
+   * @param {Object} tab - The tab to close
+   * @returns {boolean} - True if the tab was closed
+   */
+  closeTab(tab) {
+    if (tab.dirty && !confirm(`${tab.name} has unsaved changes. Close it anyway?`)) {
+      return false;
+    }
+    
+    const index = this.tabs.indexOf(tab);
+    this.tabs.splice(index, 1);
+    if (tab !== this.activeTab) {
+      this.renderTabs();
+      return true;
     }
     
-    // For CodeMirror-based editors
+    // Show the neighbour, or a new document when the last tab is closed
+    let next = this.tabs[Math.min(index, this.tabs.length - 1)];
+    if (!next) {
+      next = this.createTab({ content: '' });
+      this.tabs.push(next);
+    }
+    this.activeTab = null;
+    this.activateTab(next);
+    return true;
+  }
+  
+  /**
+   * Get the tab shown in the editor
+   * @returns {Object|null} - The active tab
+   */
+  getActiveTab() {
+    return this.activeTab;
+  }
+  
+  /**
+   * Get the CodeMirror view showing the active tab
+   * @returns {EditorView|null} - The view, or null while the mode builds it
+   */
+  getEditorView() {
+    return this.editorView;
+  }
+  
+  /**
+   * Mark a tab as changed or saved
+   * @param {Object} tab - The tab
+   * @param {boolean} dirty - True if the document has unsaved changes
+   */
+  setTabDirty(tab, dirty) {
+    if (tab && tab.dirty !== dirty) {
+      tab.dirty = dirty;
+      this.renderTabs();
+    }
+  }
+  
+  /**
+   * Mark the active document as saved, under the name it was saved as
+   * @param {string} name - File name, or null to keep the tab name
+   */
+  markSaved(name = null) {
+    if (!this.activeTab) return;
+    if (name) {
+      this.activeTab.name = name;
+    }
+    this.activeTab.dirty = false;
+    this.renderTabs();
+  }
+  
+  renderTabs() {
+    this.tabStrip.render(this.tabs, this.activeTab);
+  }
+  
+  // Core editor methods that all modes can use
+  
+  getContent() {
     if (this.editorView) {
       return this.editorView.state.doc.toString();
     }
@@ -166,13 +438,6 @@ class Editor extends BaseComponent {
   }
   
   setContent(content) {
-    // For C64, delegate to the C64 editor
-    if (this.currentMode === 'c64' && this.editorInstance) {
-      this.editorInstance.setContent(content);
-      return;
-    }
-    
-    // For CodeMirror-based editors
     if (this.editorView) {
       const transaction = this.editorView.state.update({
         changes: {
@@ -195,8 +460,8 @@ class Editor extends BaseComponent {
       return;
     }
     
-    // Default implementation
-    this.setContent('');
+    // Default implementation: a new document in its own tab
+    this.openDocument();
   }
   
   openFile() {
@@ -227,7 +492,7 @@ class Editor extends BaseComponent {
     console.log('Running program');
     // Mode-specific run operation
     if (this.editorInstance && this.editorInstance.runProgram) {
-      this.editorInstance.runProgram();
+      this.trackProgram(this.editorInstance.runProgram(), 'run');
       return;
     }
     
@@ -239,7 +504,7 @@ class Editor extends BaseComponent {
     console.log('Debugging program');
     // Mode-specific debug operation
     if (this.editorInstance && this.editorInstance.debugProgram) {
-      this.editorInstance.debugProgram();
+      this.trackProgram(this.editorInstance.debugProgram(), 'debug');
       return;
     }
     
@@ -247,6 +512,68 @@ class Editor extends BaseComponent {
     alert('Debug functionality not implemented for this mode');
   }
   
+  debugCommand(command) {
+    console.log(`Debugger command: ${command}`);
+    // Mode-specific debugger control
+    if (this.editorInstance && this.editorInstance.debugCommand) {
+      // Step returns the session's promise when it starts debugging
+      this.trackProgram(this.editorInstance.debugCommand(command), 'debug');
+    }
+  }
+  
+  stopProgram() {
+    console.log('Stopping program');
+    // Mode-specific stop operation
+    if (this.editorInstance && this.editorInstance.stopProgram) {
+      this.editorInstance.stopProgram();
+    }
+  }
+  
+  /**
+   * Follow a program started by the mode editor and broadcast PROGRAM_STATE
+   * so that the icon bar and status bar show whether it runs
+   * @param {Promise|undefined} pending - Promise returned by the mode editor, resolved when the program ends
+   * @param {string} kind - 'run' or 'debug'
+   * @private
+   */
+  trackProgram(pending, kind) {
+    if (!pending || typeof pending.then !== 'function') return;
+    
+    const run = ++this.programRun;
+    this.setProgramState(true, kind);
+    
+    const finish = () => {
+      // A newer program reports its own end
+      if (run === this.programRun) {
+        this.cancelInputs();
+        this.setProgramState(false, kind);
+      }
+    };
+    pending.then(finish, (error) => {
+      console.error('Program failed:', error);
+      finish();
+    });
+  }
+  
+  /**
+   * Broadcast whether a program is running
+   * @param {boolean} running - True while a program runs
+   * @param {string} kind - 'run' or 'debug'
+   * @private
+   */
+  setProgramState(running, kind) {
+    this.programRunning = running;
+    this.broadcast('PROGRAM_STATE', { running, kind, mode: this.currentMode });
+  }
+  
+  /**
+   * Check whether a program started from the editor is running
+   * @returns {boolean} - True while a program runs
+   */
+  isProgramRunning() {
+    return this.programRunning;
+  }
+  
   shareCode() {
     console.log('Sharing code');
     // Mode-specific share operation
@@ -271,11 +598,565 @@ class Editor extends BaseComponent {
     alert('Help functionality not implemented for this mode');
   }
   
+  // Line numbers, for the line-numbered BASIC modes
+  
+  renumber() {
+    console.log('Renumber requested');
+    
+    if (this.editorInstance && this.editorInstance.renumber) {
+      this.editorInstance.renumber();
+      return;
+    }
+    
+    this.appendOutput('Renumber is only available in the modes with line numbers\n', 'warn');
+  }
+  
+  goToLineNumber() {
+    console.log('Go to line requested');
+    
+    // Line-numbered modes look for the BASIC line number
+    if (this.editorInstance && this.editorInstance.goToLineNumber) {
+      this.editorInstance.goToLineNumber();
+      return;
+    }
+    
+    // Default implementation: go to an editor row
+    const answer = prompt('Go to line');
+    if (answer && /^\s*[0-9]+\s*$/.test(answer)) {
+      this.goToLine(parseInt(answer, 10));
+    }
+  }
+  
+  listProgram() {
+    console.log('List requested');
+    
+    if (this.editorInstance && this.editorInstance.listProgram) {
+      this.editorInstance.listProgram();
+    }
+  }
+  
+  /**
+   * Reset the emulated machine of the mode (C64 Reset)
+   */
+  resetEmulator() {
+    console.log('Emulator reset requested');
+    
+    if (this.editorInstance && this.editorInstance.resetEmulator) {
+      this.editorInstance.resetEmulator();
+    }
+  }
+  
+  /**
+   * Replace the listing with the program held by an emulator (C64 Read Back)
+   */
+  readBackProgram() {
+    console.log('Read back requested');
+    
+    if (this.editorInstance && this.editorInstance.readBackProgram) {
+      this.editorInstance.readBackProgram();
+    }
+  }
+  
+  /**
+   * Assemble the program into a machine-code file (C64 Assembler)
+   */
+  assembleProgram() {
+    console.log('Assemble requested');
+    
+    if (this.editorInstance && this.editorInstance.assembleProgram) {
+      this.editorInstance.assembleProgram();
+    }
+  }
+  
+  /**
+   * Save the state of the emulated machine in the project (C64 Snapshot)
+   */
+  saveSnapshot() {
+    console.log('Snapshot requested');
+    
+    if (this.editorInstance && this.editorInstance.saveSnapshot) {
+      this.editorInstance.saveSnapshot();
+    } else {
+      this.appendOutput('Snapshots are taken of the C64 emulator: switch to C64 mode first\n', 'warn');
+    }
+  }
+  
+  /**
+   * Start or stop recording the emulated machine to a video file (C64 Record)
+   */
+  recordEmulator() {
+    console.log('Record requested');
+    
+    if (this.editorInstance && this.editorInstance.toggleRecording) {
+      this.editorInstance.toggleRecording();
+    } else {
+      this.appendOutput('Recordings are made of the C64 emulator: switch to C64 mode first\n', 'warn');
+    }
+  }
+  
+  /**
+   * Send a command to the emulator of the mode, for the Monitor window
+   * @param {string} command - Command of the emulator bridge, e.g. 'peek'
+   * @param {Object} params - Parameters of the command
+   * @returns {Promise<Object>} - Resolves with the result of the command
+   */
+  requestEmulator(command, params) {
+    if (this.editorInstance && this.editorInstance.requestEmulator) {
+      return this.editorInstance.requestEmulator(command, params);
+    }
+    return Promise.reject(new Error('The monitor works with the C64 emulator: switch to C64 mode first'));
+  }
+  
+  /**
+   * Give the emulator of the mode the joystick settings of the Preferences dialog
+   * @param {Object} settings - Joystick port, keys and gamepad
+   */
+  setInputSettings(settings) {
+    if (this.editorInstance && this.editorInstance.setInputSettings) {
+      this.editorInstance.setInputSettings(settings);
+    }
+  }
+  
+  /**
+   * Restore a snapshot of the project into the emulated machine
+   * @param {string} filePath - Path of the snapshot in the project
+   */
+  restoreSnapshot(filePath) {
+    console.log(`Snapshot restore requested: ${filePath}`);
+    
+    if (this.editorInstance && this.editorInstance.restoreSnapshot) {
+      this.editorInstance.restoreSnapshot(filePath);
+    } else {
+      this.appendOutput('Snapshots are restored into the C64 emulator: switch to C64 mode first\n', 'warn');
+    }
+  }
+  
+  // Function keys of the STOS and AMOS icon bars
+  
+  /**
+   * Run a direct mode command on the program screen
+   * @param {string} command - One line of BASIC, e.g. 'MODE 1'
+   * @param {Function} output - Receives the printed text instead of the output window, optional
+   */
+  runDirect(command, output) {
+    console.log(`Direct mode command: ${command}`);
+    
+    if (this.editorInstance && this.editorInstance.runDirect) {
+      this.trackProgram(this.editorInstance.runDirect(command, output), 'run');
+      return;
+    }
+    const message = 'Direct mode is only available in the STOS and AMOS modes\n';
+    if (output) {
+      output(message);
+    } else {
+      this.appendOutput(message, 'warn');
+    }
+  }
+  
+  /**
+   * List the variables left by the last program or direct mode command
+   * @returns {Array<Object>} - Variables with name, value and scope
+   */
+  getDirectVariables() {
+    if (this.editorInstance && this.editorInstance.getVariables) {
+      return this.editorInstance.getVariables();
+    }
+    return [];
+  }
+  
+  resetScreen() {
+    if (this.editorInstance && this.editorInstance.resetScreen) {
+      this.editorInstance.resetScreen();
+    }
+  }
+  
+  /**
+   * Move the cursor to a procedure of the program, chosen by name
+   */
+  goToProcedure() {
+    if (!this.editorView) return;
+    
+    const doc = this.editorView.state.doc;
+    const procedures = [];
+    for (let index = 1; index <= doc.lines; index++) {
+      const match = /^\s*procedure\s+([A-Za-z_][A-Za-z0-9_]*[$#]?)/i.exec(doc.line(index).text);
+      if (match) {
+        procedures.push({ name: match[1], line: index });
+      }
+    }
+    if (!procedures.length) {
+      this.appendOutput('The program has no procedures\n', 'warn');
+      return;
+    }
+    
+    const answer = prompt(`Go to procedure (${procedures.map(procedure => procedure.name).join(', ')})`, procedures[0].name);
+    if (!answer) return;
+    
+    const procedure = procedures.find(each => each.name.toUpperCase() === answer.trim().toUpperCase());
+    if (!procedure) {
+      this.appendOutput(`Procedure ${answer} not found\n`, 'warn');
+      return;
+    }
+    this.goToLine(procedure.line);
+  }
+  
+  /**
+   * Type the text of a user function key at the cursor; a key without a
+   * text asks for one first, as Key$(n)= defines it in AMOS
+   * @param {number} number - Function key number
+   */
+  typeFunctionKey(number) {
+    const keys = this.loadFunctionKeys();
+    let text = keys[number];
+    if (!text) {
+      text = prompt(`Function key ${number} types`);
+      if (!text) return;
+      keys[number] = text;
+      localStorage.setItem(FUNCTION_KEYS_STORAGE, JSON.stringify(keys));
+    }
+    
+    if (this.editorView) {
+      this.editorView.dispatch(this.editorView.state.replaceSelection(text));
+      this.editorView.focus();
+    }
+  }
+  
+  listFunctionKeys() {
+    const keys = this.loadFunctionKeys();
+    const numbers = Object.keys(keys).sort((a, b) => a - b);
+    if (!numbers.length) {
+      this.appendOutput('No function key texts defined\n', 'info');
+      return;
+    }
+    numbers.forEach(number => this.appendOutput(`F${number}: ${keys[number]}\n`));
+  }
+  
+  loadFunctionKeys() {
+    try {
+      return JSON.parse(localStorage.getItem(FUNCTION_KEYS_STORAGE)) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+  
+  /**
+   * Show the document of a tab by position, as STOS Multi 2 to 4 show the other programs
+   * @param {number} index - Position of the tab, from 0
+   */
+  selectTab(index) {
+    const tab = this.tabs[index];
+    if (!tab) {
+      this.appendOutput(`There is no program ${index + 1}\n`, 'warn');
+      return;
+    }
+    this.activateTab(tab);
+  }
+  
+  focusEditor() {
+    this.hideScreen();
+    if (this.editorView) {
+      this.editorView.focus();
+    }
+  }
+  
+  toggleFullScreen() {
+    if (document.fullscreenElement) {
+      document.exitFullscreen();
+    } else if (this.container.requestFullscreen) {
+      this.container.requestFullscreen();
+    }
+  }
+  
+  // Conversion between the BASIC dialects
+  
+  /**
+   * Convert the program of the active tab to another mode, in a new tab
+   * @param {string} mode - Mode to convert to
+   */
+  async convertProgram(mode) {
+    console.log(`Convert to ${mode} requested`);
+    
+    const [source, target] = await Promise.all([
+      this.importModeModule(this.currentMode),
+      this.importModeModule(mode)
+    ]);
+    if (!source.dialect || !target.dialect) {
+      this.appendOutput('Programs can only be converted between STOS Basic, AMOS 1.3 and AMOS Professional\n', 'warn');
+      return;
+    }
+    if (source.dialect === target.dialect) {
+      this.appendOutput(`The program is already in ${target.dialect.title}\n`, 'warn');
+      return;
+    }
+    
+    const converter = new DialectConverter(source.dialect, target.dialect);
+    const { text, warnings } = converter.convert(this.getContent());
+    
+    const name = this.activeTab ? this.activeTab.name.replace(/\.[^.]*$/, '') : 'Untitled';
+    // Not saved yet: closing it asks first
+    const tab = this.openDocument({ name: `${name} (${target.dialect.title})`, mode, content: text });
+    this.setTabDirty(tab, true);
+    
+    this.appendOutput(`Converted from ${source.dialect.title} to ${target.dialect.title}\n`, 'info');
+    warnings.forEach(warning => this.appendOutput(`${warning}\n`, 'warn'));
+  }
+  
+  /**
+   * Show the keyword reference of a mode in the Help window
+   * @param {Object} database - KeywordDatabase of the mode
+   * @param {Object} topic - Keyword entry to show first, or null
+   */
+  showKeywordHelp(database, topic = null) {
+    this.broadcastToHandlers('HELP_TOPICS', { database, topic });
+  }
+  
+  // Program output, shared by all modes
+  
+  /**
+   * Append program output to the Output window
+   * @param {string} text - Plain text to append
+   * @param {string} level - Optional console level ('info', 'debug', 'warn' or 'error') used to colour the text
+   */
+  appendOutput(text, level = null) {
+    let content = text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+    if (['info', 'debug', 'warn', 'error'].includes(level)) {
+      content = `<span class="output-${level}">${content}</span>`;
+    }
+    this.broadcastToHandlers('OUTPUT_APPEND', { content });
+  }
+  
+  /**
+   * Clear the Output window
+   */
+  clearOutput() {
+    this.broadcastToHandlers('OUTPUT_CLEAR');
+  }
+  
+  /**
+   * Ask the user for a line of program input through the Output window
+   * @param {string} prompt - Prompt already printed by the program
+   * @returns {Promise<string>} - Resolves with the typed line
+   */
+  requestInput(prompt) {
+    const requestId = `input_${++this.lastInputId}`;
+    
+    return new Promise(resolve => {
+      this.pendingInputs.set(requestId, resolve);
+      this.broadcastToHandlers('OUTPUT_REQUEST_INPUT', { requestId, prompt });
+    });
+  }
+  
+  /**
+   * Drop the program input requests still waiting for a line
+   * @private
+   */
+  cancelInputs() {
+    if (this.pendingInputs.size > 0) {
+      this.pendingInputs.clear();
+      this.broadcastToHandlers('OUTPUT_CANCEL_INPUT');
+    }
+  }
+  
+  /**
+   * Send the debugger state to the Debugger window
+   * @param {Object} state - Status ('paused', 'running' or 'stopped'), plus line, call stack and variables when paused
+   */
+  showDebugState(state) {
+    this.broadcastToHandlers('DEBUG_STATE', state);
+  }
+  
+  /**
+   * Send the problems found in the program to the Problems list of the Output window
+   * @param {Array<Object>} problems - Problems with line, from, to, severity and message
+   */
+  showProblems(problems) {
+    this.broadcastToHandlers('OUTPUT_PROBLEMS', { problems });
+  }
+  
+  /**
+   * Move the cursor to a position and scroll it into view
+   * @param {number} line - Editor line (1-based)
+   * @param {number} column - Column in the line
+   */
+  goToLine(line, column = 0) {
+    if (!this.editorView) return;
+    
+    const doc = this.editorView.state.doc;
+    const target = doc.line(Math.min(Math.max(line, 1), doc.lines));
+    this.editorView.dispatch({
+      selection: { anchor: Math.min(target.from + column, target.to) },
+      scrollIntoView: true
+    });
+    this.editorView.focus();
+  }
+  
+  // Program screen, shared by the BASIC modes
+  
+  /**
+   * Show a program screen over the editor area
+   * @param {HTMLCanvasElement} canvas - The screen canvas
+   * @param {string} title - Title shown above the screen
+   */
+  showScreen(canvas, title) {
+    this.hideScreen();
+    
+    const overlay = document.createElement('div');
+    overlay.className = 'program-screen';
+    overlay.tabIndex = 0;
+    overlay.innerHTML = `
+      <div class="program-screen-bar">
+        <span class="program-screen-title"></span>
+        <button class="program-screen-detach" title="Show the screen in a separate window">Detach</button>
+        <button class="program-screen-close" title="Back to the editor (Esc)">Close</button>
+      </div>
+      <div class="program-screen-display"></div>
+    `;
+    
+    const display = overlay.querySelector('.program-screen-display');
+    display.appendChild(canvas);
+    overlay.querySelector('.program-screen-detach').addEventListener('click', () => this.detachScreen());
+    overlay.querySelector('.program-screen-close').addEventListener('click', () => this.hideScreen());
+    overlay.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') {
+        this.hideScreen();
+      } else if (event.ctrlKey && event.key.toLowerCase() === 'c') {
+        // Control-C breaks into the program, as on the original machines
+        event.preventDefault();
+        this.stopProgram();
+      }
+    });
+    
+    this.container.appendChild(overlay);
+    this.screenOverlay = overlay;
+    this.screenCanvas = canvas;
+    this.screenTitle = title;
+    this.setScreenTitle(title);
+    
+    // Keep the screen scaled to the space available
+    this.fitScreen = () => {
+      const parent = canvas.parentElement;
+      if (parent) {
+        const view = parent.ownerDocument.defaultView;
+        const width = parent === display ? display.clientWidth : view.innerWidth;
+        const height = parent === display ? display.clientHeight : view.innerHeight;
+        this.scaleScreen(canvas, width, height);
+      }
+    };
+    this.screenResizeObserver = new ResizeObserver(this.fitScreen);
+    this.screenResizeObserver.observe(display);
+    canvas.addEventListener('screenresize', this.fitScreen);
+    
+    overlay.focus();
+  }
+  
+  /**
+   * Change the title shown above the program screen
+   * @param {string} title - New title
+   */
+  setScreenTitle(title) {
+    this.screenTitle = title;
+    if (this.screenOverlay) {
+      this.screenOverlay.querySelector('.program-screen-title').textContent = title;
+    }
+    if (this.screenWindow && !this.screenWindow.closed) {
+      this.screenWindow.document.title = title;
+    }
+  }
+  
+  /**
+   * Remove the program screen and return to the editor
+   */
+  hideScreen() {
+    if (this.screenResizeObserver) {
+      this.screenResizeObserver.disconnect();
+      this.screenResizeObserver = null;
+    }
+    if (this.screenCanvas) {
+      this.screenCanvas.removeEventListener('screenresize', this.fitScreen);
+      this.screenCanvas = null;
+    }
+    if (this.screenWindow) {
+      const screenWindow = this.screenWindow;
+      this.screenWindow = null;
+      screenWindow.close();
+    }
+    if (this.screenOverlay) {
+      this.screenOverlay.remove();
+      this.screenOverlay = null;
+    }
+  }
+  
+  /**
+   * Move the program screen to a separate browser window. Closing that
+   * window brings the screen back over the editor.
+   */
+  detachScreen() {
+    const canvas = this.screenCanvas;
+    if (!canvas || this.screenWindow) return;
+    
+    const screenWindow = window.open('', 'pcos-program-screen', 'width=660,height=440');
+    if (!screenWindow) {
+      console.warn('Could not open the program screen window (blocked by the browser?)');
+      return;
+    }
+    
+    screenWindow.document.title = this.screenTitle;
+    screenWindow.document.body.style.cssText = 'margin: 0; background: #000; display: flex; ' +
+      'align-items: center; justify-content: center; height: 100vh; overflow: hidden;';
+    screenWindow.document.body.appendChild(canvas);
+    screenWindow.addEventListener('resize', this.fitScreen);
+    screenWindow.addEventListener('pagehide', () => {
+      if (this.screenWindow !== screenWindow) return;
+      this.screenWindow = null;
+      if (this.screenOverlay) {
+        this.screenOverlay.querySelector('.program-screen-display').appendChild(canvas);
+        this.screenOverlay.style.display = '';
+        this.fitScreen();
+      }
+    });
+    
+    this.screenWindow = screenWindow;
+    this.screenOverlay.style.display = 'none';
+    this.fitScreen();
+  }
+  
+  /**
+   * Scale a screen canvas to fit an area, keeping its pixel aspect
+   * @private
+   */
+  scaleScreen(canvas, width, height) {
+    const aspect = Number(canvas.dataset.pixelAspect || 1);
+    const scale = Math.min(width / canvas.width, height / (canvas.height * aspect));
+    if (scale > 0) {
+      canvas.style.width = `${Math.floor(canvas.width * scale)}px`;
+      canvas.style.height = `${Math.floor(canvas.height * aspect * scale)}px`;
+    }
+  }
+  
   setMode(mode) {
     console.log(`Changing editor mode from ${this.currentMode} to ${mode}`);
+    // The new mode cannot control a program of the previous one
+    if (this.programRunning) {
+      this.stopProgram();
+    }
+    // Problems of the previous program no longer apply
+    this.showProblems([]);
+    // Keep the document of the current tab, then let the new mode build its view
+    this.storeActiveTab();
+    if (this.editorView) {
+      this.editorView.destroy();
+      this.editorView = null;
+    }
+    // The previous mode releases what it holds outside its container
+    if (this.editorInstance && this.editorInstance.destroy) {
+      this.editorInstance.destroy();
+    }
+    this.editorInstance = null;
     this.currentMode = mode;
-    this.loadModeSpecificConfig();
-    this.render();  
+    this.render();
   }
   
   // Override the handleMessage method from BaseComponent
@@ -309,6 +1190,162 @@ class Editor extends BaseComponent {
       case 'DEBUG_PROGRAM':
         this.debugProgram();
         return true;
+        
+      case 'STOP_PROGRAM':
+        this.stopProgram();
+        return true;
+        
+      case 'SHOW_HELP':
+        this.showHelp();
+        return true;
+        
+      case 'RENUMBER_PROGRAM':
+        this.renumber();
+        return true;
+        
+      case 'GOTO_LINE_NUMBER':
+        this.goToLineNumber();
+        return true;
+        
+      case 'LIST_PROGRAM':
+        this.listProgram();
+        return true;
+        
+      case 'READ_BACK_PROGRAM':
+        this.readBackProgram();
+        return true;
+        
+      case 'RESET_EMULATOR':
+        this.resetEmulator();
+        return true;
+        
+      case 'ASSEMBLE_PROGRAM':
+        this.assembleProgram();
+        return true;
+        
+      case 'C64_INPUT_CHANGED':
+        this.setInputSettings(messageData.settings);
+        return true;
+        
+      case 'SAVE_SNAPSHOT':
+        this.saveSnapshot();
+        return true;
+        
+      case 'RECORD_EMULATOR':
+        this.recordEmulator();
+        return true;
+        
+      case 'C64_REQUEST':
+        this.requestEmulator(messageData.command, messageData.params || {})
+          .then(messageData.onResponse, messageData.onError);
+        return true;
+        
+      case 'RESTORE_SNAPSHOT':
+        if (messageData.filePath) {
+          this.restoreSnapshot(messageData.filePath);
+          return true;
+        }
+        break;
+        
+      case 'DIRECT_COMMAND':
+        if (messageData.command) {
+          this.runDirect(messageData.command, messageData.output);
+          return true;
+        }
+        break;
+        
+      case 'DIRECT_VARIABLES':
+        if (messageData.onResponse) {
+          messageData.onResponse(this.getDirectVariables());
+          return true;
+        }
+        break;
+        
+      case 'RESET_SCREEN':
+        this.resetScreen();
+        return true;
+        
+      case 'GOTO_PROCEDURE':
+        this.goToProcedure();
+        return true;
+        
+      case 'FUNCTION_KEY':
+        if (messageData.number) {
+          this.typeFunctionKey(messageData.number);
+          return true;
+        }
+        break;
+        
+      case 'LIST_FUNCTION_KEYS':
+        this.listFunctionKeys();
+        return true;
+        
+      case 'SELECT_TAB':
+        if (messageData.index !== undefined) {
+          this.selectTab(messageData.index);
+          return true;
+        }
+        break;
+        
+      case 'CLOSE_TAB':
+        if (this.activeTab) {
+          this.closeTab(this.activeTab);
+        }
+        return true;
+        
+      case 'FOCUS_EDITOR':
+        this.focusEditor();
+        return true;
+        
+      case 'TOGGLE_FULL_SCREEN':
+        this.toggleFullScreen();
+        return true;
+        
+      case 'CONVERT_PROGRAM':
+        if (messageData.mode) {
+          this.convertProgram(messageData.mode);
+          return true;
+        }
+        break;
+        
+      case 'PROJECT_FILE_SELECTED':
+        if (messageData.filePath) {
+          // The mode may handle its own files, e.g. the C64 disk images
+          if (this.editorInstance && this.editorInstance.openProjectFile &&
+              this.editorInstance.openProjectFile(messageData.filePath, messageData.fileName)) {
+            return true;
+          }
+          this.openDocument({
+            name: messageData.fileName,
+            path: messageData.filePath,
+            content: messageData.content || ''
+          });
+          return true;
+        }
+        break;
+        
+      case 'EDITOR_GOTO_LINE':
+        if (messageData.line) {
+          this.goToLine(messageData.line, messageData.column || 0);
+          return true;
+        }
+        break;
+        
+      case 'DEBUG_COMMAND':
+        if (messageData.command) {
+          this.debugCommand(messageData.command);
+          return true;
+        }
+        break;
+        
+      case 'OUTPUT_INPUT_RESPONSE':
+        if (this.pendingInputs.has(messageData.requestId)) {
+          const resolve = this.pendingInputs.get(messageData.requestId);
+          this.pendingInputs.delete(messageData.requestId);
+          resolve(messageData.value);
+          return true;
+        }
+        break;
     }
     
     return false; // Message not handled
@@ -0,0 +1,147 @@
+// EditorTabs.js - Tab strip above the editor, one tab per open document
+
+// Short mode names shown on the tabs
+const MODE_LABELS = {
+  modern: 'JS',
+  stos: 'STOS',
+  amos1_3: 'AMOS',
+  amosPro: 'AMOS Pro',
+  c64: 'C64',
+  c64asm: 'C64 ASM'
+};
+
+class EditorTabs {
+  /**
+   * Create the tab strip
+   * @param {HTMLElement} container - Element the tabs are rendered in
+   * @param {Object} handlers - select(tab) and close(tab) callbacks of the Editor
+   */
+  constructor(container, handlers) {
+    this.container = container;
+    this.handlers = handlers;
+    this.addStyles();
+  }
+
+  /**
+   * Show the tabs
+   * @param {Array<Object>} tabs - Open documents, with name, path, mode and dirty
+   * @param {Object} activeTab - Document shown in the editor
+   */
+  render(tabs, activeTab) {
+    if (!this.container) return;
+    this.container.innerHTML = '';
+
+    tabs.forEach(tab => {
+      const element = document.createElement('div');
+      element.className = `editor-tab editor-tab-${tab.mode}`;
+      if (tab === activeTab) {
+        element.classList.add('active');
+      }
+      element.title = tab.path || tab.name;
+      element.addEventListener('click', () => this.handlers.select(tab));
+      // Middle click closes, as in most editors
+      element.addEventListener('auxclick', (event) => {
+        if (event.button === 1) {
+          event.preventDefault();
+          this.handlers.close(tab);
+        }
+      });
+
+      const name = document.createElement('span');
+      name.className = 'editor-tab-name';
+      name.textContent = tab.dirty ? `${tab.name} •` : tab.name;
+
+      const mode = document.createElement('span');
+      mode.className = 'editor-tab-mode';
+      mode.textContent = MODE_LABELS[tab.mode] || tab.mode;
+
+      const close = document.createElement('button');
+      close.className = 'editor-tab-close';
+      close.textContent = '×';
+      close.title = 'Close';
+      close.addEventListener('click', (event) => {
+        event.stopPropagation();
+        this.handlers.close(tab);
+      });
+
+      element.appendChild(name);
+      element.appendChild(mode);
+      element.appendChild(close);
+      this.container.appendChild(element);
+    });
+
+    const active = this.container.querySelector('.editor-tab.active');
+    if (active) {
+      active.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+    }
+  }
+
+  /**
+   * Add styles for the tab strip
+   */
+  addStyles() {
+    // Add styles if not already present
+    if (!document.getElementById('editor-tabs-styles')) {
+      const style = document.createElement('style');
+      style.id = 'editor-tabs-styles';
+      style.textContent = `
+        #editor-tabs {
+          display: flex;
+          overflow-x: auto;
+          background-color: #1a1a1a;
+          border-bottom: 1px solid #334155;
+          font-family: Arial, sans-serif;
+          font-size: 13px;
+        }
+
+        #editor-tabs:empty {
+          display: none;
+        }
+
+        .editor-tab {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          padding: 4px 6px 4px 10px;
+          color: #aaa;
+          border-right: 1px solid #334155;
+          cursor: pointer;
+          white-space: nowrap;
+        }
+
+        .editor-tab:hover {
+          background-color: #263040;
+        }
+
+        .editor-tab.active {
+          color: #fff;
+          background-color: #334155;
+        }
+
+        .editor-tab-mode {
+          font-size: 10px;
+          color: #888;
+        }
+
+        .editor-tab-close {
+          border: none;
+          background: none;
+          color: inherit;
+          font-size: 14px;
+          line-height: 1;
+          padding: 0 2px;
+          cursor: pointer;
+          visibility: hidden;
+        }
+
+        .editor-tab:hover .editor-tab-close,
+        .editor-tab.active .editor-tab-close {
+          visibility: visible;
+        }
+      `;
+      document.head.appendChild(style);
+    }
+  }
+}
+
+export default EditorTabs;
@@ -11,11 +11,36 @@ class IconBar extends BaseComponent {
     this.onModeChangeCallback = onModeChangeCallback;
     this.currentMode = currentMode;
     this.modeSpecificIcons = null;
+    this.programRunning = false; // From the Editor's PROGRAM_STATE messages
+    this.recording = false;      // From the C64 editor's RECORDING_STATE messages
     
     // Store this instance on the container element for external access
     if (this.container) {
       this.container._iconBarInstance = this;
     }
+    
+    // The keyboard's function keys press the icon bar keys of the STOS and AMOS modes
+    document.addEventListener('keydown', (event) => this.handleFunctionKey(event));
+  }
+  
+  /**
+   * Turn F1 to F19, pressed while the editor has the focus, into the action
+   * of the matching icon bar key
+   * @param {KeyboardEvent} event - Key event
+   */
+  handleFunctionKey(event) {
+    const match = /^F([0-9]{1,2})$/.exec(event.key);
+    const editorArea = document.getElementById('editor-area');
+    if (!match || !this.modeSpecificIcons || !this.modeSpecificIcons.getKeyAction ||
+        !editorArea || !editorArea.contains(document.activeElement)) {
+      return;
+    }
+    
+    const action = this.modeSpecificIcons.getKeyAction(parseInt(match[1], 10), event.shiftKey);
+    if (action) {
+      event.preventDefault();
+      this.handleIconClick(action);
+    }
   }
 
   async render() {
@@ -56,13 +81,23 @@ class IconBar extends BaseComponent {
         case 'c64':
           IconsModule = await import('./c64/icons.js');
           break;
+        case 'c64asm':
+          IconsModule = await import('./c64asm/icons.js');
+          break;
         default:
           IconsModule = await import('./modern/icons.js');
       }
       
+      // The icons of the previous mode stop listening to the keyboard
+      if (this.modeSpecificIcons && this.modeSpecificIcons.destroy) {
+        this.modeSpecificIcons.destroy();
+      }
+      
       // Create and render the mode-specific icons
       this.modeSpecificIcons = new IconsModule.default(iconContainer, this.handleIconClick.bind(this));
       this.modeSpecificIcons.render();
+      this.showProgramState();
+      this.showRecordingState();
       
       // Store the icon bar instance on the container element for external access
       this.container._iconBarInstance = this.modeSpecificIcons;
@@ -85,6 +120,20 @@ class IconBar extends BaseComponent {
     });    
   }
   
+  // Let the mode icons show Run or Stop, when they know how to
+  showProgramState() {
+    if (this.modeSpecificIcons && this.modeSpecificIcons.setRunning) {
+      this.modeSpecificIcons.setRunning(this.programRunning);
+    }
+  }
+  
+  // Let the mode icons show that the emulator is being recorded
+  showRecordingState() {
+    if (this.modeSpecificIcons && this.modeSpecificIcons.setRecording) {
+      this.modeSpecificIcons.setRecording(this.recording);
+    }
+  }
+  
   setMode(mode) {
     this.currentMode = mode;
     this.loadModeSpecificIcons();
@@ -102,6 +151,21 @@ class IconBar extends BaseComponent {
         }
         break;
         
+      case 'PROGRAM_STATE':
+        if (messageData.data) {
+          this.programRunning = !!messageData.data.running;
+          this.showProgramState();
+          return true;
+        }
+        break;
+        
+      case 'RECORDING_STATE':
+        if (messageData.data) {
+          this.recording = !!messageData.data.recording;
+          this.showRecordingState();
+          return true;
+        }
+        break;
     }
     
     return false; // Message not handled
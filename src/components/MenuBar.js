@@ -70,7 +70,8 @@ class MenuBar extends BaseComponent {
       { value: 'stos', text: 'STOS Basic' },
       { value: 'amos1_3', text: 'AMOS 1.3' },
       { value: 'amosPro', text: 'AMOS Pro' },
-      { value: 'c64', text: 'Commodore 64' }
+      { value: 'c64', text: 'Commodore 64' },
+      { value: 'c64asm', text: 'C64 Assembler' }
     ];
     
     modes.forEach(mode => {
@@ -102,8 +103,15 @@ class MenuBar extends BaseComponent {
   
   getDefaultMenuStructure() {
     return {
-      'File': ['New', 'Open', 'Save', 'Save As', 'Exit'],
-      'Edit': ['Undo', 'Redo', 'Cut', 'Copy', 'Paste', 'Find', 'Replace', 'Preferences'],
+      'File': ['New', 'Open', 'Save', 'Save As', {
+        label: 'Convert To',
+        submenu: [
+          { label: 'STOS Basic', value: 'Convert to STOS Basic' },
+          { label: 'AMOS 1.3', value: 'Convert to AMOS 1.3' },
+          { label: 'AMOS Professional', value: 'Convert to AMOS Professional' }
+        ]
+      }, 'Exit'],
+      'Edit': ['Undo', 'Redo', 'Cut', 'Copy', 'Paste', 'Find', 'Replace', 'Go To Line', 'Renumber', 'Banks', 'Preferences'],
       'View': ['Zoom In', 'Zoom Out', 'Reset Zoom', 'Toggle Output'],
       'Run': ['Run', 'Debug', 'Stop', 'Build'],
       'Help': ['Documentation', 'About']
@@ -221,6 +229,20 @@ class MenuBar extends BaseComponent {
         }
         break;
         
+      case 'OPEN_MENU':
+        // AMOS's Menu key opens the menus from the keyboard; after the click
+        // on the key has reached the document, which closes the menus
+        if (messageData.data && this.menuItems[messageData.data.menu]) {
+          const menuName = messageData.data.menu;
+          setTimeout(() => {
+            if (this.activeMenu !== menuName) {
+              this.toggleMenu(menuName, this.menuItems[menuName]);
+            }
+          }, 0);
+          return true;
+        }
+        break;
+        
       case 'UPDATE_MENU_STRUCTURE':
         if (messageData.data && messageData.data.structure) {
           this.setMenuStructure(messageData.data.structure);
@@ -6,6 +6,8 @@
  */
 
 import BaseComponent, { PREFERENCE_MESSAGES } from '../utils/BaseComponent.js';
+import C64InputPanel from './c64/inputPanel.js';
+import { loadInputSettings, saveInputSettings } from './c64/input.js';
 
 class PreferenceDialog extends BaseComponent {
   /**
@@ -66,11 +68,10 @@ class PreferenceDialog extends BaseComponent {
     content.className = 'preference-dialog-content';
     content.style.marginBottom = '20px';
     
-    const message = document.createElement('p');
-    message.textContent = 'Preferences dialog box';
-    message.style.color = '#ddd';
+    // Joystick port, keys and gamepad of the C64 emulator
+    this.c64Input = new C64InputPanel();
+    content.appendChild(this.c64Input.element);
     
-    content.appendChild(message);
     this.element.appendChild(content);
     
     // Create dialog footer with buttons
@@ -109,6 +110,11 @@ class PreferenceDialog extends BaseComponent {
    * Handle OK button click
    */
   handleOkClick() {
+    // Apply the C64 input settings to the emulator, if it is open
+    const inputSettings = this.c64Input.getSettings();
+    saveInputSettings(inputSettings);
+    this.broadcastToHandlers('C64_INPUT_CHANGED', { settings: inputSettings });
+    
     // Save preferences
     this.saveLayout()
       .then(layoutJson => {
@@ -133,6 +139,7 @@ class PreferenceDialog extends BaseComponent {
    * Show the preferences dialog
    */
   show() {
+    this.c64Input.setSettings(loadInputSettings());
     this.element.style.display = 'block';
   }
   
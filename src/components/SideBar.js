@@ -1,6 +1,10 @@
 // SideBar.js - Component for the left sidebar that manages multiple SideWindow instances
 import ProjectSideWindow from './interface/sidewindows/ProjectSideWindow.js';
 import OutputSideWindow from './interface/sidewindows/OutputSideWindow.js';
+import DebuggerSideWindow from './interface/sidewindows/DebuggerSideWindow.js';
+import DirectSideWindow from './interface/sidewindows/DirectSideWindow.js';
+import MonitorSideWindow from './interface/sidewindows/MonitorSideWindow.js';
+import HelpSideWindow from './interface/sidewindows/HelpSideWindow.js';
 import TVSideWindow from './interface/sidewindows/TVSideWindow.js';
 import SocketSideWindow from './interface/sidewindows/SocketSideWindow.js';
 import BaseComponent from '../utils/BaseComponent.js';
@@ -41,6 +45,10 @@ class SideBar extends BaseComponent {
       // Order: TV, Socket, Output, Project (from top to bottom)
       this.addWindow(new ProjectSideWindow(250));
       this.addWindow(new OutputSideWindow(180));
+      this.addWindow(new DebuggerSideWindow(180));
+      this.addWindow(new DirectSideWindow(180));
+      this.addWindow(new MonitorSideWindow(220));
+      this.addWindow(new HelpSideWindow(220));
       this.addWindow(new TVSideWindow(200, 'https://www.youtube.com/embed/BxGPwYwlAfM'));
       this.addWindow(new SocketSideWindow(200));
     }
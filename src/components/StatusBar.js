@@ -9,6 +9,8 @@ class StatusBar extends BaseComponent {
     
     this.container = document.getElementById(containerId);
     this.status = 'Ready';
+    this.recordingStart = null; // Time the C64 recording started, while there is one
+    this.recordingTimer = null;
   }
 
   render() {
@@ -36,6 +38,39 @@ class StatusBar extends BaseComponent {
     return this.status;
   }
   
+  /**
+   * Show how long the C64 emulator has been recorded, beside the status
+   * @param {boolean} recording - True while a recording runs
+   * @param {number} startTime - Date.now() when it started
+   */
+  setRecording(recording, startTime = Date.now()) {
+    clearInterval(this.recordingTimer);
+    this.recordingTimer = null;
+    let indicator = this.container.querySelector('.status-recording');
+    
+    if (!recording) {
+      this.recordingStart = null;
+      if (indicator) {
+        indicator.remove();
+      }
+      return;
+    }
+    
+    if (!indicator) {
+      indicator = document.createElement('div');
+      indicator.className = 'status-recording';
+      this.container.appendChild(indicator);
+    }
+    this.recordingStart = startTime;
+    const update = () => {
+      const seconds = Math.floor((Date.now() - this.recordingStart) / 1000);
+      const minutes = Math.floor(seconds / 60);
+      indicator.textContent = `\u25CF REC ${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+    };
+    update();
+    this.recordingTimer = setInterval(update, 1000);
+  }
+  
   showTemporaryStatus(text, duration = 3000) {
     const previousStatus = this.status;
     this.setStatus(text);
@@ -57,6 +92,22 @@ class StatusBar extends BaseComponent {
         }
         break;
         
+      case 'PROGRAM_STATE':
+        if (messageData.data) {
+          this.setStatus(messageData.data.running ?
+            (messageData.data.kind === 'debug' ? 'Debugging...' : 'Running...') :
+            'Ready');
+          return true;
+        }
+        break;
+        
+      case 'RECORDING_STATE':
+        if (messageData.data) {
+          this.setRecording(!!messageData.data.recording, messageData.data.startTime);
+          return true;
+        }
+        break;
+        
       case 'SHOW_TEMPORARY_STATUS':
         if (messageData.data && messageData.data.text) {
           const duration = messageData.data.duration || 3000;
@@ -0,0 +1,44 @@
+// AMOS 1.3 dialect profile for the shared BASIC runtime (src/utils/basic)
+
+// Instructions that start a statement
+export const statements = [
+  'REM', 'LET', 'PRINT', 'INPUT', 'IF', 'THEN', 'ELSE', 'END IF', 'FOR', 'TO', 'STEP', 'NEXT',
+  'WHILE', 'WEND', 'REPEAT', 'UNTIL', 'DO', 'LOOP', 'EXIT', 'EXIT IF',
+  'GOTO', 'GOSUB', 'RETURN', 'ON', 'PROCEDURE', 'END PROC', 'PROC', 'POP PROC', 'SHARED', 'GLOBAL',
+  'DIM', 'DATA', 'READ', 'RESTORE', 'END', 'STOP', 'INC', 'DEC', 'ADD',
+  'CLS', 'WAIT', 'SCREEN OPEN', 'INK', 'PLOT', 'DRAW', 'BAR', 'BOX', 'CIRCLE', 'PAPER', 'PEN',
+  'LOCATE', 'PALETTE'
+];
+
+// Functions usable inside expressions
+export const functions = [
+  'ABS', 'INT', 'SGN', 'SQR', 'RND', 'SIN', 'COS', 'TAN', 'ATN', 'EXP', 'LN', 'LOG',
+  'MAX', 'MIN', 'PI#', 'TIMER',
+  'LEN', 'LEFT$', 'RIGHT$', 'MID$', 'INSTR', 'CHR$', 'ASC', 'STR$', 'VAL',
+  'UPPER$', 'LOWER$', 'SPACE$', 'STRING$', 'FLIP$', 'HEX$', 'BIN$', 'INKEY$',
+  'PARAM', 'PARAM$', 'PARAM#', 'POINT', 'LOWRES', 'HIRES', 'LACED'
+];
+
+// Word operators
+export const operators = ['AND', 'OR', 'XOR', 'NOT', 'MOD'];
+
+// Instructions added by AMOS Professional. AMOS 1.3 still recognises them so
+// that it can report them instead of a plain syntax error.
+export const professionalStatements = ['ELSE IF', 'SET DOUBLE PRECISION'];
+
+const amos13Dialect = {
+  name: 'amos1_3',
+  title: 'AMOS 1.3',
+  screen: 'amiga', // RetroScreen machine used for graphics
+  lineNumbers: false,
+  structured: true,
+  procedures: true,
+  labels: true,
+  statements,
+  functions,
+  operators,
+  unavailable: professionalStatements,
+  keywords: [...statements, ...functions, ...operators, ...professionalStatements]
+};
+
+export default amos13Dialect;
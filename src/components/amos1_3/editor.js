@@ -1,10 +1,21 @@
 // AMOS 1.3 Editor component
 import { EditorView } from '@codemirror/view'
+import BasicRunner from '../../utils/basic/BasicRunner.js'
+import BasicFiles from '../../utils/basic/BasicFiles.js'
+import { debuggerExtensions } from '../../utils/basic/DebuggerExtensions.js'
+import { basicLanguage } from '../../utils/basic/BasicLanguage.js'
+import { keywordHelp, keywordAtCursor } from '../../utils/basic/KeywordHelp.js'
+import { lintExtensions } from '../../utils/basic/LintExtensions.js'
+import amos13Dialect from './dialect.js'
+import amos13Keywords from './keywords.js'
 
 class AMOS13Editor {
-  constructor(container) {
+  constructor(container, editor) {
     this.container = container;
+    this.editor = editor; // Main Editor component, used for program output
     this.editorView = null;
+    this.runner = new BasicRunner(editor, amos13Dialect);
+    this.files = new BasicFiles(editor, amos13Dialect);
   }
 
   // Prepare the container with AMOS 1.3-specific styling
@@ -67,8 +78,17 @@ class AMOS13Editor {
     });
     
     return {
-      extensions: [amosTheme],
-      initialDoc: '10 REM AMOS 1.3 Program\n20 PRINT "Hello from AMOS 1.3!"\n30 FOR I=1 TO 10\n40 PRINT "Loop: ";I\n50 NEXT I\n60 END'
+      extensions: [
+        amosTheme,
+        basicLanguage(amos13Dialect),
+        keywordHelp(amos13Keywords),
+        lintExtensions(amos13Dialect, problems => this.editor.showProblems(problems)),
+        debuggerExtensions()
+      ],
+      initialDoc: '10 REM AMOS 1.3 Program\n20 PRINT "Hello from AMOS 1.3!"\n30 FOR I=1 TO 10\n40 PRINT "Loop: ";I\n50 NEXT I\n60 END',
+      title: amos13Dialect.title,
+      // Programs of these modes are converted to AMOS 1.3 when the mode changes
+      convertsFrom: ['stos', 'amosPro']
     };
   }
   
@@ -78,23 +98,66 @@ class AMOS13Editor {
   }
   
   // Mode-specific operations
-  runProgram() {
+  
+  // Programs are exchanged with the original AMOS 1.3 as .AMOS files and ASCII listings
+  async openFile() {
+    console.log('Opening AMOS 1.3 program');
+    await this.files.open();
+  }
+  
+  saveFile() {
+    console.log('Saving AMOS 1.3 program');
+    this.files.save(this.editorView.state.doc.toString());
+  }
+  
+  async runProgram() {
     console.log('Running AMOS 1.3 program');
-    // Implement AMOS-specific run logic here
-    alert('AMOS 1.3 program execution started');
+    await this.runner.run(this.editorView.state.doc.toString());
   }
   
-  debugProgram() {
+  async debugProgram() {
     console.log('Debugging AMOS 1.3 program');
-    // Implement AMOS-specific debug logic here
-    alert('AMOS 1.3 program debugging started');
+    await this.runner.debug(this.editorView.state.doc.toString());
+  }
+  
+  stopProgram() {
+    console.log('Stopping AMOS 1.3 program');
+    this.runner.stop();
+  }
+  
+  // Commands typed in the Direct window or by the function keys, run on the program screen
+  runDirect(command, output) {
+    console.log(`AMOS 1.3 direct mode: ${command}`);
+    return this.runner.runDirect(command, output);
+  }
+  
+  // Variables left by the last program, for the Direct window
+  getVariables() {
+    return this.runner.getVariables();
+  }
+  
+  resetScreen() {
+    this.runner.resetScreen();
+  }
+  
+  // Step, Step Over, Continue and Stop from the Debugger window and the Step key;
+  // Step starts a debug session when none is running
+  debugCommand(command) {
+    if (command === 'step' && !this.runner.isDebugging()) {
+      return this.debugProgram();
+    }
+    this.runner.debugCommand(command);
   }
   
+  // Keyword reference in the Help window, opened on the keyword under the cursor
   showHelp() {
     console.log('Showing AMOS 1.3 help');
-    // Implement AMOS-specific help logic here
-    alert('AMOS 1.3 Help:\n\nBasic commands:\nPRINT - Output text\nFOR/NEXT - Loop\nIF/THEN - Conditional\nGOTO - Jump to line\nGOSUB/RETURN - Subroutine');
+    const topic = this.editorView ? keywordAtCursor(amos13Keywords, this.editorView) : null;
+    this.editor.showKeywordHelp(amos13Keywords, topic);
   }
 }
 
+// Dialect profile, used by the converter between modes
+export { amos13Dialect as dialect };
+
 export default AMOS13Editor;
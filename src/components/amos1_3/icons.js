@@ -1,9 +1,12 @@
 // AMOS 1.3 Icon Bar component - Inspired by the original AMOS 1.3 from 1988 for Amiga
+import ShiftKeyTracker from '../../utils/ShiftKeyTracker.js'
 
 class AMOS13Icons {
-  constructor(container) {
+  constructor(container, onAction = null) {
     this.container = container;
+    this.onAction = onAction; // IconBar callback, sends ICON_ACTION
     this.shiftPressed = false;
+    this.infoArea = null;
     
     // Define function keys for normal state (F1-F10)
     this.functionKeysRow1 = [
@@ -39,23 +42,15 @@ class AMOS13Icons {
       { key: 'F19', action: 'Key 19' }
     ];
     
-    // Add event listeners for shift key
-    document.addEventListener('keydown', this.handleKeyDown.bind(this));
-    document.addEventListener('keyup', this.handleKeyUp.bind(this));
-  }
-  
-  handleKeyDown(event) {
-    if (event.key === 'Shift' && !this.shiftPressed) {
-      this.shiftPressed = true;
+    // Shifted function keys while Shift is held
+    this.shiftKey = new ShiftKeyTracker(pressed => {
+      this.shiftPressed = pressed;
       this.updateFunctionKeys();
-    }
+    });
   }
   
-  handleKeyUp(event) {
-    if (event.key === 'Shift' && this.shiftPressed) {
-      this.shiftPressed = false;
-      this.updateFunctionKeys();
-    }
+  destroy() {
+    this.shiftKey.destroy();
   }
   
   updateFunctionKeys() {
@@ -143,6 +138,7 @@ class AMOS13Icons {
     const infoArea = document.createElement('div');
     infoArea.className = 'amos-info-area';
     infoArea.textContent = 'AMOS 1.3 - Ready';
+    this.infoArea = infoArea;
     
     // Add all sections to the main container
     amosIconBar.appendChild(topSection);
@@ -174,8 +170,32 @@ class AMOS13Icons {
     parent.appendChild(button);
   }
   
+  // While a program runs F3 stops it and the information line says so
+  setRunning(running) {
+    this.functionKeysRow1[2] = { key: 'F3', action: running ? 'Stop' : 'Run' };
+    this.updateFunctionKeys();
+    
+    if (this.infoArea) {
+      this.infoArea.textContent = running ? 'AMOS 1.3 - Running' : 'AMOS 1.3 - Ready';
+    }
+  }
+  
+  // Action of a key pressed on the keyboard: Shift+F1 to Shift+F10 give the
+  // shifted keys, as on the Amiga
+  getKeyAction(number, shift) {
+    const normal = [...this.functionKeysRow1, ...this.functionKeysRow2];
+    const shifted = [...this.shiftFunctionKeysRow1, ...this.shiftFunctionKeysRow2];
+    const keyInfo = shift ? shifted[number - 1] : [...normal, ...shifted].find(each => each.key === `F${number}`);
+    return keyInfo ? keyInfo.action.toLowerCase() : null;
+  }
+  
   handleFunctionKeyClick(key, action) {
     console.log(`AMOS Function Key clicked: ${key} - ${action}`);
+    
+    // Forward the key's action, e.g. F4 'Step' drives the debugger
+    if (this.onAction) {
+      this.onAction(action.toLowerCase());
+    }
   }
   
 }
@@ -0,0 +1,132 @@
+// AMOS 1.3 keyword database, for completion, tooltips and the Help window
+import KeywordDatabase, { instruction, func, operator } from '../../utils/basic/KeywordDatabase.js'
+import amos13Dialect from './dialect.js'
+
+// Entries shared with AMOS Professional
+export const entries = [
+  // Program structure
+  instruction('Rem', [], 'Comment: the rest of the line is ignored. \' does the same.', 'Rem text'),
+  instruction('Let', [], 'Assign a value to a variable. Let is optional.', 'Let variable=expression'),
+  instruction('If', [], 'Run the rest of the line if the condition is true, or start an If ... Else ... End If block when Then is omitted.', 'If condition Then statements [Else statements]'),
+  instruction('Then', [], 'Introduce the statements run when a one-line If condition is true.', 'If condition Then statements'),
+  instruction('Else', [], 'Introduce the statements run when an If condition is false.', 'Else'),
+  instruction('End If', [], 'End an If block.'),
+  instruction('For', [], 'Repeat the lines up to Next while the variable goes from start to end.', 'For variable=start To end [Step step]'),
+  instruction('To', [], 'Separate the start and end values of a For loop, or two points of a graphics instruction.', 'For variable=start To end'),
+  instruction('Step', [], 'Amount added to the For variable at each loop, 1 by default.', 'For variable=start To end Step step'),
+  instruction('Next', ['variable?'], 'End a For loop and start the next iteration.'),
+  instruction('While', ['condition'], 'Repeat the lines up to Wend while the condition is true.'),
+  instruction('Wend', [], 'End a While loop.'),
+  instruction('Repeat', [], 'Repeat the lines up to Until until the condition is true.'),
+  instruction('Until', ['condition'], 'End a Repeat loop when the condition is true.'),
+  instruction('Do', [], 'Repeat the lines up to Loop forever; leave with Exit or Exit If.'),
+  instruction('Loop', [], 'End a Do loop.'),
+  instruction('Exit', ['levels?'], 'Leave the current loop, or a number of nested loops.'),
+  instruction('Exit If', ['condition', 'levels?'], 'Leave the current loop if the condition is true.'),
+  instruction('Goto', ['label'], 'Jump to a label or line number.'),
+  instruction('Gosub', ['label'], 'Call the subroutine at a label or line number; Return comes back after the Gosub.'),
+  instruction('Return', [], 'Return from a subroutine called by Gosub.'),
+  instruction('On', [], 'Jump to the n-th label of the list, according to the value of the expression.', 'On expression Goto label,label... / On expression Gosub label,label...'),
+  instruction('Procedure', [], 'Start the definition of a procedure, ended by End Proc.', 'Procedure NAME[parameter,parameter...]'),
+  instruction('End Proc', [], 'End a procedure, optionally returning a value read with Param.', 'End Proc[value]'),
+  instruction('Proc', [], 'Call a procedure. Proc is optional.', 'Proc NAME[value,value...]'),
+  instruction('Pop Proc', [], 'Leave the current procedure immediately.'),
+  instruction('Shared', ['variable', 'variable?'], 'Make main program variables visible inside the procedure.', 'Shared variable[,variable...]'),
+  instruction('Global', ['variable', 'variable?'], 'Make variables visible in every procedure.', 'Global variable[,variable...]'),
+  instruction('End', [], 'End the program.'),
+  instruction('Stop', [], 'Stop the program with a Break message.'),
+
+  // Variables and data
+  instruction('Dim', [], 'Declare arrays, with the highest index of each dimension.', 'Dim array(size[,size...])[,array(...)...]'),
+  instruction('Data', [], 'List values read by Read.', 'Data value,value...'),
+  instruction('Read', ['variable', 'variable?'], 'Read the next Data values into variables.', 'Read variable[,variable...]'),
+  instruction('Restore', ['label?'], 'Read the Data from the start of the program, or from a label.'),
+  instruction('Inc', ['variable'], 'Add 1 to an integer variable.'),
+  instruction('Dec', ['variable'], 'Subtract 1 from an integer variable.'),
+  instruction('Add', ['variable', 'value', 'min', 'max'], 'Add a value to a variable, wrapping between min and max if given.', 'Add variable,value[,min To max]'),
+
+  // Input and output
+  instruction('Print', ['value', 'value?'], 'Print values at the cursor. ; keeps the cursor after the value, , moves to the next tab column.', 'Print value[;value][,value]...'),
+  instruction('Input', [], 'Ask the user for values, after an optional prompt.', 'Input ["prompt";]variable[,variable...]'),
+  instruction('Cls', ['colour?'], 'Clear the screen, with the paper colour or a given colour.'),
+  instruction('Locate', ['x', 'y'], 'Move the text cursor to a column and row.'),
+  instruction('Pen', ['colour'], 'Set the colour of the text.'),
+  instruction('Paper', ['colour'], 'Set the background colour of the text.'),
+  instruction('Wait', ['ticks'], 'Wait for a number of 50ths of a second.'),
+
+  // Screens and graphics
+  instruction('Screen Open', ['number', 'width', 'height', 'colours', 'mode?'], 'Open a screen: number 0 to 7, size in pixels, 2 to 32 colours (64 in Lowres), mode Lowres, Hires or Laced.'),
+  instruction('Ink', ['colour', 'paper?'], 'Set the colours used by the graphics instructions. The outline colour of AMOS is not supported.'),
+  instruction('Plot', ['x', 'y', 'colour?'], 'Plot a point, with the ink colour or a given colour.'),
+  instruction('Draw', ['x1', 'y1', 'x2', 'y2'], 'Draw a line between two points, or from the last point with Draw To x,y.', 'Draw x1,y1 To x2,y2'),
+  instruction('Bar', ['x1', 'y1', 'x2', 'y2'], 'Draw a filled rectangle between two corners.', 'Bar x1,y1 To x2,y2'),
+  instruction('Box', ['x1', 'y1', 'x2', 'y2'], 'Draw the outline of a rectangle between two corners.', 'Box x1,y1 To x2,y2'),
+  instruction('Circle', ['x', 'y', 'radius'], 'Draw a circle.'),
+  instruction('Palette', ['colour', 'colour?'], 'Set the colours of the palette from $000 to $FFF, starting with colour 0.', 'Palette colour[,colour...]'),
+  func('Point', ['x', 'y'], 'integer', 'Colour of the point at x,y.'),
+  func('Lowres', [], 'integer', 'Screen Open mode for 320 pixel wide screens.'),
+  func('Hires', [], 'integer', 'Screen Open mode for 640 pixel wide screens.'),
+  func('Laced', [], 'integer', 'Screen Open flag for interlaced screens, added to Lowres or Hires.'),
+
+  // Maths
+  func('Abs', ['x'], 'float', 'Absolute value of x.'),
+  func('Int', ['x'], 'integer', 'Largest integer not above x.'),
+  func('Sgn', ['x'], 'integer', 'Sign of x: -1, 0 or 1.'),
+  func('Sqr', ['x'], 'float', 'Square root of x.'),
+  func('Rnd', ['max'], 'integer', 'Random integer from 0 to max.'),
+  func('Sin', ['angle'], 'float', 'Sine of an angle in radians.'),
+  func('Cos', ['angle'], 'float', 'Cosine of an angle in radians.'),
+  func('Tan', ['angle'], 'float', 'Tangent of an angle in radians.'),
+  func('Atn', ['x'], 'float', 'Arc tangent of x, in radians.'),
+  func('Exp', ['x'], 'float', 'e raised to the power x.'),
+  func('Ln', ['x'], 'float', 'Natural logarithm of x.'),
+  func('Log', ['x'], 'float', 'Base 10 logarithm of x.'),
+  func('Max', ['a', 'b'], 'float', 'Larger of two numbers or strings.'),
+  func('Min', ['a', 'b'], 'float', 'Smaller of two numbers or strings.'),
+  func('Pi#', [], 'float', 'The number pi.'),
+  func('Timer', [], 'integer', '50ths of a second since the program started.'),
+
+  // Strings
+  func('Len', ['text$'], 'integer', 'Number of characters of a string.'),
+  func('Left$', ['text$', 'count'], 'string', 'First characters of a string.'),
+  func('Right$', ['text$', 'count'], 'string', 'Last characters of a string.'),
+  func('Mid$', ['text$', 'start', 'count?'], 'string', 'Characters of a string from a position (1 is the first), to the end or for a count.'),
+  func('Instr', ['text$', 'search$', 'start?'], 'integer', 'Position of a string in another, 0 if not found.'),
+  func('Chr$', ['code'], 'string', 'Character of an ASCII code.'),
+  func('Asc', ['text$'], 'integer', 'ASCII code of the first character of a string.'),
+  func('Str$', ['number'], 'string', 'Number converted to a string.'),
+  func('Val', ['text$'], 'float', 'Number written at the start of a string.'),
+  func('Upper$', ['text$'], 'string', 'String in upper case.'),
+  func('Lower$', ['text$'], 'string', 'String in lower case.'),
+  func('Space$', ['count'], 'string', 'String of spaces.'),
+  func('String$', ['text$', 'count'], 'string', 'First character of a string repeated count times.'),
+  func('Flip$', ['text$'], 'string', 'String reversed.'),
+  func('Hex$', ['number'], 'string', 'Number in hexadecimal, e.g. $FF.'),
+  func('Bin$', ['number'], 'string', 'Number in binary, e.g. %101.'),
+  func('Inkey$', [], 'string', 'Key waiting in the keyboard buffer, or an empty string.'),
+
+  // Procedure results
+  func('Param', [], 'integer', 'Value returned by the last procedure with End Proc[value].'),
+  func('Param$', [], 'string', 'String returned by the last procedure.'),
+  func('Param#', [], 'float', 'Floating point value returned by the last procedure.'),
+
+  // Operators
+  operator('And', 'a And b', 'integer', 'Logical and bitwise AND.'),
+  operator('Or', 'a Or b', 'integer', 'Logical and bitwise OR.'),
+  operator('Xor', 'a Xor b', 'integer', 'Bitwise exclusive OR.'),
+  operator('Not', 'Not a', 'integer', 'Logical and bitwise NOT.'),
+  operator('Mod', 'a Mod b', 'integer', 'Remainder of the division of a by b.')
+];
+
+// Recognised by AMOS 1.3 only to report that they need AMOS Professional
+export const professionalEntries = [
+  instruction('Else If', ['condition'], 'Test another condition in an If block.'),
+  instruction('Set Double Precision', [], 'Use double precision floating point numbers in the whole program.')
+];
+
+const amos13Keywords = new KeywordDatabase(amos13Dialect, [
+  ...entries,
+  ...professionalEntries.map(entry => ({ ...entry, description: `AMOS Professional only. ${entry.description}` }))
+]);
+
+export default amos13Keywords;
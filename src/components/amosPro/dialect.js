@@ -0,0 +1,31 @@
+// AMOS Professional dialect profile: AMOS 1.3 plus the Professional instructions
+import {
+  statements as amos13Statements,
+  functions,
+  operators,
+  professionalStatements
+} from '../amos1_3/dialect.js';
+
+const statements = [...amos13Statements, ...professionalStatements];
+
+const amosProDialect = {
+  name: 'amosPro',
+  title: 'AMOS Professional',
+  screen: 'amiga', // RetroScreen machine used for graphics
+  lineNumbers: false,
+  structured: true,
+  procedures: true,
+  labels: true,
+  statements,
+  functions,
+  operators,
+  keywords: [...statements, ...functions, ...operators],
+
+  // Register the Professional-only commands on an interpreter
+  setup(interpreter) {
+    // Floats are always JavaScript doubles, so this only needs to be accepted
+    interpreter.registerCommand('SET DOUBLE PRECISION', () => {});
+  }
+};
+
+export default amosProDialect;
@@ -1,10 +1,21 @@
 // AMOS Pro Editor component
 import { EditorView } from '@codemirror/view'
+import BasicRunner from '../../utils/basic/BasicRunner.js'
+import BasicFiles from '../../utils/basic/BasicFiles.js'
+import { debuggerExtensions } from '../../utils/basic/DebuggerExtensions.js'
+import { basicLanguage } from '../../utils/basic/BasicLanguage.js'
+import { keywordHelp, keywordAtCursor } from '../../utils/basic/KeywordHelp.js'
+import { lintExtensions } from '../../utils/basic/LintExtensions.js'
+import amosProDialect from './dialect.js'
+import amosProKeywords from './keywords.js'
 
 class AMOSProEditor {
-  constructor(container) {
+  constructor(container, editor) {
     this.container = container;
+    this.editor = editor; // Main Editor component, used for program output
     this.editorView = null;
+    this.runner = new BasicRunner(editor, amosProDialect);
+    this.files = new BasicFiles(editor, amosProDialect);
   }
 
   // Prepare the container with AMOS Pro-specific styling
@@ -83,8 +94,17 @@ class AMOSProEditor {
     });
     
     return {
-      extensions: [amosProTheme],
-      initialDoc: '10 REM AMOS Professional Program\n20 PRINT "Hello from AMOS Pro!"\n30 FOR I=1 TO 10\n40 PRINT "Loop: ";I\n50 NEXT I\n60 END'
+      extensions: [
+        amosProTheme,
+        basicLanguage(amosProDialect),
+        keywordHelp(amosProKeywords),
+        lintExtensions(amosProDialect, problems => this.editor.showProblems(problems)),
+        debuggerExtensions()
+      ],
+      initialDoc: '10 REM AMOS Professional Program\n20 PRINT "Hello from AMOS Pro!"\n30 FOR I=1 TO 10\n40 PRINT "Loop: ";I\n50 NEXT I\n60 END',
+      title: amosProDialect.title,
+      // Programs of these modes are converted to AMOS Pro when the mode changes
+      convertsFrom: ['stos', 'amos1_3']
     };
   }
   
@@ -94,23 +114,66 @@ class AMOSProEditor {
   }
   
   // Mode-specific operations
-  runProgram() {
+  
+  // Programs are exchanged with the original AMOS Pro as .AMOS files and ASCII listings
+  async openFile() {
+    console.log('Opening AMOS Pro program');
+    await this.files.open();
+  }
+  
+  saveFile() {
+    console.log('Saving AMOS Pro program');
+    this.files.save(this.editorView.state.doc.toString());
+  }
+  
+  async runProgram() {
     console.log('Running AMOS Pro program');
-    // Implement AMOS Pro-specific run logic here
-    alert('AMOS Pro program execution started');
+    await this.runner.run(this.editorView.state.doc.toString());
   }
   
-  debugProgram() {
+  async debugProgram() {
     console.log('Debugging AMOS Pro program');
-    // Implement AMOS Pro-specific debug logic here
-    alert('AMOS Pro program debugging started');
+    await this.runner.debug(this.editorView.state.doc.toString());
+  }
+  
+  stopProgram() {
+    console.log('Stopping AMOS Pro program');
+    this.runner.stop();
+  }
+  
+  // Commands typed in the Direct window or by the function keys, run on the program screen
+  runDirect(command, output) {
+    console.log(`AMOS Pro direct mode: ${command}`);
+    return this.runner.runDirect(command, output);
+  }
+  
+  // Variables left by the last program, for the Direct window
+  getVariables() {
+    return this.runner.getVariables();
+  }
+  
+  resetScreen() {
+    this.runner.resetScreen();
+  }
+  
+  // Step, Step Over, Continue and Stop from the Debugger window and the Step key;
+  // Step starts a debug session when none is running
+  debugCommand(command) {
+    if (command === 'step' && !this.runner.isDebugging()) {
+      return this.debugProgram();
+    }
+    this.runner.debugCommand(command);
   }
   
+  // Keyword reference in the Help window, opened on the keyword under the cursor
   showHelp() {
     console.log('Showing AMOS Pro help');
-    // Implement AMOS Pro-specific help logic here
-    alert('AMOS Pro Help:\n\nBasic commands:\nPRINT - Output text\nFOR/NEXT - Loop\nIF/THEN - Conditional\nGOTO - Jump to line\nGOSUB/RETURN - Subroutine\n\nAMOS Pro Extensions:\nAMOSPRO_TURBO - Speed up execution\nAMOSPRO_REQUEST - System requests\nAMOSPRO_MUSIC - Enhanced music commands');
+    const topic = this.editorView ? keywordAtCursor(amosProKeywords, this.editorView) : null;
+    this.editor.showKeywordHelp(amosProKeywords, topic);
   }
 }
 
+// Dialect profile, used by the converter between modes
+export { amosProDialect as dialect };
+
 export default AMOSProEditor;
@@ -0,0 +1,8 @@
+// AMOS Professional keyword database: AMOS 1.3 plus the Professional instructions
+import KeywordDatabase from '../../utils/basic/KeywordDatabase.js'
+import { entries, professionalEntries } from '../amos1_3/keywords.js'
+import amosProDialect from './dialect.js'
+
+const amosProKeywords = new KeywordDatabase(amosProDialect, [...entries, ...professionalEntries]);
+
+export default amosProKeywords;
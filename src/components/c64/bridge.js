@@ -0,0 +1,155 @@
+// Host side of the postMessage protocol spoken by public/c64/viciious/pcos-bridge.js
+
+const PROTOCOL = 'pcos-c64';
+const VERSION = 1;
+
+// Time allowed for the emulator to start, and for a command to answer
+const READY_TIMEOUT = 15000;
+const COMMAND_TIMEOUT = 10000;
+
+class EmulatorBridge {
+  /**
+   * Create the channel to an emulator frame
+   * @param {HTMLIFrameElement} iframe - Frame running Vicii-ous with pcos-bridge.js
+   */
+  constructor(iframe) {
+    this.iframe = iframe;
+    this.lastId = 0;
+    this.pending = new Map(); // Request id -> { resolve, reject, timer }
+    this.commands = [];       // Commands announced by the emulator
+    this.eventHandlers = [];  // Called with the events the emulator sends unasked
+    this.isReady = false;
+    this.ready = new Promise(resolve => {
+      this.resolveReady = resolve;
+    });
+
+    this.handleMessage = this.handleMessage.bind(this);
+    window.addEventListener('message', this.handleMessage);
+
+    // The ready message may be missed if the frame starts before we listen
+    iframe.addEventListener('load', () => this.post({ type: 'c64_hello' }));
+  }
+
+  /**
+   * Send a command and wait for its result
+   * @param {string} command - 'run', 'stop', 'reset', 'load', 'save', 'new', 'snapshot', 'restore',
+   *   one of the monitor's: 'registers', 'peek', 'poke', 'pause', 'step', 'go', 'breakpoints',
+   *   'input' for the joystick settings, or 'record' to start and stop a recording
+   * @param {Object} params - Parameters of the command
+   * @returns {Promise<Object>} - Resolves with the result, rejects with the emulator's error
+   */
+  async request(command, params = {}) {
+    await this.waitUntilReady();
+
+    const id = ++this.lastId;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`The C64 emulator did not answer "${command}"`));
+      }, COMMAND_TIMEOUT);
+
+      this.pending.set(id, { resolve, reject, timer });
+      this.post({ type: 'c64_command', id, command, params });
+    });
+  }
+
+  /**
+   * Follow the events of the emulator: { event: 'ready' } once it has started,
+   * { event: 'stopped', reason, address, registers } when a breakpoint or
+   * watchpoint stops the CPU, { event: 'recording_failed', error } when a
+   * recording ends on its own
+   * @param {Function} handler - Called with each event
+   */
+  onEvent(handler) {
+    this.eventHandlers.push(handler);
+  }
+
+  /**
+   * Wait for the ready handshake
+   * @private
+   */
+  waitUntilReady() {
+    if (this.isReady) return Promise.resolve();
+
+    return Promise.race([
+      this.ready,
+      new Promise((resolve, reject) => setTimeout(
+        () => reject(new Error('The C64 emulator has not started')), READY_TIMEOUT))
+    ]);
+  }
+
+  /**
+   * Post a protocol message to the frame
+   * @private
+   */
+  post(message) {
+    const frameWindow = this.iframe.contentWindow;
+    if (frameWindow) {
+      frameWindow.postMessage({ protocol: PROTOCOL, version: VERSION, ...message }, window.location.origin);
+    }
+  }
+
+  /**
+   * Handle a message from the frame
+   * @private
+   */
+  handleMessage(event) {
+    const message = event.data;
+    if (event.source !== this.iframe.contentWindow || !message || message.protocol !== PROTOCOL) return;
+
+    if (Math.floor(message.version) !== VERSION) {
+      console.error(`C64 emulator speaks protocol version ${message.version}, PCOS expects ${VERSION}`);
+      return;
+    }
+
+    switch (message.type) {
+      case 'c64_ready':
+        console.log('C64 emulator is ready');
+        this.commands = message.commands || [];
+        this.isReady = true;
+        this.resolveReady();
+        this.eventHandlers.forEach(handler => handler({ event: 'ready' }));
+        break;
+
+      case 'c64_event': {
+        const { protocol, version, type, ...event } = message;
+        this.eventHandlers.forEach(handler => handler(event));
+        break;
+      }
+
+      case 'c64_response':
+      case 'c64_error': {
+        const request = this.pending.get(message.id);
+        if (!request) {
+          if (message.type === 'c64_error') {
+            console.error('C64 emulator error:', message.error);
+          }
+          return;
+        }
+
+        this.pending.delete(message.id);
+        clearTimeout(request.timer);
+        if (message.type === 'c64_error') {
+          request.reject(new Error(message.error));
+        } else {
+          request.resolve(message.result);
+        }
+        break;
+      }
+    }
+  }
+
+  /**
+   * Stop listening, failing the requests still waiting
+   */
+  close() {
+    window.removeEventListener('message', this.handleMessage);
+    this.pending.forEach(request => {
+      clearTimeout(request.timer);
+      request.reject(new Error('The C64 emulator was closed'));
+    });
+    this.pending.clear();
+  }
+}
+
+export default EmulatorBridge;
@@ -0,0 +1,152 @@
+// The 6510 instruction set: opcodes by mnemonic and addressing mode, and a disassembler
+
+// Opcodes of the documented instructions, by addressing mode:
+// imp implied, acc accumulator, imm #nn, zp nn, zpx nn,X, zpy nn,Y, abs nnnn,
+// abx nnnn,X, aby nnnn,Y, ind (nnnn), izx (nn,X), izy (nn),Y, rel branch target
+export const INSTRUCTIONS = {
+  ADC: { imm: 0x69, zp: 0x65, zpx: 0x75, abs: 0x6D, abx: 0x7D, aby: 0x79, izx: 0x61, izy: 0x71 },
+  AND: { imm: 0x29, zp: 0x25, zpx: 0x35, abs: 0x2D, abx: 0x3D, aby: 0x39, izx: 0x21, izy: 0x31 },
+  ASL: { acc: 0x0A, zp: 0x06, zpx: 0x16, abs: 0x0E, abx: 0x1E },
+  BCC: { rel: 0x90 },
+  BCS: { rel: 0xB0 },
+  BEQ: { rel: 0xF0 },
+  BIT: { zp: 0x24, abs: 0x2C },
+  BMI: { rel: 0x30 },
+  BNE: { rel: 0xD0 },
+  BPL: { rel: 0x10 },
+  BRK: { imp: 0x00 },
+  BVC: { rel: 0x50 },
+  BVS: { rel: 0x70 },
+  CLC: { imp: 0x18 },
+  CLD: { imp: 0xD8 },
+  CLI: { imp: 0x58 },
+  CLV: { imp: 0xB8 },
+  CMP: { imm: 0xC9, zp: 0xC5, zpx: 0xD5, abs: 0xCD, abx: 0xDD, aby: 0xD9, izx: 0xC1, izy: 0xD1 },
+  CPX: { imm: 0xE0, zp: 0xE4, abs: 0xEC },
+  CPY: { imm: 0xC0, zp: 0xC4, abs: 0xCC },
+  DEC: { zp: 0xC6, zpx: 0xD6, abs: 0xCE, abx: 0xDE },
+  DEX: { imp: 0xCA },
+  DEY: { imp: 0x88 },
+  EOR: { imm: 0x49, zp: 0x45, zpx: 0x55, abs: 0x4D, abx: 0x5D, aby: 0x59, izx: 0x41, izy: 0x51 },
+  INC: { zp: 0xE6, zpx: 0xF6, abs: 0xEE, abx: 0xFE },
+  INX: { imp: 0xE8 },
+  INY: { imp: 0xC8 },
+  JMP: { abs: 0x4C, ind: 0x6C },
+  JSR: { abs: 0x20 },
+  LDA: { imm: 0xA9, zp: 0xA5, zpx: 0xB5, abs: 0xAD, abx: 0xBD, aby: 0xB9, izx: 0xA1, izy: 0xB1 },
+  LDX: { imm: 0xA2, zp: 0xA6, zpy: 0xB6, abs: 0xAE, aby: 0xBE },
+  LDY: { imm: 0xA0, zp: 0xA4, zpx: 0xB4, abs: 0xAC, abx: 0xBC },
+  LSR: { acc: 0x4A, zp: 0x46, zpx: 0x56, abs: 0x4E, abx: 0x5E },
+  NOP: { imp: 0xEA },
+  ORA: { imm: 0x09, zp: 0x05, zpx: 0x15, abs: 0x0D, abx: 0x1D, aby: 0x19, izx: 0x01, izy: 0x11 },
+  PHA: { imp: 0x48 },
+  PHP: { imp: 0x08 },
+  PLA: { imp: 0x68 },
+  PLP: { imp: 0x28 },
+  ROL: { acc: 0x2A, zp: 0x26, zpx: 0x36, abs: 0x2E, abx: 0x3E },
+  ROR: { acc: 0x6A, zp: 0x66, zpx: 0x76, abs: 0x6E, abx: 0x7E },
+  RTI: { imp: 0x40 },
+  RTS: { imp: 0x60 },
+  SBC: { imm: 0xE9, zp: 0xE5, zpx: 0xF5, abs: 0xED, abx: 0xFD, aby: 0xF9, izx: 0xE1, izy: 0xF1 },
+  SEC: { imp: 0x38 },
+  SED: { imp: 0xF8 },
+  SEI: { imp: 0x78 },
+  STA: { zp: 0x85, zpx: 0x95, abs: 0x8D, abx: 0x9D, aby: 0x99, izx: 0x81, izy: 0x91 },
+  STX: { zp: 0x86, zpy: 0x96, abs: 0x8E },
+  STY: { zp: 0x84, zpx: 0x94, abs: 0x8C },
+  TAX: { imp: 0xAA },
+  TAY: { imp: 0xA8 },
+  TSX: { imp: 0xBA },
+  TXA: { imp: 0x8A },
+  TXS: { imp: 0x9A },
+  TYA: { imp: 0x98 }
+};
+
+// Bytes taken by an instruction in each addressing mode, opcode included
+export const MODE_SIZES = {
+  imp: 1, acc: 1,
+  imm: 2, zp: 2, zpx: 2, zpy: 2, izx: 2, izy: 2, rel: 2,
+  abs: 3, abx: 3, aby: 3, ind: 3
+};
+
+// Opcode -> { mnemonic, mode }
+export const OPCODES = [];
+Object.entries(INSTRUCTIONS).forEach(([mnemonic, modes]) => {
+  Object.entries(modes).forEach(([mode, opcode]) => {
+    OPCODES[opcode] = { mnemonic, mode };
+  });
+});
+
+/**
+ * Format a number as hexadecimal
+ * @param {number} value - The number
+ * @param {number} digits - Digits shown, with leading zeros
+ * @returns {string} - Uppercase hexadecimal
+ */
+export function hex(value, digits = 2) {
+  return value.toString(16).toUpperCase().padStart(digits, '0');
+}
+
+/**
+ * Format the operand of an instruction
+ * @param {string} mode - Addressing mode
+ * @param {number} operand - Operand bytes, little-endian
+ * @param {number} address - Address of the instruction, for branches
+ * @returns {string} - The operand as written in assembly language
+ */
+function formatOperand(mode, operand, address) {
+  switch (mode) {
+    case 'imp':
+    case 'acc': return '';
+    case 'imm': return `#$${hex(operand)}`;
+    case 'zp': return `$${hex(operand)}`;
+    case 'zpx': return `$${hex(operand)},X`;
+    case 'zpy': return `$${hex(operand)},Y`;
+    case 'izx': return `($${hex(operand)},X)`;
+    case 'izy': return `($${hex(operand)}),Y`;
+    case 'abs': return `$${hex(operand, 4)}`;
+    case 'abx': return `$${hex(operand, 4)},X`;
+    case 'aby': return `$${hex(operand, 4)},Y`;
+    case 'ind': return `($${hex(operand, 4)})`;
+    case 'rel': {
+      const offset = operand < 0x80 ? operand : operand - 0x100;
+      return `$${hex((address + 2 + offset) & 0xFFFF, 4)}`;
+    }
+  }
+  return '';
+}
+
+/**
+ * Disassemble instructions
+ * @param {Function} read - Returns the byte at an address, or null if it is unknown
+ * @param {number} address - Address of the first instruction
+ * @param {number} count - Number of instructions
+ * @returns {Array<Object>} - address, bytes, mnemonic and text of each instruction;
+ *   bytes that are not an opcode are shown as .BYTE
+ */
+export function disassemble(read, address, count) {
+  const lines = [];
+  for (let i = 0; i < count; i++) {
+    const opcode = read(address);
+    const instruction = opcode === null ? null : OPCODES[opcode];
+    const size = instruction ? MODE_SIZES[instruction.mode] : 1;
+
+    const bytes = [];
+    for (let j = 0; j < size; j++) {
+      bytes.push(read((address + j) & 0xFFFF));
+    }
+
+    let text;
+    if (!instruction || bytes.includes(null)) {
+      text = opcode === null ? '???' : `.BYTE $${hex(opcode)}`;
+      bytes.length = 1;
+    } else {
+      const operand = size === 3 ? bytes[1] | (bytes[2] << 8) : bytes[1];
+      text = `${instruction.mnemonic} ${formatOperand(instruction.mode, operand, address)}`.trim();
+    }
+
+    lines.push({ address, bytes, mnemonic: instruction ? instruction.mnemonic : null, text });
+    address = (address + bytes.length) & 0xFFFF;
+  }
+  return lines;
+}
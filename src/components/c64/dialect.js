@@ -0,0 +1,33 @@
+// Commodore 64 BASIC V2 dialect profile, used for the language support of C64 listings
+
+// Instructions that start a statement
+const statements = [
+  'END', 'FOR', 'NEXT', 'DATA', 'INPUT#', 'INPUT', 'DIM', 'READ', 'LET', 'GOTO', 'GO', 'RUN', 'IF',
+  'RESTORE', 'GOSUB', 'RETURN', 'REM', 'STOP', 'ON', 'WAIT', 'LOAD', 'SAVE', 'VERIFY', 'DEF',
+  'POKE', 'PRINT#', 'PRINT', 'CONT', 'LIST', 'CLR', 'CMD', 'SYS', 'OPEN', 'CLOSE', 'GET#', 'GET',
+  'NEW', 'TO', 'THEN', 'STEP'
+];
+
+// Functions usable inside expressions
+const functions = [
+  'TAB(', 'SPC(', 'FN', 'SGN', 'INT', 'ABS', 'USR', 'FRE', 'POS', 'SQR', 'RND', 'LOG', 'EXP',
+  'COS', 'SIN', 'TAN', 'ATN', 'PEEK', 'LEN', 'STR$', 'VAL', 'ASC', 'CHR$', 'LEFT$', 'RIGHT$', 'MID$'
+];
+
+// Word operators
+const operators = ['AND', 'OR', 'NOT'];
+
+const c64Dialect = {
+  name: 'c64',
+  title: 'Commodore 64 BASIC V2',
+  lineNumbers: true,
+  maxLineNumber: 63999, // Highest line number the V2 editor accepts
+  packedKeywords: true, // Keywords need no spaces around them: FORI=1TO10
+  emulated: true, // Run by the emulator rather than the PCOS interpreter
+  statements,
+  functions,
+  operators,
+  keywords: [...statements, ...functions, ...operators]
+};
+
+export default c64Dialect;
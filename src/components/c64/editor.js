@@ -1,15 +1,45 @@
-// Commodore 64 Editor component with Vicii-ous emulator integration
+// Commodore 64 Editor component: BASIC V2 listing beside the Vicii-ous emulator
+import { EditorView } from '@codemirror/view'
+import BasicFiles from '../../utils/basic/BasicFiles.js'
+import C64File from '../../utils/basic/C64File.js'
+import { basicLanguage } from '../../utils/basic/BasicLanguage.js'
+import { keywordHelp, keywordAtCursor } from '../../utils/basic/KeywordHelp.js'
+import { lintExtensions } from '../../utils/basic/LintExtensions.js'
+import LineNumberTools from '../../utils/basic/LineNumberTools.js'
+import c64Dialect from './dialect.js'
+import c64Keywords from './keywords.js'
+import EmulatorBridge from './bridge.js'
+import LoadDialog from './loader.js'
+import ProjectFiles from '../../utils/ProjectFiles.js'
+import { openImage, isImage, isSnapshot, SNAPSHOT_EXTENSION, SNAPSHOT_FOLDER } from './images.js'
+import { loadInputSettings } from './input.js'
+
+// Recordings of the emulator are saved in this folder of the project
+const RECORDING_FOLDER = 'recordings';
 
 class C64Editor {
-  constructor(container) {
+  constructor(container, editor) {
     this.container = container;
+    this.editor = editor; // Main Editor component
+    this.editorView = null;
     this.iframe = null;
+    this.bridge = null; // Channel to the emulator frame
+    this.format = new C64File(c64Dialect);
+    this.files = new BasicFiles(editor, c64Dialect);
+    this.lineNumbers = new LineNumberTools(editor, c64Dialect);
+    this.projectFiles = new ProjectFiles(editor);
+    this.loadDialog = null; // Created when first shown
+    this.recording = false; // True while the emulator is being recorded
   }
 
-  render() {
+  // Split the container: the listing on the left, the emulator on the right
+  prepareContainer() {
     try {
-      // Clear the container
-      this.container.innerHTML = '';
+      this.container.innerHTML = `
+        <div class="c64-editor">
+          <div id="c64-editor-container" class="c64-content"></div>
+        </div>
+      `;
       
       console.log('Rendering C64 editor with Vicii-ous emulator');
       
@@ -23,12 +53,12 @@ class C64Editor {
       this.iframe.src = '/c64/viciious/index.html';
       this.iframe.setAttribute('frameborder', '0');
       this.iframe.setAttribute('allowfullscreen', 'true');
-      this.iframe.setAttribute('allow', 'autoplay; fullscreen');
+      this.iframe.setAttribute('allow', 'autoplay; fullscreen; gamepad');
       
       // Add error handling for iframe loading
       this.iframe.onerror = (error) => {
         console.error('Error loading C64 emulator iframe:', error);
-        this.container.innerHTML = `<div class="error-message">Failed to load C64 emulator: ${error.message || 'Unknown error'}</div>`;
+        emulatorContainer.innerHTML = `<div class="error-message">Failed to load C64 emulator: ${error.message || 'Unknown error'}</div>`;
       };
       
       // Add load event to confirm successful loading
@@ -36,42 +66,84 @@ class C64Editor {
         console.log('C64 emulator iframe loaded successfully');
       };
       
-      // Add the iframe directly to the container
+      // Keys reach the C64 only while its frame has the focus: show when it
+      // has it, and give it the focus when the emulator area is clicked
+      this.iframe.addEventListener('focus', () => emulatorContainer.classList.add('c64-focused'));
+      this.iframe.addEventListener('blur', () => emulatorContainer.classList.remove('c64-focused'));
+      emulatorContainer.addEventListener('mousedown', () => this.iframe.focus());
+      
+      // Add the iframe beside the listing
       emulatorContainer.appendChild(this.iframe);
-      this.container.appendChild(emulatorContainer);
+      this.container.querySelector('.c64-editor').appendChild(emulatorContainer);
       
-      // Add custom styles for C64 emulator iframe
-      const style = document.createElement('style');
-      style.textContent = `
-        .c64-emulator {
-          display: flex;
-          flex-direction: column;
-          height: 100%;
-          width: 100%;
-          background-color: #000000;
-          overflow: hidden;
-          border: none;
-        }
-        .c64-iframe {
-          flex: 1;
-          width: 100%;
-          height: 100%;
-          border: none;
-          background-color: #000000;
-          padding: 0;
-          margin: 0;
-        }
-        .error-message {
-          color: #FF0000;
-          padding: 20px;
-          font-weight: bold;
-          background-color: #000000;
-        }
-      `;
-      document.head.appendChild(style);
+      // Add custom styles for the C64 listing and emulator iframe, once
+      if (!document.getElementById('c64-editor-styles')) {
+        const style = document.createElement('style');
+        style.id = 'c64-editor-styles';
+        style.textContent = `
+          .c64-editor {
+            display: flex;
+            height: 100%;
+            width: 100%;
+          }
+          .c64-content {
+            flex: 1;
+            min-width: 0;
+            overflow: hidden;
+          }
+          .c64-emulator {
+            display: flex;
+            flex-direction: column;
+            flex: 1;
+            min-width: 0;
+            height: 100%;
+            background-color: #000000;
+            overflow: hidden;
+            border: none;
+            box-sizing: border-box;
+            outline: 2px solid transparent;
+            outline-offset: -2px;
+          }
+          .c64-emulator.c64-focused {
+            outline-color: #7B68EE;
+          }
+          .c64-iframe {
+            flex: 1;
+            width: 100%;
+            height: 100%;
+            border: none;
+            background-color: #000000;
+            padding: 0;
+            margin: 0;
+          }
+          .error-message {
+            color: #FF0000;
+            padding: 20px;
+            font-weight: bold;
+            background-color: #000000;
+          }
+        `;
+        document.head.appendChild(style);
+      }
       
       // Set up communication with the iframe
-      this.setupIframeMessaging();
+      if (this.bridge) {
+        this.bridge.close();
+      }
+      this.bridge = new EmulatorBridge(this.iframe);
+      // Breakpoints stopping the CPU, for the Monitor window; a new
+      // emulator gets the joystick settings, and has no recording
+      this.bridge.onEvent(event => {
+        if (event.event === 'ready') {
+          this.setInputSettings(loadInputSettings());
+          this.setRecording(false);
+        }
+        if (event.event === 'recording_failed') {
+          this.editor.appendOutput(`The recording of the C64 stopped: ${event.error}\n`, 'error');
+          this.setRecording(false);
+        }
+        this.editor.broadcastToHandlers('C64_EVENT', event);
+      });
       
       console.log('C64 editor rendered successfully');
     } catch (error) {
@@ -80,52 +152,181 @@ class C64Editor {
     }
   }
   
-  setupIframeMessaging() {
-    // Listen for messages from the iframe
-    window.addEventListener('message', (event) => {
-      // Make sure the message is from our iframe
-      if (this.iframe && event.source === this.iframe.contentWindow) {
-        console.log('Message from C64 emulator:', event.data);
-        
-        // Handle different message types
-        if (event.data.type === 'c64_ready') {
-          console.log('C64 emulator is ready');
-        } else if (event.data.type === 'c64_error') {
-          console.error('C64 emulator error:', event.data.error);
-        }
+  // Return the parent element for the editor
+  getEditorParent() {
+    return document.getElementById('c64-editor-container');
+  }
+  
+  // Provide configuration for the main Editor component
+  getConfig() {
+    // Light blue on blue, as the C64 starts up
+    const c64Theme = EditorView.theme({
+      "&": {
+        backgroundColor: "#352879",
+        color: "#6C5EB5",
+        fontFamily: "'C64', 'Courier New', monospace",
+        fontSize: "16px",
+        height: "100%"
+      },
+      ".cm-content": {
+        caretColor: "#6C5EB5"
+      },
+      ".cm-cursor": {
+        borderLeftColor: "#6C5EB5",
+        borderLeftWidth: "2px"
+      },
+      ".cm-gutters": {
+        backgroundColor: "#352879",
+        color: "#6C5EB5",
+        border: "none"
+      },
+      ".cm-keyword": {
+        color: "#FFFFFF"
+      },
+      ".cm-string": {
+        color: "#B8C76F" // C64 yellow
+      },
+      ".cm-number": {
+        color: "#9AD284" // C64 light green
+      },
+      ".cm-comment": {
+        color: "#959595" // C64 grey 2
       }
     });
+    
+    return {
+      extensions: [
+        c64Theme,
+        basicLanguage(c64Dialect),
+        keywordHelp(c64Keywords),
+        lintExtensions(c64Dialect, problems => this.editor.showProblems(problems)),
+        this.lineNumbers.extensions()
+      ],
+      initialDoc: '10 REM C64 BASIC V2 PROGRAM\n20 PRINT "{CLR}HELLO FROM THE C64!"\n30 FOR I=1 TO 10\n40 PRINT "LOOP: ";I\n50 NEXT I\n60 END',
+      title: c64Dialect.title
+    };
+  }
+  
+  // Store the editor view instance
+  setEditorView(editorView) {
+    this.editorView = editorView;
+  }
+  
+  /**
+   * Release the emulator when the editor leaves C64 mode: its bridge stops
+   * listening to the window, and a recording in progress is lost
+   */
+  destroy() {
+    if (this.recording) {
+      this.editor.appendOutput('The recording of the C64 was lost: stop it before changing mode\n', 'warn');
+      this.setRecording(false);
+    }
+    if (this.bridge) {
+      this.bridge.close();
+      this.bridge = null;
+    }
+    if (this.loadDialog) {
+      this.loadDialog.element.remove();
+      this.loadDialog = null;
+    }
   }
   
-  // Method to send commands to the emulator
-  sendCommand(command, params = {}) {
-    if (this.iframe && this.iframe.contentWindow) {
-      this.iframe.contentWindow.postMessage({
-        type: 'c64_command',
-        command: command,
-        params: params
-      }, '*');
+  /**
+   * Send a command to the emulator, reporting failures in the output window
+   * @param {string} command - 'run', 'stop', 'reset', 'load', 'save', 'new', 'snapshot', 'restore', 'input' or 'record'
+   * @param {Object} params - Parameters of the command
+   * @returns {Promise<Object|null>} - The result, or null if the command failed
+   */
+  async sendCommand(command, params = {}) {
+    if (!this.bridge) return null;
+    
+    try {
+      return await this.bridge.request(command, params);
+    } catch (error) {
+      console.error(`C64: ${command} failed:`, error);
+      this.editor.appendOutput(`C64: ${error.message}\n`, 'error');
+      return null;
     }
   }
   
-  // Public methods that might be called from outside
+  /**
+   * Send a request to the emulator for another component, e.g. the Monitor window
+   * @param {string} command - Command of the emulator bridge
+   * @param {Object} params - Parameters of the command
+   * @returns {Promise<Object>} - Resolves with the result, rejects with the emulator's error
+   */
+  requestEmulator(command, params = {}) {
+    if (!this.bridge) {
+      return Promise.reject(new Error('The C64 emulator is not open'));
+    }
+    return this.bridge.request(command, params);
+  }
+  
+  // The listing in the editor
   getContent() {
-    // In a real implementation, this would get the content from the emulator
-    // For now, return an empty string
-    return '';
+    return this.editorView ? this.editorView.state.doc.toString() : '';
   }
   
   setContent(content) {
-    // In a real implementation, this would set the content in the emulator
-    // For now, do nothing
+    if (!this.editorView) return;
+    this.editorView.dispatch({
+      changes: { from: 0, to: this.editorView.state.doc.length, insert: content }
+    });
   }
   
   // Methods that can be called from the icon bar
+  
+  // Run tokenizes the listing, loads it into BASIC memory and types RUN. The
+  // program runs inside the emulator, so there is no promise to follow.
   runProgram() {
     console.log('C64: Running program');
-    this.sendCommand('run');
+    this.sendProgram();
+  }
+  
+  /**
+   * Tokenize the listing and load it into the emulator, autostarting it
+   * @private
+   */
+  async sendProgram() {
+    let prg;
+    try {
+      prg = this.format.write(this.getContent());
+    } catch (error) {
+      this.editor.appendOutput(`Cannot run the program: ${error.message}\n`, 'error');
+      return;
+    }
+    prg.warnings.forEach(warning => this.editor.appendOutput(`${warning}\n`, 'warn'));
+    
+    const loaded = await this.sendCommand('load', { bytes: prg.bytes, autostart: true });
+    if (loaded) {
+      this.iframe.focus();
+      this.editor.appendOutput(`Sent ${loaded.length} bytes of BASIC to the C64\n`);
+    }
   }
   
+  // Read Back lists the program in the emulator's BASIC memory, typed or
+  // changed on the C64, into the editor
+  async readBackProgram() {
+    console.log('C64: Reading back the program');
+    const result = await this.sendCommand('save');
+    if (!result || !this.editorView) return;
+    
+    try {
+      const { text, warnings } = this.format.read(result.bytes);
+      if (!text) {
+        this.editor.appendOutput('There is no BASIC program in the C64\n', 'warn');
+        return;
+      }
+      
+      this.setContent(text);
+      warnings.forEach(warning => this.editor.appendOutput(`${warning}\n`, 'warn'));
+      this.editor.appendOutput(`Read ${text.split('\n').length} lines back from the C64\n`);
+    } catch (error) {
+      this.editor.appendOutput(`Cannot list the program of the C64: ${error.message}\n`, 'error');
+    }
+  }
+  
+  // RUN/STOP on the emulated keyboard breaks into a BASIC program
   stopProgram() {
     console.log('C64: Stopping program');
     this.sendCommand('stop');
@@ -136,41 +337,257 @@ class C64Editor {
     this.sendCommand('reset');
   }
   
-  loadProgram(program) {
-    console.log('C64: Loading program', program);
-    this.sendCommand('load', { program: program });
+  /**
+   * Load a program of the project into the emulator. A .PRG file is loaded
+   * at once; the directory of a .D64 or .T64 image is shown to pick from.
+   * @param {string} filePath - Path of the .PRG, .D64 or .T64 file in the project
+   * @param {boolean} autostart - Type RUN, or SYS for machine code, once loaded
+   * @returns {Promise<Object|null>} - address, length and basic, or null if nothing was loaded
+   */
+  async loadProgram(filePath, autostart = false) {
+    console.log(`C64: Loading ${filePath}`);
+    let bytes, image;
+    try {
+      bytes = await this.projectFiles.readBytes(filePath);
+      image = openImage(filePath, bytes);
+    } catch (error) {
+      console.error(`C64: Cannot load ${filePath}:`, error);
+      this.editor.appendOutput(`Cannot load ${filePath}: ${error.message}\n`, 'error');
+      return null;
+    }
+    
+    if (image.kind !== 'prg') {
+      this.showLoadDialog(filePath, bytes);
+      return null;
+    }
+    return this.loadPrg(bytes, autostart, image.title);
   }
   
-  saveProgram() {
+  /**
+   * Load a PRG image into the emulator
+   * @param {Uint8Array} bytes - PRG file, starting with its load address
+   * @param {boolean} autostart - Type RUN, or SYS for machine code, once loaded
+   * @param {string} name - Name of the program, for the Output window
+   * @returns {Promise<Object|null>} - address, length and basic, or null on failure
+   */
+  async loadPrg(bytes, autostart = false, name = 'the program') {
+    const loaded = await this.sendCommand('load', { bytes, autostart });
+    if (loaded) {
+      const address = loaded.address.toString(16).toUpperCase().padStart(4, '0');
+      this.editor.appendOutput(`Loaded ${name}: ${loaded.length} bytes at $${address}\n`);
+      if (autostart) {
+        this.iframe.focus();
+      }
+    }
+    return loaded;
+  }
+  
+  /**
+   * Show the load dialog
+   * @param {string} fileName - Image to show first, if any
+   * @param {Uint8Array} bytes - Its contents
+   */
+  showLoadDialog(fileName = null, bytes = null) {
+    if (!this.loadDialog) {
+      this.loadDialog = new LoadDialog(this);
+    }
+    this.loadDialog.show(fileName, bytes);
+  }
+  
+  /**
+   * Handle a file clicked in the Project window
+   * @param {string} filePath - Path in the project
+   * @returns {boolean} - True if the file is a snapshot, restored, or a C64 image, shown in the load dialog
+   */
+  openProjectFile(filePath) {
+    if (isSnapshot(filePath)) {
+      this.restoreSnapshot(filePath);
+      return true;
+    }
+    if (!isImage(filePath)) return false;
+    
+    this.showLoadDialog();
+    this.loadDialog.openFromProject(filePath);
+    return true;
+  }
+  
+  /**
+   * Save the state of the whole machine in the snapshots folder of the project
+   * @returns {Promise<string|null>} - Path of the snapshot, or null if none was saved
+   */
+  async saveSnapshot() {
+    const stamp = new Date().toISOString().slice(0, 16).replace('T', '-').replace(':', '');
+    const name = prompt('Name of the snapshot:', `snapshot-${stamp}`);
+    if (!name || !name.trim()) return null;
+    
+    const result = await this.sendCommand('snapshot');
+    if (!result) return null;
+    
+    const fileName = name.trim().replace(/[\\/:*?"<>|]/g, '_');
+    const filePath = `${SNAPSHOT_FOLDER}/${fileName}${SNAPSHOT_EXTENSION}`;
+    try {
+      await this.projectFiles.writeText(filePath, result.snapshot);
+    } catch (error) {
+      console.error('C64: Cannot save the snapshot:', error);
+      this.editor.appendOutput(`Cannot save the snapshot: ${error.message}\n`, 'error');
+      return null;
+    }
+    
+    this.editor.appendOutput(`Saved the C64 in ${filePath}\n`);
+    this.editor.broadcastToHandlers('C64_SNAPSHOTS_CHANGED');
+    return filePath;
+  }
+  
+  /**
+   * Put the machine back in the state saved in a snapshot of the project
+   * @param {string} filePath - Path of the snapshot in the project
+   * @returns {Promise<boolean>} - True once the snapshot runs
+   */
+  async restoreSnapshot(filePath) {
+    console.log(`C64: Restoring ${filePath}`);
+    let snapshot;
+    try {
+      snapshot = await this.projectFiles.readText(filePath);
+    } catch (error) {
+      console.error(`C64: Cannot read ${filePath}:`, error);
+      this.editor.appendOutput(`Cannot read ${filePath}: ${error.message}\n`, 'error');
+      return false;
+    }
+    
+    if (!await this.sendCommand('restore', { snapshot })) return false;
+    
+    this.iframe.focus();
+    this.editor.appendOutput(`Restored the C64 from ${filePath}\n`);
+    return true;
+  }
+  
+  // Record starts recording the screen and sound of the emulator, and stops
+  // the recording when there is one
+  toggleRecording() {
+    if (this.recording) {
+      this.stopRecording();
+    } else {
+      this.startRecording();
+    }
+  }
+  
+  async startRecording() {
+    console.log('C64: Starting to record');
+    const result = await this.sendCommand('record', { action: 'start' });
+    if (!result) return;
+    
+    this.setRecording(true);
+    if (!result.audio) {
+      this.editor.appendOutput('Recording the C64 without sound: the emulator has not started its audio\n', 'warn');
+    }
+    this.editor.appendOutput(`Recording the C64 as ${result.mimeType || 'WebM'}\n`);
+    this.iframe.focus();
+  }
+  
+  /**
+   * Stop recording and save the video in the project, or download it
+   * @returns {Promise<string|null>} - Path or name of the file, or null if nothing was saved
+   */
+  async stopRecording() {
+    console.log('C64: Stopping the recording');
+    const result = await this.sendCommand('record', { action: 'stop' });
+    this.setRecording(false);
+    if (!result) return null;
+    
+    const stamp = new Date().toISOString().slice(0, 19).replace('T', '-').replace(/:/g, '');
+    const fileName = `c64-${stamp}.webm`;
+    const duration = `${result.duration.toFixed(1)} s`;
+    
+    if (confirm(`Save the recording (${duration}) in the project? Cancel downloads it.`)) {
+      const filePath = `${RECORDING_FOLDER}/${fileName}`;
+      try {
+        await this.projectFiles.writeBytes(filePath, result.bytes);
+        this.editor.appendOutput(`Saved the recording in ${filePath}\n`);
+        return filePath;
+      } catch (error) {
+        console.error('C64: Cannot save the recording:', error);
+        this.editor.appendOutput(`Cannot save the recording in the project: ${error.message}; downloading it\n`, 'warn');
+      }
+    }
+    
+    this.files.download(result.bytes, fileName);
+    this.editor.appendOutput(`Downloaded the recording as ${fileName} (${duration})\n`);
+    return fileName;
+  }
+  
+  /**
+   * Show whether the emulator is being recorded, on the icon bar and the status bar
+   * @param {boolean} recording - True while a recording runs
+   */
+  setRecording(recording) {
+    if (recording === this.recording) return;
+    this.recording = recording;
+    this.editor.broadcast('RECORDING_STATE', { recording, startTime: Date.now() });
+  }
+  
+  /**
+   * Set the joystick port, keys and gamepad of the emulator
+   * @param {Object} settings - Settings of the Preferences dialog's C64 Input panel
+   */
+  async setInputSettings(settings) {
+    const result = await this.sendCommand('input', settings);
+    if (result) {
+      console.log(`C64: Joystick in port ${settings.port}, ${result.gamepads.length} gamepad(s) connected`);
+    }
+  }
+  
+  // Download the BASIC program in the emulator's memory as a PRG file
+  async saveProgram() {
     console.log('C64: Saving program');
-    this.sendCommand('save');
+    const result = await this.sendCommand('save');
+    if (result) {
+      this.files.download(result.bytes, 'c64-program.prg');
+    }
   }
   
-  // Additional methods to match the interface expected by the main Editor component
+  newProgram() {
+    console.log('C64: Clearing the program in memory');
+    this.sendCommand('new');
+  }
+  
+  // Debug stops the C64 in the machine-language monitor
   debugProgram() {
-    console.log('C64: Debug mode not supported');
-    alert('Debug mode is not supported in the C64 emulator');
+    console.log('C64: Opening the monitor');
+    this.editor.broadcastToHandlers('C64_MONITOR');
   }
   
-  showHelp() {
-    console.log('C64: Showing help');
-    alert('C64 Help:\n\nBasic Commands:\nLOAD - Load a program\nSAVE - Save a program\nRUN - Run the program\nLIST - List the program\nNEW - Clear the program\n\nUse the icon bar for common operations.');
+  // The Debugger window's Step, Continue and Stop drive the monitor
+  debugCommand(command) {
+    this.editor.broadcastToHandlers('C64_MONITOR', { command });
   }
   
-  newFile() {
-    console.log('C64: Creating new file');
-    this.sendCommand('new');
+  // BASIC V2 keyword reference in the Help window
+  showHelp() {
+    console.log('C64: Showing help');
+    const topic = this.editorView ? keywordAtCursor(c64Keywords, this.editorView) : null;
+    this.editor.showKeywordHelp(c64Keywords, topic);
   }
   
+  // Open picks a program of the project or the computer to load into the
+  // C64, or a listing to edit
   openFile() {
     console.log('C64: Opening file');
-    // In a real implementation, this would open a file picker
-    alert('Open file functionality not implemented for C64 mode');
+    this.showLoadDialog();
   }
   
   saveFile() {
     console.log('C64: Saving file');
-    this.saveProgram();
+    this.files.save(this.getContent());
+  }
+  
+  // RENUM from the Edit menu, rewriting the GOTO, GOSUB and THEN targets
+  renumber() {
+    this.lineNumbers.askRenumber(this.editorView);
+  }
+  
+  // Go To Line finds the BASIC line number, not the editor row
+  goToLineNumber() {
+    this.lineNumbers.askGoToLine(this.editorView);
   }
 }
 
@@ -1,8 +1,9 @@
 // Commodore 64 Icon Bar component
 
 class C64Icons {
-  constructor(container) {
+  constructor(container, onAction = null) {
     this.container = container;
+    this.onAction = onAction; // IconBar callback, sends ICON_ACTION
   }
 
   render() {
@@ -11,8 +12,11 @@ class C64Icons {
     
     // Create C64 mode buttons
     this.addButton('Run', 'run-button');
+    this.addButton('Read Back', 'read-back-button');
     this.addButton('Stop', 'stop-button');
     this.addButton('Reset', 'reset-button');
+    this.addButton('Snapshot', 'snapshot-button');
+    this.recordButton = this.addButton('Record', 'record-button');
     this.addButton('Load', 'load-button');
     this.addButton('Save', 'save-button');
     
@@ -52,6 +56,10 @@ class C64Icons {
       .reset-button:hover {
         background-color: #F57C00;
       }
+      .record-button.recording {
+        background-color: #F44336;
+        border-color: #D32F2F;
+      }
     `;
     document.head.appendChild(style);
   }
@@ -62,10 +70,22 @@ class C64Icons {
     button.textContent = text;
     button.addEventListener('click', () => this.handleButtonClick(text));
     this.container.appendChild(button);
+    return button;
+  }
+  
+  // The Record button stops the recording while there is one
+  setRecording(recording) {
+    if (!this.recordButton) return;
+    this.recordButton.textContent = recording ? 'Stop Rec' : 'Record';
+    this.recordButton.classList.toggle('recording', recording);
   }
   
   handleButtonClick(action) {
     console.log(`C64 Button clicked: ${action}`);
+    
+    if (this.onAction) {
+      this.onAction(action.toLowerCase());
+    }
   }  
 }
 
@@ -0,0 +1,244 @@
+// C64 program and disk images: .PRG files, .D64 floppy disk images and .T64 tape archives
+
+// Extensions of the images the C64 mode can load
+export const IMAGE_EXTENSIONS = ['.prg', '.d64', '.t64'];
+
+// Snapshots of the whole machine, kept in the project; Vicii-ous reads them as .json
+export const SNAPSHOT_EXTENSION = '.c64.json';
+export const SNAPSHOT_FOLDER = 'snapshots';
+
+const FILE_TYPES = ['DEL', 'SEQ', 'PRG', 'USR', 'REL'];
+
+// D64: 35 tracks (40 on some disks), directory on track 18
+const D64_SIZES = {
+  174848: { tracks: 35, errors: false },
+  175531: { tracks: 35, errors: true },
+  196608: { tracks: 40, errors: false },
+  197376: { tracks: 40, errors: true }
+};
+const DIRECTORY_TRACK = 18;
+const SECTOR_SIZE = 256;
+
+/**
+ * Sectors on a track of a 1541 disk
+ * @param {number} track - Track, from 1
+ * @returns {number} - Number of sectors
+ */
+function sectorsOnTrack(track) {
+  if (track <= 17) return 21;
+  if (track <= 24) return 19;
+  if (track <= 30) return 18;
+  return 17;
+}
+
+/**
+ * Convert a PETSCII file name to text, dropping the shifted-space padding
+ * @param {Uint8Array} bytes - Name bytes
+ * @returns {string} - The name
+ */
+function petsciiName(bytes) {
+  let name = '';
+  for (const byte of bytes) {
+    if (byte === 0xA0) break;
+    if (byte >= 0x20 && byte <= 0x5D) {
+      name += String.fromCharCode(byte);
+    } else if (byte >= 0xC1 && byte <= 0xDA) {
+      name += String.fromCharCode(byte - 0x80);
+    } else {
+      name += '?';
+    }
+  }
+  return name;
+}
+
+/**
+ * Read a .D64 disk image
+ * @param {Uint8Array} bytes - Image contents
+ * @returns {Object} - Image with title, id, freeBlocks, entries and read(entry)
+ */
+function openD64(bytes) {
+  const geometry = D64_SIZES[bytes.length];
+  if (!geometry) {
+    throw new Error(`A .D64 image is 174848 or 196608 bytes long, this one is ${bytes.length}`);
+  }
+
+  const trackOffsets = [0, 0];
+  for (let track = 1; track <= geometry.tracks; track++) {
+    trackOffsets[track + 1] = trackOffsets[track] + sectorsOnTrack(track) * SECTOR_SIZE;
+  }
+  const sector = (track, number) => {
+    if (track < 1 || track > geometry.tracks || number >= sectorsOnTrack(track)) {
+      throw new Error(`The disk refers to a missing sector, track ${track} sector ${number}`);
+    }
+    const offset = trackOffsets[track] + number * SECTOR_SIZE;
+    return bytes.subarray(offset, offset + SECTOR_SIZE);
+  };
+
+  // Follow a chain of sectors; the last one says how many of its bytes are used
+  const readChain = (track, number) => {
+    const chunks = [];
+    const visited = new Set();
+    while (track !== 0) {
+      const key = `${track}/${number}`;
+      if (visited.has(key)) {
+        throw new Error('The disk has a loop in a sector chain');
+      }
+      visited.add(key);
+
+      const data = sector(track, number);
+      const [nextTrack, nextSector] = data;
+      chunks.push(nextTrack === 0 ? data.subarray(2, nextSector + 1) : data.subarray(2));
+      track = nextTrack;
+      number = nextSector;
+    }
+    const result = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+    let offset = 0;
+    chunks.forEach(chunk => {
+      result.set(chunk, offset);
+      offset += chunk.length;
+    });
+    return result;
+  };
+
+  const bam = sector(DIRECTORY_TRACK, 0);
+  let freeBlocks = 0;
+  for (let track = 1; track <= 35; track++) {
+    if (track !== DIRECTORY_TRACK) {
+      freeBlocks += bam[4 * track];
+    }
+  }
+
+  // Directory sectors: eight entries of 32 bytes each
+  const entries = [];
+  const visited = new Set();
+  let [track, number] = [bam[0], bam[1]];
+  while (track !== 0 && !visited.has(`${track}/${number}`)) {
+    visited.add(`${track}/${number}`);
+    const data = sector(track, number);
+    for (let offset = 0; offset < SECTOR_SIZE; offset += 32) {
+      const type = data[offset + 2];
+      if (type === 0) continue; // Scratched or unused
+      entries.push({
+        name: petsciiName(data.subarray(offset + 5, offset + 21)),
+        type: FILE_TYPES[type & 0x07] || '???',
+        closed: (type & 0x80) !== 0,
+        locked: (type & 0x40) !== 0,
+        blocks: data[offset + 30] | (data[offset + 31] << 8),
+        track: data[offset + 3],
+        sector: data[offset + 4]
+      });
+    }
+    [track, number] = [data[0], data[1]];
+  }
+
+  return {
+    kind: 'd64',
+    title: petsciiName(bam.subarray(0x90, 0xA0)),
+    id: petsciiName(bam.subarray(0xA2, 0xA7)),
+    freeBlocks,
+    entries,
+    read: (entry) => {
+      if (entry.type !== 'PRG') {
+        throw new Error(`${entry.name} is a ${entry.type} file; only PRG files can be loaded`);
+      }
+      return readChain(entry.track, entry.sector);
+    }
+  };
+}
+
+/**
+ * Read a .T64 tape archive
+ * @param {Uint8Array} bytes - Archive contents
+ * @returns {Object} - Image with title, entries and read(entry)
+ */
+function openT64(bytes) {
+  const signature = String.fromCharCode(...bytes.subarray(0, 3));
+  if (bytes.length < 64 || signature !== 'C64') {
+    throw new Error('This is not a .T64 tape archive');
+  }
+
+  const word = (offset) => bytes[offset] | (bytes[offset + 1] << 8);
+  const maxEntries = word(0x22) || 1;
+  const records = [];
+  for (let index = 0; index < maxEntries; index++) {
+    const offset = 0x40 + index * 32;
+    if (offset + 32 > bytes.length) break;
+    if (bytes[offset] === 0) continue; // Free slot
+
+    records.push({
+      name: petsciiName(bytes.subarray(offset + 0x10, offset + 0x20)).replace(/ +$/, ''),
+      type: 'PRG',
+      start: word(offset + 2),
+      end: word(offset + 4),
+      offset: bytes[offset + 8] | (bytes[offset + 9] << 8) | (bytes[offset + 10] << 16) | (bytes[offset + 11] << 24)
+    });
+  }
+
+  // Many archives carry a wrong end address; the data stops where the next one starts
+  const offsets = records.map(record => record.offset).sort((a, b) => a - b);
+  const entries = records.map(record => {
+    const next = offsets.find(offset => offset > record.offset) || bytes.length;
+    const length = Math.min(record.end > record.start ? record.end - record.start : Infinity, next - record.offset);
+    return { ...record, length, blocks: Math.ceil((length + 2) / 254) };
+  });
+
+  return {
+    kind: 't64',
+    title: petsciiName(bytes.subarray(0x28, 0x40)).replace(/ +$/, ''),
+    id: '',
+    freeBlocks: null,
+    entries,
+    read: (entry) => {
+      const prg = new Uint8Array(entry.length + 2);
+      prg[0] = entry.start & 0xFF;
+      prg[1] = entry.start >> 8;
+      prg.set(bytes.subarray(entry.offset, entry.offset + entry.length), 2);
+      return prg;
+    }
+  };
+}
+
+/**
+ * Open a .PRG, .D64 or .T64 image
+ * @param {string} fileName - Name of the file, whose extension gives its kind
+ * @param {Uint8Array} bytes - File contents
+ * @returns {Object} - kind, title, id, freeBlocks (or null), entries with name, type and blocks, and read(entry) returning a PRG
+ */
+export function openImage(fileName, bytes) {
+  const extension = fileName.toLowerCase().replace(/^.*(\.[^.]*)$/, '$1');
+  switch (extension) {
+    case '.d64':
+      return openD64(bytes);
+
+    case '.t64':
+      return openT64(bytes);
+
+    default: {
+      if (bytes.length < 3) {
+        throw new Error('This file is too short to be a C64 program');
+      }
+      const name = fileName.replace(/^.*\//, '').replace(/\.[^.]*$/, '').toUpperCase();
+      const entry = { name, type: 'PRG', blocks: Math.ceil(bytes.length / 254) };
+      return { kind: 'prg', title: name, id: '', freeBlocks: null, entries: [entry], read: () => bytes };
+    }
+  }
+}
+
+/**
+ * Check whether a file is an image the C64 mode can load
+ * @param {string} fileName - File name
+ * @returns {boolean} - True for .PRG, .D64 and .T64 files
+ */
+export function isImage(fileName) {
+  const name = fileName.toLowerCase();
+  return IMAGE_EXTENSIONS.some(extension => name.endsWith(extension));
+}
+
+/**
+ * Check whether a file is a snapshot of the C64
+ * @param {string} fileName - File name
+ * @returns {boolean} - True for .c64.json files
+ */
+export function isSnapshot(fileName) {
+  return fileName.toLowerCase().endsWith(SNAPSHOT_EXTENSION);
+}
@@ -0,0 +1,66 @@
+// C64 input settings: the joystick port, and the keys and gamepad driving the joystick
+
+// localStorage key of the settings
+const INPUT_STORAGE = 'pcos-c64-input';
+
+// Switches of the joystick, in the order the settings show them
+export const JOYSTICK_SWITCHES = ['up', 'down', 'left', 'right', 'fire'];
+
+// As Vicii-ous has it: the cursor keys and Shift on port 2, and they also
+// move the cursor and shift on the C64 keyboard
+export const DEFAULT_INPUT = {
+  port: 2,
+  keys: { up: 'ArrowUp', down: 'ArrowDown', left: 'ArrowLeft', right: 'ArrowRight', fire: 'ShiftLeft' },
+  keysToKeyboard: true,
+  gamepad: {
+    enabled: true,
+    index: null, // Any gamepad
+    fire: [0],   // Buttons pressing fire; 0 is A / cross on a standard gamepad
+    deadZone: 0.5
+  }
+};
+
+/**
+ * Read the settings saved in the browser, completed with the defaults
+ * @returns {Object} - port, keys, keysToKeyboard and gamepad
+ */
+export function loadInputSettings() {
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem(INPUT_STORAGE)) || {};
+  } catch (error) {
+    console.error('Cannot read the C64 input settings:', error);
+  }
+  return {
+    ...DEFAULT_INPUT,
+    ...saved,
+    keys: { ...DEFAULT_INPUT.keys, ...saved.keys },
+    gamepad: { ...DEFAULT_INPUT.gamepad, ...saved.gamepad }
+  };
+}
+
+/**
+ * Save the settings in the browser
+ * @param {Object} settings - port, keys, keysToKeyboard and gamepad
+ */
+export function saveInputSettings(settings) {
+  try {
+    localStorage.setItem(INPUT_STORAGE, JSON.stringify(settings));
+  } catch (error) {
+    console.error('Cannot save the C64 input settings:', error);
+  }
+}
+
+/**
+ * Name of a key for the settings
+ * @param {string} code - KeyboardEvent.code of the key
+ * @returns {string} - e.g. 'Z', 'Left Shift', 'Up Arrow'
+ */
+export function keyName(code) {
+  if (!code) return 'None';
+  return code
+    .replace(/^(Key|Digit)/, '')
+    .replace(/^Arrow(.*)$/, '$1 Arrow')
+    .replace(/^(Shift|Control|Alt|Meta)(Left|Right)$/, '$2 $1')
+    .replace(/^Numpad(.*)$/, 'Keypad $1');
+}
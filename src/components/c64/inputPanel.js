@@ -0,0 +1,300 @@
+// C64 input panel of the Preferences dialog: joystick port, joystick keys and gamepad
+import { DEFAULT_INPUT, JOYSTICK_SWITCHES, keyName } from './input.js'
+
+// Buttons of a standard gamepad offered for fire
+const GAMEPAD_BUTTONS = 16;
+
+class C64InputPanel {
+  constructor() {
+    this.settings = null;     // Settings shown, changed as the user edits them
+    this.capturing = null;    // Switch waiting for its key
+    this.keyButtons = {};     // Switch -> button showing its key
+
+    this.addStyles();
+    this.createPanel();
+
+    // The list of gamepads follows the ones plugged in and out
+    window.addEventListener('gamepadconnected', () => this.listGamepads());
+    window.addEventListener('gamepaddisconnected', () => this.listGamepads());
+  }
+
+  createPanel() {
+    this.element = document.createElement('fieldset');
+    this.element.className = 'c64-input-panel';
+
+    const legend = document.createElement('legend');
+    legend.textContent = 'C64 Input';
+    this.element.appendChild(legend);
+
+    // Joystick port
+    this.portSelect = this.createSelect([['1', 'Port 1'], ['2', 'Port 2']], (value) => {
+      this.settings.port = parseInt(value, 10);
+    });
+    this.addRow('Joystick in', this.portSelect);
+
+    // A button per switch: click it, then press the key
+    const keys = document.createElement('div');
+    keys.className = 'c64-input-keys';
+    JOYSTICK_SWITCHES.forEach(name => {
+      const label = document.createElement('span');
+      label.textContent = name[0].toUpperCase() + name.slice(1);
+      const button = document.createElement('button');
+      button.className = 'c64-input-key';
+      button.addEventListener('click', () => this.captureKey(name));
+      button.addEventListener('keydown', (event) => this.handleCaptureKey(event, name));
+      // Space would click the button again as it is released
+      button.addEventListener('keyup', (event) => event.preventDefault());
+      button.addEventListener('blur', () => this.stopCapture());
+      this.keyButtons[name] = button;
+      keys.appendChild(label);
+      keys.appendChild(button);
+    });
+    this.addRow('Keys', keys);
+
+    this.keysToKeyboard = this.createCheckbox('Joystick keys also type on the C64 keyboard', (checked) => {
+      this.settings.keysToKeyboard = checked;
+    });
+    this.element.appendChild(this.keysToKeyboard.parentElement);
+
+    // Gamepad
+    this.gamepadEnabled = this.createCheckbox('Gamepad moves the joystick', (checked) => {
+      this.settings.gamepad.enabled = checked;
+      this.updateGamepadFields();
+    });
+    this.element.appendChild(this.gamepadEnabled.parentElement);
+
+    this.gamepadSelect = this.createSelect([], (value) => {
+      this.settings.gamepad.index = value === '' ? null : parseInt(value, 10);
+    });
+    this.addRow('Gamepad', this.gamepadSelect);
+
+    const buttons = [];
+    for (let button = 0; button < GAMEPAD_BUTTONS; button++) {
+      buttons.push([String(button), `Button ${button}`]);
+    }
+    this.fireSelect = this.createSelect(buttons, (value) => {
+      this.settings.gamepad.fire = [parseInt(value, 10)];
+    });
+    this.addRow('Fire', this.fireSelect);
+
+    const footer = document.createElement('div');
+    footer.className = 'c64-input-footer';
+    const note = document.createElement('span');
+    note.textContent = 'Keys and gamepads reach the C64 only while its screen has the focus: click it to play.';
+    const defaults = document.createElement('button');
+    defaults.textContent = 'Defaults';
+    defaults.addEventListener('click', () => this.setSettings(DEFAULT_INPUT));
+    footer.appendChild(note);
+    footer.appendChild(defaults);
+    this.element.appendChild(footer);
+  }
+
+  /**
+   * Add a labelled row
+   * @private
+   */
+  addRow(text, control) {
+    const row = document.createElement('div');
+    row.className = 'c64-input-row';
+    const label = document.createElement('label');
+    label.textContent = text;
+    row.appendChild(label);
+    row.appendChild(control);
+    this.element.appendChild(row);
+  }
+
+  /**
+   * Create a drop-down list
+   * @param {Array} options - [value, text] pairs
+   * @param {Function} onChange - Called with the chosen value
+   * @returns {HTMLSelectElement} - The list
+   * @private
+   */
+  createSelect(options, onChange) {
+    const select = document.createElement('select');
+    options.forEach(([value, text]) => select.add(new Option(text, value)));
+    select.addEventListener('change', () => onChange(select.value));
+    return select;
+  }
+
+  /**
+   * Create a checkbox with its label
+   * @returns {HTMLInputElement} - The checkbox, inside its label
+   * @private
+   */
+  createCheckbox(text, onChange) {
+    const label = document.createElement('label');
+    label.className = 'c64-input-check';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.addEventListener('change', () => onChange(checkbox.checked));
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(` ${text}`));
+    return checkbox;
+  }
+
+  /**
+   * Show settings in the panel
+   * @param {Object} settings - port, keys, keysToKeyboard and gamepad
+   */
+  setSettings(settings) {
+    this.settings = {
+      ...settings,
+      keys: { ...settings.keys },
+      gamepad: { ...settings.gamepad, fire: [...settings.gamepad.fire] }
+    };
+    this.stopCapture();
+
+    this.portSelect.value = String(this.settings.port);
+    this.keysToKeyboard.checked = this.settings.keysToKeyboard;
+    this.gamepadEnabled.checked = this.settings.gamepad.enabled;
+    this.fireSelect.value = String(this.settings.gamepad.fire[0] || 0);
+    this.listGamepads();
+    this.updateKeyButtons();
+    this.updateGamepadFields();
+  }
+
+  /**
+   * The settings as edited
+   * @returns {Object} - port, keys, keysToKeyboard and gamepad
+   */
+  getSettings() {
+    return this.settings;
+  }
+
+  updateKeyButtons() {
+    JOYSTICK_SWITCHES.forEach(name => {
+      this.keyButtons[name].textContent = this.capturing === name ? 'Press a key...' : keyName(this.settings.keys[name]);
+      this.keyButtons[name].classList.toggle('capturing', this.capturing === name);
+    });
+  }
+
+  updateGamepadFields() {
+    const enabled = this.settings.gamepad.enabled;
+    this.gamepadSelect.disabled = !enabled;
+    this.fireSelect.disabled = !enabled;
+  }
+
+  // Fill the gamepad list with the ones connected, keeping the chosen one
+  listGamepads() {
+    if (!this.settings) return;
+
+    const index = this.settings.gamepad.index;
+    const gamepads = navigator.getGamepads ? [...navigator.getGamepads()].filter(Boolean) : [];
+    this.gamepadSelect.innerHTML = '';
+    this.gamepadSelect.add(new Option(gamepads.length ? 'Any gamepad' : 'Any gamepad (press a button to find yours)', ''));
+    gamepads.forEach(gamepad => this.gamepadSelect.add(new Option(`${gamepad.index + 1}: ${gamepad.id}`, String(gamepad.index))));
+    if (index !== null && !gamepads.some(gamepad => gamepad.index === index)) {
+      this.gamepadSelect.add(new Option(`${index + 1}: not connected`, String(index)));
+    }
+    this.gamepadSelect.value = index === null ? '' : String(index);
+  }
+
+  /**
+   * Wait for the key of a switch
+   * @param {string} name - Switch of the joystick
+   */
+  captureKey(name) {
+    this.capturing = this.capturing === name ? null : name;
+    this.updateKeyButtons();
+    this.keyButtons[name].focus();
+  }
+
+  /**
+   * Take the key pressed while a switch waits for one; Escape cancels
+   * @private
+   */
+  handleCaptureKey(event, name) {
+    if (this.capturing !== name) return;
+    event.preventDefault();
+    event.stopPropagation();
+
+    if (event.key !== 'Escape') {
+      // A key drives one switch only
+      JOYSTICK_SWITCHES.forEach(other => {
+        if (this.settings.keys[other] === event.code) this.settings.keys[other] = null;
+      });
+      this.settings.keys[name] = event.code;
+    }
+    this.stopCapture();
+  }
+
+  stopCapture() {
+    this.capturing = null;
+    if (this.settings) {
+      this.updateKeyButtons();
+    }
+  }
+
+  addStyles() {
+    // Add styles if not already present
+    if (!document.getElementById('c64-input-panel-styles')) {
+      const style = document.createElement('style');
+      style.id = 'c64-input-panel-styles';
+      style.textContent = `
+        .c64-input-panel {
+          border: 1px solid #444;
+          border-radius: 4px;
+          padding: 10px 12px;
+          color: #ddd;
+          font-size: 13px;
+        }
+        .c64-input-panel legend {
+          padding: 0 4px;
+          color: #eee;
+        }
+        .c64-input-row {
+          display: flex;
+          align-items: center;
+          gap: 10px;
+          margin: 6px 0;
+        }
+        .c64-input-row > label {
+          width: 80px;
+          flex-shrink: 0;
+        }
+        .c64-input-row select {
+          max-width: 280px;
+          background-color: #3a3a3a;
+          color: #ddd;
+          border: 1px solid #555;
+        }
+        .c64-input-keys {
+          display: grid;
+          grid-template-columns: auto 1fr auto 1fr;
+          gap: 4px 8px;
+          align-items: center;
+        }
+        .c64-input-key {
+          min-width: 110px;
+          padding: 2px 6px;
+          background-color: #3a3a3a;
+          color: #fff;
+          border: 1px solid #555;
+          border-radius: 3px;
+          cursor: pointer;
+        }
+        .c64-input-key.capturing {
+          border-color: #7B68EE;
+          color: #B8A8FF;
+        }
+        .c64-input-check {
+          display: block;
+          margin: 6px 0;
+        }
+        .c64-input-footer {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          gap: 10px;
+          margin-top: 8px;
+          color: #999;
+          font-size: 12px;
+        }
+      `;
+      document.head.appendChild(style);
+    }
+  }
+}
+
+export default C64InputPanel;
@@ -0,0 +1,88 @@
+// Commodore 64 BASIC V2 keyword database, for completion, tooltips and the Help window
+import KeywordDatabase, { instruction, func, operator } from '../../utils/basic/KeywordDatabase.js'
+import c64Dialect from './dialect.js'
+
+const c64Keywords = new KeywordDatabase(c64Dialect, [
+  // Program structure
+  instruction('REM', [], 'Comment: the rest of the line is ignored.', 'REM text'),
+  instruction('LET', [], 'Assign a value to a variable. LET is optional.', 'LET variable=expression'),
+  instruction('IF', [], 'Run the rest of the line if the condition is true; IF ... THEN line jumps to a line.', 'IF condition THEN statements / IF condition GOTO line'),
+  instruction('THEN', [], 'Introduce the statements run when an IF condition is true.', 'IF condition THEN statements'),
+  instruction('FOR', [], 'Repeat the lines up to NEXT while the variable goes from start to end.', 'FOR variable=start TO end [STEP step]'),
+  instruction('TO', [], 'Separate the start and end values of a FOR loop.', 'FOR variable=start TO end'),
+  instruction('STEP', [], 'Amount added to the FOR variable at each loop, 1 by default.', 'FOR variable=start TO end STEP step'),
+  instruction('NEXT', ['variable?'], 'End a FOR loop and start the next iteration.', 'NEXT [variable[,variable...]]'),
+  instruction('GOTO', ['line'], 'Jump to a line number.'),
+  instruction('GO', [], 'Jump to a line number, written GO TO.', 'GO TO line'),
+  instruction('GOSUB', ['line'], 'Call the subroutine at a line number; RETURN comes back after the GOSUB.'),
+  instruction('RETURN', [], 'Return from a subroutine called by GOSUB.'),
+  instruction('ON', [], 'Jump to the n-th line of the list, according to the value of the expression.', 'ON expression GOTO line,line... / ON expression GOSUB line,line...'),
+  instruction('DEF', [], 'Define a one-line function called with FN.', 'DEF FN name(variable)=expression'),
+  instruction('END', [], 'End the program.'),
+  instruction('STOP', [], 'Stop the program with BREAK IN line; CONT goes on.'),
+
+  // Data
+  instruction('DIM', [], 'Declare arrays, with the highest index of each dimension.', 'DIM array(size[,size...])[,array(...)...]'),
+  instruction('DATA', [], 'List values read by READ.', 'DATA value,value...'),
+  instruction('READ', ['variable', 'variable?'], 'Read the next DATA values into variables.', 'READ variable[,variable...]'),
+  instruction('RESTORE', [], 'Read the DATA from the first line again.'),
+  instruction('CLR', [], 'Clear all variables, arrays and function definitions.'),
+
+  // Input and output
+  instruction('PRINT', ['value', 'value?'], 'Print values at the cursor. ; keeps the cursor after the value, , moves to the next 10 column zone. ? is a shortcut.', 'PRINT value[;value][,value]...'),
+  instruction('INPUT', [], 'Ask the user for values, after an optional prompt.', 'INPUT ["prompt";]variable[,variable...]'),
+  instruction('GET', ['variable'], 'Read a key from the keyboard buffer without waiting; empty string if none.'),
+  instruction('PRINT#', ['file', 'value'], 'Print values to an open file.', 'PRINT#file,value[;value]...'),
+  instruction('INPUT#', ['file', 'variable'], 'Read values from an open file.', 'INPUT#file,variable[,variable...]'),
+  instruction('GET#', ['file', 'variable'], 'Read one character from an open file.'),
+  instruction('OPEN', ['file', 'device', 'secondary?', 'name$?'], 'Open a logical file on a device: 0 keyboard, 1 tape, 3 screen, 4 printer, 8 disk.'),
+  instruction('CLOSE', ['file'], 'Close a logical file.'),
+  instruction('CMD', ['file', 'value?'], 'Send the screen output to an open file.'),
+
+  // Programs and memory
+  instruction('LOAD', ['name$?', 'device?', 'secondary?'], 'Load a program, e.g. LOAD "NAME",8 from disk; ,8,1 loads at the address saved in the file.'),
+  instruction('SAVE', ['name$?', 'device?', 'secondary?'], 'Save the program, e.g. SAVE "NAME",8 on disk.'),
+  instruction('VERIFY', ['name$?', 'device?'], 'Compare a saved program with the program in memory.'),
+  instruction('RUN', ['line?'], 'Clear the variables and run the program, from the start or from a line.'),
+  instruction('LIST', [], 'List the program, or a range of lines.', 'LIST [first][-last]'),
+  instruction('NEW', [], 'Erase the program and the variables.'),
+  instruction('CONT', [], 'Continue a program stopped by STOP, END or RUN/STOP.'),
+  instruction('POKE', ['address', 'value'], 'Write a byte (0 to 255) to a memory address, e.g. POKE 53280,0 for a black border.'),
+  instruction('SYS', ['address'], 'Call a machine language routine.'),
+  instruction('WAIT', ['address', 'mask', 'invert?'], 'Wait until the byte at an address, AND mask (after XOR invert), is not zero.'),
+
+  // Functions
+  func('ABS', ['x'], 'float', 'Absolute value of x.'),
+  func('INT', ['x'], 'integer', 'Largest integer not above x.'),
+  func('SGN', ['x'], 'integer', 'Sign of x: -1, 0 or 1.'),
+  func('SQR', ['x'], 'float', 'Square root of x.'),
+  func('RND', ['x'], 'float', 'Random number from 0 to 1. A negative x reseeds, 0 uses the clock.'),
+  func('SIN', ['angle'], 'float', 'Sine of an angle in radians.'),
+  func('COS', ['angle'], 'float', 'Cosine of an angle in radians.'),
+  func('TAN', ['angle'], 'float', 'Tangent of an angle in radians.'),
+  func('ATN', ['x'], 'float', 'Arc tangent of x, in radians.'),
+  func('EXP', ['x'], 'float', 'e raised to the power x.'),
+  func('LOG', ['x'], 'float', 'Natural logarithm of x.'),
+  func('FN', [], 'float', 'Call a function defined with DEF FN.', 'FN name(value)'),
+  func('USR', ['x'], 'float', 'Call the machine language routine whose address is at 785/786.'),
+  func('FRE', ['x'], 'integer', 'Free BASIC memory (add 65536 when negative).'),
+  func('POS', ['x'], 'integer', 'Column of the cursor.'),
+  func('PEEK', ['address'], 'integer', 'Byte at a memory address.'),
+  func('TAB(', ['column'], 'string', 'In PRINT, move the cursor to a column.'),
+  func('SPC(', ['count'], 'string', 'In PRINT, move the cursor right by a number of spaces.'),
+  func('LEN', ['text$'], 'integer', 'Number of characters of a string.'),
+  func('LEFT$', ['text$', 'count'], 'string', 'First characters of a string.'),
+  func('RIGHT$', ['text$', 'count'], 'string', 'Last characters of a string.'),
+  func('MID$', ['text$', 'start', 'count?'], 'string', 'Characters of a string from a position (1 is the first), to the end or for a count.'),
+  func('CHR$', ['code'], 'string', 'Character of a PETSCII code, e.g. CHR$(147) clears the screen.'),
+  func('ASC', ['text$'], 'integer', 'PETSCII code of the first character of a string.'),
+  func('STR$', ['number'], 'string', 'Number converted to a string.'),
+  func('VAL', ['text$'], 'float', 'Number written at the start of a string.'),
+
+  // Operators
+  operator('AND', 'a AND b', 'integer', 'Logical and bitwise AND.'),
+  operator('OR', 'a OR b', 'integer', 'Logical and bitwise OR.'),
+  operator('NOT', 'NOT a', 'integer', 'Logical and bitwise NOT.')
+]);
+
+export default c64Keywords;
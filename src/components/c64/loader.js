@@ -0,0 +1,439 @@
+// Load dialog of the C64 mode: picks a .PRG, .D64 or .T64 image from the
+// project or the computer, shows its directory and loads one of its programs
+import ProjectFiles from '../../utils/ProjectFiles.js'
+import { IMAGE_EXTENSIONS, openImage } from './images.js'
+
+class LoadDialog {
+  /**
+   * Create the dialog, hidden until show() is called
+   * @param {C64Editor} c64 - The C64 mode, which loads the programs into the emulator
+   */
+  constructor(c64) {
+    this.c64 = c64;
+    this.projectFiles = new ProjectFiles(c64.editor);
+    this.image = null;         // Image shown, from openImage()
+    this.fileName = null;      // Its file name
+    this.selectedEntry = null; // Directory entry to load
+    this.autostart = true;
+
+    this.addStyles();
+    this.createDialog();
+    document.body.appendChild(this.element);
+  }
+
+  createDialog() {
+    this.element = document.createElement('div');
+    this.element.className = 'c64-loader';
+    this.element.style.display = 'none';
+    this.element.tabIndex = -1;
+    this.element.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') this.hide();
+      if (event.key === 'Enter' && this.selectedEntry) this.load();
+    });
+
+    const header = document.createElement('div');
+    header.className = 'c64-loader-header';
+    const title = document.createElement('h2');
+    title.textContent = 'Load into the C64';
+    header.appendChild(title);
+    header.appendChild(this.createToolbar([
+      ['Refresh', () => this.refresh()],
+      ['From Computer...', () => this.loadFromComputer()],
+      ['Open Listing...', () => this.openListing()]
+    ]));
+
+    const body = document.createElement('div');
+    body.className = 'c64-loader-body';
+    this.filesElement = document.createElement('div');
+    this.filesElement.className = 'c64-loader-files';
+    this.directoryElement = document.createElement('div');
+    this.directoryElement.className = 'c64-loader-directory';
+    body.appendChild(this.filesElement);
+    body.appendChild(this.directoryElement);
+
+    const footer = this.createToolbar([
+      ['Load', () => this.load()],
+      ['List in Editor', () => this.listInEditor()],
+      ['Close', () => this.hide()]
+    ]);
+    footer.classList.add('c64-loader-footer');
+
+    const autostart = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = this.autostart;
+    checkbox.addEventListener('change', () => {
+      this.autostart = checkbox.checked;
+    });
+    autostart.appendChild(checkbox);
+    autostart.appendChild(document.createTextNode(' Autostart'));
+    footer.insertBefore(autostart, footer.firstChild);
+
+    this.element.appendChild(header);
+    this.element.appendChild(body);
+    this.element.appendChild(footer);
+  }
+
+  /**
+   * Create a row of buttons
+   * @param {Array} buttons - [label, handler] pairs
+   * @returns {HTMLElement} - The toolbar
+   */
+  createToolbar(buttons) {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'c64-loader-toolbar';
+    buttons.forEach(([label, handler]) => {
+      const button = document.createElement('button');
+      button.textContent = label;
+      button.addEventListener('click', handler);
+      toolbar.appendChild(button);
+    });
+    return toolbar;
+  }
+
+  /**
+   * Show the dialog, listing the images of the project
+   * @param {string} fileName - Image to show first, if any
+   * @param {Uint8Array} bytes - Its contents
+   */
+  show(fileName = null, bytes = null) {
+    this.element.style.display = 'flex';
+    this.element.focus();
+    if (fileName) {
+      this.showImage(fileName, bytes);
+    } else {
+      this.renderDirectory();
+    }
+    this.refresh();
+  }
+
+  hide() {
+    this.element.style.display = 'none';
+  }
+
+  // List the images found in the project on the server
+  async refresh() {
+    this.filesElement.innerHTML = '<div class="c64-loader-empty">Searching the project...</div>';
+
+    let files;
+    try {
+      files = await this.projectFiles.find(IMAGE_EXTENSIONS);
+    } catch (error) {
+      console.error('C64: Cannot list the project:', error);
+      this.filesElement.innerHTML = '<div class="c64-loader-empty">No project open on the server</div>';
+      return;
+    }
+
+    this.filesElement.innerHTML = '';
+    if (files.length === 0) {
+      this.filesElement.innerHTML = '<div class="c64-loader-empty">No .PRG, .D64 or .T64 files in the project</div>';
+      return;
+    }
+
+    files.forEach(file => {
+      const item = document.createElement('div');
+      item.className = 'c64-loader-item';
+      item.textContent = file.path;
+      item.title = file.path;
+      if (file.path === this.fileName) {
+        item.classList.add('active');
+      }
+      item.addEventListener('click', () => this.openFromProject(file.path));
+      this.filesElement.appendChild(item);
+    });
+  }
+
+  /**
+   * Read an image of the project and show its directory
+   * @param {string} filePath - Path in the project
+   */
+  async openFromProject(filePath) {
+    try {
+      const bytes = await this.projectFiles.readBytes(filePath);
+      this.showImage(filePath, bytes);
+    } catch (error) {
+      console.error(`C64: Cannot read ${filePath}:`, error);
+      this.c64.editor.appendOutput(`Cannot read ${filePath}: ${error.message}\n`, 'error');
+    }
+    this.filesElement.querySelectorAll('.c64-loader-item').forEach(item => {
+      item.classList.toggle('active', item.title === this.fileName);
+    });
+  }
+
+  async loadFromComputer() {
+    const file = await this.pickFile(IMAGE_EXTENSIONS.join(','));
+    if (file) {
+      this.showImage(file.name, new Uint8Array(await file.arrayBuffer()));
+    }
+  }
+
+  // Open a BASIC listing or program, as the other modes' Open does
+  async openListing() {
+    if (await this.c64.files.open()) {
+      this.hide();
+    }
+  }
+
+  /**
+   * Show the directory of an image, selecting its first program
+   * @param {string} fileName - File name, whose extension gives the kind of image
+   * @param {Uint8Array} bytes - Its contents
+   */
+  showImage(fileName, bytes) {
+    try {
+      this.image = openImage(fileName, bytes);
+      this.fileName = fileName;
+      this.selectedEntry = this.image.entries.find(entry => entry.type === 'PRG') || null;
+    } catch (error) {
+      console.error(`C64: Cannot open ${fileName}:`, error);
+      this.c64.editor.appendOutput(`Cannot open ${fileName}: ${error.message}\n`, 'error');
+      this.image = null;
+      this.fileName = null;
+      this.selectedEntry = null;
+    }
+    this.renderDirectory();
+  }
+
+  // The directory as LOAD"$",8 : LIST shows it
+  renderDirectory() {
+    this.directoryElement.innerHTML = '';
+    if (!this.image) {
+      this.directoryElement.innerHTML = '<div class="c64-loader-empty">Choose an image</div>';
+      return;
+    }
+
+    const header = document.createElement('div');
+    header.className = 'c64-loader-title';
+    header.textContent = `0 "${this.image.title.padEnd(16)}" ${this.image.id}`;
+    this.directoryElement.appendChild(header);
+
+    this.image.entries.forEach(entry => {
+      const row = document.createElement('div');
+      row.className = 'c64-loader-entry';
+      const name = `"${entry.name}"`.padEnd(18);
+      const type = `${entry.closed === false ? '*' : ' '}${entry.type}${entry.locked ? '<' : ''}`;
+      row.textContent = `${String(entry.blocks).padEnd(5)}${name}${type}`;
+      if (entry.type !== 'PRG') {
+        row.classList.add('disabled');
+      }
+      if (entry === this.selectedEntry) {
+        row.classList.add('active');
+      }
+      row.addEventListener('click', () => {
+        if (entry.type !== 'PRG') return;
+        this.selectedEntry = entry;
+        this.renderDirectory();
+      });
+      row.addEventListener('dblclick', () => {
+        if (entry.type !== 'PRG') return;
+        this.selectedEntry = entry;
+        this.load();
+      });
+      this.directoryElement.appendChild(row);
+    });
+
+    if (this.image.freeBlocks !== null) {
+      const free = document.createElement('div');
+      free.className = 'c64-loader-free';
+      free.textContent = `${this.image.freeBlocks} BLOCKS FREE.`;
+      this.directoryElement.appendChild(free);
+    }
+  }
+
+  /**
+   * Read the selected program out of the image
+   * @returns {Uint8Array|null} - PRG bytes, or null if there is nothing to load
+   * @private
+   */
+  readSelected() {
+    if (!this.image || !this.selectedEntry) {
+      this.c64.editor.appendOutput('Choose a program to load\n', 'warn');
+      return null;
+    }
+
+    try {
+      return this.image.read(this.selectedEntry);
+    } catch (error) {
+      console.error(`C64: Cannot read ${this.selectedEntry.name}:`, error);
+      this.c64.editor.appendOutput(`Cannot read ${this.selectedEntry.name}: ${error.message}\n`, 'error');
+      return null;
+    }
+  }
+
+  async load() {
+    const bytes = this.readSelected();
+    if (!bytes) return;
+
+    this.hide();
+    await this.c64.loadPrg(bytes, this.autostart, this.selectedEntry.name);
+  }
+
+  // List a BASIC program of the image in a new tab
+  listInEditor() {
+    const bytes = this.readSelected();
+    if (!bytes) return;
+
+    try {
+      const { text, warnings } = this.c64.format.read(bytes);
+      const fileName = `${this.selectedEntry.name.toLowerCase()}.prg`;
+      this.c64.editor.openDocument({ name: fileName, content: text, data: { fileName } });
+      warnings.forEach(warning => this.c64.editor.appendOutput(`${warning}\n`, 'warn'));
+      this.hide();
+    } catch (error) {
+      this.c64.editor.appendOutput(`Cannot list ${this.selectedEntry.name}: ${error.message}\n`, 'error');
+    }
+  }
+
+  pickFile(accept) {
+    return new Promise(resolve => {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = accept;
+      input.addEventListener('change', () => resolve(input.files[0] || null));
+      input.addEventListener('cancel', () => resolve(null));
+      input.click();
+    });
+  }
+
+  addStyles() {
+    // Add styles if not already present
+    if (!document.getElementById('c64-loader-styles')) {
+      const style = document.createElement('style');
+      style.id = 'c64-loader-styles';
+      style.textContent = `
+        .c64-loader {
+          position: fixed;
+          top: 50%;
+          left: 50%;
+          transform: translate(-50%, -50%);
+          width: 720px;
+          max-width: 90vw;
+          height: 480px;
+          max-height: 80vh;
+          flex-direction: column;
+          background-color: #2a2a2a;
+          border: 1px solid #444;
+          border-radius: 4px;
+          box-shadow: 0 4px 8px rgba(0, 0, 0, 0.3);
+          padding: 12px;
+          color: #ddd;
+          font-family: Arial, sans-serif;
+          font-size: 13px;
+          z-index: 1000;
+          outline: none;
+        }
+
+        .c64-loader-header {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          border-bottom: 1px solid #444;
+          padding-bottom: 8px;
+        }
+
+        .c64-loader-header h2 {
+          margin: 0;
+          font-size: 18px;
+          color: #eee;
+        }
+
+        .c64-loader-body {
+          display: flex;
+          flex: 1;
+          min-height: 0;
+          gap: 12px;
+          margin: 8px 0;
+        }
+
+        .c64-loader-toolbar {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 6px;
+        }
+
+        .c64-loader-toolbar button {
+          padding: 4px 10px;
+          background-color: #444;
+          color: #eee;
+          border: none;
+          border-radius: 3px;
+          cursor: pointer;
+        }
+
+        .c64-loader-toolbar button:hover {
+          background-color: #555;
+        }
+
+        .c64-loader-footer {
+          justify-content: flex-end;
+          border-top: 1px solid #444;
+          padding-top: 8px;
+        }
+
+        .c64-loader-footer label {
+          margin-right: auto;
+        }
+
+        .c64-loader-files {
+          width: 260px;
+          overflow-y: auto;
+          border-right: 1px solid #444;
+        }
+
+        .c64-loader-item {
+          padding: 4px 8px;
+          cursor: pointer;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+
+        .c64-loader-item.active,
+        .c64-loader-entry.active {
+          background-color: #6C5EB5;
+          color: #fff;
+        }
+
+        .c64-loader-empty {
+          padding: 8px;
+          color: #888;
+        }
+
+        .c64-loader-directory {
+          flex: 1;
+          overflow: auto;
+          padding: 8px;
+          background-color: #352879;
+          color: #6C5EB5;
+          font-family: 'C64', 'Courier New', monospace;
+          font-size: 14px;
+        }
+
+        .c64-loader-title {
+          color: #352879;
+          background-color: #6C5EB5;
+          display: inline-block;
+          white-space: pre;
+        }
+
+        .c64-loader-entry {
+          white-space: pre;
+          cursor: pointer;
+        }
+
+        .c64-loader-free {
+          white-space: pre;
+        }
+
+        .c64-loader-entry.disabled {
+          cursor: default;
+          opacity: 0.6;
+        }
+      `;
+      document.head.appendChild(style);
+    }
+  }
+}
+
+export default LoadDialog;
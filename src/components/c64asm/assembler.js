@@ -0,0 +1,833 @@
+/**
+ * assembler.js - Two-pass 6502 assembler for the C64 assembler mode
+ *
+ * Lines read [label[:]] [instruction|directive|macro] [operand] [; comment].
+ * A word in the first column is a label unless it is an instruction, a
+ * directive or a macro; anywhere else a label ends with a colon.
+ *
+ *   *= $C000           origin of the code that follows (also .org)
+ *   NAME = expression  constant
+ *   .byte 1, "TEXT"    bytes and PETSCII strings
+ *   .word label, 10    16-bit words, low byte first
+ *   .fill count, value repeated bytes
+ *   .macro name a, b   macro, up to .endm; \a and \b are replaced by the
+ *                      arguments and \@ makes labels unique to each use
+ *
+ * Numbers are decimal, $hex, %binary or 'c' (PETSCII); * is the address of
+ * the current line; <value and >value are its low and high bytes.
+ * Operators: + - * / & | ^ << >> ~ and ( ) or [ ] for grouping.
+ *
+ * The first pass finds the addresses of the labels, the second writes the
+ * code. An address not known in the first pass is taken as absolute, and the
+ * second pass keeps the sizes of the first so that the labels stay put.
+ */
+
+import { INSTRUCTIONS, MODE_SIZES, hex } from '../c64/cpu6510.js';
+
+// Extensions of the source files
+export const SOURCE_EXTENSIONS = ['.asm', '.s', '.a65'];
+
+const DIRECTIVES = ['.BYTE', '.WORD', '.FILL', '.ORG', '.MACRO', '.ENDM'];
+
+// Macros using macros, up to this depth
+const MAX_MACRO_DEPTH = 16;
+
+// Binary operators, by precedence
+const BINARY_OPERATORS = {
+  '|': 1, '^': 2, '&': 3, '<<': 4, '>>': 4, '+': 5, '-': 5, '*': 6, '/': 6
+};
+
+const EXPRESSION_TOKEN = /\s*(?:(\$[0-9A-Fa-f]+)|(%[01]+)|([0-9]+)|'(.)'|([A-Za-z_][A-Za-z0-9_]*)|(<<|>>|[-+*/&|^~<>()[\]]))/y;
+
+class AssemblyError extends Error {
+  /**
+   * Create an error of a source line
+   *
+   * @param {string} message - Error message
+   * @param {number|null} from - First column of the text at fault
+   * @param {number|null} to - Column after it
+   */
+  constructor(message, from = null, to = null) {
+    super(message);
+    this.name = 'AssemblyError';
+    this.from = from;
+    this.to = to;
+  }
+}
+
+/**
+ * PETSCII code of a character, as C64File writes strings: upper-case
+ * letters are the unshifted ones, lower-case letters the shifted ones
+ * @param {string} char - The character
+ * @returns {number|null} - The code, or null if it has none
+ */
+function petscii(char) {
+  const code = char.charCodeAt(0);
+  if (code >= 0x61 && code <= 0x7A) return code + 0x60;
+  if (code >= 0x20 && code <= 0x5D) return code;
+  return null;
+}
+
+/**
+ * Remove the comment of a line, leaving semicolons in strings alone
+ * @param {string} text - Source line
+ * @returns {string} - The code, without trailing spaces
+ */
+function stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"') {
+      quote = char;
+    } else if (char === "'" && text[i + 2] === "'") {
+      i += 2; // Character constant
+    } else if (char === ';') {
+      return text.slice(0, i).trimEnd();
+    }
+  }
+  return text.trimEnd();
+}
+
+/**
+ * Split a list at its commas, outside strings and brackets
+ * @param {string} text - The list
+ * @param {number} column - Column of the list in its line
+ * @returns {Array<Object>} - Items with their text and column
+ */
+function splitList(text, column) {
+  const items = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+  const add = (end) => {
+    const raw = text.slice(start, end);
+    const leading = raw.length - raw.trimStart().length;
+    items.push({ text: raw.trim(), column: column + start + leading });
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"') {
+      quote = char;
+    } else if (char === "'" && text[i + 2] === "'") {
+      i += 2;
+    } else if (char === '(' || char === '[') {
+      depth++;
+    } else if (char === ')' || char === ']') {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      add(i);
+      start = i + 1;
+    }
+  }
+  add(text.length);
+  return items;
+}
+
+class Assembler {
+  /**
+   * Assemble a program
+   *
+   * @param {string} source - Program source
+   * @returns {Object} - bytes (a PRG image, or null if there are errors),
+   *   start and end addresses (end excluded), symbols (Map of name to value)
+   *   and errors: problems with line (1-based), from and to (columns),
+   *   severity ('error' or 'warning') and message, in line order
+   */
+  assemble(source) {
+    this.errors = [];
+    this.macros = new Map();
+    this.expansions = 0;
+    this.statements = this.readSource(source.split('\n'));
+    this.symbols = new Map();
+    this.layout = []; // Values each statement found in the first pass
+
+    this.runPass(1);
+    this.memory = new Uint8Array(0x10000);
+    this.written = new Uint8Array(0x10000);
+    this.start = null;
+    this.end = null;
+    this.runPass(2);
+
+    const errors = this.errors.sort((a, b) => a.line - b.line || a.from - b.from);
+    const result = { bytes: null, start: this.start, end: this.end, symbols: this.symbols, errors };
+    if (errors.some(error => error.severity === 'error')) return result;
+    if (this.start === null) {
+      errors.push({ line: 1, from: 0, to: 0, severity: 'error', message: 'The program has no code' });
+      return result;
+    }
+
+    const bytes = new Uint8Array(this.end - this.start + 2);
+    bytes[0] = this.start & 0xFF;
+    bytes[1] = this.start >> 8;
+    bytes.set(this.memory.subarray(this.start, this.end), 2);
+    result.bytes = bytes;
+    return result;
+  }
+
+  /**
+   * Record a problem of a statement
+   * @private
+   */
+  report(statement, error, severity = 'error') {
+    const inMacro = statement.macro !== null;
+    const from = inMacro || error.from === null ? 0 : error.from;
+    const to = inMacro || error.to === null ? statement.length : error.to;
+    this.errors.push({
+      line: statement.line,
+      from,
+      to: Math.max(to, from),
+      severity,
+      message: inMacro ? `In macro ${statement.macro}: ${error.message}` : error.message
+    });
+  }
+
+  /**
+   * Split the source into statements, keeping the macro definitions aside
+   * and expanding their uses
+   * @private
+   */
+  readSource(lines) {
+    const statements = [];
+    let definition = null;
+
+    lines.forEach((text, index) => {
+      const line = index + 1;
+      if (definition) {
+        if (/^\s*\.endm\b/i.test(stripComment(text))) {
+          this.macros.set(definition.name, definition);
+          definition = null;
+        } else if (/^\s*\.macro\b/i.test(stripComment(text))) {
+          this.report({ line, length: text.length, macro: null }, new AssemblyError('A macro cannot be defined inside another one'));
+        } else {
+          definition.body.push(text);
+        }
+        return;
+      }
+
+      const statement = this.parseLine(text, line, null);
+      if (!statement) return;
+
+      switch (statement.operation) {
+        case '.MACRO':
+          definition = this.defineMacro(statement);
+          break;
+
+        case '.ENDM':
+          this.report(statement, new AssemblyError('.endm without .macro', statement.operationColumn, statement.operandColumn));
+          break;
+
+        default:
+          this.addStatement(statements, statement, 0);
+      }
+    });
+
+    if (definition) {
+      const error = new AssemblyError(`Missing .endm at the end of macro ${definition.name}`);
+      this.report({ line: definition.line, length: lines[definition.line - 1].length, macro: null }, error);
+    }
+    return statements;
+  }
+
+  /**
+   * Read the name and parameters of a macro
+   * @private
+   */
+  defineMacro(statement) {
+    const match = /^(\S*)\s*/.exec(statement.operand);
+    const name = { text: match[1], column: statement.operandColumn };
+    const rest = statement.operand.slice(match[0].length);
+    const params = rest ? splitList(rest, statement.operandColumn + match[0].length) : [];
+    const definition = { name: name.text, params: params.map(param => param.text), body: [], line: statement.line };
+    if (statement.label) {
+      this.report(statement, new AssemblyError('A macro definition cannot have a label', statement.labelColumn, statement.labelColumn + statement.label.length));
+    }
+    [name, ...params].forEach(item => {
+      if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(item.text)) {
+        this.report(statement, new AssemblyError(`"${item.text}" is not a valid name`, item.column, item.column + item.text.length));
+      }
+    });
+    if (INSTRUCTIONS[definition.name.toUpperCase()]) {
+      this.report(statement, new AssemblyError(`${definition.name} is an instruction`, name.column, name.column + name.text.length));
+    }
+    return definition;
+  }
+
+  /**
+   * Add a statement, replacing a macro by its lines
+   * @private
+   */
+  addStatement(statements, statement, depth) {
+    const macro = statement.operation === null && statement.name !== null ? this.macros.get(statement.name) : null;
+    if (!macro) {
+      statements.push(statement);
+      return;
+    }
+
+    // The label of the line is the address of the first line of the macro
+    if (statement.label) {
+      statements.push({ ...statement, name: null, operand: '' });
+    }
+    if (depth >= MAX_MACRO_DEPTH) {
+      this.report(statement, new AssemblyError(`Macro ${macro.name} uses itself`));
+      return;
+    }
+
+    const args = statement.operand ? splitList(statement.operand, statement.operandColumn) : [];
+    if (args.length !== macro.params.length) {
+      const count = macro.params.length;
+      this.report(statement, new AssemblyError(`Macro ${macro.name} takes ${count} argument${count === 1 ? '' : 's'}`, statement.operandColumn, statement.length));
+      return;
+    }
+
+    const expansion = ++this.expansions;
+    const params = macro.params
+      .map((param, index) => ({ param, value: args[index].text }))
+      .sort((a, b) => b.param.length - a.param.length);
+    macro.body.forEach(text => {
+      params.forEach(({ param, value }) => {
+        text = text.replace(new RegExp(`\\\\${param}\\b`, 'g'), () => value);
+      });
+      text = text.replace(/\\@/g, `_${expansion}`);
+
+      const line = this.parseLine(text, statement.line, statement.macro || macro.name, statement.length);
+      if (line) {
+        this.addStatement(statements, line, depth + 1);
+      }
+    });
+  }
+
+  /**
+   * Split a line into label, operation and operand
+   * @param {string} text - Source line
+   * @param {number} line - Line number
+   * @param {string|null} macro - Macro the line comes from
+   * @param {number} length - Length of the line in the source, for the errors of macro lines
+   * @returns {Object|null} - The statement, or null for a line with no code
+   * @private
+   */
+  parseLine(text, line, macro, length = text.length) {
+    const code = stripComment(text);
+    const statement = {
+      line, length, macro,
+      label: null, labelColumn: 0,
+      name: null, // Instruction, directive or macro as written
+      operation: null, // Upper-case instruction or directive
+      operationColumn: 0,
+      operand: '', operandColumn: code.length,
+      origin: false, constant: false
+    };
+    if (!code.trim()) return null;
+
+    const setOperand = (column) => {
+      const rest = code.slice(column);
+      statement.operand = rest.trim();
+      statement.operandColumn = column + rest.length - rest.trimStart().length;
+    };
+
+    // *= address, and NAME = value
+    let match = /^\s*\*\s*=/.exec(code);
+    if (match) {
+      statement.origin = true;
+      setOperand(match[0].length);
+      return statement;
+    }
+    match = /^(\s*)([A-Za-z_][A-Za-z0-9_]*)\s*=/.exec(code);
+    if (match) {
+      statement.constant = true;
+      statement.label = match[2];
+      statement.labelColumn = match[1].length;
+      setOperand(match[0].length);
+      return statement;
+    }
+
+    match = /^(\s*)([A-Za-z_.][A-Za-z0-9_.]*)(:?)/.exec(code);
+    if (!match) {
+      this.report(statement, new AssemblyError('Syntax error', code.length - code.trimStart().length, code.length));
+      return null;
+    }
+
+    let column = match[0].length;
+    let word = match[2];
+    let wordColumn = match[1].length;
+    if (match[3] || (wordColumn === 0 && !this.isOperation(word))) {
+      if (word.startsWith('.')) {
+        this.report(statement, new AssemblyError(`Unknown directive ${word}`, wordColumn, column));
+        return null;
+      }
+      statement.label = word;
+      statement.labelColumn = wordColumn;
+
+      match = /^(\s*)([A-Za-z_.][A-Za-z0-9_.]*)/.exec(code.slice(column));
+      if (!match) {
+        if (code.slice(column).trim()) {
+          this.report(statement, new AssemblyError('Syntax error', column, code.length));
+          return null;
+        }
+        return statement;
+      }
+      word = match[2];
+      wordColumn = column + match[1].length;
+      column += match[0].length;
+    }
+
+    statement.name = word;
+    statement.operationColumn = wordColumn;
+    const upper = word.toUpperCase();
+    if (INSTRUCTIONS[upper] || DIRECTIVES.includes(upper)) {
+      statement.operation = upper;
+    } else if (!this.macros.has(word)) {
+      const kind = word.startsWith('.') ? 'directive' : 'instruction or macro';
+      this.report(statement, new AssemblyError(`Unknown ${kind} ${word}`, wordColumn, column));
+      return null;
+    }
+    setOperand(column);
+    return statement;
+  }
+
+  /**
+   * Check whether a word is an instruction, a directive or a macro
+   * @private
+   */
+  isOperation(word) {
+    const upper = word.toUpperCase();
+    return Boolean(INSTRUCTIONS[upper]) || DIRECTIVES.includes(upper) || this.macros.has(word);
+  }
+
+  /**
+   * Go through the statements, placing the labels and, in the second pass,
+   * writing the code
+   * @private
+   */
+  runPass(pass) {
+    this.pass = pass;
+    this.pc = null;
+    this.defined = new Set();
+
+    this.statements.forEach((statement, index) => {
+      this.index = index;
+      this.statement = statement;
+      try {
+        this.assembleStatement(statement);
+      } catch (error) {
+        if (!(error instanceof AssemblyError)) throw error;
+        if (pass === 2) {
+          this.report(statement, error);
+        }
+      }
+    });
+  }
+
+  /**
+   * Assemble one statement
+   * @private
+   */
+  assembleStatement(statement) {
+    const operand = { text: statement.operand, column: statement.operandColumn };
+
+    if (statement.origin) {
+      this.pc = this.fixedValue(operand, 0xFFFF, 'origin');
+      return;
+    }
+    if (statement.constant) {
+      this.define(statement, this.evaluate(operand));
+      return;
+    }
+    if (statement.label) {
+      if (this.pc === null) throw this.noOrigin();
+      this.define(statement, this.pc);
+    }
+
+    const operation = statement.operation;
+    if (!operation) return;
+    if (INSTRUCTIONS[operation]) {
+      this.assembleInstruction(operation, operand);
+      return;
+    }
+
+    switch (operation) {
+      case '.ORG':
+        this.pc = this.fixedValue(operand, 0xFFFF, 'origin');
+        break;
+
+      case '.BYTE':
+        this.emit(this.listItems(operand).flatMap(item => this.byteItem(item)));
+        break;
+
+      case '.WORD':
+        this.emit(this.listItems(operand).flatMap(item => {
+          const value = this.checkRange(this.evaluate(item), 0xFFFF, item, 'a word');
+          return [value & 0xFF, (value >> 8) & 0xFF];
+        }));
+        break;
+
+      case '.FILL': {
+        const [count, fill] = this.listItems(operand);
+        if (!count) throw new AssemblyError('.fill needs a count', operand.column);
+        const length = this.fixedValue(count, 0xFFFF, 'count');
+        const value = fill ? this.checkRange(this.evaluate(fill), 0xFF, fill, 'a byte') & 0xFF : 0;
+        this.emit(new Array(length).fill(value));
+        break;
+      }
+    }
+  }
+
+  /**
+   * Give a label or constant its value
+   * @private
+   */
+  define(statement, value) {
+    const name = statement.label;
+    if (this.defined.has(name)) {
+      throw new AssemblyError(`${name} is already defined`, statement.labelColumn, statement.labelColumn + name.length);
+    }
+    if (INSTRUCTIONS[name.toUpperCase()]) {
+      throw new AssemblyError(`${name} is an instruction and cannot be a label`, statement.labelColumn, statement.labelColumn + name.length);
+    }
+    this.defined.add(name);
+    if (value !== null) {
+      this.symbols.set(name, value);
+    }
+  }
+
+  /**
+   * Assemble an instruction
+   * @private
+   */
+  assembleInstruction(mnemonic, operand) {
+    const modes = INSTRUCTIONS[mnemonic];
+    const text = operand.text;
+    const inner = (prefix, suffixLength) => ({
+      text: text.slice(prefix, text.length - suffixLength).trim(),
+      column: operand.column + prefix
+    });
+
+    if (!text || (modes.acc !== undefined && /^a$/i.test(text))) {
+      const mode = modes.imp !== undefined ? 'imp' : 'acc';
+      if (modes[mode] === undefined) throw new AssemblyError(`${mnemonic} needs an operand`, operand.column);
+      this.emit([modes[mode]]);
+      return;
+    }
+    if (modes.imp !== undefined) {
+      throw new AssemblyError(`${mnemonic} takes no operand`, operand.column, operand.column + text.length);
+    }
+
+    if (modes.rel !== undefined) {
+      const target = this.evaluate(operand);
+      let offset = 0;
+      if (target !== null && this.pass === 2) {
+        offset = target - (this.pc + 2);
+        if (offset < -128 || offset > 127) {
+          throw new AssemblyError(`Branch to $${hex(target & 0xFFFF, 4)} is out of range (${offset} bytes)`, operand.column, operand.column + text.length);
+        }
+      }
+      this.emit([modes.rel, offset & 0xFF]);
+      return;
+    }
+
+    if (text.startsWith('#')) {
+      const value = this.evaluate(inner(1, 0));
+      this.instruction(mnemonic, 'imm', this.checkRange(value, 0xFF, operand, 'a byte'));
+      return;
+    }
+
+    let match;
+    if ((match = /^\((.*),\s*x\s*\)$/i.exec(text))) {
+      this.indirect(mnemonic, 'izx', this.evaluate(inner(1, text.length - 1 - match[1].length)), operand);
+      return;
+    }
+    if ((match = /^\((.*)\)\s*,\s*y$/i.exec(text))) {
+      this.indirect(mnemonic, 'izy', this.evaluate(inner(1, text.length - 1 - match[1].length)), operand);
+      return;
+    }
+    if (modes.ind !== undefined && /^\(.*\)$/.test(text)) {
+      this.instruction(mnemonic, 'ind', this.checkRange(this.evaluate(inner(1, 1)), 0xFFFF, operand, 'an address'));
+      return;
+    }
+
+    // nn, nn,X and nn,Y: zero page when the address is known to be below $100
+    match = /^(.*?)\s*,\s*([xy])$/i.exec(text);
+    const index = match ? match[2].toLowerCase() : '';
+    const value = this.evaluate(match ? { text: match[1], column: operand.column } : operand);
+    const zeroPage = `zp${index}`;
+    const absolute = index ? `ab${index}` : 'abs';
+
+    let mode = this.layout[this.index];
+    if (this.pass === 1) {
+      const fits = value !== null && value >= 0 && value <= 0xFF;
+      mode = modes[zeroPage] !== undefined && (fits || modes[absolute] === undefined) ? zeroPage : absolute;
+      this.layout[this.index] = mode;
+    }
+    if (modes[mode] === undefined) {
+      throw new AssemblyError(`${mnemonic} has no ${index ? `,${index.toUpperCase()} ` : ''}addressing mode for this operand`, operand.column, operand.column + text.length);
+    }
+    const limit = mode === zeroPage ? 0xFF : 0xFFFF;
+    this.instruction(mnemonic, mode, this.checkRange(value, limit, operand, limit === 0xFF ? 'the zero page' : 'an address'));
+  }
+
+  /**
+   * Assemble (nn,X) or (nn),Y, whose pointer is in the zero page
+   * @private
+   */
+  indirect(mnemonic, mode, value, operand) {
+    if (INSTRUCTIONS[mnemonic][mode] === undefined) {
+      throw new AssemblyError(`${mnemonic} has no ${mode === 'izx' ? '(nn,X)' : '(nn),Y'} addressing mode`, operand.column, operand.column + operand.text.length);
+    }
+    this.instruction(mnemonic, mode, this.checkRange(value, 0xFF, operand, 'the zero page'));
+  }
+
+  /**
+   * Write an opcode and its operand
+   * @private
+   */
+  instruction(mnemonic, mode, value) {
+    const bytes = [INSTRUCTIONS[mnemonic][mode]];
+    if (MODE_SIZES[mode] >= 2) bytes.push(value & 0xFF);
+    if (MODE_SIZES[mode] === 3) bytes.push((value >> 8) & 0xFF);
+    this.emit(bytes);
+  }
+
+  /**
+   * Write bytes at the current address, which then moves past them
+   * @private
+   */
+  emit(bytes) {
+    if (this.pc === null) throw this.noOrigin();
+    if (this.pc + bytes.length > 0x10000) {
+      throw new AssemblyError('The code goes past $FFFF');
+    }
+
+    if (this.pass === 2 && bytes.length > 0) {
+      const overlap = this.written.subarray(this.pc, this.pc + bytes.length).indexOf(1);
+      if (overlap >= 0) {
+        this.report(this.statement, new AssemblyError(`Overwrites the code at $${hex(this.pc + overlap, 4)}`), 'warning');
+      }
+      this.memory.set(bytes, this.pc);
+      this.written.fill(1, this.pc, this.pc + bytes.length);
+      this.start = this.start === null ? this.pc : Math.min(this.start, this.pc);
+      this.end = this.end === null ? this.pc + bytes.length : Math.max(this.end, this.pc + bytes.length);
+    }
+    this.pc += bytes.length;
+  }
+
+  /**
+   * The error of code placed before any *=
+   * @private
+   */
+  noOrigin() {
+    return new AssemblyError('No origin: set the address of the code with *= first, e.g. *= $C000');
+  }
+
+  /**
+   * Split the operand of a directive into items
+   * @private
+   */
+  listItems(operand) {
+    if (!operand.text) return [];
+    return splitList(operand.text, operand.column);
+  }
+
+  /**
+   * The bytes of a .byte item: a string or a value
+   * @private
+   */
+  byteItem(item) {
+    if (item.text.startsWith('"')) {
+      if (item.text.length < 2 || !item.text.endsWith('"')) {
+        throw new AssemblyError('Unterminated string', item.column, item.column + item.text.length);
+      }
+      return [...item.text.slice(1, -1)].map((char, index) => {
+        const code = petscii(char);
+        if (code === null) {
+          const column = item.column + 1 + index;
+          throw new AssemblyError(`"${char}" has no PETSCII code: write its number instead`, column, column + 1);
+        }
+        return code;
+      });
+    }
+    return [this.checkRange(this.evaluate(item), 0xFF, item, 'a byte') & 0xFF];
+  }
+
+  /**
+   * Check that a value fits, negative values counting from the top
+   * @returns {number} - The value, 0 if it is not known yet
+   * @private
+   */
+  checkRange(value, limit, item, what) {
+    if (value === null) return 0;
+    if (value > limit || value < -(limit + 1) / 2) {
+      throw new AssemblyError(`${value < 0 ? '-' : ''}$${hex(Math.abs(value))} does not fit in ${what}`, item.column, item.column + item.text.length);
+    }
+    return value;
+  }
+
+  /**
+   * Evaluate a value the first pass must already know, e.g. an origin
+   * @private
+   */
+  fixedValue(item, limit, what) {
+    let value = this.evaluate(item);
+    if (this.pass === 1) {
+      this.layout[this.index] = value;
+    } else {
+      value = this.layout[this.index];
+      if (value === null) {
+        throw new AssemblyError(`The ${what} cannot use labels defined further down`, item.column, item.column + item.text.length);
+      }
+    }
+    if (value === null) {
+      throw new AssemblyError(`Unknown ${what}`, item.column);
+    }
+    if (value < 0 || value > limit) {
+      throw new AssemblyError(`The ${what} must be between 0 and $${hex(limit, 4)}`, item.column, item.column + item.text.length);
+    }
+    return value;
+  }
+
+  /**
+   * Evaluate an expression
+   * @param {Object} item - text and column of the expression
+   * @returns {number|null} - The value, or null in the first pass if it uses a label not defined yet
+   * @private
+   */
+  evaluate(item) {
+    if (!item.text) {
+      throw new AssemblyError('Missing value', item.column);
+    }
+
+    const tokens = [];
+    EXPRESSION_TOKEN.lastIndex = 0;
+    while (EXPRESSION_TOKEN.lastIndex < item.text.length) {
+      const start = EXPRESSION_TOKEN.lastIndex;
+      const match = EXPRESSION_TOKEN.exec(item.text);
+      if (!match) {
+        const column = item.column + start + (item.text.slice(start).length - item.text.slice(start).trimStart().length);
+        throw new AssemblyError(`Unexpected "${item.text.slice(start).trim()[0]}"`, column, column + 1);
+      }
+      const column = item.column + match.index + match[0].length - match[0].trimStart().length;
+      const [, hexNumber, binary, decimal, char, name, operator] = match;
+      if (hexNumber) tokens.push({ value: parseInt(hexNumber.slice(1), 16), column });
+      else if (binary) tokens.push({ value: parseInt(binary.slice(1), 2), column });
+      else if (decimal) tokens.push({ value: parseInt(decimal, 10), column });
+      else if (char !== undefined) {
+        const code = petscii(char);
+        if (code === null) throw new AssemblyError(`'${char}' has no PETSCII code`, column, column + 3);
+        tokens.push({ value: code, column });
+      } else if (name) tokens.push({ name, column });
+      else tokens.push({ operator, column });
+    }
+
+    this.tokens = tokens;
+    this.position = 0;
+    const value = this.parseExpression();
+    if (this.position < tokens.length) {
+      const token = tokens[this.position];
+      throw new AssemblyError('Syntax error in the expression', token.column, item.column + item.text.length);
+    }
+    return value;
+  }
+
+  /**
+   * Parse an expression; < and > in front take the low or high byte of all of it
+   * @private
+   */
+  parseExpression() {
+    const token = this.tokens[this.position];
+    if (token && (token.operator === '<' || token.operator === '>')) {
+      this.position++;
+      const value = this.parseExpression();
+      if (value === null) return null;
+      return token.operator === '<' ? value & 0xFF : (value >> 8) & 0xFF;
+    }
+    return this.parseBinary(1);
+  }
+
+  /**
+   * Parse the operators of a precedence and above
+   * @private
+   */
+  parseBinary(precedence) {
+    let left = this.parseUnary();
+    for (;;) {
+      const token = this.tokens[this.position];
+      const operatorPrecedence = token && BINARY_OPERATORS[token.operator];
+      if (!operatorPrecedence || operatorPrecedence < precedence) return left;
+
+      this.position++;
+      const right = this.parseBinary(operatorPrecedence + 1);
+      if (left === null || right === null) {
+        left = null;
+        continue;
+      }
+      switch (token.operator) {
+        case '|': left = left | right; break;
+        case '^': left = left ^ right; break;
+        case '&': left = left & right; break;
+        case '<<': left = left << right; break;
+        case '>>': left = left >> right; break;
+        case '+': left = left + right; break;
+        case '-': left = left - right; break;
+        case '*': left = left * right; break;
+        case '/':
+          if (right === 0) throw new AssemblyError('Division by zero', token.column, token.column + 1);
+          left = Math.trunc(left / right);
+          break;
+      }
+    }
+  }
+
+  /**
+   * Parse a value with its unary operators
+   * @private
+   */
+  parseUnary() {
+    const token = this.tokens[this.position++];
+    if (!token) {
+      const last = this.tokens[this.tokens.length - 1];
+      throw new AssemblyError('Missing value', last ? last.column : null);
+    }
+
+    if (token.value !== undefined) return token.value;
+
+    if (token.name) {
+      if (this.symbols.has(token.name)) return this.symbols.get(token.name);
+      if (this.pass === 1) return null;
+      throw new AssemblyError(`Unknown label ${token.name}`, token.column, token.column + token.name.length);
+    }
+
+    switch (token.operator) {
+      case '*':
+        if (this.pc === null) throw this.noOrigin();
+        return this.pc;
+
+      case '-':
+      case '~':
+      case '<':
+      case '>': {
+        const value = this.parseUnary();
+        if (value === null) return null;
+        if (token.operator === '-') return -value;
+        if (token.operator === '~') return ~value & 0xFFFF;
+        return token.operator === '<' ? value & 0xFF : (value >> 8) & 0xFF;
+      }
+
+      case '(':
+      case '[': {
+        const value = this.parseExpression();
+        const close = this.tokens[this.position++];
+        const expected = token.operator === '(' ? ')' : ']';
+        if (!close || close.operator !== expected) {
+          throw new AssemblyError(`Missing ${expected}`, token.column, close ? close.column : null);
+        }
+        return value;
+      }
+    }
+    throw new AssemblyError(`Unexpected "${token.operator}"`, token.column, token.column + token.operator.length);
+  }
+}
+
+export default Assembler;
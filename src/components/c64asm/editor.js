@@ -0,0 +1,219 @@
+// C64 Assembler Editor component: 6502 source beside the Vicii-ous emulator
+import { EditorView } from '@codemirror/view'
+import C64Editor from '../c64/editor.js'
+import Assembler, { SOURCE_EXTENSIONS } from './assembler.js'
+import { asmLanguage } from './language.js'
+import { asmLintExtensions } from './lint.js'
+
+const SAMPLE_PROGRAM = `; 6502 assembler for the C64: Run assembles the program,
+; loads it into the emulator and starts it
+
+CHROUT  = $FFD2         ; KERNAL: print a character
+BORDER  = $D020
+PAPER   = $D021
+
+        *= $0801        ; BASIC line 10 SYS 2061, so that RUN starts the code
+        .word next, 10
+        .byte $9E, "2061", 0
+next    .word 0
+
+.macro  colors border, paper
+        lda #\\border
+        sta BORDER
+        lda #\\paper
+        sta PAPER
+.endm
+
+start   colors 0, 6
+        ldx #0
+loop    lda message,x
+        beq done
+        jsr CHROUT
+        inx
+        bne loop
+done    rts
+
+message .byte 147, "HELLO FROM 6502 ASSEMBLER!", 13, 0
+`;
+
+// The emulator, its bridge, the monitor and the snapshots are the ones of
+// the BASIC mode; the listing is assembled instead of tokenized
+class C64AsmEditor extends C64Editor {
+  constructor(container, editor) {
+    super(container, editor);
+    this.assembler = new Assembler();
+  }
+  
+  // Provide configuration for the main Editor component
+  getConfig() {
+    // The colours of the C64 mode, with labels and directives
+    const asmTheme = EditorView.theme({
+      "&": {
+        backgroundColor: "#352879",
+        color: "#6C5EB5",
+        fontFamily: "'C64', 'Courier New', monospace",
+        fontSize: "16px",
+        height: "100%"
+      },
+      ".cm-content": {
+        caretColor: "#6C5EB5"
+      },
+      ".cm-cursor": {
+        borderLeftColor: "#6C5EB5",
+        borderLeftWidth: "2px"
+      },
+      ".cm-gutters": {
+        backgroundColor: "#352879",
+        color: "#6C5EB5",
+        border: "none"
+      },
+      ".cm-keyword": {
+        color: "#FFFFFF"
+      },
+      ".cm-meta": {
+        color: "#70A4B2" // C64 cyan
+      },
+      ".cm-label": {
+        color: "#B8C76F" // C64 yellow
+      },
+      ".cm-string": {
+        color: "#B8C76F"
+      },
+      ".cm-number": {
+        color: "#9AD284" // C64 light green
+      },
+      ".cm-comment": {
+        color: "#959595" // C64 grey 2
+      }
+    });
+    
+    return {
+      extensions: [
+        asmTheme,
+        asmLanguage(),
+        asmLintExtensions(problems => this.editor.showProblems(problems))
+      ],
+      initialDoc: SAMPLE_PROGRAM,
+      title: 'C64 Assembler'
+    };
+  }
+  
+  /**
+   * Assemble the listing, reporting the errors in the Output window
+   * @returns {Object|null} - The result of the assembler, or null if there are errors
+   */
+  assemble() {
+    const result = this.assembler.assemble(this.getContent());
+    this.editor.showProblems(result.errors);
+    
+    const errors = result.errors.filter(problem => problem.severity === 'error');
+    result.errors
+      .filter(problem => problem.severity === 'warning')
+      .forEach(problem => this.editor.appendOutput(`Line ${problem.line}: ${problem.message}\n`, 'warn'));
+    if (errors.length > 0) {
+      const first = errors[0];
+      const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : '';
+      this.editor.appendOutput(`Cannot assemble the program: line ${first.line}: ${first.message}${more}\n`, 'error');
+      return null;
+    }
+    
+    const start = result.start.toString(16).toUpperCase().padStart(4, '0');
+    const end = (result.end - 1).toString(16).toUpperCase().padStart(4, '0');
+    this.editor.appendOutput(`Assembled ${result.end - result.start} bytes, $${start}-$${end}\n`);
+    return result;
+  }
+  
+  // Name of the program, from the file of the tab
+  programName() {
+    const fileName = this.editor.getActiveTab().data.fileName || 'program.asm';
+    return fileName.replace(/\.[^.]*$/, '');
+  }
+  
+  // Methods that can be called from the icon bar
+  
+  // Run assembles the listing and loads the PRG into the emulator, which
+  // types RUN for code at $0801 and SYS to its address otherwise
+  runProgram() {
+    console.log('C64 Assembler: Running program');
+    const result = this.assemble();
+    if (result) {
+      this.loadPrg(result.bytes, true, this.programName().toUpperCase());
+    }
+  }
+  
+  // Assemble downloads the PRG file
+  assembleProgram() {
+    console.log('C64 Assembler: Assembling program');
+    const result = this.assemble();
+    if (result) {
+      this.files.download(result.bytes, `${this.programName()}.prg`);
+    }
+  }
+  
+  // Machine code does not check RUN/STOP: Stop pauses the CPU in the monitor
+  stopProgram() {
+    console.log('C64 Assembler: Stopping program');
+    this.debugCommand('stop');
+  }
+  
+  showHelp() {
+    console.log('C64 Assembler: Showing help');
+    alert('6502 Assembler Help:\n\n' +
+      'label   lda #$01    ; comment\n' +
+      'NAME = value        constant\n' +
+      '*= $C000            address of the code that follows\n' +
+      '.byte 1, "TEXT"     bytes and PETSCII strings\n' +
+      '.word label         16-bit words, low byte first\n' +
+      '.fill count, value  repeated bytes\n' +
+      '.macro name a, b ... .endm   macro; \\a, \\b are its arguments, \\@ makes labels unique\n\n' +
+      'Numbers: 10, $0A, %1010, \'A\'. <value and >value are the low and high bytes.\n\n' +
+      'Run assembles the program and starts it in the C64; Debug opens the monitor.');
+  }
+  
+  // Open picks an assembler source on the computer and lists it in a new tab
+  openFile() {
+    console.log('C64 Assembler: Opening file');
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = SOURCE_EXTENSIONS.join(',');
+    input.addEventListener('change', async () => {
+      const file = input.files[0];
+      if (!file) return;
+      try {
+        const content = await file.text();
+        this.editor.openDocument({ name: file.name, content, data: { fileName: file.name } });
+        this.editor.appendOutput(`Opened ${file.name}\n`);
+      } catch (error) {
+        console.error(`Error opening ${file.name}:`, error);
+        this.editor.appendOutput(`Cannot open ${file.name}: ${error.message}\n`, 'error');
+      }
+    });
+    input.click();
+  }
+  
+  // Save downloads the source
+  saveFile() {
+    console.log('C64 Assembler: Saving file');
+    const data = this.editor.getActiveTab().data;
+    const fileName = data.fileName || 'program.asm';
+    this.files.download(new TextEncoder().encode(this.getContent()), fileName);
+    data.fileName = fileName;
+    this.editor.markSaved(fileName);
+    this.editor.appendOutput(`Saved ${fileName}\n`);
+  }
+  
+  // The source has no line numbers: Renumber does not apply, and Go To
+  // Line goes to an editor row
+  renumber() {
+    this.editor.appendOutput('Renumber is only available in the modes with line numbers\n', 'warn');
+  }
+  
+  goToLineNumber() {
+    const answer = prompt('Go to line');
+    if (answer && /^\s*[0-9]+\s*$/.test(answer)) {
+      this.editor.goToLine(parseInt(answer, 10));
+    }
+  }
+}
+
+export default C64AsmEditor;
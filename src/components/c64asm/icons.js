@@ -0,0 +1,93 @@
+// C64 Assembler Icon Bar component
+
+class C64AsmIcons {
+  constructor(container, onAction = null) {
+    this.container = container;
+    this.onAction = onAction; // IconBar callback, sends ICON_ACTION
+  }
+
+  render() {
+    // Clear the container
+    this.container.innerHTML = '';
+    
+    // Create C64 Assembler mode buttons
+    this.addButton('Run', 'run-button');
+    this.addButton('Assemble', 'assemble-button');
+    this.addButton('Stop', 'stop-button');
+    this.addButton('Debug', 'debug-button');
+    this.addButton('Reset', 'reset-button');
+    this.addButton('Snapshot', 'snapshot-button');
+    this.recordButton = this.addButton('Record', 'record-button');
+    this.addButton('Open', 'open-button');
+    this.addButton('Save', 'save-button');
+    
+    // Add custom styles for C64 Assembler buttons
+    const style = document.createElement('style');
+    style.textContent = `
+      .c64-button {
+        background-color: #7B68EE;
+        color: white;
+        border: 2px solid #9370DB;
+        padding: 4px 8px;
+        margin: 0 4px;
+        cursor: pointer;
+        font-family: 'C64', 'Courier New', monospace;
+      }
+      .c64-button:hover {
+        background-color: #9370DB;
+      }
+      .run-button {
+        background-color: #4CAF50;
+        border-color: #388E3C;
+      }
+      .run-button:hover {
+        background-color: #388E3C;
+      }
+      .stop-button {
+        background-color: #F44336;
+        border-color: #D32F2F;
+      }
+      .stop-button:hover {
+        background-color: #D32F2F;
+      }
+      .reset-button {
+        background-color: #FF9800;
+        border-color: #F57C00;
+      }
+      .reset-button:hover {
+        background-color: #F57C00;
+      }
+      .record-button.recording {
+        background-color: #F44336;
+        border-color: #D32F2F;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+  
+  addButton(text, className) {
+    const button = document.createElement('button');
+    button.className = `icon-button c64-button ${className}`;
+    button.textContent = text;
+    button.addEventListener('click', () => this.handleButtonClick(text));
+    this.container.appendChild(button);
+    return button;
+  }
+  
+  // The Record button stops the recording while there is one
+  setRecording(recording) {
+    if (!this.recordButton) return;
+    this.recordButton.textContent = recording ? 'Stop Rec' : 'Record';
+    this.recordButton.classList.toggle('recording', recording);
+  }
+  
+  handleButtonClick(action) {
+    console.log(`C64 Assembler Button clicked: ${action}`);
+    
+    if (this.onAction) {
+      this.onAction(action.toLowerCase());
+    }
+  }  
+}
+
+export default C64AsmIcons;
@@ -0,0 +1,111 @@
+/**
+ * language.js - CodeMirror language support for 6502 assembler
+ *
+ * A stream language for the syntax read by the assembler: labels in the
+ * first column or ending with a colon, instructions, directives, numbers,
+ * strings and comments. Tokens get the same cm-keyword, cm-label...
+ * classes as the BASIC modes, plus cm-meta for the directives.
+ */
+
+import { StreamLanguage, LanguageSupport, syntaxHighlighting } from '@codemirror/language'
+import { tags, tagHighlighter } from '@lezer/highlight'
+import { INSTRUCTIONS } from '../c64/cpu6510.js'
+
+// Theme classes for the highlighted tokens
+const asmHighlighter = tagHighlighter([
+  { tag: tags.keyword, class: 'cm-keyword' },
+  { tag: tags.meta, class: 'cm-meta' },
+  { tag: tags.string, class: 'cm-string' },
+  { tag: tags.number, class: 'cm-number' },
+  { tag: tags.comment, class: 'cm-comment' },
+  { tag: tags.operator, class: 'cm-operator' },
+  { tag: tags.labelName, class: 'cm-label' },
+  { tag: tags.variableName, class: 'cm-variable' },
+  { tag: [tags.paren, tags.squareBracket], class: 'cm-bracket' }
+]);
+
+const asmParser = {
+  name: 'asm6502',
+
+  startState() {
+    return {
+      operation: false // An instruction, directive or macro has been read on this line
+    };
+  },
+
+  copyState(state) {
+    return { ...state };
+  },
+
+  token(stream, state) {
+    if (stream.sol()) {
+      state.operation = false;
+    }
+
+    // Labels start in the first column, or end with a colon
+    if (stream.sol() && !state.operation) {
+      const word = stream.match(/^[A-Za-z_][A-Za-z0-9_]*/, false);
+      if (word && !INSTRUCTIONS[word[0].toUpperCase()]) {
+        stream.match(/^[A-Za-z_][A-Za-z0-9_]*:?/);
+        return 'labelName';
+      }
+    }
+    if (stream.eatSpace()) return null;
+
+    if (stream.peek() === ';') {
+      stream.skipToEnd();
+      return 'comment';
+    }
+
+    if (stream.eat('"')) {
+      if (!stream.skipTo('"')) {
+        stream.skipToEnd();
+        return 'string';
+      }
+      stream.next();
+      return 'string';
+    }
+    if (stream.match(/^'.'/)) return 'string';
+
+    if (stream.match(/^\$[0-9A-Fa-f]+/) || stream.match(/^%[01]+/) || stream.match(/^[0-9]+/)) {
+      return 'number';
+    }
+
+    // Directives, and macro parameters
+    if (stream.match(/^\.[A-Za-z]+/)) {
+      state.operation = true;
+      return 'meta';
+    }
+    if (stream.match(/^\\(@|[A-Za-z_][A-Za-z0-9_]*)/)) return 'variableName';
+
+    const word = stream.match(/^[A-Za-z_][A-Za-z0-9_]*/);
+    if (word) {
+      if (stream.match(/^:/)) return 'labelName';
+      if (!state.operation) {
+        // Instruction, or the name of a macro
+        state.operation = true;
+        return INSTRUCTIONS[word[0].toUpperCase()] ? 'keyword' : 'variableName';
+      }
+      return 'variableName';
+    }
+
+    if (stream.match(/^(<<|>>|[-+*/&|^~<>=#,])/)) return 'operator';
+    const char = stream.next();
+    if (char === '(' || char === ')') return 'paren';
+    if (char === '[' || char === ']') return 'squareBracket';
+    return 'punctuation';
+  },
+
+  languageData: {
+    commentTokens: { line: ';' }
+  }
+};
+
+/**
+ * Create the language support for 6502 assembler
+ *
+ * @returns {LanguageSupport} - Language and highlighting for the editor
+ */
+export function asmLanguage() {
+  return new LanguageSupport(StreamLanguage.define(asmParser), [syntaxHighlighting(asmHighlighter)]);
+}
@@ -0,0 +1,45 @@
+/**
+ * lint.js - Assembler errors in the editor gutter
+ *
+ * Assembles the program as the user types, marks the lines with errors in
+ * the lint gutter and underlines the faulty operands, and hands the list
+ * to a callback so that the Editor can show it in the Output window.
+ */
+
+import { linter, lintGutter } from '@codemirror/lint'
+import Assembler from './assembler.js'
+
+/**
+ * Create the lint extensions
+ *
+ * @param {Function} onProblems - Called with the problems after each check
+ * @returns {Array} - CodeMirror extensions
+ */
+export function asmLintExtensions(onProblems = null) {
+  const assembler = new Assembler();
+
+  const lintSource = (view) => {
+    const doc = view.state.doc;
+    const problems = assembler.assemble(doc.toString()).errors;
+
+    if (onProblems) {
+      onProblems(problems);
+    }
+
+    return problems.map(problem => {
+      const line = doc.line(problem.line);
+      return {
+        from: line.from + Math.min(problem.from, line.length),
+        to: line.from + Math.min(Math.max(problem.to, problem.from), line.length),
+        severity: problem.severity,
+        message: problem.message,
+        source: 'Assembler'
+      };
+    });
+  };
+
+  return [
+    linter(lintSource, { delay: 500 }),
+    lintGutter()
+  ];
+}
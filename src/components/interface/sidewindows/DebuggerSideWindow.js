@@ -0,0 +1,259 @@
+// DebuggerSideWindow.js - Debugger controls, call stack and variables for the BASIC modes
+import SideWindow from './SideWindow.js';
+
+class DebuggerSideWindow extends SideWindow {
+  constructor(initialHeight = 200) {
+    super('debugger', 'Debugger', initialHeight);
+    this.state = { status: 'stopped' }; // Last DEBUG_STATE received
+    this.statusElement = null;
+    this.buttons = {};
+    this.callStackList = null;
+    this.variablesTable = null;
+  }
+  
+  /**
+   * Override render to set up content and event listeners
+   * @param {HTMLElement} parentContainer - The parent container
+   * @returns {HTMLElement} - The rendered window element
+   */
+  render(parentContainer) {
+    const container = super.render(parentContainer);
+    
+    this.createDebuggerUI();
+    this.updateContentHeight();
+    
+    return container;
+  }
+  
+  /**
+   * Create the debugger UI
+   */
+  createDebuggerUI() {
+    this.content.innerHTML = '';
+    
+    // Debugger controls
+    const controls = document.createElement('div');
+    controls.className = 'debugger-controls';
+    
+    [
+      { command: 'step', label: 'Step', title: 'Run the next line (starts debugging)' },
+      { command: 'stepOver', label: 'Step Over', title: 'Run the next line without stopping inside procedures and Gosubs' },
+      { command: 'continue', label: 'Continue', title: 'Run until the next breakpoint' },
+      { command: 'stop', label: 'Stop', title: 'Stop the program' },
+      { command: 'screen', label: 'Screen', title: 'Show the program screen' }
+    ].forEach(({ command, label, title }) => {
+      const button = document.createElement('button');
+      button.textContent = label;
+      button.title = title;
+      button.addEventListener('click', () => this.sendCommand(command));
+      controls.appendChild(button);
+      this.buttons[command] = button;
+    });
+    
+    this.statusElement = document.createElement('div');
+    this.statusElement.className = 'debugger-status';
+    
+    // Call stack and variables
+    const callStackTitle = document.createElement('div');
+    callStackTitle.className = 'debugger-section-title';
+    callStackTitle.textContent = 'Call stack';
+    this.callStackList = document.createElement('ul');
+    this.callStackList.className = 'debugger-call-stack';
+    
+    const variablesTitle = document.createElement('div');
+    variablesTitle.className = 'debugger-section-title';
+    variablesTitle.textContent = 'Variables';
+    this.variablesTable = document.createElement('table');
+    this.variablesTable.className = 'debugger-variables';
+    
+    const details = document.createElement('div');
+    details.className = 'debugger-details';
+    details.appendChild(callStackTitle);
+    details.appendChild(this.callStackList);
+    details.appendChild(variablesTitle);
+    details.appendChild(this.variablesTable);
+    
+    this.content.appendChild(controls);
+    this.content.appendChild(this.statusElement);
+    this.content.appendChild(details);
+    
+    this.addStyles();
+    this.showState(this.state);
+  }
+  
+  /**
+   * Send a command to the debugger through the editor
+   * @param {string} command - 'step', 'stepOver', 'continue', 'stop' or 'screen'
+   */
+  sendCommand(command) {
+    this.broadcastToHandlers('DEBUG_COMMAND', { command });
+  }
+  
+  /**
+   * Display a debugger state
+   * @param {Object} state - State sent with DEBUG_STATE
+   */
+  showState(state) {
+    this.state = state;
+    if (!this.statusElement) return;
+    
+    const paused = state.status === 'paused';
+    const active = state.status !== 'stopped';
+    
+    switch (state.status) {
+      case 'paused':
+        this.statusElement.textContent = state.basicLine !== null && state.basicLine !== undefined
+          ? `Paused at line ${state.basicLine} (editor line ${state.line})`
+          : `Paused at line ${state.line}`;
+        break;
+      case 'running':
+        this.statusElement.textContent = 'Running...';
+        break;
+      default:
+        this.statusElement.textContent = 'Not debugging. Click the gutter to set breakpoints, then Step.';
+    }
+    
+    // Step starts a session; the other commands need one
+    this.buttons.step.disabled = active && !paused;
+    this.buttons.stepOver.disabled = !paused;
+    this.buttons.continue.disabled = !paused;
+    this.buttons.stop.disabled = !active;
+    this.buttons.screen.disabled = !active;
+    
+    // Keep the last call stack and variables visible while running
+    if (paused) {
+      this.showCallStack(state.callStack || []);
+      this.showVariables(state.variables || []);
+    } else if (!active) {
+      this.showCallStack([]);
+      this.showVariables([]);
+    }
+  }
+  
+  /**
+   * Display the call stack, innermost call first
+   * @param {Array<Object>} callStack - Entries with name and line
+   */
+  showCallStack(callStack) {
+    this.callStackList.innerHTML = '';
+    
+    callStack.forEach(entry => {
+      const item = document.createElement('li');
+      item.textContent = entry.line !== null ? `${entry.name} (line ${entry.line})` : entry.name;
+      this.callStackList.appendChild(item);
+    });
+  }
+  
+  /**
+   * Display variables as a name/value table
+   * @param {Array<Object>} variables - Entries with name, value and scope
+   */
+  showVariables(variables) {
+    this.variablesTable.innerHTML = '';
+    
+    variables.forEach(variable => {
+      const row = document.createElement('tr');
+      row.className = `debugger-variable-${variable.scope}`;
+      
+      const name = document.createElement('td');
+      name.textContent = variable.name;
+      const value = document.createElement('td');
+      value.textContent = variable.value;
+      
+      row.appendChild(name);
+      row.appendChild(value);
+      this.variablesTable.appendChild(row);
+    });
+  }
+  
+  /**
+   * Add styles for the debugger window
+   */
+  addStyles() {
+    // Add styles if not already present
+    if (!document.getElementById('debugger-side-window-styles')) {
+      const style = document.createElement('style');
+      style.id = 'debugger-side-window-styles';
+      style.textContent = `
+        .debugger-controls {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 4px;
+          padding: 4px;
+        }
+        
+        .debugger-controls button {
+          padding: 2px 8px;
+          cursor: pointer;
+        }
+        
+        .debugger-status {
+          padding: 2px 6px;
+          font-size: 12px;
+          color: #666;
+        }
+        
+        .debugger-details {
+          overflow-y: auto;
+          padding: 0 6px 6px;
+          font-family: monospace;
+          font-size: 13px;
+        }
+        
+        .debugger-section-title {
+          margin-top: 6px;
+          font-weight: bold;
+        }
+        
+        .debugger-call-stack {
+          margin: 2px 0;
+          padding-left: 18px;
+        }
+        
+        .debugger-variables {
+          border-collapse: collapse;
+          width: 100%;
+        }
+        
+        .debugger-variables td {
+          padding: 1px 4px;
+          border-bottom: 1px solid #ddd;
+          word-break: break-all;
+        }
+        
+        .debugger-variable-local td:first-child {
+          font-style: italic;
+        }
+      `;
+      document.head.appendChild(style);
+    }
+  }
+  
+  /**
+   * Handle incoming messages
+   * 
+   * @param {string} messageType - Type of message received
+   * @param {Object} messageData - Data associated with the message
+   * @param {Object} sender - Component that sent the message
+   * @returns {boolean} - True if the message was handled
+   */
+  handleMessage(messageType, messageData, sender) {
+    // First, let the parent class try to handle the message
+    if (super.handleMessage(messageType, messageData, sender)) {
+      return true;
+    }
+    
+    switch (messageType) {
+      case 'DEBUG_STATE':
+        if (messageData.status) {
+          this.showState(messageData);
+          return true;
+        }
+        break;
+    }
+    
+    return false;
+  }
+}
+
+export default DebuggerSideWindow;
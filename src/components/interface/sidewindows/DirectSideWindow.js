@@ -0,0 +1,310 @@
+// DirectSideWindow.js - AMOS and STOS direct mode: statements typed here run at once
+// against the variables left by the last program
+import SideWindow from './SideWindow.js';
+
+const HISTORY_STORAGE = 'pcos-direct-history';
+const MAX_HISTORY = 100;
+
+class DirectSideWindow extends SideWindow {
+  constructor(initialHeight = 200) {
+    super('direct', 'Direct Mode', initialHeight);
+    this.logElement = null;
+    this.inputField = null;
+    this.history = this.loadHistory();
+    this.historyIndex = this.history.length; // Past the last entry: the line being typed
+    this.draft = '';                         // Line being typed while browsing the history
+  }
+
+  /**
+   * Override render to set up content and event listeners
+   * @param {HTMLElement} parentContainer - The parent container
+   * @returns {HTMLElement} - The rendered window element
+   */
+  render(parentContainer) {
+    const container = super.render(parentContainer);
+
+    this.createDirectUI();
+    this.updateContentHeight();
+
+    return container;
+  }
+
+  /**
+   * Create the console UI
+   */
+  createDirectUI() {
+    this.content.innerHTML = '';
+
+    const controls = document.createElement('div');
+    controls.className = 'direct-controls';
+
+    [
+      { label: 'Variables', title: 'List the variables left by the last program', action: () => this.listVariables() },
+      { label: 'Clear', title: 'Clear the console', action: () => this.clear() }
+    ].forEach(({ label, title, action }) => {
+      const button = document.createElement('button');
+      button.textContent = label;
+      button.title = title;
+      button.addEventListener('click', action);
+      controls.appendChild(button);
+    });
+
+    this.logElement = document.createElement('div');
+    this.logElement.className = 'direct-log';
+    this.logElement.addEventListener('click', () => this.focusInput());
+
+    const inputLine = document.createElement('div');
+    inputLine.className = 'direct-input-line';
+    const prompt = document.createElement('span');
+    prompt.textContent = '>';
+    this.inputField = document.createElement('input');
+    this.inputField.type = 'text';
+    this.inputField.className = 'direct-input';
+    this.inputField.placeholder = 'Statement or expression';
+    this.inputField.spellcheck = false;
+    this.inputField.addEventListener('keydown', (event) => this.handleKeyDown(event));
+    inputLine.appendChild(prompt);
+    inputLine.appendChild(this.inputField);
+
+    const consoleElement = document.createElement('div');
+    consoleElement.className = 'direct-console';
+    consoleElement.appendChild(controls);
+    consoleElement.appendChild(this.logElement);
+    consoleElement.appendChild(inputLine);
+    this.content.appendChild(consoleElement);
+
+    this.addStyles();
+  }
+
+  /**
+   * Run the line on Enter, browse the history with the up and down arrows
+   * @param {KeyboardEvent} event - The key event
+   */
+  handleKeyDown(event) {
+    switch (event.key) {
+      case 'Enter':
+        event.preventDefault();
+        this.submit();
+        break;
+
+      case 'ArrowUp':
+        event.preventDefault();
+        this.browseHistory(-1);
+        break;
+
+      case 'ArrowDown':
+        event.preventDefault();
+        this.browseHistory(1);
+        break;
+
+      case 'Escape':
+        this.inputField.value = '';
+        this.historyIndex = this.history.length;
+        break;
+    }
+  }
+
+  /**
+   * Run the typed line through the editor's interpreter
+   */
+  submit() {
+    const command = this.inputField.value.trim();
+    if (!command) return;
+
+    this.inputField.value = '';
+    this.addToHistory(command);
+    this.print(`> ${command}\n`, 'direct-command');
+
+    this.broadcastToHandlers('DIRECT_COMMAND', {
+      command,
+      output: (text) => this.print(text)
+    });
+  }
+
+  /**
+   * Ask the editor for the variables of the last program and print them
+   */
+  listVariables() {
+    this.broadcastToHandlers('DIRECT_VARIABLES', {
+      onResponse: (variables) => {
+        if (variables.length === 0) {
+          this.print('No variables\n', 'direct-note');
+          return;
+        }
+        variables.forEach(variable => {
+          const scope = variable.scope === 'local' ? ' (local)' : '';
+          this.print(`${variable.name} = ${variable.value}${scope}\n`, 'direct-note');
+        });
+      }
+    });
+  }
+
+  /**
+   * Append text to the console
+   * @param {string} text - Text printed by the command
+   * @param {string} className - Class of the text, optional
+   */
+  print(text, className = null) {
+    if (!this.logElement) return;
+
+    const span = document.createElement('span');
+    if (className) {
+      span.className = className;
+    }
+    span.textContent = text;
+    this.logElement.appendChild(span);
+    this.logElement.scrollTop = this.logElement.scrollHeight;
+  }
+
+  clear() {
+    if (this.logElement) {
+      this.logElement.innerHTML = '';
+    }
+    this.focusInput();
+  }
+
+  focusInput() {
+    if (this.inputField) {
+      this.inputField.focus();
+    }
+  }
+
+  // Command history, kept between sessions
+
+  /**
+   * Move through the history
+   * @param {number} direction - -1 for older lines, 1 for newer ones
+   */
+  browseHistory(direction) {
+    const index = this.historyIndex + direction;
+    if (index < 0 || index > this.history.length) return;
+
+    if (this.historyIndex === this.history.length) {
+      this.draft = this.inputField.value;
+    }
+    this.historyIndex = index;
+    this.inputField.value = index === this.history.length ? this.draft : this.history[index];
+  }
+
+  addToHistory(command) {
+    if (this.history[this.history.length - 1] !== command) {
+      this.history.push(command);
+      if (this.history.length > MAX_HISTORY) {
+        this.history.shift();
+      }
+      localStorage.setItem(HISTORY_STORAGE, JSON.stringify(this.history));
+    }
+    this.historyIndex = this.history.length;
+    this.draft = '';
+  }
+
+  loadHistory() {
+    try {
+      const history = JSON.parse(localStorage.getItem(HISTORY_STORAGE));
+      return Array.isArray(history) ? history : [];
+    } catch (error) {
+      console.warn('Could not read the direct mode history:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Add styles for the direct mode window
+   */
+  addStyles() {
+    // Add styles if not already present
+    if (!document.getElementById('direct-side-window-styles')) {
+      const style = document.createElement('style');
+      style.id = 'direct-side-window-styles';
+      style.textContent = `
+        .direct-console {
+          display: flex;
+          flex-direction: column;
+          height: 100%;
+        }
+
+        .direct-controls {
+          display: flex;
+          gap: 4px;
+          padding: 4px;
+        }
+
+        .direct-controls button {
+          padding: 2px 8px;
+          cursor: pointer;
+        }
+
+        .direct-log {
+          flex: 1;
+          min-height: 40px;
+          overflow-y: auto;
+          padding: 4px 6px;
+          background-color: #f5f5f5;
+          color: #222;
+          border-top: 1px solid #ddd;
+          font-family: monospace;
+          font-size: 13px;
+          white-space: pre-wrap;
+          word-wrap: break-word;
+        }
+
+        .direct-command {
+          color: #1565c0;
+        }
+
+        .direct-note {
+          color: #757575;
+        }
+
+        .direct-input-line {
+          display: flex;
+          align-items: center;
+          gap: 4px;
+          padding: 2px 6px;
+          border-top: 1px solid #ddd;
+          font-family: monospace;
+        }
+
+        .direct-input {
+          flex: 1;
+          font-family: monospace;
+          font-size: 13px;
+          border: none;
+          outline: none;
+          background-color: transparent;
+          color: inherit;
+        }
+      `;
+      document.head.appendChild(style);
+    }
+  }
+
+  /**
+   * Handle incoming messages
+   *
+   * @param {string} messageType - Type of message received
+   * @param {Object} messageData - Data associated with the message
+   * @param {Object} sender - Component that sent the message
+   * @returns {boolean} - True if the message was handled
+   */
+  handleMessage(messageType, messageData, sender) {
+    // First, let the parent class try to handle the message
+    if (super.handleMessage(messageType, messageData, sender)) {
+      return true;
+    }
+
+    switch (messageType) {
+      case 'DIRECT_MODE':
+        // The Direct key opens the console ready for typing
+        if (this.isMinimized()) {
+          this.toggle();
+        }
+        this.focusInput();
+        return true;
+    }
+
+    return false;
+  }
+}
+
+export default DirectSideWindow;
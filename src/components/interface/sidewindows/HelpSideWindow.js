@@ -0,0 +1,259 @@
+// HelpSideWindow.js - Searchable keyword reference of the current BASIC mode
+import SideWindow from './SideWindow.js';
+
+class HelpSideWindow extends SideWindow {
+  constructor(initialHeight = 200) {
+    super('help', 'Help', initialHeight);
+    this.minimized = true; // Opens when help is asked for
+    this.database = null; // KeywordDatabase of the mode
+    this.selected = null; // Entry shown in the details
+    this.searchInput = null;
+    this.list = null;
+    this.details = null;
+  }
+
+  /**
+   * Override render to set up content and event listeners
+   * @param {HTMLElement} parentContainer - The parent container
+   * @returns {HTMLElement} - The rendered window element
+   */
+  render(parentContainer) {
+    const container = super.render(parentContainer);
+
+    this.createHelpUI();
+    this.updateContentHeight();
+
+    return container;
+  }
+
+  /**
+   * Create the search field, the keyword list and the details area
+   */
+  createHelpUI() {
+    this.content.innerHTML = '';
+
+    this.searchInput = document.createElement('input');
+    this.searchInput.type = 'search';
+    this.searchInput.className = 'help-search';
+    this.searchInput.placeholder = 'Search keywords...';
+    this.searchInput.addEventListener('input', () => this.showList());
+
+    this.list = document.createElement('ul');
+    this.list.className = 'help-list';
+
+    this.details = document.createElement('div');
+    this.details.className = 'help-details';
+
+    const body = document.createElement('div');
+    body.className = 'help-body';
+    body.appendChild(this.list);
+    body.appendChild(this.details);
+
+    this.content.appendChild(this.searchInput);
+    this.content.appendChild(body);
+
+    this.addStyles();
+    this.showList();
+    this.showEntry(this.selected);
+  }
+
+  /**
+   * Show the keywords of a mode, and optionally one of them
+   * @param {Object} database - KeywordDatabase of the mode
+   * @param {Object} topic - Entry to show, or null
+   */
+  showHelp(database, topic) {
+    if (database !== this.database && this.searchInput) {
+      this.searchInput.value = '';
+    }
+    this.database = database;
+    this.selected = topic || (this.selected && database.find(this.selected.name)) || null;
+    this.setTitle(`Help - ${database.title}`);
+
+    if (this.minimized) {
+      this.toggle();
+    }
+    if (this.list) {
+      this.showList();
+      this.showEntry(this.selected);
+    }
+  }
+
+  /**
+   * Change the title shown in the header
+   * @param {string} title - New title
+   */
+  setTitle(title) {
+    this.title = title;
+    const titleElement = this.header && this.header.querySelector('.side-window-title');
+    if (titleElement) {
+      titleElement.textContent = title;
+    }
+  }
+
+  /**
+   * List the keywords matching the search field
+   */
+  showList() {
+    this.list.innerHTML = '';
+    if (!this.database) {
+      this.details.textContent = 'Press Help in a BASIC mode to list its keywords.';
+      return;
+    }
+
+    this.database.search(this.searchInput.value).forEach(entry => {
+      const item = document.createElement('li');
+      item.textContent = entry.name;
+      item.className = `help-${entry.kind}`;
+      if (entry === this.selected) {
+        item.classList.add('selected');
+      }
+      item.addEventListener('click', () => {
+        this.selected = entry;
+        this.showList();
+        this.showEntry(entry);
+      });
+      this.list.appendChild(item);
+    });
+
+    const selected = this.list.querySelector('.selected');
+    if (selected) {
+      selected.scrollIntoView({ block: 'nearest' });
+    }
+  }
+
+  /**
+   * Show the syntax and description of a keyword
+   * @param {Object} entry - Keyword entry, or null
+   */
+  showEntry(entry) {
+    if (!this.details || !this.database) return;
+    this.details.innerHTML = '';
+    if (!entry) {
+      this.details.textContent = `${this.database.entries.length} keywords. Select one, or put the cursor on a keyword and press Help.`;
+      return;
+    }
+
+    const kind = document.createElement('div');
+    kind.className = 'help-kind';
+    kind.textContent = entry.returns ? `${entry.kind}, returns ${entry.returns}` : entry.kind;
+
+    const syntax = document.createElement('pre');
+    syntax.className = 'help-syntax';
+    syntax.textContent = entry.syntax;
+
+    const description = document.createElement('p');
+    description.textContent = entry.description;
+
+    this.details.appendChild(kind);
+    this.details.appendChild(syntax);
+    this.details.appendChild(description);
+
+    if (entry.params.length) {
+      const params = document.createElement('div');
+      params.className = 'help-kind';
+      params.textContent = `Parameters: ${entry.params.join(', ')}`;
+      this.details.appendChild(params);
+    }
+  }
+
+  /**
+   * Add styles for the help window
+   */
+  addStyles() {
+    // Add styles if not already present
+    if (!document.getElementById('help-side-window-styles')) {
+      const style = document.createElement('style');
+      style.id = 'help-side-window-styles';
+      style.textContent = `
+        .help-search {
+          box-sizing: border-box;
+          width: calc(100% - 8px);
+          margin: 4px;
+          padding: 2px 4px;
+        }
+
+        .help-body {
+          display: flex;
+          height: calc(100% - 34px);
+          font-size: 13px;
+        }
+
+        .help-list {
+          flex: 0 0 40%;
+          margin: 0;
+          padding: 0;
+          list-style: none;
+          overflow-y: auto;
+          font-family: monospace;
+          border-right: 1px solid #ddd;
+        }
+
+        .help-list li {
+          padding: 1px 6px;
+          cursor: pointer;
+        }
+
+        .help-list li:hover {
+          background-color: rgba(128, 128, 128, 0.2);
+        }
+
+        .help-list li.selected {
+          background-color: #4a6da7;
+          color: #fff;
+        }
+
+        .help-list .help-function {
+          font-style: italic;
+        }
+
+        .help-details {
+          flex: 1 1 auto;
+          padding: 0 8px;
+          overflow-y: auto;
+        }
+
+        .help-kind {
+          margin-top: 4px;
+          font-size: 11px;
+          color: #888;
+        }
+
+        .help-syntax {
+          margin: 4px 0;
+          white-space: pre-wrap;
+          font-weight: bold;
+        }
+      `;
+      document.head.appendChild(style);
+    }
+  }
+
+  /**
+   * Handle incoming messages
+   *
+   * @param {string} messageType - Type of message received
+   * @param {Object} messageData - Data associated with the message
+   * @param {Object} sender - Component that sent the message
+   * @returns {boolean} - True if the message was handled
+   */
+  handleMessage(messageType, messageData, sender) {
+    // First, let the parent class try to handle the message
+    if (super.handleMessage(messageType, messageData, sender)) {
+      return true;
+    }
+
+    switch (messageType) {
+      case 'HELP_TOPICS':
+        if (messageData.database) {
+          this.showHelp(messageData.database, messageData.topic || null);
+          return true;
+        }
+        break;
+    }
+
+    return false;
+  }
+}
+
+export default HelpSideWindow;
@@ -0,0 +1,714 @@
+// MonitorSideWindow.js - Machine-language monitor for the C64 emulator: memory,
+// disassembly, registers, breakpoints, watchpoints and single steps
+import SideWindow from './SideWindow.js';
+import { disassemble, hex } from '../../c64/cpu6510.js';
+
+const HISTORY_STORAGE = 'pcos-monitor-history';
+const MAX_HISTORY = 100;
+
+// Lines shown by m and d when no end address is given
+const MEMORY_LINES = 8;
+const BYTES_PER_LINE = 8;
+const DISASSEMBLY_LINES = 10;
+const MAX_DISASSEMBLY_LINES = 256;
+
+const HELP = [
+  'Addresses and values are hexadecimal, with or without $',
+  'r [pc=addr a=nn x=nn y=nn sp=nn p=nn]  show or set the registers',
+  'm [from [to]]          memory dump',
+  '> addr nn [nn ...]     write bytes',
+  'd [from [to]]          disassemble',
+  'z [count]              step instructions',
+  'g [addr]               go, from the address if given',
+  'pause                  stop the CPU',
+  'break [addr]           add a breakpoint, or list them',
+  'watch [load|store] from [to]  stop on accesses to RAM',
+  'del [number]           delete a breakpoint or watchpoint, or all of them',
+  '? or help              this list'
+];
+
+class MonitorSideWindow extends SideWindow {
+  constructor(initialHeight = 200) {
+    super('monitor', 'Monitor', initialHeight);
+    this.logElement = null;
+    this.registersElement = null;
+    this.inputField = null;
+    this.checkpoints = [];     // Breakpoints { kind: 'break', address } and watchpoints { kind: 'watch', from, to, load, store }
+    this.nextMemory = 0;       // Where m goes on without an address
+    this.nextDisassembly = null;
+    this.history = this.loadHistory();
+    this.historyIndex = this.history.length;
+    this.draft = '';
+  }
+
+  /**
+   * Override render to set up content and event listeners
+   * @param {HTMLElement} parentContainer - The parent container
+   * @returns {HTMLElement} - The rendered window element
+   */
+  render(parentContainer) {
+    const container = super.render(parentContainer);
+
+    this.createMonitorUI();
+    this.updateContentHeight();
+
+    return container;
+  }
+
+  /**
+   * Create the monitor UI: controls, registers, log and command line
+   */
+  createMonitorUI() {
+    this.content.innerHTML = '';
+
+    const controls = document.createElement('div');
+    controls.className = 'monitor-controls';
+
+    [
+      { label: 'Pause', title: 'Stop the CPU between two instructions', action: () => this.execute('pause') },
+      { label: 'Step', title: 'Run one instruction', action: () => this.execute('z') },
+      { label: 'Go', title: 'Run until a breakpoint or watchpoint', action: () => this.execute('g') },
+      { label: 'Clear', title: 'Clear the log', action: () => this.clear() }
+    ].forEach(({ label, title, action }) => {
+      const button = document.createElement('button');
+      button.textContent = label;
+      button.title = title;
+      button.addEventListener('click', action);
+      controls.appendChild(button);
+    });
+
+    this.registersElement = document.createElement('div');
+    this.registersElement.className = 'monitor-registers';
+
+    this.logElement = document.createElement('div');
+    this.logElement.className = 'monitor-log';
+    this.logElement.addEventListener('click', () => this.focusInput());
+
+    const inputLine = document.createElement('div');
+    inputLine.className = 'monitor-input-line';
+    const prompt = document.createElement('span');
+    prompt.textContent = '.';
+    this.inputField = document.createElement('input');
+    this.inputField.type = 'text';
+    this.inputField.className = 'monitor-input';
+    this.inputField.placeholder = 'Monitor command, ? for help';
+    this.inputField.spellcheck = false;
+    this.inputField.addEventListener('keydown', (event) => this.handleKeyDown(event));
+    inputLine.appendChild(prompt);
+    inputLine.appendChild(this.inputField);
+
+    const monitorElement = document.createElement('div');
+    monitorElement.className = 'monitor-console';
+    monitorElement.appendChild(controls);
+    monitorElement.appendChild(this.registersElement);
+    monitorElement.appendChild(this.logElement);
+    monitorElement.appendChild(inputLine);
+    this.content.appendChild(monitorElement);
+
+    this.addStyles();
+  }
+
+  /**
+   * Run the line on Enter, browse the history with the up and down arrows
+   * @param {KeyboardEvent} event - The key event
+   */
+  handleKeyDown(event) {
+    switch (event.key) {
+      case 'Enter': {
+        event.preventDefault();
+        const command = this.inputField.value.trim();
+        if (!command) return;
+        this.inputField.value = '';
+        this.addToHistory(command);
+        this.execute(command);
+        break;
+      }
+
+      case 'ArrowUp':
+        event.preventDefault();
+        this.browseHistory(-1);
+        break;
+
+      case 'ArrowDown':
+        event.preventDefault();
+        this.browseHistory(1);
+        break;
+
+      case 'Escape':
+        this.inputField.value = '';
+        this.historyIndex = this.history.length;
+        break;
+    }
+  }
+
+  /**
+   * Send a command to the C64 emulator through the editor
+   * @param {string} command - Command of the emulator bridge
+   * @param {Object} params - Its parameters
+   * @returns {Promise<Object>} - The result of the command
+   */
+  request(command, params = {}) {
+    return new Promise((resolve, reject) => {
+      this.broadcastToHandlers('C64_REQUEST', {
+        command,
+        params,
+        onResponse: resolve,
+        onError: reject
+      });
+    });
+  }
+
+  /**
+   * Run a monitor command, printing its result or error
+   * @param {string} line - The command line
+   */
+  async execute(line) {
+    this.print(`. ${line}\n`, 'monitor-command');
+    const [name, ...args] = line.trim().split(/\s+/);
+
+    try {
+      switch (name.toLowerCase()) {
+        case 'r':
+          await this.showRegisters(this.parseAssignments(args));
+          break;
+
+        case 'm':
+          await this.dumpMemory(args);
+          break;
+
+        case '>':
+          await this.writeMemory(args);
+          break;
+
+        case 'd':
+          await this.showDisassembly(args);
+          break;
+
+        case 'z':
+        case 's':
+        case 'step':
+          await this.step(args.length > 0 ? this.parseNumber(args[0]) : 1);
+          break;
+
+        case 'g':
+        case 'x':
+        case 'go':
+          await this.request('go', args.length > 0 ? { address: this.parseAddress(args[0]) } : {});
+          this.print('Running\n', 'monitor-note');
+          this.showState(null);
+          break;
+
+        case 'pause':
+          await this.pause();
+          break;
+
+        case 'break':
+        case 'bk':
+          await this.addBreakpoint(args);
+          break;
+
+        case 'watch':
+          await this.addWatchpoint(args);
+          break;
+
+        case 'del':
+          await this.deleteCheckpoint(args);
+          break;
+
+        case '?':
+        case 'help':
+          this.print(HELP.join('\n') + '\n', 'monitor-note');
+          break;
+
+        default:
+          throw new Error(`Unknown command: ${name}, type ? for help`);
+      }
+    } catch (error) {
+      this.print(`${error.message}\n`, 'monitor-error');
+    }
+    this.focusInput();
+  }
+
+  // Commands
+
+  async pause() {
+    const registers = await this.request('pause');
+    this.showState(registers);
+    await this.disassembleAt(registers.pc, 1);
+  }
+
+  async step(count) {
+    const registers = await this.request('step', { count });
+    this.showState(registers);
+    await this.disassembleAt(registers.pc, 1);
+  }
+
+  /**
+   * Show the registers, after changing those given
+   * @param {Object} values - New values by register name, may be empty
+   */
+  async showRegisters(values) {
+    const set = Object.keys(values).length > 0 ? values : undefined;
+    const registers = await this.request('registers', { set });
+    this.showState(registers);
+    this.print(`${this.formatRegisters(registers)}\n`);
+  }
+
+  /**
+   * Dump memory: m [from [to]]
+   * @param {Array<string>} args - Arguments of the command
+   */
+  async dumpMemory(args) {
+    const from = args.length > 0 ? this.parseAddress(args[0]) : this.nextMemory;
+    const to = args.length > 1 ? this.parseAddress(args[1]) : from + MEMORY_LINES * BYTES_PER_LINE - 1;
+    if (to < from) throw new Error('The end address is before the start');
+
+    const { bytes } = await this.request('peek', { address: from, length: to - from + 1 });
+    let text = '';
+    for (let offset = 0; offset < bytes.length; offset += BYTES_PER_LINE) {
+      const line = bytes.slice(offset, offset + BYTES_PER_LINE);
+      const values = line.map(byte => byte === null ? '??' : hex(byte)).join(' ');
+      const chars = line.map(byte => this.toChar(byte)).join('');
+      text += `>C:${hex((from + offset) & 0xFFFF, 4)}  ${values.padEnd(BYTES_PER_LINE * 3 - 1)}  ${chars}\n`;
+    }
+    this.print(text);
+    this.nextMemory = (to + 1) & 0xFFFF;
+  }
+
+  /**
+   * Write bytes: > addr nn [nn ...]
+   * @param {Array<string>} args - Arguments of the command
+   */
+  async writeMemory(args) {
+    if (args.length < 2) throw new Error('Usage: > addr nn [nn ...]');
+    const address = this.parseAddress(args[0]);
+    const bytes = args.slice(1).map(arg => this.parseByte(arg));
+    await this.request('poke', { address, bytes });
+    await this.dumpMemory([hex(address, 4), hex((address + bytes.length - 1) & 0xFFFF, 4)]);
+  }
+
+  /**
+   * Disassemble: d [from [to]], from the PC by default
+   * @param {Array<string>} args - Arguments of the command
+   */
+  async showDisassembly(args) {
+    let from = args.length > 0 ? this.parseAddress(args[0]) : this.nextDisassembly;
+    if (from === null) {
+      from = (await this.request('registers')).pc;
+    }
+    if (args.length > 1) {
+      const to = this.parseAddress(args[1]);
+      if (to < from) throw new Error('The end address is before the start');
+      // At most one instruction per byte
+      await this.disassembleAt(from, Math.min(to - from + 1, MAX_DISASSEMBLY_LINES), to);
+    } else {
+      await this.disassembleAt(from, DISASSEMBLY_LINES);
+    }
+  }
+
+  /**
+   * Print the instructions at an address
+   * @param {number} address - Address of the first instruction
+   * @param {number} count - Number of instructions
+   * @param {number} to - Last address to show, optional
+   */
+  async disassembleAt(address, count, to = 0xFFFF) {
+    const { bytes } = await this.request('peek', { address, length: count * 3 });
+    const read = (a) => {
+      const offset = (a - address) & 0xFFFF;
+      return offset < bytes.length ? bytes[offset] : null;
+    };
+
+    const breakpoints = this.checkpoints.filter(c => c.kind === 'break').map(c => c.address);
+    let text = '';
+    let next = address;
+    for (const line of disassemble(read, address, count)) {
+      if (line.address > to) break;
+      const marker = breakpoints.includes(line.address) ? '*' : ' ';
+      const values = line.bytes.map(byte => byte === null ? '??' : hex(byte)).join(' ');
+      text += `${marker}C:${hex(line.address, 4)}  ${values.padEnd(8)}  ${line.text}\n`;
+      next = (line.address + line.bytes.length) & 0xFFFF;
+    }
+    this.print(text);
+    this.nextDisassembly = next;
+  }
+
+  /**
+   * Add a breakpoint, or list the breakpoints and watchpoints
+   * @param {Array<string>} args - Arguments of the command
+   */
+  async addBreakpoint(args) {
+    if (args.length === 0) {
+      this.listCheckpoints();
+      return;
+    }
+    const address = this.parseAddress(args[0]);
+    this.checkpoints.push({ kind: 'break', address });
+    await this.sendCheckpoints();
+    this.print(`BREAK: ${this.checkpoints.length}  C:$${hex(address, 4)}\n`, 'monitor-note');
+  }
+
+  /**
+   * Add a watchpoint: watch [load|store] from [to]
+   * @param {Array<string>} args - Arguments of the command
+   */
+  async addWatchpoint(args) {
+    let load = true;
+    let store = true;
+    if (args.length > 0 && /^(load|store)$/i.test(args[0])) {
+      load = args[0].toLowerCase() === 'load';
+      store = !load;
+      args = args.slice(1);
+    }
+    if (args.length === 0) {
+      this.listCheckpoints();
+      return;
+    }
+
+    const from = this.parseAddress(args[0]);
+    const to = args.length > 1 ? this.parseAddress(args[1]) : from;
+    if (to < from) throw new Error('The end address is before the start');
+    this.checkpoints.push({ kind: 'watch', from, to, load, store });
+    await this.sendCheckpoints();
+    this.print(`WATCH: ${this.checkpoints.length}  ${this.describeCheckpoint(this.checkpoints[this.checkpoints.length - 1])}\n`, 'monitor-note');
+  }
+
+  /**
+   * Delete one breakpoint or watchpoint by its number, or all of them
+   * @param {Array<string>} args - Arguments of the command
+   */
+  async deleteCheckpoint(args) {
+    if (args.length === 0) {
+      this.checkpoints = [];
+    } else {
+      const number = parseInt(args[0], 10);
+      if (!(number >= 1 && number <= this.checkpoints.length)) {
+        throw new Error(`There is no breakpoint or watchpoint ${args[0]}`);
+      }
+      this.checkpoints.splice(number - 1, 1);
+    }
+    await this.sendCheckpoints();
+    this.listCheckpoints();
+  }
+
+  listCheckpoints() {
+    if (this.checkpoints.length === 0) {
+      this.print('No breakpoints or watchpoints\n', 'monitor-note');
+      return;
+    }
+    const text = this.checkpoints.map((checkpoint, index) =>
+      `${checkpoint.kind.toUpperCase()}: ${index + 1}  ${this.describeCheckpoint(checkpoint)}`).join('\n');
+    this.print(`${text}\n`, 'monitor-note');
+  }
+
+  describeCheckpoint(checkpoint) {
+    if (checkpoint.kind === 'break') {
+      return `C:$${hex(checkpoint.address, 4)}`;
+    }
+    const range = checkpoint.to === checkpoint.from
+      ? `$${hex(checkpoint.from, 4)}`
+      : `$${hex(checkpoint.from, 4)}-$${hex(checkpoint.to, 4)}`;
+    const access = checkpoint.load && checkpoint.store ? 'load store' : (checkpoint.load ? 'load' : 'store');
+    return `C:${range} (${access})`;
+  }
+
+  // Give the emulator the whole list, which it replaces
+  sendCheckpoints() {
+    return this.request('breakpoints', {
+      breakpoints: this.checkpoints.filter(c => c.kind === 'break').map(c => c.address),
+      watchpoints: this.checkpoints.filter(c => c.kind === 'watch')
+        .map(({ from, to, load, store }) => ({ from, to, load, store }))
+    });
+  }
+
+  // Registers
+
+  /**
+   * Show the registers above the log
+   * @param {Object|null} registers - Registers from the emulator, null while it runs
+   */
+  showState(registers) {
+    if (!this.registersElement) return;
+    this.registersElement.textContent = registers
+      ? `  ADDR A  X  Y  SP NV-BDIZC\n.;${this.formatRegisters(registers)}`
+      : 'Running';
+  }
+
+  formatRegisters(registers) {
+    return `${hex(registers.pc, 4)} ${hex(registers.a)} ${hex(registers.x)} ${hex(registers.y)} ` +
+      `${hex(registers.s)} ${registers.p.toString(2).padStart(8, '0')}`;
+  }
+
+  // Parsing
+
+  parseNumber(text) {
+    const value = parseInt(text.replace(/^\$/, ''), 16);
+    if (!/^\$?[0-9a-f]+$/i.test(text) || isNaN(value)) {
+      throw new Error(`Not a hexadecimal number: ${text}`);
+    }
+    return value;
+  }
+
+  parseAddress(text) {
+    const value = this.parseNumber(text);
+    if (value > 0xFFFF) throw new Error(`Not an address: ${text}`);
+    return value;
+  }
+
+  parseByte(text) {
+    const value = this.parseNumber(text);
+    if (value > 0xFF) throw new Error(`Not a byte: ${text}`);
+    return value;
+  }
+
+  /**
+   * Read register assignments, e.g. pc=c000 a=ff
+   * @param {Array<string>} args - Arguments of the r command
+   * @returns {Object} - Values by register name, as the emulator names them
+   */
+  parseAssignments(args) {
+    const values = {};
+    args.join(' ').split(/[\s,]+/).filter(Boolean).forEach(assignment => {
+      const match = assignment.match(/^(pc|a|x|y|sp|p)=(.+)$/i);
+      if (!match) throw new Error(`Expected register=value, e.g. a=ff, not ${assignment}`);
+      const name = match[1].toLowerCase();
+      values[name === 'sp' ? 's' : name] = name === 'pc' ? this.parseAddress(match[2]) : this.parseByte(match[2]);
+    });
+    return values;
+  }
+
+  // Printable PETSCII, as the C64 shows it in upper case mode
+  toChar(byte) {
+    if (byte === null) return '?';
+    if (byte >= 0x20 && byte <= 0x5F) return String.fromCharCode(byte);
+    if (byte >= 0xC1 && byte <= 0xDA) return String.fromCharCode(byte - 0x80);
+    return '.';
+  }
+
+  // Log
+
+  /**
+   * Append text to the log
+   * @param {string} text - Text to show
+   * @param {string} className - Class of the text, optional
+   */
+  print(text, className = null) {
+    if (!this.logElement) return;
+
+    const span = document.createElement('span');
+    if (className) {
+      span.className = className;
+    }
+    span.textContent = text;
+    this.logElement.appendChild(span);
+    this.logElement.scrollTop = this.logElement.scrollHeight;
+  }
+
+  clear() {
+    if (this.logElement) {
+      this.logElement.innerHTML = '';
+    }
+    this.focusInput();
+  }
+
+  focusInput() {
+    if (this.inputField) {
+      this.inputField.focus();
+    }
+  }
+
+  /**
+   * Open the window, un-minimizing it
+   */
+  open() {
+    if (this.isMinimized()) {
+      this.toggle();
+    }
+    this.focusInput();
+  }
+
+  // Command history, kept between sessions
+
+  /**
+   * Move through the history
+   * @param {number} direction - -1 for older lines, 1 for newer ones
+   */
+  browseHistory(direction) {
+    const index = this.historyIndex + direction;
+    if (index < 0 || index > this.history.length) return;
+
+    if (this.historyIndex === this.history.length) {
+      this.draft = this.inputField.value;
+    }
+    this.historyIndex = index;
+    this.inputField.value = index === this.history.length ? this.draft : this.history[index];
+  }
+
+  addToHistory(command) {
+    if (this.history[this.history.length - 1] !== command) {
+      this.history.push(command);
+      if (this.history.length > MAX_HISTORY) {
+        this.history.shift();
+      }
+      localStorage.setItem(HISTORY_STORAGE, JSON.stringify(this.history));
+    }
+    this.historyIndex = this.history.length;
+    this.draft = '';
+  }
+
+  loadHistory() {
+    try {
+      const history = JSON.parse(localStorage.getItem(HISTORY_STORAGE));
+      return Array.isArray(history) ? history : [];
+    } catch (error) {
+      console.warn('Could not read the monitor history:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Add styles for the monitor window
+   */
+  addStyles() {
+    // Add styles if not already present
+    if (!document.getElementById('monitor-side-window-styles')) {
+      const style = document.createElement('style');
+      style.id = 'monitor-side-window-styles';
+      style.textContent = `
+        .monitor-console {
+          display: flex;
+          flex-direction: column;
+          height: 100%;
+        }
+
+        .monitor-controls {
+          display: flex;
+          gap: 4px;
+          padding: 4px;
+        }
+
+        .monitor-controls button {
+          padding: 2px 8px;
+          cursor: pointer;
+        }
+
+        .monitor-registers {
+          padding: 2px 6px;
+          background-color: #352879;
+          color: #6C5EB5;
+          font-family: monospace;
+          font-size: 13px;
+          white-space: pre;
+        }
+
+        .monitor-registers:empty {
+          display: none;
+        }
+
+        .monitor-log {
+          flex: 1;
+          min-height: 40px;
+          overflow-y: auto;
+          padding: 4px 6px;
+          background-color: #f5f5f5;
+          color: #222;
+          border-top: 1px solid #ddd;
+          font-family: monospace;
+          font-size: 13px;
+          white-space: pre;
+        }
+
+        .monitor-command {
+          color: #1565c0;
+        }
+
+        .monitor-note {
+          color: #757575;
+        }
+
+        .monitor-error {
+          color: #c62828;
+        }
+
+        .monitor-input-line {
+          display: flex;
+          align-items: center;
+          gap: 4px;
+          padding: 2px 6px;
+          border-top: 1px solid #ddd;
+          font-family: monospace;
+        }
+
+        .monitor-input {
+          flex: 1;
+          font-family: monospace;
+          font-size: 13px;
+          border: none;
+          outline: none;
+          background-color: transparent;
+          color: inherit;
+        }
+      `;
+      document.head.appendChild(style);
+    }
+  }
+
+  /**
+   * Show where a breakpoint or watchpoint stopped the CPU
+   * @param {Object} event - Event of the emulator
+   */
+  async handleStop(event) {
+    this.open();
+    if (event.reason === 'watchpoint') {
+      const access = event.store ? 'Store to' : 'Load from';
+      this.print(`#${event.reason}: ${access} $${hex(event.address, 4)}\n`, 'monitor-note');
+    } else {
+      this.print(`#${event.reason} at $${hex(event.address, 4)}\n`, 'monitor-note');
+    }
+    this.showState(event.registers);
+    try {
+      await this.disassembleAt(event.registers.pc, 1);
+    } catch (error) {
+      this.print(`${error.message}\n`, 'monitor-error');
+    }
+  }
+
+  /**
+   * Handle incoming messages
+   *
+   * @param {string} messageType - Type of message received
+   * @param {Object} messageData - Data associated with the message
+   * @param {Object} sender - Component that sent the message
+   * @returns {boolean} - True if the message was handled
+   */
+  handleMessage(messageType, messageData, sender) {
+    // First, let the parent class try to handle the message
+    if (super.handleMessage(messageType, messageData, sender)) {
+      return true;
+    }
+
+    switch (messageType) {
+      case 'C64_MONITOR': {
+        // Debug opens the monitor with the CPU stopped; the Debugger
+        // window's buttons step, continue and stop
+        this.open();
+        const commands = { step: 'z', stepOver: 'z', continue: 'g', stop: 'pause' };
+        this.execute(commands[messageData.command] || 'pause');
+        return true;
+      }
+
+      case 'C64_EVENT':
+        if (messageData.event === 'stopped') {
+          this.handleStop(messageData);
+        } else if (messageData.event === 'ready' && this.checkpoints.length > 0) {
+          // A new emulator: give it the breakpoints again
+          this.sendCheckpoints().catch(error => this.print(`${error.message}\n`, 'monitor-error'));
+        }
+        return true;
+    }
+
+    return false;
+  }
+}
+
+export default MonitorSideWindow;
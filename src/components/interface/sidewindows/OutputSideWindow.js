@@ -6,6 +6,11 @@ class OutputSideWindow extends SideWindow {
     super('output', 'Output', initialHeight);
     this.outputContent = '';
     this.outputContainer = null;
+    this.outputText = null;
+    this.inputField = null;
+    this.inputRequestId = null; // Pending program input request, if any
+    this.problems = []; // Problems found in the program by the editor
+    this.problemsList = null;
   }
   
   /**
@@ -55,6 +60,28 @@ class OutputSideWindow extends SideWindow {
     this.outputContainer.id = 'output-window';
     this.outputContainer.className = 'output-window';
     
+    // Problems found in the program, above the output
+    this.problemsList = document.createElement('div');
+    this.problemsList.className = 'output-problems';
+    
+    // Create the text area and the inline field used for program input
+    this.outputText = document.createElement('span');
+    this.outputText.className = 'output-text';
+    
+    this.inputField = document.createElement('input');
+    this.inputField.type = 'text';
+    this.inputField.className = 'output-input';
+    this.inputField.style.display = this.inputRequestId ? 'inline' : 'none';
+    this.inputField.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') {
+        this.submitInput();
+      }
+    });
+    
+    this.outputContainer.appendChild(this.problemsList);
+    this.outputContainer.appendChild(this.outputText);
+    this.outputContainer.appendChild(this.inputField);
+    
     // Add some basic styling
     this.addStyles();
     
@@ -62,8 +89,9 @@ class OutputSideWindow extends SideWindow {
     this.content.appendChild(this.outputContainer);
     
     // Display any existing content
+    this.showProblems(this.problems);
     if (this.outputContent) {
-      this.outputContainer.innerHTML = this.outputContent;
+      this.outputText.innerHTML = this.outputContent;
       this.outputContainer.scrollTop = this.outputContainer.scrollHeight;
     }
   }
@@ -88,6 +116,70 @@ class OutputSideWindow extends SideWindow {
           font-size: 14px;
           line-height: 1.4;
         }
+        
+        .output-info {
+          color: #1565c0;
+        }
+        
+        .output-debug {
+          color: #757575;
+        }
+        
+        .output-warn {
+          color: #8d6e00;
+          background-color: #fff8e1;
+        }
+        
+        .output-error {
+          color: #c62828;
+          background-color: #ffebee;
+        }
+        
+        .output-problems {
+          position: sticky;
+          top: -5px;
+          max-height: 40%;
+          overflow-y: auto;
+          margin: -5px -5px 5px;
+          background-color: #f5f5f5;
+          border-bottom: 1px solid #ddd;
+          white-space: normal;
+          font-size: 13px;
+        }
+        
+        .output-problems-title {
+          padding: 2px 5px;
+          font-weight: bold;
+        }
+        
+        .output-problem {
+          padding: 1px 5px 1px 12px;
+          cursor: pointer;
+        }
+        
+        .output-problem:hover {
+          background-color: #e8e8e8;
+        }
+        
+        .output-problem-error::before {
+          content: "\u2716 ";
+          color: #c62828;
+        }
+        
+        .output-problem-warning::before {
+          content: "\u26A0 ";
+          color: #8d6e00;
+        }
+        
+        .output-input {
+          font-family: monospace;
+          font-size: 14px;
+          border: none;
+          outline: none;
+          background-color: transparent;
+          color: inherit;
+          min-width: 50%;
+        }
       `;
       document.head.appendChild(style);
     }
@@ -100,7 +192,7 @@ class OutputSideWindow extends SideWindow {
   appendContent(content) {
     this.outputContent += content;
     if (this.outputContainer) {
-      this.outputContainer.innerHTML = this.outputContent;
+      this.outputText.innerHTML = this.outputContent;
       this.outputContainer.scrollTop = this.outputContainer.scrollHeight;
     }
   }
@@ -111,7 +203,73 @@ class OutputSideWindow extends SideWindow {
   clearContent() {
     this.outputContent = '';
     if (this.outputContainer) {
-      this.outputContainer.innerHTML = '';
+      this.outputText.innerHTML = '';
+    }
+  }
+  
+  /**
+   * Show the problems found in the program; clicking one moves the editor cursor there
+   * @param {Array<Object>} problems - Problems with line, from, severity and message
+   */
+  showProblems(problems) {
+    this.problems = problems;
+    if (!this.problemsList) return;
+    
+    this.problemsList.innerHTML = '';
+    this.problemsList.style.display = problems.length ? 'block' : 'none';
+    if (!problems.length) return;
+    
+    const title = document.createElement('div');
+    title.className = 'output-problems-title';
+    title.textContent = `Problems (${problems.length})`;
+    this.problemsList.appendChild(title);
+    
+    problems.forEach(problem => {
+      const item = document.createElement('div');
+      item.className = `output-problem output-problem-${problem.severity}`;
+      item.textContent = `Line ${problem.line}: ${problem.message}`;
+      item.addEventListener('click', () => {
+        this.broadcastToHandlers('EDITOR_GOTO_LINE', { line: problem.line, column: problem.from });
+      });
+      this.problemsList.appendChild(item);
+    });
+  }
+  
+  /**
+   * Show the input field after the output so a program can read a line
+   * @param {string} requestId - ID to send back with the typed line
+   */
+  requestInput(requestId) {
+    this.inputRequestId = requestId;
+    if (this.inputField) {
+      this.inputField.value = '';
+      this.inputField.style.display = 'inline';
+      this.inputField.focus();
+      this.outputContainer.scrollTop = this.outputContainer.scrollHeight;
+    }
+  }
+  
+  /**
+   * Send the typed line back to the program and hide the input field
+   */
+  submitInput() {
+    if (!this.inputRequestId) return;
+    
+    const requestId = this.inputRequestId;
+    const value = this.inputField.value;
+    
+    this.cancelInput();
+    this.broadcastToHandlers('OUTPUT_INPUT_RESPONSE', { requestId, value });
+  }
+  
+  /**
+   * Hide the input field without answering the pending request
+   */
+  cancelInput() {
+    this.inputRequestId = null;
+    if (this.inputField) {
+      this.inputField.value = '';
+      this.inputField.style.display = 'none';
     }
   }
   
@@ -161,6 +319,24 @@ class OutputSideWindow extends SideWindow {
       case 'OUTPUT_UPDATE':
         this.update(messageData);
         return true;
+        
+      case 'OUTPUT_REQUEST_INPUT':
+        if (messageData.requestId) {
+          this.requestInput(messageData.requestId);
+          return true;
+        }
+        break;
+        
+      case 'OUTPUT_CANCEL_INPUT':
+        this.cancelInput();
+        return true;
+        
+      case 'OUTPUT_PROBLEMS':
+        if (messageData.problems) {
+          this.showProblems(messageData.problems);
+          return true;
+        }
+        break;
     }
     
     return false;
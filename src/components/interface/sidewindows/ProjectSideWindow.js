@@ -1,10 +1,53 @@
 // ProjectSideWindow.js - Project file tree side window implementation
 import SideWindow from './SideWindow.js';
+import ProjectFiles from '../../../utils/ProjectFiles.js';
+import { isSnapshot, SNAPSHOT_EXTENSION, SNAPSHOT_FOLDER } from '../../c64/images.js';
 
 class ProjectSideWindow extends SideWindow {
   constructor(initialHeight = 300) {
     super('project', 'Project Files', initialHeight);
     this.projectTree = [];
+    this.projectFiles = new ProjectFiles(this);
+  }
+  
+  /**
+   * Handle incoming messages
+   * @param {string} messageType - Type of message received
+   * @param {Object} messageData - Data associated with the message
+   * @param {Object} sender - Component that sent the message
+   * @returns {boolean} - True if the message was handled
+   */
+  handleMessage(messageType, messageData, sender) {
+    if (super.handleMessage(messageType, messageData, sender)) {
+      return true;
+    }
+    
+    // Open or close every folder, for STOS's Dir$ and Previous keys
+    if (messageType === 'PROJECT_FOLDERS') {
+      this.setFoldersOpen(!!messageData.open);
+      return true;
+    }
+    
+    if (messageType === 'C64_SNAPSHOTS_CHANGED' || messageType === 'SOCKET_CONNECTED') {
+      this.refreshSnapshots();
+      return true;
+    }
+    return false;
+  }
+  
+  /**
+   * Open or close all the folders of the tree
+   * @param {boolean} open - True to open them
+   */
+  setFoldersOpen(open) {
+    if (!this.content) return;
+    this.content.querySelectorAll('.project-folder').forEach(folder => {
+      folder.classList.toggle('project-folder-collapsed', !open);
+      const icon = folder.querySelector(':scope > .project-item-icon');
+      if (icon) {
+        icon.textContent = open ? '▼' : '▶';
+      }
+    });
   }
   
   /**
@@ -57,11 +100,78 @@ class ProjectSideWindow extends SideWindow {
     
     this.content.appendChild(projectTree);
     
+    // C64 snapshots saved in the project
+    this.snapshotsElement = document.createElement('div');
+    this.snapshotsElement.className = 'project-snapshots';
+    this.content.appendChild(this.snapshotsElement);
+    
     // Add some basic styling
     this.addStyles();
     
     // Populate with initial data
     this.populateProjectTree();
+    this.refreshSnapshots();
+  }
+  
+  /**
+   * List the C64 snapshots of the project; one click restores a snapshot.
+   * The list is fetched again when the server connects, and with the
+   * refresh button.
+   */
+  async refreshSnapshots() {
+    if (!this.snapshotsElement) return;
+    
+    let snapshots;
+    try {
+      snapshots = (await this.projectFiles.list(SNAPSHOT_FOLDER))
+        .filter(file => !file.isDirectory && isSnapshot(file.name))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    } catch (error) {
+      // No connection, no project or no snapshots folder yet
+      snapshots = [];
+    }
+    
+    this.snapshotsElement.innerHTML = '';
+    
+    const header = document.createElement('div');
+    header.className = 'project-snapshots-header';
+    header.textContent = 'C64 Snapshots';
+    const refreshButton = document.createElement('span');
+    refreshButton.className = 'project-snapshots-refresh';
+    refreshButton.textContent = '↻';
+    refreshButton.title = 'Refresh';
+    refreshButton.addEventListener('click', () => this.refreshSnapshots());
+    header.appendChild(refreshButton);
+    this.snapshotsElement.appendChild(header);
+    
+    if (snapshots.length === 0) {
+      const emptyElement = document.createElement('div');
+      emptyElement.className = 'project-snapshots-empty';
+      emptyElement.textContent = 'None';
+      this.snapshotsElement.appendChild(emptyElement);
+      return;
+    }
+    
+    snapshots.forEach(file => {
+      const itemElement = document.createElement('div');
+      itemElement.className = 'project-item';
+      itemElement.title = `Restore ${file.path}`;
+      
+      const iconElement = document.createElement('span');
+      iconElement.className = 'project-item-icon';
+      iconElement.textContent = '📷';
+      const nameElement = document.createElement('span');
+      nameElement.className = 'project-item-name';
+      nameElement.textContent = file.name.slice(0, -SNAPSHOT_EXTENSION.length);
+      
+      itemElement.addEventListener('click', () => {
+        this.broadcastToHandlers('RESTORE_SNAPSHOT', { filePath: file.path });
+      });
+      
+      itemElement.appendChild(iconElement);
+      itemElement.appendChild(nameElement);
+      this.snapshotsElement.appendChild(itemElement);
+    });
   }
   
   /**
@@ -108,6 +218,29 @@ class ProjectSideWindow extends SideWindow {
         .project-folder-collapsed .project-folder-contents {
           display: none;
         }
+        
+        .project-snapshots {
+          padding: 5px;
+          border-top: 1px solid rgba(0, 0, 0, 0.1);
+          font-family: Arial, sans-serif;
+          font-size: 14px;
+        }
+        
+        .project-snapshots-header {
+          display: flex;
+          justify-content: space-between;
+          font-weight: bold;
+          padding: 3px 0;
+        }
+        
+        .project-snapshots-refresh {
+          cursor: pointer;
+        }
+        
+        .project-snapshots-empty {
+          opacity: 0.6;
+          padding: 3px 0;
+        }
       `;
       document.head.appendChild(style);
     }
@@ -198,7 +331,7 @@ class ProjectSideWindow extends SideWindow {
       
       // Add click handler for file
       itemElement.addEventListener('click', () => {
-        this.sendMessage('PROJECT_FILE_SELECTED', { 
+        this.broadcastToHandlers('PROJECT_FILE_SELECTED', { 
           fileName: item.name,
           filePath: this.getFilePath(item, itemElement)
         });
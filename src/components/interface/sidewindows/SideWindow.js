@@ -39,6 +39,16 @@ class SideWindow extends BaseComponent {
         }
         break;
         
+      case 'WINDOW_OPEN':
+        // Show a window that may be minimized, e.g. Project for the Dir key
+        if (messageData.windowId === this.id) {
+          if (this.isMinimized()) {
+            this.toggle();
+          }
+          return true;
+        }
+        break;
+        
       case 'WINDOW_CLOSE':
         if (messageData.windowId === this.id) {
           this.close();
@@ -71,6 +71,9 @@ class SocketSideWindow extends SideWindow {
         
       case 'SOCKET_SET_USER_KEY':
         return this.handleSocketSetUserKeyMessage(messageData);
+        
+      case 'SOCKET_REQUEST':
+        return this.handleSocketRequestMessage(messageData);
     }
     
     return false;
@@ -498,13 +501,13 @@ class SocketSideWindow extends SideWindow {
     
     // Create client if not exists
     if (!this.client) {
-      this.client = new WebSocketClient();
-      
-      // Set up event handlers
-      this.client.onOpen = () => this.handleConnectionOpen();
-      this.client.onClose = () => this.handleConnectionClose();
-      this.client.onMessage = (message) => this.handleServerMessage(message);
-      this.client.onError = (error) => this.handleConnectionError(error);
+      // Set up event handlers; the client keeps its own, which answer requests
+      this.client = new WebSocketClient({
+        onOpen: () => this.handleConnectionOpen(),
+        onClose: () => this.handleConnectionClose(),
+        onMessage: (message) => this.handleServerMessage(message),
+        onError: (error) => this.handleConnectionError(error)
+      });
     }
     
     // Connect
@@ -543,6 +546,9 @@ class SocketSideWindow extends SideWindow {
     this.updateSendIndicatorTooltip();
     this.updateReceiveIndicatorTooltip();
     this.addMessage('received', 'Connected to server');
+    
+    // Let the windows that show project files fetch them
+    this.broadcastToHandlers('SOCKET_CONNECTED');
   }
   
   /**
@@ -645,6 +651,34 @@ class SocketSideWindow extends SideWindow {
     return false;
   }
   
+  /**
+   * Handle SOCKET_REQUEST message: send a request to the server and hand
+   * the response to the sender, e.g. write_file for the bank editor
+   * @param {Object} messageData - Message data, with message, onResponse and onError
+   * @returns {boolean} - True if handled
+   */
+  handleSocketRequestMessage(messageData) {
+    if (!messageData.message) return false;
+    const onResponse = messageData.onResponse || (() => {});
+    const onError = messageData.onError || (() => {});
+    
+    if (!this.client || !this.isConnected) {
+      onError(new Error('Not connected to the server'));
+      return true;
+    }
+    
+    this.client.request(messageData.message).then(onResponse, onError);
+    this.messagesSent++;
+    // File contents are left out of the display
+    const { type, filePath } = messageData.message;
+    this.addMessage('sent', filePath ? `${type} ${filePath}` : type);
+    
+    // Update send indicator
+    this.updateSendIndicator();
+    this.updateSendIndicatorTooltip();
+    return true;
+  }
+  
   /**
    * Handle SOCKET_SET_USER_KEY message
    * @param {Object} messageData - Message data
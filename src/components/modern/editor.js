@@ -2,11 +2,18 @@
 import { javascript } from '@codemirror/lang-javascript'
 import { oneDark } from '@codemirror/theme-one-dark'
 import { EditorState } from '@codemirror/state'
+import { ensureSyntaxTree } from '@codemirror/language'
+import JavaScriptRunner from '../../utils/JavaScriptRunner.js'
 
 class ModernEditor {
-  constructor(container) {
+  constructor(container, editor) {
     this.container = container;
+    this.editor = editor; // Main Editor component, for program output
     this.editorView = null;
+    this.runner = new JavaScriptRunner({
+      output: (text, level) => this.editor.appendOutput(text, level),
+      onError: (error) => this.showError(error)
+    });
   }
 
   // Provide configuration for the main Editor component
@@ -27,44 +34,59 @@ class ModernEditor {
   }
   
   // Mode-specific operations
-  runProgram() {
+  
+  // Programs run sandboxed in a Web Worker: their console goes to the Output
+  // window and Stop can end them, even in an infinite loop
+  async runProgram() {
     console.log('Running JavaScript program');
     
-    try {
-      // Get the current code
-      const code = this.editorView.state.doc.toString();
-      
-      // Create a function from the code
-      const runFunction = new Function(code);
-      
-      // Run the code and capture console output
-      const originalConsoleLog = console.log;
-      let output = [];
-      
-      console.log = function(...args) {
-        output.push(args.join(' '));
-        originalConsoleLog.apply(console, args);
-      };
-      
-      // Execute the code
-      const result = runFunction();
-      
-      // Restore console.log
-      console.log = originalConsoleLog;
-      
-      // Display the output
-      let outputMessage = 'Program executed successfully.';
-      if (output.length > 0) {
-        outputMessage += '\n\nConsole output:\n' + output.join('\n');
+    this.editor.clearOutput();
+    const status = await this.runner.run(this.editorView.state.doc.toString());
+    // A program replaced by a new run is stopped too, but says nothing
+    if (status === 'stopped' && !this.runner.isRunning()) {
+      this.editor.appendOutput('Program stopped\n');
+    }
+  }
+  
+  stopProgram() {
+    console.log('Stopping JavaScript program');
+    this.runner.stop();
+  }
+  
+  // Put the cursor where an uncaught error happened. Engines do not always
+  // locate syntax errors, so the parse tree finds those; the error is updated
+  // with the position found.
+  showError(error) {
+    if (!this.editorView) return;
+    
+    const doc = this.editorView.state.doc;
+    let position = null;
+    
+    if (error.line !== null && error.line >= 1 && error.line <= doc.lines) {
+      const line = doc.line(error.line);
+      position = Math.min(line.from + Math.max((error.column || 1) - 1, 0), line.to);
+    } else if (error.name === 'SyntaxError') {
+      const tree = ensureSyntaxTree(this.editorView.state, doc.length, 1000);
+      if (tree) {
+        tree.iterate({
+          enter: (node) => {
+            if (node.type.isError) {
+              position = node.from;
+            }
+            return position === null;
+          }
+        });
       }
-      if (result !== undefined) {
-        outputMessage += '\n\nReturn value: ' + result;
+      if (position !== null) {
+        const line = doc.lineAt(position);
+        error.line = line.number;
+        error.column = position - line.from + 1;
       }
-      
-      alert(outputMessage);
-    } catch (error) {
-      alert(`Error executing JavaScript: ${error.message}`);
-      console.error('Error executing JavaScript:', error);
+    }
+    
+    if (position !== null) {
+      this.editorView.dispatch({ selection: { anchor: position }, scrollIntoView: true });
+      this.editorView.focus();
     }
   }
   
@@ -1,8 +1,11 @@
 // Modern Icon Bar component with Font Awesome icons
 
 class ModernIcons {
-  constructor(container) {
+  constructor(container, onAction = null) {
     this.container = container;
+    this.onAction = onAction; // IconBar callback, sends ICON_ACTION
+    this.buttons = {};
+    this.running = false;
   }
 
   render() {
@@ -91,6 +94,10 @@ class ModernIcons {
       .help-button {
         color: #CE93D8;
       }
+      
+      .run-button.running {
+        color: #E57373;
+      }
     `;
     document.head.appendChild(style);
   }
@@ -109,14 +116,29 @@ class ModernIcons {
     
     button.addEventListener('click', () => this.handleButtonClick(text));
     this.container.appendChild(button);
+    this.buttons[text] = button;
+  }
+  
+  // While a program runs the Run button becomes a Stop button
+  setRunning(running) {
+    this.running = running;
+    
+    const button = this.buttons.Run;
+    if (!button) return;
+    button.title = running ? 'Stop' : 'Run';
+    button.classList.toggle('running', running);
+    button.querySelector('i').className = `fas ${running ? 'fa-stop' : 'fa-play'}`;
   }
   
   handleButtonClick(action) {
+    if (action === 'Run' && this.running) {
+      action = 'Stop';
+    }
     console.log(`Modern button clicked: ${action}`);
     
-    this.sendMessageDown('ICON_ACTION', {
-      action: action
-    });
+    if (this.onAction) {
+      this.onAction(action.toLowerCase());
+    }
   }
   
   handleNewClick() {
@@ -125,44 +147,32 @@ class ModernIcons {
   
   handleOpenClick() {
     console.log('Open button clicked');
-    this.sendMessageDown('ICON_ACTION', {
-      action: 'Open'
-    });
+    this.handleButtonClick('Open');
   }
   
   handleSaveClick() {
     console.log('Save button clicked');
-    this.sendMessageDown('ICON_ACTION', {
-      action: 'Save'
-    });
+    this.handleButtonClick('Save');
   }
   
   handleRunClick() {
     console.log('Run button clicked');
-    this.sendMessageDown('ICON_ACTION', {
-      action: 'Run'
-    });
+    this.handleButtonClick('Run');
   }
   
   handleDebugClick() {
     console.log('Debug button clicked');
-    this.sendMessageDown('ICON_ACTION', {
-      action: 'Debug'
-    });
+    this.handleButtonClick('Debug');
   }
   
   handleShareClick() {
     console.log('Share button clicked');
-    this.sendMessageDown('ICON_ACTION', {
-      action: 'Share'
-    });
+    this.handleButtonClick('Share');
   }
   
   handleHelpClick() {
     console.log('Help button clicked');
-    this.sendMessageDown('ICON_ACTION', {
-      action: 'Help'
-    });
+    this.handleButtonClick('Help');
   }
 }
 
@@ -0,0 +1,35 @@
+// STOS Basic dialect profile for the shared BASIC runtime (src/utils/basic)
+
+// Instructions that start a statement
+const statements = [
+  'REM', 'LET', 'PRINT', 'INPUT', 'IF', 'THEN', 'ELSE', 'FOR', 'TO', 'STEP', 'NEXT',
+  'GOTO', 'GOSUB', 'RETURN', 'ON', 'DIM', 'DATA', 'READ', 'RESTORE', 'END', 'STOP',
+  'CLS', 'WAIT', 'MODE', 'INK', 'PLOT', 'DRAW', 'BAR', 'BOX', 'CIRCLE', 'PAPER', 'PEN',
+  'LOCATE', 'PALETTE'
+];
+
+// Functions usable inside expressions
+const functions = [
+  'ABS', 'INT', 'SGN', 'SQR', 'RND', 'SIN', 'COS', 'TAN', 'ATN', 'EXP', 'LN', 'LOG',
+  'MAX', 'MIN', 'PI', 'TIMER',
+  'LEN', 'LEFT$', 'RIGHT$', 'MID$', 'INSTR', 'CHR$', 'ASC', 'STR$', 'VAL',
+  'UPPER$', 'LOWER$', 'SPACE$', 'STRING$', 'FLIP$', 'HEX$', 'BIN$', 'INKEY$',
+  'POINT'
+];
+
+// Word operators
+const operators = ['AND', 'OR', 'XOR', 'NOT', 'MOD'];
+
+const stosDialect = {
+  name: 'stos',
+  title: 'STOS Basic',
+  screen: 'atari', // RetroScreen machine used for graphics
+  lineNumbers: true,
+  maxLineNumber: 65535,
+  statements,
+  functions,
+  operators,
+  keywords: [...statements, ...functions, ...operators]
+};
+
+export default stosDialect;
@@ -1,10 +1,23 @@
 // STOS Basic Editor component
 import { EditorView } from '@codemirror/view'
+import BasicRunner from '../../utils/basic/BasicRunner.js'
+import BasicFiles from '../../utils/basic/BasicFiles.js'
+import { debuggerExtensions } from '../../utils/basic/DebuggerExtensions.js'
+import { basicLanguage } from '../../utils/basic/BasicLanguage.js'
+import { keywordHelp, keywordAtCursor } from '../../utils/basic/KeywordHelp.js'
+import { lintExtensions } from '../../utils/basic/LintExtensions.js'
+import LineNumberTools from '../../utils/basic/LineNumberTools.js'
+import stosDialect from './dialect.js'
+import stosKeywords from './keywords.js'
 
 class STOSEditor {
-  constructor(container) {
+  constructor(container, editor) {
     this.container = container;
+    this.editor = editor; // Main Editor component, used for program output
     this.editorView = null;
+    this.runner = new BasicRunner(editor, stosDialect);
+    this.files = new BasicFiles(editor, stosDialect);
+    this.lineNumbers = new LineNumberTools(editor, stosDialect);
   }
 
   // Prepare the container with STOS-specific styling
@@ -51,12 +64,34 @@ class STOSEditor {
       ".cm-gutter.cm-lineNumbers .cm-gutterElement": {
         paddingLeft: "8px",
         paddingRight: "8px"
+      },
+      ".cm-keyword": {
+        color: "#FFFF00" // Yellow for keywords
+      },
+      ".cm-string": {
+        color: "#00FFFF" // Cyan for strings
+      },
+      ".cm-number": {
+        color: "#FFFFFF" // White for numbers
+      },
+      ".cm-comment": {
+        color: "#AAAAAA" // Grey for comments
       }
     });
     
     return {
-      extensions: [stosTheme],
-      initialDoc: '10 REM STOS Basic Program\n20 PRINT "Hello from STOS Basic!"\n30 FOR I=1 TO 10\n40 PRINT "Loop: ";I\n50 NEXT I\n60 END'
+      extensions: [
+        stosTheme,
+        basicLanguage(stosDialect),
+        keywordHelp(stosKeywords),
+        lintExtensions(stosDialect, problems => this.editor.showProblems(problems)),
+        this.lineNumbers.extensions(),
+        debuggerExtensions()
+      ],
+      initialDoc: '10 REM STOS Basic Program\n20 PRINT "Hello from STOS Basic!"\n30 FOR I=1 TO 10\n40 PRINT "Loop: ";I\n50 NEXT I\n60 END',
+      title: stosDialect.title,
+      // Programs of these modes are converted to STOS when the mode changes
+      convertsFrom: ['amos1_3', 'amosPro']
     };
   }
   
@@ -66,23 +101,82 @@ class STOSEditor {
   }
   
   // Mode-specific operations
-  runProgram() {
+  
+  // Programs are exchanged with the original STOS Basic as ASCII listings (.ASC)
+  async openFile() {
+    console.log('Opening STOS Basic program');
+    await this.files.open();
+  }
+  
+  saveFile() {
+    console.log('Saving STOS Basic program');
+    this.files.save(this.editorView.state.doc.toString());
+  }
+  
+  async runProgram() {
     console.log('Running STOS Basic program');
-    // Implement STOS-specific run logic here
-    alert('STOS Basic program execution started');
+    await this.runner.run(this.editorView.state.doc.toString());
   }
   
-  debugProgram() {
+  async debugProgram() {
     console.log('Debugging STOS Basic program');
-    // Implement STOS-specific debug logic here
-    alert('STOS Basic program debugging started');
+    await this.runner.debug(this.editorView.state.doc.toString());
+  }
+  
+  stopProgram() {
+    console.log('Stopping STOS Basic program');
+    this.runner.stop();
+  }
+  
+  // Commands typed in the Direct window or by the function keys, run on the program screen
+  runDirect(command, output) {
+    console.log(`STOS Basic direct mode: ${command}`);
+    return this.runner.runDirect(command, output);
   }
   
+  // Variables left by the last program, for the Direct window
+  getVariables() {
+    return this.runner.getVariables();
+  }
+  
+  resetScreen() {
+    this.runner.resetScreen();
+  }
+  
+  // Step, Step Over, Continue and Stop from the Debugger window and the Step key;
+  // Step starts a debug session when none is running
+  debugCommand(command) {
+    if (command === 'step' && !this.runner.isDebugging()) {
+      return this.debugProgram();
+    }
+    this.runner.debugCommand(command);
+  }
+  
+  // Keyword reference in the Help window, opened on the keyword under the cursor
   showHelp() {
     console.log('Showing STOS Basic help');
-    // Implement STOS-specific help logic here
-    alert('STOS Basic Help:\n\nBasic commands:\nPRINT - Output text\nFOR/NEXT - Loop\nIF/THEN - Conditional\nGOTO - Jump to line\nGOSUB/RETURN - Subroutine');
+    const topic = this.editorView ? keywordAtCursor(stosKeywords, this.editorView) : null;
+    this.editor.showKeywordHelp(stosKeywords, topic);
+  }
+  
+  // RENUM from the Edit menu, rewriting the GOTO, GOSUB and THEN targets
+  renumber() {
+    console.log('Renumbering STOS Basic program');
+    this.lineNumbers.askRenumber(this.editorView);
+  }
+  
+  // Go To Line finds the BASIC line number, not the editor row
+  goToLineNumber() {
+    this.lineNumbers.askGoToLine(this.editorView);
+  }
+  
+  // The List function key takes LIST [line] or RENUM [first[,step]]
+  listProgram() {
+    this.lineNumbers.askList(this.editorView);
   }
 }
 
+// Dialect profile, used by the converter between modes
+export { stosDialect as dialect };
+
 export default STOSEditor;
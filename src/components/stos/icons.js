@@ -1,8 +1,10 @@
 // STOS Basic Icon Bar component - Inspired by the original STOS Basic from 1987
+import ShiftKeyTracker from '../../utils/ShiftKeyTracker.js'
 
 class STOSIcons {
-  constructor(container) {
+  constructor(container, onAction = null) {
     this.container = container;
+    this.onAction = onAction; // IconBar callback, sends ICON_ACTION
     this.shiftPressed = false;
     
     // Define function keys for both states
@@ -33,23 +35,15 @@ class STOSIcons {
       ]
     };
     
-    // Add event listeners for shift key
-    document.addEventListener('keydown', this.handleKeyDown.bind(this));
-    document.addEventListener('keyup', this.handleKeyUp.bind(this));
-  }
-  
-  handleKeyDown(event) {
-    if (event.key === 'Shift' && !this.shiftPressed) {
-      this.shiftPressed = true;
+    // Shifted function keys while Shift is held
+    this.shiftKey = new ShiftKeyTracker(pressed => {
+      this.shiftPressed = pressed;
       this.render();
-    }
+    });
   }
   
-  handleKeyUp(event) {
-    if (event.key === 'Shift' && this.shiftPressed) {
-      this.shiftPressed = false;
-      this.render();
-    }
+  destroy() {
+    this.shiftKey.destroy();
   }
 
   render() {
@@ -107,8 +101,28 @@ class STOSIcons {
     parent.appendChild(button);
   }
   
+  // While a program runs F6 stops it
+  setRunning(running) {
+    this.functionKeys.normal[5] = { key: 'F6', action: running ? 'Stop' : 'Run' };
+    this.render();
+  }
+  
+  // Action of a key pressed on the keyboard: Shift+F1 to Shift+F10 give the
+  // shifted keys, as on the Atari ST
+  getKeyAction(number, shift) {
+    const keyInfo = shift ?
+      this.functionKeys.shift[number - 1] :
+      [...this.functionKeys.normal, ...this.functionKeys.shift].find(each => each.key === `F${number}`);
+    return keyInfo ? keyInfo.action.toLowerCase() : null;
+  }
+  
   handleFunctionKeyClick(key, action) {
     console.log(`STOS Function Key clicked: ${key} - ${action}`);
+    
+    // Forward the key's action, e.g. F2 'List' lists or renumbers the program
+    if (this.onAction) {
+      this.onAction(action.toLowerCase());
+    }
   }
 }
 
@@ -0,0 +1,94 @@
+// STOS Basic keyword database, for completion, tooltips and the Help window
+import KeywordDatabase, { instruction, func, operator } from '../../utils/basic/KeywordDatabase.js'
+import stosDialect from './dialect.js'
+
+const stosKeywords = new KeywordDatabase(stosDialect, [
+  // Program structure
+  instruction('REM', [], 'Comment: the rest of the line is ignored.', 'REM text'),
+  instruction('LET', [], 'Assign a value to a variable. LET is optional.', 'LET variable=expression'),
+  instruction('IF', [], 'Run the rest of the line if the condition is true, the ELSE part otherwise.', 'IF condition THEN statements [ELSE statements]'),
+  instruction('THEN', [], 'Introduce the statements run when an IF condition is true; a line number jumps there.', 'IF condition THEN statements'),
+  instruction('ELSE', [], 'Introduce the statements run when an IF condition is false.', 'IF condition THEN statements ELSE statements'),
+  instruction('FOR', [], 'Repeat the lines up to NEXT while the variable goes from start to end.', 'FOR variable=start TO end [STEP step]'),
+  instruction('TO', [], 'Separate the start and end values of a FOR loop, or two points of a graphics instruction.', 'FOR variable=start TO end'),
+  instruction('STEP', [], 'Amount added to the FOR variable at each loop, 1 by default.', 'FOR variable=start TO end STEP step'),
+  instruction('NEXT', ['variable?'], 'End a FOR loop and start the next iteration.'),
+  instruction('GOTO', ['line'], 'Jump to a line number.'),
+  instruction('GOSUB', ['line'], 'Call the subroutine at a line number; RETURN comes back after the GOSUB.'),
+  instruction('RETURN', [], 'Return from a subroutine called by GOSUB.'),
+  instruction('ON', [], 'Jump to the n-th line of the list, according to the value of the expression.', 'ON expression GOTO line,line... / ON expression GOSUB line,line...'),
+  instruction('END', [], 'End the program.'),
+  instruction('STOP', [], 'Stop the program with a Break message.'),
+
+  // Data
+  instruction('DIM', [], 'Declare arrays, with the highest index of each dimension.', 'DIM array(size[,size...])[,array(...)...]'),
+  instruction('DATA', [], 'List values read by READ.', 'DATA value,value...'),
+  instruction('READ', ['variable', 'variable?'], 'Read the next DATA values into variables.', 'READ variable[,variable...]'),
+  instruction('RESTORE', ['line?'], 'Read the DATA from the first line, or from a line number.'),
+
+  // Input and output
+  instruction('PRINT', ['value', 'value?'], 'Print values at the cursor. ; keeps the cursor after the value, , moves to the next tab column.', 'PRINT value[;value][,value]...'),
+  instruction('INPUT', [], 'Ask the user for values, after an optional prompt.', 'INPUT ["prompt";]variable[,variable...]'),
+  instruction('CLS', ['colour?'], 'Clear the screen, with the paper colour or a given colour.'),
+  instruction('LOCATE', ['x', 'y'], 'Move the text cursor to a column and row.'),
+  instruction('PEN', ['colour'], 'Set the colour of the text.'),
+  instruction('PAPER', ['colour'], 'Set the background colour of the text.'),
+  instruction('WAIT', ['ticks'], 'Wait for a number of 50ths of a second.'),
+
+  // Graphics
+  instruction('MODE', ['mode'], 'Set the screen resolution: 0 low (320x200, 16 colours), 1 medium (640x200, 4 colours), 2 high (640x400, 2 colours).'),
+  instruction('INK', ['colour'], 'Set the colour used by the graphics instructions.'),
+  instruction('PLOT', ['x', 'y', 'colour?'], 'Plot a point, with the ink colour or a given colour.'),
+  instruction('DRAW', ['x1', 'y1', 'x2', 'y2'], 'Draw a line between two points.', 'DRAW x1,y1 TO x2,y2'),
+  instruction('BAR', ['x1', 'y1', 'x2', 'y2'], 'Draw a filled rectangle between two corners.', 'BAR x1,y1 TO x2,y2'),
+  instruction('BOX', ['x1', 'y1', 'x2', 'y2'], 'Draw the outline of a rectangle between two corners.', 'BOX x1,y1 TO x2,y2'),
+  instruction('CIRCLE', ['x', 'y', 'radius'], 'Draw a circle.'),
+  instruction('PALETTE', ['colour', 'colour?'], 'Set the colours of the palette from $000 to $777, starting with colour 0.', 'PALETTE colour[,colour...]'),
+  func('POINT', ['x', 'y'], 'integer', 'Colour of the point at x,y.'),
+
+  // Maths
+  func('ABS', ['x'], 'float', 'Absolute value of x.'),
+  func('INT', ['x'], 'integer', 'Largest integer not above x.'),
+  func('SGN', ['x'], 'integer', 'Sign of x: -1, 0 or 1.'),
+  func('SQR', ['x'], 'float', 'Square root of x.'),
+  func('RND', ['max'], 'integer', 'Random integer from 0 to max.'),
+  func('SIN', ['angle'], 'float', 'Sine of an angle in radians.'),
+  func('COS', ['angle'], 'float', 'Cosine of an angle in radians.'),
+  func('TAN', ['angle'], 'float', 'Tangent of an angle in radians.'),
+  func('ATN', ['x'], 'float', 'Arc tangent of x, in radians.'),
+  func('EXP', ['x'], 'float', 'e raised to the power x.'),
+  func('LN', ['x'], 'float', 'Natural logarithm of x.'),
+  func('LOG', ['x'], 'float', 'Base 10 logarithm of x.'),
+  func('MAX', ['a', 'b'], 'float', 'Larger of two numbers or strings.'),
+  func('MIN', ['a', 'b'], 'float', 'Smaller of two numbers or strings.'),
+  func('PI', [], 'float', 'The number pi.'),
+  func('TIMER', [], 'integer', '50ths of a second since the program started.'),
+
+  // Strings
+  func('LEN', ['text$'], 'integer', 'Number of characters of a string.'),
+  func('LEFT$', ['text$', 'count'], 'string', 'First characters of a string.'),
+  func('RIGHT$', ['text$', 'count'], 'string', 'Last characters of a string.'),
+  func('MID$', ['text$', 'start', 'count?'], 'string', 'Characters of a string from a position (1 is the first), to the end or for a count.'),
+  func('INSTR', ['text$', 'search$', 'start?'], 'integer', 'Position of a string in another, 0 if not found.'),
+  func('CHR$', ['code'], 'string', 'Character of an ASCII code.'),
+  func('ASC', ['text$'], 'integer', 'ASCII code of the first character of a string.'),
+  func('STR$', ['number'], 'string', 'Number converted to a string.'),
+  func('VAL', ['text$'], 'float', 'Number written at the start of a string.'),
+  func('UPPER$', ['text$'], 'string', 'String in upper case.'),
+  func('LOWER$', ['text$'], 'string', 'String in lower case.'),
+  func('SPACE$', ['count'], 'string', 'String of spaces.'),
+  func('STRING$', ['text$', 'count'], 'string', 'First character of a string repeated count times.'),
+  func('FLIP$', ['text$'], 'string', 'String reversed.'),
+  func('HEX$', ['number'], 'string', 'Number in hexadecimal, e.g. $FF.'),
+  func('BIN$', ['number'], 'string', 'Number in binary, e.g. %101.'),
+  func('INKEY$', [], 'string', 'Key waiting in the keyboard buffer, or an empty string.'),
+
+  // Operators
+  operator('AND', 'a AND b', 'integer', 'Logical and bitwise AND.'),
+  operator('OR', 'a OR b', 'integer', 'Logical and bitwise OR.'),
+  operator('XOR', 'a XOR b', 'integer', 'Bitwise exclusive OR.'),
+  operator('NOT', 'NOT a', 'integer', 'Logical and bitwise NOT.'),
+  operator('MOD', 'a MOD b', 'integer', 'Remainder of the division of a by b.')
+]);
+
+export default stosKeywords;
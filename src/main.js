@@ -9,6 +9,7 @@ import IconBar from './components/IconBar.js';
 import SideBar from './components/SideBar.js';
 import BaseComponent, { PREFERENCE_MESSAGES } from './utils/BaseComponent.js';
 import PreferenceDialog from './components/PreferenceDialog.js';
+import BankEditor from './components/BankEditor.js';
 
 // Main application class
 class PCOSApp extends BaseComponent {
@@ -17,7 +18,7 @@ class PCOSApp extends BaseComponent {
     super('PCOSApp');
     
     // Initialize mode
-    this.currentMode = 'modern'; // Default mode: 'modern', 'stos', 'amos1_3', 'amosPro', 'c64'
+    this.currentMode = 'modern'; // Default mode: 'modern', 'stos', 'amos1_3', 'amosPro', 'c64', 'c64asm'
     
     // Initialize components
     this.menuBar = null;
@@ -26,6 +27,8 @@ class PCOSApp extends BaseComponent {
     this.iconBar = null;
     this.sideBar = null;
     this.preferenceDialog = null;
+    this.bankEditor = null;
+    this.lastIconAction = null; // Repeated by STOS's Last Key
     
     // Initialize the application
     this.init();
@@ -51,6 +54,9 @@ class PCOSApp extends BaseComponent {
     // Initialize preference dialog
     this.preferenceDialog = new PreferenceDialog(this.getComponentID());
     
+    // Initialize the bank editor of the STOS and AMOS modes
+    this.bankEditor = new BankEditor(this.getComponentID(), this.editor);
+    
     // Register components in the component tree
     this.registerComponentInTree(this.menuBar.getComponentID(), this.getComponentID());
     this.registerComponentInTree(this.statusBar.getComponentID(), this.getComponentID());
@@ -58,6 +64,7 @@ class PCOSApp extends BaseComponent {
     this.registerComponentInTree(this.iconBar.getComponentID(), this.getComponentID());
     this.registerComponentInTree(this.sideBar.getComponentID(), this.getComponentID());
     this.registerComponentInTree(this.preferenceDialog.getComponentID(), this.getComponentID());
+    this.registerComponentInTree(this.bankEditor.getComponentID(), this.getComponentID());
     
     // Set up mode selector
     const modeSelector = document.getElementById('mode-selector');
@@ -92,7 +99,7 @@ class PCOSApp extends BaseComponent {
     this.currentMode = mode;
     
     // Update body class for mode-specific styling
-    document.body.classList.remove('modern-mode', 'stos-mode', 'amos1_3-mode', 'amosPro-mode', 'c64-mode');
+    document.body.classList.remove('modern-mode', 'stos-mode', 'amos1_3-mode', 'amosPro-mode', 'c64-mode', 'c64asm-mode');
     document.body.classList.add(`${mode}-mode`);
     
     // Broadcast mode change messages to components
@@ -153,18 +160,55 @@ class PCOSApp extends BaseComponent {
     // Handle specific menu actions
     switch (action.data.option.toLowerCase()) {
       case 'new':
-        // Handle new file action
-        console.log('New file action');
+        this.broadcastToHandlers('NEW_FILE');
         return true;
         
       case 'open':
-        // Handle open file action
-        console.log('Open file action');
+        this.broadcastToHandlers('OPEN_FILE');
         return true;
         
       case 'save':
-        // Handle save file action
-        console.log('Save file action');
+        this.broadcastToHandlers('SAVE_FILE');
+        return true;
+        
+      case 'run':
+        this.broadcastToHandlers('RUN_PROGRAM');
+        return true;
+        
+      case 'debug':
+        this.broadcastToHandlers('DEBUG_PROGRAM');
+        return true;
+        
+      case 'stop':
+        this.broadcastToHandlers('STOP_PROGRAM');
+        return true;
+        
+      case 'documentation':
+        this.broadcastToHandlers('SHOW_HELP');
+        return true;
+        
+      case 'renumber':
+        this.broadcastToHandlers('RENUMBER_PROGRAM');
+        return true;
+        
+      case 'go to line':
+        this.broadcastToHandlers('GOTO_LINE_NUMBER');
+        return true;
+        
+      case 'banks':
+        this.broadcastToHandlers('SHOW_BANK_EDITOR');
+        return true;
+        
+      case 'convert to stos basic':
+        this.broadcastToHandlers('CONVERT_PROGRAM', { mode: 'stos' });
+        return true;
+        
+      case 'convert to amos 1.3':
+        this.broadcastToHandlers('CONVERT_PROGRAM', { mode: 'amos1_3' });
+        return true;
+        
+      case 'convert to amos professional':
+        this.broadcastToHandlers('CONVERT_PROGRAM', { mode: 'amosPro' });
         return true;
         
       case 'preferences':
@@ -238,20 +282,171 @@ class PCOSApp extends BaseComponent {
     var action = messageData.data.action;
     console.log(`PCOSApp handling icon action: ${action}`);
     
+    // STOS F1 repeats the previous key
+    if (action === 'last key') {
+      if (!this.lastIconAction) return true;
+      action = this.lastIconAction;
+    } else {
+      this.lastIconAction = action;
+    }
+    
     // Handle different icon actions
     switch (action) {
+      case 'new':
+        this.broadcastToHandlers('NEW_FILE');
+        return true;
+        
+      case 'open':
+        this.broadcastToHandlers('OPEN_FILE');
+        return true;
+        
+      case 'save':
+        this.broadcastToHandlers('SAVE_FILE');
+        return true;
+        
       case 'run':
+        this.broadcastToHandlers('RUN_PROGRAM');
         return true;
         
       case 'debug':
+        this.broadcastToHandlers('DEBUG_PROGRAM');
+        return true;
+        
+      case 'step':
+        // Single-step the BASIC debugger, starting it if needed
+        this.broadcastToHandlers('DEBUG_COMMAND', { command: 'step' });
         return true;
         
       case 'stop':
+        // Halt the running program, whatever the mode
+        this.broadcastToHandlers('STOP_PROGRAM');
+        return true;
+        
+      case 'help':
+        this.broadcastToHandlers('SHOW_HELP');
+        return true;
+        
+      case 'list':
+        // STOS F2: LIST [line] or RENUM [first[,step]]
+        this.broadcastToHandlers('LIST_PROGRAM');
+        return true;
+        
+      case 'read back':
+        // C64: the program in the emulator's memory back into the editor
+        this.broadcastToHandlers('READ_BACK_PROGRAM');
+        return true;
+        
+      case 'reset':
+        // C64: reset the emulated machine
+        this.broadcastToHandlers('RESET_EMULATOR');
+        return true;
+        
+      case 'assemble':
+        // C64 Assembler: assemble the program into a PRG file
+        this.broadcastToHandlers('ASSEMBLE_PROGRAM');
+        return true;
+        
+      case 'snapshot':
+        // C64: save the whole machine in the project
+        this.broadcastToHandlers('SAVE_SNAPSHOT');
+        return true;
+        
+      case 'record':
+        // C64: start or stop recording the emulator's screen and sound
+        this.broadcastToHandlers('RECORD_EMULATOR');
+        return true;
+        
+      case 'listbank':
+        // STOS F3: the banks of the program
+        this.broadcastToHandlers('SHOW_BANK_EDITOR');
+        return true;
+        
+      case 'load':
+        this.broadcastToHandlers('OPEN_FILE');
+        return true;
+        
+      case 'dir':
+      case 'files':
+        // The files of the project
+        this.broadcastToHandlers('WINDOW_OPEN', { windowId: 'project' });
+        return true;
+        
+      case 'dir$=dir$+"\\"':
+        // STOS F8 enters the folders, F9 goes back up
+        this.broadcastToHandlers('WINDOW_OPEN', { windowId: 'project' });
+        this.broadcastToHandlers('PROJECT_FOLDERS', { open: true });
+        return true;
+        
+      case 'previous':
+        this.broadcastToHandlers('PROJECT_FOLDERS', { open: false });
+        return true;
+        
+      case 'off':
+        // STOS Off stops sprites, music and the program
+        this.broadcastToHandlers('STOP_PROGRAM');
+        return true;
+        
+      case 'full':
+        this.broadcastToHandlers('TOGGLE_FULL_SCREEN');
+        return true;
+        
+      case 'multi2':
+      case 'multi3':
+      case 'multi4':
+        // STOS edits up to four programs; here they are the editor tabs
+        this.broadcastToHandlers('SELECT_TAB', { index: parseInt(action.slice(-1), 10) - 1 });
+        return true;
+        
+      case 'mode 0':
+      case 'mode 1':
+        this.broadcastToHandlers('DIRECT_COMMAND', { command: action.toUpperCase() });
+        return true;
+        
+      case 'default':
+        this.broadcastToHandlers('RESET_SCREEN');
+        return true;
+        
+      case 'env':
+      case 'set':
+        // Environment settings
+        this.showPreferences();
+        return true;
+        
+      case 'key list':
+        this.broadcastToHandlers('LIST_FUNCTION_KEYS');
+        return true;
+        
+      case 'direct':
+        // AMOS F2: open the Direct mode window
+        this.broadcastToHandlers('DIRECT_MODE');
+        return true;
+        
+      case 'edit':
+        this.broadcastToHandlers('FOCUS_EDITOR');
+        return true;
+        
+      case 'proc':
+        this.broadcastToHandlers('GOTO_PROCEDURE');
+        return true;
+        
+      case 'menu':
+        this.broadcast('OPEN_MENU', { menu: 'File' });
+        return true;
+        
+      case 'exit':
+        this.broadcastToHandlers('CLOSE_TAB');
         return true;
         
       // Add more icon actions as needed
     }
     
+    // AMOS Shift+F1 to F10: keys that type a text of the user's
+    const key = /^key ([0-9]+)$/.exec(action);
+    if (key) {
+      this.broadcastToHandlers('FUNCTION_KEY', { number: parseInt(key[1], 10) });
+      return true;
+    }
+    
     // If we get here, the action wasn't handled
     console.log(`Unhandled icon action: ${action}`);
     return false;
@@ -458,13 +458,15 @@ class WebSocketServer {
         return;
       }
       
-      // Read the file
-      const content = await fs.readFile(filePath, 'utf8');
+      // Read the file; binary files such as disk images are sent as base64
+      const encoding = message.encoding === 'base64' ? 'base64' : 'utf8';
+      const content = (await fs.readFile(filePath)).toString(encoding);
       
       this.sendToClient(clientId, {
         id: message.id,
         type: 'read_file_response',
         filePath: message.filePath,
+        encoding,
         content
       });
     } catch (error) {
@@ -511,8 +513,9 @@ class WebSocketServer {
       const fileDir = path.dirname(filePath);
       await this.ensureDirectory(fileDir);
       
-      // Write the file
-      await fs.writeFile(filePath, message.content, 'utf8');
+      // Write the file; binary files such as banks come as base64
+      const content = message.encoding === 'base64' ? Buffer.from(message.content, 'base64') : message.content;
+      await fs.writeFile(filePath, content, 'utf8');
       
       this.sendToClient(clientId, {
         id: message.id,
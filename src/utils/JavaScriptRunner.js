@@ -0,0 +1,116 @@
+/**
+ * JavaScriptRunner.js - Runs modern mode JavaScript in a Web Worker
+ *
+ * User code never runs on the UI thread and cannot reach the page, so an
+ * infinite loop cannot freeze the IDE: stop() terminates the worker whatever
+ * the program is doing. Console calls stream back with their level, and
+ * uncaught errors come back located in the program source. A program ends
+ * when its code, its returned promise and all its timers have finished.
+ */
+
+class JavaScriptRunner {
+  /**
+   * Create a runner
+   *
+   * @param {Object} options - Configuration options
+   * @param {Function} options.output - Called with text written by the program and its level ('log', 'info', 'debug', 'warn' or 'error')
+   * @param {Function} options.onError - Called with an uncaught error ({ name, message, line, column }) before it is reported; may fill in a missing line and column
+   */
+  constructor(options = {}) {
+    this.output = options.output || (() => {});
+    this.onError = options.onError || (() => {});
+    this.worker = null;
+    this.finish = null; // Resolves the promise returned by run()
+  }
+
+  /**
+   * Run a program in a new worker
+   *
+   * @param {string} code - JavaScript source
+   * @returns {Promise<string>} - Resolves with 'done', 'error' or 'stopped'
+   */
+  run(code) {
+    this.stop();
+
+    return new Promise(resolve => {
+      const worker = new Worker(new URL('./JavaScriptWorker.js', import.meta.url), { type: 'module' });
+      this.worker = worker;
+      this.finish = (status) => {
+        worker.terminate();
+        if (this.worker === worker) {
+          this.worker = null;
+          this.finish = null;
+        }
+        resolve(status);
+      };
+
+      worker.onmessage = (event) => this.handleWorkerMessage(event.data);
+      worker.onerror = (event) => {
+        event.preventDefault();
+        this.reportError({ name: 'Error', message: event.message, line: null, column: null });
+        this.finish('error');
+      };
+
+      worker.postMessage({ type: 'run', code });
+    });
+  }
+
+  /**
+   * Handle a message from the worker
+   * @private
+   */
+  handleWorkerMessage(message) {
+    switch (message.type) {
+      case 'console':
+        this.output(`${message.text}\n`, message.level);
+        break;
+
+      case 'done':
+        if (message.result !== undefined) {
+          this.output(`Return value: ${message.result}\n`);
+        }
+        this.finish('done');
+        break;
+
+      case 'error':
+        this.reportError(message.error);
+        this.finish('error');
+        break;
+    }
+  }
+
+  /**
+   * Print an uncaught error with its position in the program
+   * @private
+   */
+  reportError(error) {
+    this.onError(error);
+
+    let location = '';
+    if (error.line !== null) {
+      location = error.column !== null ? ` (line ${error.line}, column ${error.column})` : ` (line ${error.line})`;
+    }
+    const name = error.name ? `${error.name}: ` : '';
+    this.output(`Uncaught ${name}${error.message}${location}\n`, 'error');
+  }
+
+  /**
+   * Terminate the running program, if any
+   */
+  stop() {
+    if (this.finish) {
+      this.finish('stopped');
+    }
+  }
+
+  /**
+   * Check whether a program is running
+   *
+   * @returns {boolean} - True while a worker runs
+   */
+  isRunning() {
+    return this.worker !== null;
+  }
+}
+
+export default JavaScriptRunner;
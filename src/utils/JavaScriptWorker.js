@@ -0,0 +1,228 @@
+// JavaScriptWorker.js - Runs modern mode programs off the UI thread
+//
+// Receives { type: 'run', code } and answers with:
+//   { type: 'console', level, text }   for each console call (log, info, debug, warn, error, table)
+//   { type: 'done', result }           once the program, its returned promise, its timers and
+//                                      its fetches have all finished
+//   { type: 'error', error }           for an uncaught error or rejection: { name, message, line, column },
+//                                      line and column being in the program source when known
+// The page stops a program by terminating the worker.
+
+const SOURCE_URL = 'pcos-program.js';
+const LOCATION_PATTERN = new RegExp(`${SOURCE_URL.replace(/[.-]/g, '\\$&')}:(\\d+):(\\d+)`);
+
+const post = self.postMessage.bind(self);
+const nativeSetTimeout = self.setTimeout.bind(self);
+const nativeClearTimeout = self.clearTimeout.bind(self);
+const nativeSetInterval = self.setInterval.bind(self);
+const nativeClearInterval = self.clearInterval.bind(self);
+const nativeFetch = self.fetch ? self.fetch.bind(self) : null;
+
+// Lines added before the program by new Function, measured rather than
+// assumed because engines differ
+const LINE_OFFSET = (() => {
+  const match = LOCATION_PATTERN.exec(new Function(`return new Error().stack;\n//# sourceURL=${SOURCE_URL}`)() || '');
+  return match ? Number(match[1]) - 1 : 0;
+})();
+
+let mainDone = false; // The program body returned and its promise settled
+let finished = false;
+let result;
+const timers = new Set();
+let pendingRequests = 0;
+
+// Value formatting, close to what the browser console shows
+
+const inspect = (value, depth = 0, seen = new Set()) => {
+  if (typeof value === 'string') return depth === 0 ? value : JSON.stringify(value);
+  if (typeof value === 'function') return `[Function: ${value.name || 'anonymous'}]`;
+  if (typeof value === 'bigint') return `${value}n`;
+  if (typeof value === 'symbol') return value.toString();
+  if (value === null || typeof value !== 'object') return String(value);
+  if (value instanceof Error) return depth === 0 ? `${value.name}: ${value.message}` : `[${value.name}: ${value.message}]`;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof RegExp) return value.toString();
+  if (seen.has(value)) return '[Circular]';
+  if (depth > 2) return Array.isArray(value) ? '[Array]' : '[Object]';
+
+  seen.add(value);
+  const item = (entry) => inspect(entry, depth + 1, seen);
+  const list = (open, entries, close) => entries.length ? `${open} ${entries.join(', ')} ${close}` : `${open}${close}`;
+  let text;
+  if (Array.isArray(value)) {
+    text = list('[', value.map(item), ']');
+  } else if (value instanceof Map) {
+    text = `Map(${value.size}) ` + list('{', [...value].map(([key, entry]) => `${item(key)} => ${item(entry)}`), '}');
+  } else if (value instanceof Set) {
+    text = `Set(${value.size}) ` + list('{', [...value].map(item), '}');
+  } else {
+    const name = value.constructor && value.constructor !== Object ? `${value.constructor.name} ` : '';
+    text = name + list('{', Object.keys(value).map(key => `${key}: ${item(value[key])}`), '}');
+  }
+  seen.delete(value);
+  return text;
+};
+
+const format = (args) => args.map(arg => inspect(arg)).join(' ');
+
+// Draw console.table data as a text table
+const formatTable = (data, columns) => {
+  if (data === null || typeof data !== 'object') return format([data]);
+
+  const rows = Array.isArray(data) ? data.map((row, index) => [String(index), row]) : Object.entries(data);
+  const keys = columns || [...new Set(rows.flatMap(([, row]) =>
+    row !== null && typeof row === 'object' ? Object.keys(row) : []))];
+  const hasValues = rows.some(([, row]) => row === null || typeof row !== 'object');
+  const header = ['(index)', ...keys, ...(hasValues ? ['Values'] : [])];
+  const cells = rows.map(([index, row]) => {
+    const isObject = row !== null && typeof row === 'object';
+    return [
+      index,
+      ...keys.map(key => isObject && key in row ? inspect(row[key], 1) : ''),
+      ...(hasValues ? [isObject ? '' : inspect(row, 1)] : [])
+    ];
+  });
+
+  const widths = header.map((title, column) => Math.max(title.length, ...cells.map(row => row[column].length)));
+  const line = (left, middle, right) => left + widths.map(width => '─'.repeat(width + 2)).join(middle) + right;
+  const row = (values) => '│' + values.map((value, column) => ` ${value.padEnd(widths[column])} `).join('│') + '│';
+
+  return [line('┌', '┬', '┐'), row(header), line('├', '┼', '┤'), ...cells.map(row), line('└', '┴', '┘')].join('\n');
+};
+
+// Console
+
+const sendConsole = (level, text) => {
+  if (!finished) {
+    post({ type: 'console', level, text });
+  }
+};
+
+['log', 'info', 'debug', 'warn', 'error'].forEach(level => {
+  console[level] = (...args) => sendConsole(level, format(args));
+});
+console.table = (data, columns) => sendConsole('log', formatTable(data, columns));
+
+// Ending the program
+
+const finish = (message) => {
+  if (finished) return;
+  finished = true;
+  post(message);
+};
+
+// Report an uncaught error; like Node.js, it ends the program
+const fail = (error) => {
+  const details = { name: '', message: inspect(error), line: null, column: null };
+
+  if (error instanceof Error) {
+    details.name = error.name;
+    details.message = error.message;
+    const match = LOCATION_PATTERN.exec(error.stack || '');
+    if (match) {
+      details.line = Number(match[1]) - LINE_OFFSET;
+      details.column = Number(match[2]);
+    } else if (typeof error.lineNumber === 'number' && error instanceof SyntaxError) {
+      // Firefox locates syntax errors in the function source
+      details.line = error.lineNumber - LINE_OFFSET;
+      details.column = typeof error.columnNumber === 'number' ? error.columnNumber + 1 : null;
+    }
+  }
+
+  finish({ type: 'error', error: details });
+};
+
+// The program is over once nothing can call back into it any more
+const checkIdle = () => {
+  if (!mainDone || finished || timers.size > 0 || pendingRequests > 0) return;
+
+  // Let promise callbacks queued by the last task run first: they may start new work
+  nativeSetTimeout(() => {
+    if (timers.size === 0 && pendingRequests === 0) {
+      finish({ type: 'done', result: result === undefined ? undefined : inspect(result) });
+    }
+  }, 0);
+};
+
+// Timers and fetches, tracked so that the program is not declared finished early
+
+const invoke = (callback, args) => {
+  if (finished || typeof callback !== 'function') return;
+  try {
+    callback(...args);
+  } catch (error) {
+    fail(error);
+  }
+};
+
+self.setTimeout = (callback, delay, ...args) => {
+  const id = nativeSetTimeout(() => {
+    timers.delete(id);
+    invoke(callback, args);
+    checkIdle();
+  }, delay);
+  timers.add(id);
+  return id;
+};
+
+self.clearTimeout = (id) => {
+  timers.delete(id);
+  nativeClearTimeout(id);
+  checkIdle();
+};
+
+self.setInterval = (callback, delay, ...args) => {
+  const id = nativeSetInterval(() => invoke(callback, args), delay);
+  timers.add(id);
+  return id;
+};
+
+self.clearInterval = (id) => {
+  timers.delete(id);
+  nativeClearInterval(id);
+  checkIdle();
+};
+
+if (nativeFetch) {
+  self.fetch = (...args) => {
+    pendingRequests++;
+    return nativeFetch(...args).finally(() => {
+      pendingRequests--;
+      checkIdle();
+    });
+  };
+}
+
+self.addEventListener('unhandledrejection', (event) => {
+  event.preventDefault();
+  fail(event.reason);
+});
+
+self.addEventListener('error', (event) => {
+  event.preventDefault();
+  fail(event.error || new Error(event.message));
+});
+
+// Running the program
+
+self.onmessage = (event) => {
+  if (!event.data || event.data.type !== 'run') return;
+
+  let program;
+  try {
+    program = new Function(`${event.data.code}\n//# sourceURL=${SOURCE_URL}`);
+  } catch (error) {
+    fail(error);
+    return;
+  }
+
+  try {
+    Promise.resolve(program()).then(value => {
+      result = value;
+      mainDone = true;
+      checkIdle();
+    }, fail);
+  } catch (error) {
+    fail(error);
+  }
+};
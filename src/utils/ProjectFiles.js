@@ -0,0 +1,142 @@
+/**
+ * ProjectFiles.js - Files of the project open on the server
+ *
+ * Sends list_files, read_file and write_file requests through the Socket
+ * window's connection (SOCKET_REQUEST) and turns the answers into promises.
+ * Binary files travel as base64.
+ */
+
+// Folders searched below the project root by find()
+const MAX_FIND_DEPTH = 4;
+
+class ProjectFiles {
+  /**
+   * Create the access to the project files
+   *
+   * @param {BaseComponent} component - Component that sends the requests
+   */
+  constructor(component) {
+    this.component = component;
+  }
+
+  /**
+   * Send a request to the server
+   * @private
+   */
+  request(message) {
+    return new Promise((resolve, reject) => {
+      this.component.broadcastToHandlers('SOCKET_REQUEST', {
+        message,
+        onResponse: resolve,
+        onError: reject
+      });
+    });
+  }
+
+  /**
+   * List a folder of the project
+   *
+   * @param {string} directory - Folder path, '' for the project root
+   * @returns {Promise<Array<Object>>} - Entries with name, path and isDirectory
+   */
+  async list(directory = '') {
+    const response = await this.request({ type: 'list_files', directory });
+    return response.files || [];
+  }
+
+  /**
+   * Find the files of the project whose names end with one of the extensions
+   *
+   * @param {Array<string>} extensions - Extensions with their dot, e.g. '.prg'
+   * @returns {Promise<Array<Object>>} - Matching files, with name and path
+   */
+  async find(extensions) {
+    const wanted = extensions.map(extension => extension.toLowerCase());
+    const found = [];
+
+    const search = async (directory, depth) => {
+      for (const entry of await this.list(directory)) {
+        if (entry.isDirectory) {
+          if (depth < MAX_FIND_DEPTH) {
+            await search(entry.path, depth + 1);
+          }
+        } else if (wanted.some(extension => entry.name.toLowerCase().endsWith(extension))) {
+          found.push(entry);
+        }
+      }
+    };
+
+    await search('', 0);
+    return found.sort((a, b) => a.path.localeCompare(b.path));
+  }
+
+  /**
+   * Read a text file
+   *
+   * @param {string} filePath - Path in the project
+   * @returns {Promise<string>} - File contents
+   */
+  async readText(filePath) {
+    const response = await this.request({ type: 'read_file', filePath });
+    return response.content;
+  }
+
+  /**
+   * Write a text file, creating its folder if needed
+   *
+   * @param {string} filePath - Path in the project
+   * @param {string} text - File contents
+   * @returns {Promise} - Resolves once the file is written
+   */
+  writeText(filePath, text) {
+    return this.request({ type: 'write_file', filePath, content: text });
+  }
+
+  /**
+   * Read a binary file
+   *
+   * @param {string} filePath - Path in the project
+   * @returns {Promise<Uint8Array>} - File contents
+   */
+  async readBytes(filePath) {
+    const response = await this.request({ type: 'read_file', filePath, encoding: 'base64' });
+    return fromBase64(response.content);
+  }
+
+  /**
+   * Write a binary file, creating its folder if needed
+   *
+   * @param {string} filePath - Path in the project
+   * @param {Uint8Array} bytes - File contents
+   * @returns {Promise} - Resolves once the file is written
+   */
+  writeBytes(filePath, bytes) {
+    return this.request({ type: 'write_file', filePath, content: toBase64(bytes), encoding: 'base64' });
+  }
+}
+
+/**
+ * Encode bytes as base64
+ *
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} - Base64 text
+ */
+export function toBase64(bytes) {
+  let text = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    text += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(text);
+}
+
+/**
+ * Decode base64 text
+ *
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array} - Decoded bytes
+ */
+export function fromBase64(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+export default ProjectFiles;
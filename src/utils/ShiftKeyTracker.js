@@ -0,0 +1,54 @@
+/**
+ * ShiftKeyTracker.js - Follows the Shift key for the function key icon bars
+ *
+ * The STOS and AMOS icon bars show the shifted function keys while Shift is
+ * held. The release of a Shift held while the focus goes to a frame, such as
+ * the C64 emulator, never reaches the document, so Shift is released when the
+ * window loses the focus.
+ */
+
+class ShiftKeyTracker {
+  /**
+   * Start following the Shift key
+   *
+   * @param {Function} onChange - Called with true when Shift is pressed, false when it is released
+   */
+  constructor(onChange) {
+    this.onChange = onChange;
+    this.pressed = false;
+
+    this.handleKeyDown = (event) => {
+      if (event.key === 'Shift') this.setPressed(true);
+    };
+    this.handleKeyUp = (event) => {
+      if (event.key === 'Shift') this.setPressed(false);
+    };
+    this.handleBlur = () => this.setPressed(false);
+
+    document.addEventListener('keydown', this.handleKeyDown);
+    document.addEventListener('keyup', this.handleKeyUp);
+    window.addEventListener('blur', this.handleBlur);
+  }
+
+  /**
+   * Change the state, telling the icon bar if it is new
+   * @private
+   */
+  setPressed(pressed) {
+    if (pressed !== this.pressed) {
+      this.pressed = pressed;
+      this.onChange(pressed);
+    }
+  }
+
+  /**
+   * Stop following the key, when the icon bar of another mode replaces this one
+   */
+  destroy() {
+    document.removeEventListener('keydown', this.handleKeyDown);
+    document.removeEventListener('keyup', this.handleKeyUp);
+    window.removeEventListener('blur', this.handleBlur);
+  }
+}
+
+export default ShiftKeyTracker;
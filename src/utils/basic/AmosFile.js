@@ -0,0 +1,658 @@
+/**
+ * AmosFile.js - Reads and writes tokenized AMOS source files (.AMOS)
+ *
+ * An .AMOS file holds a 16 byte version header, the length of the tokenized
+ * program, the program lines and then the memory banks ("AmBs"). Each line
+ * is: length in words, indentation, 16-bit big-endian tokens, and a zero
+ * token. Keywords are offsets in the AMOS instruction table; variables,
+ * labels, procedure names, numbers, strings and comments carry their data
+ * after the token.
+ *
+ * The table below covers the AMOS core language and the colour and drawing
+ * instructions, from Palette to Clip. Instructions it does not know are
+ * listed as {$XXXX} when reading; a program using an instruction without a
+ * known token, such as the screen, text window and sprite instructions, is
+ * saved as an ASCII listing (.ASC) instead, which AMOS can load and tokenize
+ * itself.
+ */
+
+import BasicTokenizer, { TOKEN_TYPES } from './BasicTokenizer.js';
+
+const HEADERS = {
+  amos1_3: 'AMOS Basic V134 ',
+  amosPro: 'AMOS Pro101V\0\0\0\0'
+};
+
+// Special tokens followed by data
+const TOKENS = {
+  END_OF_LINE: 0x0000,
+  VARIABLE: 0x0006,
+  LABEL: 0x000C,
+  PROCEDURE_CALL: 0x0012,
+  LABEL_REFERENCE: 0x0018,
+  BINARY: 0x001E,
+  STRING: 0x0026,
+  STRING_SINGLE: 0x002E,
+  HEX: 0x0036,
+  DECIMAL: 0x003E,
+  FLOAT: 0x0046,
+  EXTENSION: 0x004E,
+  REM: 0x064A,
+  REM_QUOTE: 0x0652,
+  DOUBLE: 0x2B6A,
+  PROCEDURE: 0x0376
+};
+
+// Instructions followed by bytes that AMOS fills in when it tests the program
+const EXTRA_BYTES = {
+  0x023C: 2, // For
+  0x0250: 2, // Repeat
+  0x0268: 2, // While
+  0x027E: 2, // Do
+  0x02BE: 2, // If
+  0x02D0: 2, // Else
+  0x0404: 2, // Data
+  0x25A4: 2, // Else If
+  0x0290: 4, // Exit If
+  0x029E: 4, // Exit
+  0x0316: 4, // On
+  0x0376: 8, // Procedure
+  0x2A40: 6, // Equ
+  0x2A4A: 6, // Lvo
+  0x2A54: 6, // Struc
+  0x2A64: 6 // Struc$
+};
+
+// Core instruction table: token and name as AMOS lists it. When a name
+// appears twice the second entry is another parameter form of the same
+// instruction; the first one is used when writing.
+const INSTRUCTIONS = [
+  [0x0054, ':'], [0x005C, ','], [0x0064, ';'], [0x006C, '#'], [0x0074, '('], [0x007C, ')'],
+  [0x0084, '['], [0x008C, ']'], [0x0094, 'To'], [0x009C, 'Not'], [0x00A6, 'Swap'],
+  [0x00B0, 'Def Fn'], [0x00BC, 'Fn'], [0x00C4, 'Follow Off'], [0x00D4, 'Follow'],
+  [0x00E0, 'Resume Next'], [0x00F2, 'Inkey$'], [0x00FE, 'Repeat$'], [0x010E, 'Zone$'],
+  [0x011C, 'Border$'], [0x012C, 'Double Buffer'], [0x0140, 'Start'], [0x014C, 'Length'],
+  [0x015A, 'Doke'], [0x0168, 'On Menu Del'], [0x017A, 'On Menu On'], [0x018A, 'On Menu Off'],
+  [0x019C, 'Every On'], [0x01AA, 'Every Off'], [0x01BA, 'Logbase'], [0x01C8, 'Logic'],
+  [0x01D4, 'Logic'], [0x01DC, 'Asc'], [0x01E6, 'As'], [0x01EE, 'Call'], [0x01F8, 'Execall'],
+  [0x0206, 'Gfxcall'], [0x0214, 'Doscall'], [0x0222, 'Intcall'], [0x0230, 'Freeze'],
+  [0x023C, 'For'], [0x0246, 'Next'], [0x0250, 'Repeat'], [0x025C, 'Until'], [0x0268, 'While'],
+  [0x0274, 'Wend'], [0x027E, 'Do'], [0x0286, 'Loop'], [0x0290, 'Exit If'], [0x029E, 'Exit'],
+  [0x02A8, 'Goto'], [0x02B2, 'Gosub'], [0x02BE, 'If'], [0x02C6, 'Then'], [0x02D0, 'Else'],
+  [0x02DA, 'End If'], [0x02E6, 'On Error'], [0x02F4, 'On Break Proc'], [0x0308, 'On Menu'],
+  [0x0316, 'On'], [0x031E, 'Resume Label'], [0x0330, 'Resume'], [0x033C, 'Pop Proc'],
+  [0x034A, 'Every'], [0x0356, 'Step'], [0x0360, 'Return'], [0x036C, 'Pop'],
+  [0x0376, 'Procedure'], [0x0386, 'Proc'], [0x0390, 'End Proc'], [0x039E, 'Shared'],
+  [0x03AA, 'Global'], [0x03B6, 'End'], [0x03C0, 'Stop'], [0x03CA, 'Param#'], [0x03D6, 'Param$'],
+  [0x03E2, 'Param'], [0x03EE, 'Error'], [0x03FA, 'Errn'], [0x0404, 'Data'], [0x040E, 'Read'],
+  [0x0418, 'Restore'], [0x0426, 'Break Off'], [0x0436, 'Break On'], [0x0444, 'Inc'],
+  [0x044E, 'Dec'], [0x0458, 'Add'], [0x0462, 'Add'], [0x046A, 'Print #'], [0x0476, 'Print'],
+  [0x0482, 'Lprint'], [0x048E, 'Input$'], [0x049C, 'Input$'], [0x04A6, 'Using'],
+  [0x04B2, 'Input #'], [0x04BE, 'Line Input #'], [0x04D0, 'Input'], [0x04DC, 'Line Input'],
+  [0x04EC, 'Run'], [0x04F6, 'Run'], [0x04FE, 'Set Buffer'], [0x050E, 'Mid$'], [0x051E, 'Mid$'],
+  [0x0528, 'Left$'], [0x0536, 'Right$'], [0x0546, 'Flip$'], [0x0552, 'Chr$'], [0x055E, 'Space$'],
+  [0x056C, 'String$'], [0x057C, 'Upper$'], [0x058A, 'Lower$'], [0x0598, 'Str$'], [0x05A4, 'Val'],
+  [0x05AE, 'Bin$'], [0x05BA, 'Bin$'], [0x05C4, 'Hex$'], [0x05D0, 'Hex$'], [0x05DA, 'Len'],
+  [0x05E4, 'Instr'], [0x05F4, 'Instr'], [0x0600, 'Tab$'], [0x060A, 'Free'], [0x0614, 'Varptr'],
+  [0x0620, 'Remember X'], [0x0630, 'Remember Y'], [0x0640, 'Dim'], [0x064A, 'Rem'], [0x0652, "'"],
+  [0x0658, 'Sort'], [0x0662, 'Match'], [0x0670, 'Edit'], [0x067A, 'Direct'], [0x0686, 'Rnd'],
+  [0x0690, 'Randomize'], [0x06A0, 'Sgn'], [0x06AA, 'Abs'], [0x06B4, 'Int'], [0x06BE, 'Radian'],
+  [0x06CA, 'Degree'], [0x06D6, 'Pi#'], [0x06E0, 'Fix'], [0x06EA, 'Min'], [0x06F6, 'Max'],
+  [0x0702, 'Sin'], [0x070C, 'Cos'], [0x0716, 'Tan'], [0x0720, 'Asin'], [0x072C, 'Acos'],
+  [0x0738, 'Atan'], [0x0744, 'Hsin'], [0x0750, 'Hcos'], [0x075C, 'Htan'], [0x0768, 'Sqr'],
+  [0x0772, 'Log'], [0x077C, 'Ln'], [0x0786, 'Exp'],
+  // Colours and graphics
+  [0x0790, 'Palette'], [0x079E, 'Default Palette'], [0x07B4, 'Default'], [0x07C0, 'Colour Back'],
+  [0x07D2, 'Colour'], [0x07DE, 'Colour'], [0x07E8, 'Flash Off'], [0x07F8, 'Flash'],
+  [0x0804, 'Shift Off'], [0x0814, 'Shift Up'], [0x0826, 'Shift Down'], [0x083A, 'Set Rainbow'],
+  [0x0852, 'Set Rainbow'], [0x0864, 'Rainbow Del'], [0x0876, 'Rainbow Del'], [0x087E, 'Rainbow'],
+  [0x0890, 'Rain'], [0x089E, 'Fade'], [0x08A8, 'Phybase'], [0x08B6, 'Physic'], [0x08C4, 'Physic'],
+  [0x08CC, 'Autoback'], [0x08DA, 'Plot'], [0x08E6, 'Plot'], [0x08F0, 'Point'], [0x08FE, 'Draw To'],
+  [0x090C, 'Draw'], [0x091C, 'Ellipse'], [0x092E, 'Circle'], [0x093E, 'Polyline'], [0x094C, 'Polygon'],
+  [0x095A, 'Bar'], [0x0968, 'Box'], [0x0976, 'Paint'], [0x0986, 'Paint'], [0x0990, 'Gr Locate'],
+  [0x09A0, 'Text Length'], [0x09B4, 'Text Styles'], [0x09C8, 'Text Base'], [0x09D8, 'Text'],
+  [0x09E6, 'Set Text'], [0x09F4, 'Set Paint'], [0x0A04, 'Get Fonts'], [0x0A12, 'Get Disc Fonts'],
+  [0x0A26, 'Get Rom Fonts'], [0x0A3A, 'Set Font'], [0x0A48, 'Font$'], [0x0A54, 'Hslider'],
+  [0x0A6C, 'Vslider'], [0x0A84, 'Set Slider'], [0x0AA6, 'Set Pattern'], [0x0AB6, 'Set Line'],
+  [0x0AC4, 'Ink'], [0x0ACE, 'Ink'], [0x0ADA, 'Ink'], [0x0AE6, 'Gr Writing'], [0x0AF6, 'Clip'],
+  [0x0AFE, 'Clip'],
+  [0x25A4, 'Else If'],
+  // Operators sit before the table, so their offsets are negative
+  [0xFF3E, 'Xor'], [0xFF4C, 'Or'], [0xFF58, 'And'], [0xFF66, '<>'], [0xFF70, '><'],
+  [0xFF7A, '<='], [0xFF84, '=<'], [0xFF8E, '>='], [0xFF98, '=>'], [0xFFA2, '='], [0xFFAC, '<'],
+  [0xFFB6, '>'], [0xFFC0, '+'], [0xFFCA, '-'], [0xFFD4, 'Mod'], [0xFFE2, '*'], [0xFFEC, '/'],
+  [0xFFF6, '^']
+];
+
+const NAMES = new Map(INSTRUCTIONS);
+const CODES = new Map();
+INSTRUCTIONS.forEach(([token, name]) => {
+  if (!CODES.has(name.toUpperCase())) {
+    CODES.set(name.toUpperCase(), token);
+  }
+});
+
+// Instructions whose parameter is a label
+const LABEL_INSTRUCTIONS = ['GOTO', 'GOSUB', 'RESTORE'];
+
+// Instructions listed with a space before a bracket or an operator; functions
+// are followed by their parameters directly
+const SPACED_KEYWORDS = new Set(['If', 'Else If', 'While', 'Until', 'Then', 'Else', 'Print', 'Return',
+  'Step', 'To', 'And', 'Or', 'Xor', 'Not', 'Mod', 'Exit If', 'Data', 'Inc', 'Dec', 'Add', 'Goto', 'Gosub']);
+
+// Names written without spaces around them when listing
+const SYMBOLS = new Set([':', ',', ';', '#', '(', ')', '[', ']', '<>', '><', '<=', '=<', '>=', '=>',
+  '=', '<', '>', '+', '-', '*', '/', '^']);
+
+class AmosFile {
+  /**
+   * Create a reader/writer for a dialect
+   *
+   * @param {Object} dialect - amos1_3 or amosPro dialect profile
+   */
+  constructor(dialect) {
+    this.dialect = dialect;
+    this.extensions = ['.AMOS', '.ASC', '.TXT'];
+    this.defaultName = 'program.AMOS';
+
+    // Tokenize with every instruction of the table as well as the dialect keywords,
+    // so that instructions PCOS does not run yet still get their token
+    this.tokenizer = new BasicTokenizer({
+      keywords: [
+        ...dialect.keywords,
+        ...INSTRUCTIONS.map(([, name]) => name).filter(name => /^[A-Za-z]/.test(name))
+      ]
+    });
+  }
+
+  /**
+   * Check whether bytes hold a tokenized AMOS program
+   *
+   * @param {Uint8Array} bytes - File contents
+   * @returns {boolean} - True if the file starts with an AMOS header
+   */
+  static isTokenized(bytes) {
+    return bytes.length >= 20 && latin1(bytes.subarray(0, 4)) === 'AMOS';
+  }
+
+  /**
+   * Read a program: tokenized .AMOS files are listed, other files are read as text
+   *
+   * @param {Uint8Array} bytes - File contents
+   * @returns {Object} - text, banks (raw bank bytes to keep when saving, or null) and warnings
+   */
+  read(bytes) {
+    if (!AmosFile.isTokenized(bytes)) {
+      return { text: latin1(bytes).replace(/\r\n?/g, '\n'), banks: null, warnings: [] };
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const codeLength = view.getUint32(16);
+    const end = 20 + codeLength;
+    if (end > bytes.length) {
+      throw new Error('Truncated AMOS file');
+    }
+
+    const lines = [];
+    const unknown = new Set();
+    let pos = 20;
+
+    while (pos < end) {
+      const length = bytes[pos] * 2;
+      if (length < 4 || pos + length > end) {
+        throw new Error(`Corrupt AMOS line at offset ${pos}`);
+      }
+      const indent = Math.max(bytes[pos + 1] - 1, 0);
+      lines.push(' '.repeat(indent) + this.listLine(view, pos + 2, pos + length, unknown));
+      pos += length;
+    }
+
+    const warnings = [];
+    if (unknown.size > 0) {
+      warnings.push(`Unknown AMOS tokens shown as {$XXXX}: ${[...unknown].join(', ')}`);
+    }
+
+    return {
+      text: lines.join('\n'),
+      banks: end < bytes.length ? bytes.slice(end) : null,
+      warnings
+    };
+  }
+
+  /**
+   * List the tokens of one line as text
+   * @private
+   */
+  listLine(view, pos, end, unknown) {
+    const items = [];
+
+    while (pos + 2 <= end) {
+      const token = view.getUint16(pos);
+      pos += 2;
+      if (token === TOKENS.END_OF_LINE) break;
+
+      switch (token) {
+        case TOKENS.VARIABLE:
+        case TOKENS.LABEL:
+        case TOKENS.PROCEDURE_CALL:
+        case TOKENS.LABEL_REFERENCE: {
+          const length = view.getUint8(pos + 2);
+          const flags = view.getUint8(pos + 3);
+          let name = latin1(new Uint8Array(view.buffer, view.byteOffset + pos + 4, length))
+            .replace(/\0+$/, '').toUpperCase();
+          pos += 4 + length;
+          if (token === TOKENS.VARIABLE) {
+            name += flags & 2 ? '$' : flags & 1 ? '#' : '';
+          }
+          items.push({ text: token === TOKENS.LABEL ? `${name}:` : name, kind: 'value' });
+          break;
+        }
+
+        case TOKENS.STRING:
+        case TOKENS.STRING_SINGLE: {
+          const length = view.getUint16(pos);
+          const text = latin1(new Uint8Array(view.buffer, view.byteOffset + pos + 2, length));
+          const quote = token === TOKENS.STRING ? '"' : "'";
+          pos += 2 + length + (length & 1);
+          items.push({ text: quote + text + quote, kind: 'value' });
+          break;
+        }
+
+        case TOKENS.BINARY:
+          items.push({ text: '%' + (view.getUint32(pos) >>> 0).toString(2), kind: 'value' });
+          pos += 4;
+          break;
+
+        case TOKENS.HEX:
+          items.push({ text: '$' + (view.getUint32(pos) >>> 0).toString(16).toUpperCase(), kind: 'value' });
+          pos += 4;
+          break;
+
+        case TOKENS.DECIMAL:
+          items.push({ text: String(view.getInt32(pos)), kind: 'value' });
+          pos += 4;
+          break;
+
+        case TOKENS.FLOAT:
+          items.push({ text: formatFloat(fromFastFloat(view.getUint32(pos)), 7), kind: 'value' });
+          pos += 4;
+          break;
+
+        case TOKENS.DOUBLE:
+          items.push({ text: formatFloat(view.getFloat64(pos), 15), kind: 'value' });
+          pos += 8;
+          break;
+
+        case TOKENS.EXTENSION: {
+          const extension = view.getUint8(pos);
+          const offset = view.getUint16(pos + 2);
+          unknown.add(`extension ${extension} $${hex(offset)}`);
+          items.push({ text: `{Ext ${extension} $${hex(offset)}}`, kind: 'value' });
+          pos += 4;
+          break;
+        }
+
+        case TOKENS.REM:
+        case TOKENS.REM_QUOTE: {
+          const length = view.getUint8(pos + 1);
+          const text = latin1(new Uint8Array(view.buffer, view.byteOffset + pos + 2, length)).replace(/\0+$/, '');
+          pos += 2 + length + (length & 1);
+          items.push({ text: token === TOKENS.REM ? `Rem${text}` : `'${text}`, kind: 'comment' });
+          break;
+        }
+
+        default: {
+          pos += EXTRA_BYTES[token] || 0;
+          const name = NAMES.get(token);
+          if (name === undefined) {
+            unknown.add(`$${hex(token)}`);
+            items.push({ text: `{$${hex(token)}}`, kind: 'value' });
+          } else {
+            items.push({ text: name, kind: SYMBOLS.has(name) ? 'symbol' : 'keyword' });
+          }
+        }
+      }
+    }
+
+    return joinItems(items);
+  }
+
+  /**
+   * Write a program as an .AMOS file, or as an ASCII listing if it uses
+   * instructions without a known token
+   *
+   * @param {string} text - Program source
+   * @param {Object} options - Options
+   * @param {string} options.fileName - Name the program was opened as, if any
+   * @param {Uint8Array} options.banks - Banks read with the program, written back after it
+   * @returns {Object} - bytes, fileName and warnings
+   */
+  write(text, options = {}) {
+    const baseName = (options.fileName || this.defaultName).replace(/\.[^.]*$/, '');
+    const missing = new Set();
+    const lines = this.tokenizeProgram(text, missing);
+
+    if (missing.size > 0) {
+      return {
+        bytes: fromLatin1(text),
+        fileName: `${baseName}.ASC`,
+        warnings: [`No AMOS token known for ${[...missing].join(', ')}: saved as an ASCII listing that AMOS can load instead`]
+      };
+    }
+
+    const codeLength = lines.reduce((total, line) => total + line.length, 0);
+    const banks = options.banks || fromLatin1('AmBs\0\0');
+    const bytes = new Uint8Array(20 + codeLength + banks.length);
+    bytes.set(fromLatin1(HEADERS[this.dialect.name] || HEADERS.amosPro), 0);
+    new DataView(bytes.buffer).setUint32(16, codeLength);
+
+    let pos = 20;
+    lines.forEach(line => {
+      bytes.set(line, pos);
+      pos += line.length;
+    });
+    bytes.set(banks, pos);
+
+    return { bytes, fileName: `${baseName}.AMOS`, warnings: [] };
+  }
+
+  /**
+   * Tokenize every line of a program
+   * @private
+   */
+  tokenizeProgram(text, missing) {
+    const sourceLines = text.split('\n');
+
+    // Procedure names, so that calls without Proc are told from variables
+    const procedures = new Set();
+    sourceLines.forEach(line => {
+      const match = /^\s*procedure\s+([A-Za-z_][A-Za-z0-9_]*)/i.exec(line);
+      if (match) {
+        procedures.add(match[1].toUpperCase());
+      }
+    });
+
+    return sourceLines
+      .map((line, index) => ({ line, index }))
+      .filter(({ line }) => line.trim() !== '')
+      .map(({ line, index }) => this.tokenizeLine(line, index + 1, procedures, missing));
+  }
+
+  /**
+   * Tokenize one line into its binary form
+   * @private
+   */
+  tokenizeLine(line, lineNumber, procedures, missing) {
+    const out = new ByteWriter();
+    const indent = /^ */.exec(line.replace(/\t/g, '  '))[0].length;
+    const tokens = this.tokenizer.tokenizeLine(line, lineNumber);
+    let statementStart = true;
+    let labelContext = false; // After Goto, Gosub and Restore, and in On ... Goto lists
+
+    out.byte(0); // Length, filled in below
+    out.byte(Math.min(indent + 1, 255));
+
+    for (let index = 0; index < tokens.length; index++) {
+      const token = tokens[index];
+      const previous = tokens[index - 1];
+      const next = tokens[index + 1];
+      const atStatementStart = statementStart;
+      const afterLabelInstruction = labelContext;
+      statementStart = false;
+      labelContext = false;
+
+      switch (token.type) {
+        case TOKEN_TYPES.LINE_NUMBER:
+          // Line numbers are labels in AMOS
+          out.name(TOKENS.LABEL, String(token.value), 0);
+          statementStart = true;
+          break;
+
+        case TOKEN_TYPES.IDENTIFIER: {
+          const name = token.value.replace(/[$#]$/, '');
+          if (index === 0 && next && next.type === TOKEN_TYPES.PUNCTUATION && next.value === ':') {
+            out.name(TOKENS.LABEL, name, 0);
+            statementStart = true;
+            index++;
+          } else if (afterLabelInstruction) {
+            out.name(TOKENS.LABEL_REFERENCE, name, 0);
+          } else if (procedures.has(name) &&
+                     (atStatementStart || previous.value === 'PROC' || previous.value === 'PROCEDURE')) {
+            out.name(TOKENS.PROCEDURE_CALL, name, 0);
+          } else {
+            const flags = token.value.endsWith('$') ? 2 : token.value.endsWith('#') ? 1 : 0;
+            out.name(TOKENS.VARIABLE, name, flags);
+          }
+          break;
+        }
+
+        case TOKEN_TYPES.NUMBER:
+          if (token.text.startsWith('$')) {
+            out.word(TOKENS.HEX);
+            out.long(token.value);
+          } else if (token.text.startsWith('%')) {
+            out.word(TOKENS.BINARY);
+            out.long(token.value);
+          } else if (!/[.eE]/.test(token.text) && token.value <= 0x7FFFFFFF) {
+            out.word(TOKENS.DECIMAL);
+            out.long(token.value);
+          } else {
+            out.word(TOKENS.FLOAT);
+            out.long(toFastFloat(token.value));
+          }
+          break;
+
+        case TOKEN_TYPES.STRING:
+          out.word(TOKENS.STRING);
+          out.word(token.value.length);
+          out.text(token.value);
+          break;
+
+        case TOKEN_TYPES.COMMENT:
+          // An apostrophe comment; the text after Rem is written with the Rem
+          if (!previous || previous.value !== 'REM') {
+            out.comment(TOKENS.REM_QUOTE, token.value);
+          }
+          break;
+
+        case TOKEN_TYPES.KEYWORD: {
+          if (token.value === 'LET') break; // AMOS has no Let
+          if (token.value === 'REM') {
+            out.comment(TOKENS.REM, next ? next.text : '');
+            break;
+          }
+
+          const code = CODES.get(token.value);
+          if (code === undefined) {
+            missing.add(capitalizeWords(token.value));
+            break;
+          }
+          out.word(code);
+          out.fill(EXTRA_BYTES[code] || 0);
+
+          labelContext = LABEL_INSTRUCTIONS.includes(token.value);
+          statementStart = token.value === 'THEN' || token.value === 'ELSE';
+          break;
+        }
+
+        case TOKEN_TYPES.OPERATOR:
+          out.word(CODES.get(token.value));
+          break;
+
+        case TOKEN_TYPES.PUNCTUATION:
+          out.word(CODES.get(token.value));
+          statementStart = token.value === ':';
+          labelContext = token.value === ',' && this.inLabelList(tokens, index);
+          break;
+      }
+    }
+
+    out.word(TOKENS.END_OF_LINE);
+
+    const bytes = out.toBytes();
+    if (bytes.length / 2 > 255) {
+      throw new Error(`Line ${lineNumber} is too long for AMOS`);
+    }
+    bytes[0] = bytes.length / 2;
+    return bytes;
+  }
+
+  /**
+   * Check whether a comma separates the labels of an On ... Goto/Gosub list
+   * @private
+   */
+  inLabelList(tokens, index) {
+    for (let i = index - 1; i >= 0; i--) {
+      const token = tokens[i];
+      if (token.type === TOKEN_TYPES.PUNCTUATION && token.value === ':') return false;
+      if (token.type === TOKEN_TYPES.KEYWORD) {
+        return token.value === 'GOTO' || token.value === 'GOSUB';
+      }
+    }
+    return false;
+  }
+}
+
+/**
+ * Grows a big-endian byte buffer
+ * @private
+ */
+class ByteWriter {
+  constructor() {
+    this.bytes = [];
+  }
+
+  byte(value) {
+    this.bytes.push(value & 0xFF);
+  }
+
+  word(value) {
+    this.byte(value >> 8);
+    this.byte(value);
+  }
+
+  long(value) {
+    this.word(value >>> 16);
+    this.word(value & 0xFFFF);
+  }
+
+  fill(count) {
+    for (let i = 0; i < count; i++) this.byte(0);
+  }
+
+  // Latin-1 text padded to an even length
+  text(value) {
+    for (let i = 0; i < value.length; i++) {
+      const code = value.charCodeAt(i);
+      this.byte(code < 256 ? code : 0x3F);
+    }
+    if (value.length & 1) this.byte(0);
+  }
+
+  // Variable, label or procedure name in lower case
+  name(token, name, flags) {
+    const stored = name.toLowerCase();
+    this.word(token);
+    this.word(0);
+    this.byte(stored.length + (stored.length & 1));
+    this.byte(flags);
+    this.text(stored);
+  }
+
+  comment(token, text) {
+    const stored = text.slice(0, 255);
+    this.word(token);
+    this.byte(0);
+    this.byte(stored.length);
+    this.text(stored);
+  }
+
+  toBytes() {
+    return Uint8Array.from(this.bytes);
+  }
+}
+
+/**
+ * Join listed items with the spacing the AMOS editor uses
+ * @private
+ */
+function joinItems(items) {
+  let text = '';
+
+  items.forEach((item, index) => {
+    const previous = items[index - 1];
+    if (previous && needsSpace(previous, item)) {
+      text += ' ';
+    }
+    text += item.text;
+  });
+
+  return text;
+}
+
+function needsSpace(previous, item) {
+  if (item.text === ':' || previous.text === ':' || item.kind === 'comment') {
+    return true;
+  }
+  if (previous.kind === 'keyword') {
+    if (/^[),;\]]$/.test(item.text)) return false;
+    return item.kind !== 'symbol' || SPACED_KEYWORDS.has(previous.text);
+  }
+  return item.kind === 'keyword' && (previous.kind === 'value' || previous.text === ')' || previous.text === ']');
+}
+
+// Motorola Fast Floating Point: 24 bit mantissa, sign bit, 7 bit excess-64 exponent
+
+function fromFastFloat(bits) {
+  if (bits === 0) return 0;
+  const mantissa = bits >>> 8;
+  const exponent = (bits & 0x7F) - 64;
+  const value = mantissa * Math.pow(2, exponent - 24);
+  return bits & 0x80 ? -value : value;
+}
+
+function toFastFloat(value) {
+  if (value === 0 || !Number.isFinite(value)) return 0;
+  const sign = value < 0 ? 0x80 : 0;
+  let magnitude = Math.abs(value);
+  let exponent = Math.floor(Math.log2(magnitude)) + 1;
+  let mantissa = Math.round(magnitude * Math.pow(2, 24 - exponent));
+  if (mantissa >= 0x1000000) {
+    mantissa >>>= 1;
+    exponent++;
+  }
+  exponent = Math.min(Math.max(exponent + 64, 0), 127);
+  return ((mantissa << 8) | sign | exponent) >>> 0;
+}
+
+function formatFloat(value, digits) {
+  const text = String(parseFloat(value.toPrecision(digits)));
+  return /[.e]/.test(text) ? text : `${text}.0`;
+}
+
+// Byte helpers
+
+function latin1(bytes) {
+  let text = '';
+  for (let i = 0; i < bytes.length; i++) {
+    text += String.fromCharCode(bytes[i]);
+  }
+  return text;
+}
+
+function fromLatin1(text) {
+  return Uint8Array.from(text, char => {
+    const code = char.charCodeAt(0);
+    return code < 256 ? code : 0x3F;
+  });
+}
+
+function hex(value) {
+  return value.toString(16).toUpperCase().padStart(4, '0');
+}
+
+function capitalizeWords(keyword) {
+  return keyword.toLowerCase().replace(/(^|\s)([a-z])/g, (match, space, letter) => space + letter.toUpperCase());
+}
+
+export default AmosFile;
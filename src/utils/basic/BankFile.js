@@ -0,0 +1,550 @@
+/**
+ * BankFile.js - Reads and writes the memory banks of AMOS and STOS
+ *
+ * AMOS keeps its banks in .ABK files and after the program in .AMOS files:
+ * "AmSp" and "AmIc" hold sprites and icons (planar images and a 32 colour
+ * palette), "AmBk" any other bank (samples, music, AMAL, data...) and
+ * "AmBs" a set of banks. Sprites, icons and samples are decoded so that
+ * they can be edited; other banks are kept as bytes.
+ *
+ * STOS saves one bank per .MBK file: "Lionpoubnk", the bank number and
+ * its type and length. Sprite banks, which start with $19861987, are
+ * decoded like the AMOS ones; other STOS banks are kept byte for byte and
+ * shown as data.
+ *
+ * A STOS sprite bank holds the sprites of the three resolutions of the ST:
+ *   long  $19861987
+ *   long  x3  offsets of the low, medium and high resolution tables
+ *   word  x16 palette, $0RGB with 3 bits per channel
+ *   each table: a word count, then per sprite the offset of its image
+ *     (long), its width in 16 pixel words, height and hot spot (bytes)
+ *   each image: per row and per 16 pixels, a mask word then one word per
+ *     bitplane (4 in low, 2 in medium, 1 in high resolution)
+ * Offsets are from the start of the bank.
+ */
+
+const STOS_HEADER = 'Lionpoubnk';
+const STOS_SPRITES = 0x19861987;
+
+// Bitplanes of the sprites of each STOS resolution, in the order of the tables
+const STOS_DEPTHS = [4, 2, 1];
+const STOS_PALETTE_SIZE = 16;
+
+// Colours of the palette of a sprite or icon bank
+const PALETTE_SIZE = 32;
+
+// Default Amiga palette, as AMOS sets it for new sprite banks ($0RGB)
+export const DEFAULT_PALETTE = [
+  0x000, 0xA40, 0xFFF, 0x000, 0xF00, 0x0F0, 0x00F, 0x666,
+  0x555, 0x333, 0x733, 0x373, 0x773, 0x337, 0x737, 0x377,
+  0x000, 0xEC8, 0xC00, 0xF60, 0xF90, 0xFF0, 0xBF0, 0x5F0,
+  0x0F0, 0x0F6, 0x0FF, 0x09F, 0x00F, 0x60F, 0xC0F, 0xF0C
+];
+
+class BankFile {
+  constructor() {
+    this.extensions = ['.ABK', '.MBK'];
+    this.defaultName = 'banks.ABK';
+  }
+
+  /**
+   * Read the banks of a file
+   *
+   * @param {Uint8Array} bytes - .ABK or .MBK file, or the banks of an .AMOS file
+   * @returns {Object} - banks and warnings
+   */
+  read(bytes) {
+    const reader = new ByteReader(bytes);
+    const id = reader.text(4);
+
+    if (latin1(bytes.subarray(0, STOS_HEADER.length)) === STOS_HEADER) {
+      return { banks: [this.readStosBank(reader)], warnings: [] };
+    }
+
+    reader.pos = 0;
+    switch (id) {
+      case 'AmBs': {
+        reader.pos = 4;
+        const count = reader.word();
+        const banks = [];
+        for (let index = 0; index < count && reader.pos < bytes.length; index++) {
+          banks.push(this.readAmosBank(reader));
+        }
+        const warnings = banks.length < count ? [`The file holds ${banks.length} of its ${count} banks`] : [];
+        return { banks, warnings };
+      }
+
+      case 'AmSp':
+      case 'AmIc':
+      case 'AmBk':
+        return { banks: [this.readAmosBank(reader)], warnings: [] };
+
+      default:
+        throw new Error('Not an AMOS or STOS bank file');
+    }
+  }
+
+  /**
+   * Read one AMOS bank
+   * @private
+   */
+  readAmosBank(reader) {
+    const id = reader.text(4);
+
+    if (id === 'AmSp' || id === 'AmIc') {
+      const count = reader.word();
+      const images = [];
+      for (let index = 0; index < count; index++) {
+        images.push(readImage(reader));
+      }
+      const palette = [];
+      for (let index = 0; index < PALETTE_SIZE; index++) {
+        palette.push(reader.word() & 0xFFF);
+      }
+      return {
+        number: id === 'AmSp' ? 1 : 2,
+        type: id === 'AmSp' ? 'sprites' : 'icons',
+        name: id === 'AmSp' ? 'Sprites' : 'Icons',
+        images,
+        palette
+      };
+    }
+
+    if (id !== 'AmBk') {
+      throw new Error(`Unknown AMOS bank "${id}" at offset ${reader.pos - 4}`);
+    }
+
+    const number = reader.word();
+    const fast = reader.word() === 1;
+    const length = reader.long() & 0x0FFFFFFF;
+    const name = reader.text(8);
+    const data = reader.bytes(length - 8);
+    const bank = { number, type: 'data', name: name.trim(), fast, data };
+
+    if (name === 'Samples ') {
+      bank.type = 'samples';
+      bank.samples = readSamples(data);
+      delete bank.data;
+    }
+    return bank;
+  }
+
+  /**
+   * Read a STOS .MBK bank
+   * @private
+   */
+  readStosBank(reader) {
+    reader.pos = STOS_HEADER.length;
+    const number = reader.long();
+    const info = reader.long();
+    const data = reader.bytes(info & 0xFFFFFF);
+    const stosType = info >>> 24;
+
+    if (data.length >= 4 && new DataView(data.buffer, data.byteOffset).getUint32(0) === STOS_SPRITES) {
+      return { number, type: 'sprites', name: 'Sprites', stosType, ...readStosSprites(data) };
+    }
+    return { number, type: 'data', name: 'Bank', stosType, data };
+  }
+
+  /**
+   * Write banks as an .ABK file, or a single STOS bank as an .MBK file
+   *
+   * @param {Array<Object>} banks - Banks to write
+   * @param {string} fileName - Name of the file; .MBK writes a STOS bank
+   * @returns {Uint8Array} - File contents
+   */
+  write(banks, fileName = this.defaultName) {
+    if (/\.mbk$/i.test(fileName)) {
+      if (banks.length !== 1 || !(banks[0].data || banks[0].type === 'sprites')) {
+        throw new Error('A .MBK file holds a single STOS sprite or data bank');
+      }
+      return this.writeStosBank(banks[0]);
+    }
+    return banks.length === 1 ? this.writeAmosBank(banks[0]) : this.writeBankSet(banks);
+  }
+
+  /**
+   * Write banks as the set stored after an AMOS program
+   *
+   * @param {Array<Object>} banks - Banks to write
+   * @returns {Uint8Array} - "AmBs" bank set
+   */
+  writeBankSet(banks) {
+    const writer = new ByteWriter();
+    writer.text('AmBs');
+    writer.word(banks.length);
+    banks.forEach(bank => writer.append(this.writeAmosBank(bank)));
+    return writer.toBytes();
+  }
+
+  /**
+   * Write one AMOS bank
+   * @private
+   */
+  writeAmosBank(bank) {
+    const writer = new ByteWriter();
+
+    if (bank.type === 'sprites' || bank.type === 'icons') {
+      writer.text(bank.type === 'sprites' ? 'AmSp' : 'AmIc');
+      writer.word(bank.images.length);
+      bank.images.forEach(image => writeImage(writer, image));
+      for (let index = 0; index < PALETTE_SIZE; index++) {
+        writer.word(bank.palette[index] || 0);
+      }
+      return writer.toBytes();
+    }
+
+    const data = bank.type === 'samples' ? writeSamples(bank.samples) : bank.data;
+    const name = bank.type === 'samples' ? 'Samples' : bank.name;
+    writer.text('AmBk');
+    writer.word(bank.number);
+    writer.word(bank.fast ? 1 : 0);
+    writer.long(data.length + 8);
+    writer.text(name.slice(0, 8).padEnd(8, ' '));
+    writer.append(data);
+    return writer.toBytes();
+  }
+
+  /**
+   * Write a STOS .MBK bank
+   * @private
+   */
+  writeStosBank(bank) {
+    const data = bank.type === 'sprites' ? writeStosSprites(bank) : bank.data;
+    const writer = new ByteWriter();
+    writer.text(STOS_HEADER);
+    writer.long(bank.number);
+    writer.long((((bank.stosType || 0) << 24) | data.length) >>> 0);
+    writer.append(data);
+    return writer.toBytes();
+  }
+}
+
+/**
+ * Create an empty sprite or icon
+ *
+ * @param {number} width - Width in pixels, rounded up to 16
+ * @param {number} height - Height in pixels
+ * @param {number} depth - Number of bitplanes, 1 to 5
+ * @returns {Object} - Image with width, height, depth, hot spot and one colour index per pixel
+ */
+export function createImage(width, height, depth) {
+  const roundedWidth = Math.ceil(width / 16) * 16;
+  return { width: roundedWidth, height, depth, hotX: 0, hotY: 0, pixels: new Uint8Array(roundedWidth * height) };
+}
+
+/**
+ * Convert an Amiga $0RGB colour to a CSS colour
+ *
+ * @param {number} colour - 12 bit colour
+ * @returns {string} - #RRGGBB
+ */
+export function amigaToCss(colour) {
+  const channel = shift => ((colour >> shift) & 0xF) * 0x11;
+  return '#' + [8, 4, 0].map(shift => channel(shift).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Convert a CSS colour to the nearest Amiga $0RGB colour
+ *
+ * @param {string} css - #RRGGBB
+ * @returns {number} - 12 bit colour
+ */
+export function cssToAmiga(css) {
+  const value = parseInt(css.slice(1), 16);
+  const channel = shift => Math.round(((value >> shift) & 0xFF) / 0x11);
+  return (channel(16) << 8) | (channel(8) << 4) | channel(0);
+}
+
+// Images are stored plane after plane, each row a whole number of 16 bit words
+function readImage(reader) {
+  const words = reader.word();
+  const height = reader.word();
+  const depth = reader.word();
+  const hotX = reader.word();
+  const hotY = reader.word();
+  const image = createImage(words * 16, height, depth);
+  image.hotX = hotX;
+  image.hotY = hotY;
+
+  const rowBytes = words * 2;
+  const planes = reader.bytes(rowBytes * height * depth);
+  for (let plane = 0; plane < depth; plane++) {
+    for (let y = 0; y < height; y++) {
+      const row = (plane * height + y) * rowBytes;
+      for (let x = 0; x < image.width; x++) {
+        if (planes[row + (x >> 3)] & (0x80 >> (x & 7))) {
+          image.pixels[y * image.width + x] |= 1 << plane;
+        }
+      }
+    }
+  }
+  return image;
+}
+
+function writeImage(writer, image) {
+  const rowBytes = image.width / 8;
+  writer.word(image.width / 16);
+  writer.word(image.height);
+  writer.word(image.depth);
+  writer.word(image.hotX);
+  writer.word(image.hotY);
+
+  const planes = new Uint8Array(rowBytes * image.height * image.depth);
+  for (let plane = 0; plane < image.depth; plane++) {
+    for (let y = 0; y < image.height; y++) {
+      const row = (plane * image.height + y) * rowBytes;
+      for (let x = 0; x < image.width; x++) {
+        if (image.pixels[y * image.width + x] & (1 << plane)) {
+          planes[row + (x >> 3)] |= 0x80 >> (x & 7);
+        }
+      }
+    }
+  }
+  writer.append(planes);
+}
+
+// STOS sprites: the images of the three resolutions, and the palette made
+// into Amiga colours. The colours past the 16 of the ST are the defaults.
+function readStosSprites(data) {
+  const reader = new ByteReader(data);
+  reader.pos = 4;
+  const tables = STOS_DEPTHS.map(() => reader.long());
+  const palette = [...DEFAULT_PALETTE];
+  for (let index = 0; index < STOS_PALETTE_SIZE; index++) {
+    palette[index] = stToAmiga(reader.word());
+  }
+
+  const images = [];
+  tables.forEach((table, resolution) => {
+    reader.pos = table;
+    const count = reader.word();
+    for (let index = 0; index < count; index++) {
+      reader.pos = table + 2 + index * 8;
+      const offset = reader.long();
+      const [words, height, hotX, hotY] = reader.bytes(4);
+      const image = createImage(words * 16, height, STOS_DEPTHS[resolution]);
+      image.hotX = hotX;
+      image.hotY = hotY;
+
+      reader.pos = offset;
+      for (let y = 0; y < height; y++) {
+        for (let word = 0; word < words; word++) {
+          reader.word(); // Mask, made again from the colours when saved
+          for (let plane = 0; plane < image.depth; plane++) {
+            const bits = reader.word();
+            for (let x = 0; x < 16; x++) {
+              if (bits & (0x8000 >> x)) {
+                image.pixels[y * image.width + word * 16 + x] |= 1 << plane;
+              }
+            }
+          }
+        }
+      }
+      images.push(image);
+    }
+  });
+  return { images, palette };
+}
+
+function writeStosSprites(bank) {
+  const groups = STOS_DEPTHS.map(depth => bank.images.filter(image => image.depth === depth));
+  const others = bank.images.length - groups.reduce((total, group) => total + group.length, 0);
+  if (others > 0) {
+    throw new Error('STOS sprites have 4 (low), 2 (medium) or 1 (high resolution) bitplanes');
+  }
+  bank.images.forEach((image, index) => {
+    if (image.width > 255 * 16 || image.height > 255 || image.hotX > 255 || image.hotY > 255) {
+      throw new Error(`Image ${index + 1} is too large for STOS, or its hot spot is too far`);
+    }
+  });
+
+  // Header, palette, then the tables and the images
+  const header = 4 + STOS_DEPTHS.length * 4 + STOS_PALETTE_SIZE * 2;
+  const tables = [];
+  let offset = header;
+  groups.forEach(group => {
+    tables.push(offset);
+    offset += 2 + group.length * 8;
+  });
+
+  const writer = new ByteWriter();
+  writer.long(STOS_SPRITES);
+  tables.forEach(table => writer.long(table));
+  for (let index = 0; index < STOS_PALETTE_SIZE; index++) {
+    writer.word(amigaToSt(bank.palette[index] || 0));
+  }
+  groups.forEach(group => {
+    writer.word(group.length);
+    group.forEach(image => {
+      writer.long(offset);
+      writer.append(Uint8Array.of(image.width / 16, image.height, image.hotX, image.hotY));
+      offset += (image.width / 16) * image.height * (image.depth + 1) * 2;
+    });
+  });
+  groups.forEach(group => group.forEach(image => {
+    for (let y = 0; y < image.height; y++) {
+      for (let x0 = 0; x0 < image.width; x0 += 16) {
+        const planes = new Array(image.depth).fill(0);
+        let mask = 0;
+        for (let x = 0; x < 16; x++) {
+          const colour = image.pixels[y * image.width + x0 + x];
+          if (colour) mask |= 0x8000 >> x;
+          for (let plane = 0; plane < image.depth; plane++) {
+            if (colour & (1 << plane)) planes[plane] |= 0x8000 >> x;
+          }
+        }
+        writer.word(mask);
+        planes.forEach(bits => writer.word(bits));
+      }
+    }
+  }));
+  return writer.toBytes();
+}
+
+// The ST has 3 bits per channel: 7 becomes 15 on the Amiga, and back
+function stToAmiga(colour) {
+  const channel = shift => {
+    const value = (colour >> shift) & 0x7;
+    return (value << 1) | (value >> 2);
+  };
+  return (channel(8) << 8) | (channel(4) << 4) | channel(0);
+}
+
+function amigaToSt(colour) {
+  const channel = shift => ((colour >> shift) & 0xF) >> 1;
+  return (channel(8) << 8) | (channel(4) << 4) | channel(0);
+}
+
+// Sample bank: count, offset of each sample, then name, frequency, length and signed 8 bit data
+function readSamples(data) {
+  const reader = new ByteReader(data);
+  const count = reader.word();
+  const offsets = [];
+  for (let index = 0; index < count; index++) {
+    offsets.push(reader.long());
+  }
+
+  return offsets.map(offset => {
+    reader.pos = offset;
+    const name = reader.text(8).trim();
+    const frequency = reader.word();
+    const length = reader.long();
+    return { name, frequency, data: reader.bytes(length) };
+  });
+}
+
+function writeSamples(samples) {
+  const writer = new ByteWriter();
+  writer.word(samples.length);
+
+  let offset = 2 + samples.length * 4;
+  samples.forEach(sample => {
+    writer.long(offset);
+    offset += 14 + sample.data.length + (sample.data.length & 1);
+  });
+  samples.forEach(sample => {
+    writer.text(sample.name.slice(0, 8).padEnd(8, ' '));
+    writer.word(sample.frequency);
+    writer.long(sample.data.length);
+    writer.append(sample.data);
+    if (sample.data.length & 1) writer.byte(0);
+  });
+  return writer.toBytes();
+}
+
+/**
+ * Reads big-endian values from bytes
+ * @private
+ */
+class ByteReader {
+  constructor(bytes) {
+    this.data = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.pos = 0;
+  }
+
+  check(count) {
+    if (this.pos + count > this.data.length) {
+      throw new Error(`Truncated bank at offset ${this.pos}`);
+    }
+  }
+
+  word() {
+    this.check(2);
+    const value = this.view.getUint16(this.pos);
+    this.pos += 2;
+    return value;
+  }
+
+  long() {
+    this.check(4);
+    const value = this.view.getUint32(this.pos);
+    this.pos += 4;
+    return value;
+  }
+
+  bytes(count) {
+    this.check(count);
+    const value = this.data.slice(this.pos, this.pos + count);
+    this.pos += count;
+    return value;
+  }
+
+  text(count) {
+    return latin1(this.bytes(count));
+  }
+}
+
+/**
+ * Grows a big-endian byte buffer
+ * @private
+ */
+class ByteWriter {
+  constructor() {
+    this.chunks = [];
+    this.length = 0;
+  }
+
+  append(bytes) {
+    this.chunks.push(bytes);
+    this.length += bytes.length;
+  }
+
+  byte(value) {
+    this.append(Uint8Array.of(value & 0xFF));
+  }
+
+  word(value) {
+    this.append(Uint8Array.of((value >> 8) & 0xFF, value & 0xFF));
+  }
+
+  long(value) {
+    this.word(value >>> 16);
+    this.word(value & 0xFFFF);
+  }
+
+  text(value) {
+    this.append(Uint8Array.from(value, char => char.charCodeAt(0) & 0xFF));
+  }
+
+  toBytes() {
+    const bytes = new Uint8Array(this.length);
+    let pos = 0;
+    this.chunks.forEach(chunk => {
+      bytes.set(chunk, pos);
+      pos += chunk.length;
+    });
+    return bytes;
+  }
+}
+
+function latin1(bytes) {
+  let text = '';
+  for (let i = 0; i < bytes.length; i++) {
+    text += String.fromCharCode(bytes[i]);
+  }
+  return text;
+}
+
+export default BankFile;
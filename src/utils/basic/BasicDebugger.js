@@ -0,0 +1,149 @@
+/**
+ * BasicDebugger.js - Step, Step Over and Continue for the BASIC runtime
+ *
+ * Plugs into BasicInterpreter through its beforeStep hook. Execution pauses
+ * when it reaches a new editor line, or jumps back to the start of the same
+ * one, and the current mode asks for it:
+ *   step     - any new line
+ *   stepOver - a new line at the same call depth or shallower
+ *   continue - a line carrying a breakpoint
+ * While paused, beforeStep returns a promise that the next command resolves.
+ */
+
+// Array elements shown by the variables inspector
+const MAX_ARRAY_PREVIEW = 10;
+
+class BasicDebugger {
+  /**
+   * Create a debugger
+   *
+   * @param {Object} options - Configuration options
+   * @param {Function} options.breakpoints - Returns the Set of editor lines with a breakpoint
+   * @param {Function} options.onPause - Called with the debug state when execution pauses
+   * @param {Function} options.onResume - Called when execution resumes
+   */
+  constructor(options = {}) {
+    this.breakpoints = options.breakpoints || (() => new Set());
+    this.onPause = options.onPause || (() => {});
+    this.onResume = options.onResume || (() => {});
+
+    this.interpreter = null;
+    this.mode = 'step'; // Pause on the first line
+    this.lastLine = null;
+    this.lastPc = null;
+    this.pauseDepth = 0;
+    this.resume = null;
+  }
+
+  /**
+   * Attach the debugger to an interpreter
+   *
+   * @param {BasicInterpreter} interpreter - The interpreter to control
+   */
+  attach(interpreter) {
+    this.interpreter = interpreter;
+    interpreter.beforeStep = (instruction) => this.beforeStep(instruction);
+  }
+
+  /**
+   * Decide whether to pause before an instruction
+   * @private
+   */
+  beforeStep(instruction) {
+    // A jump to the start of the line that just ran enters it again, as in
+    // 10 GOTO 10
+    const pc = this.interpreter.getProgramCounter();
+    const jumped = this.lastPc !== null && pc !== this.lastPc + 1;
+    const newLine = instruction.line !== this.lastLine || (jumped && this.interpreter.isLineStart(pc));
+    this.lastLine = instruction.line;
+    this.lastPc = pc;
+
+    if (!newLine) return null;
+
+    const pause = this.mode === 'step' ||
+                  (this.mode === 'stepOver' && this.interpreter.getDepth() <= this.pauseDepth) ||
+                  this.breakpoints().has(instruction.line);
+
+    return pause ? this.pause(instruction) : null;
+  }
+
+  /**
+   * Pause before an instruction until the next command
+   * @private
+   */
+  pause(instruction) {
+    this.pauseDepth = this.interpreter.getDepth();
+    this.interpreter.flushOutput();
+    this.onPause(this.getState(instruction));
+
+    return new Promise(resolve => {
+      this.resume = resolve;
+    });
+  }
+
+  /**
+   * Check whether execution is paused
+   *
+   * @returns {boolean} - True while waiting for a command
+   */
+  isPaused() {
+    return this.resume !== null;
+  }
+
+  /**
+   * Resume execution
+   *
+   * @param {string} mode - 'step', 'stepOver' or 'continue'
+   */
+  command(mode) {
+    this.mode = mode;
+
+    if (this.resume) {
+      const resume = this.resume;
+      this.resume = null;
+      this.onResume();
+      resume();
+    }
+  }
+
+  /**
+   * Stop the program, releasing a pause if needed
+   */
+  stop() {
+    this.interpreter.stop();
+    this.command('continue');
+  }
+
+  /**
+   * Build the state shown by the debugger window
+   *
+   * @param {Object} instruction - The instruction about to run
+   * @returns {Object} - Current line, call stack and variables
+   */
+  getState(instruction) {
+    return {
+      line: instruction.line,
+      basicLine: instruction.basicLine,
+      callStack: this.interpreter.getCallStack(),
+      variables: this.interpreter.getVariableList().map(entry => ({
+        name: entry.name,
+        scope: entry.scope,
+        value: this.formatValue(entry.value)
+      }))
+    };
+  }
+
+  /**
+   * Format a variable value for display
+   * @private
+   */
+  formatValue(value) {
+    if (Array.isArray(value)) {
+      const preview = value.slice(0, MAX_ARRAY_PREVIEW).map(item => this.formatValue(item));
+      return `[${preview.join(', ')}${value.length > MAX_ARRAY_PREVIEW ? ', ...' : ''}]`;
+    }
+    return typeof value === 'string' ? `"${value}"` : String(value);
+  }
+}
+
+export default BasicDebugger;
@@ -0,0 +1,40 @@
+/**
+ * BasicError.js - Error raised by the BASIC tokenizer, parser and runtime
+ *
+ * Carries the editor line and, for line-numbered dialects, the BASIC line
+ * number so that messages read like the original interpreters
+ * ("Syntax error in line 20").
+ */
+
+class BasicError extends Error {
+  /**
+   * Create a new BasicError
+   *
+   * @param {string} message - Error message
+   * @param {number|null} line - Editor line (1-based) where the error occurred
+   * @param {number|null} basicLine - BASIC line number, if the line has one
+   */
+  constructor(message, line = null, basicLine = null) {
+    super(message);
+    this.name = 'BasicError';
+    this.line = line;
+    this.basicLine = basicLine;
+  }
+
+  /**
+   * Format the error for display in the output window
+   *
+   * @returns {string} - The formatted message
+   */
+  toString() {
+    if (this.basicLine !== null) {
+      return `${this.message} in line ${this.basicLine}`;
+    }
+    if (this.line !== null) {
+      return `${this.message} at line ${this.line}`;
+    }
+    return this.message;
+  }
+}
+
+export default BasicError;
@@ -0,0 +1,129 @@
+/**
+ * BasicFiles.js - Opens and saves programs in the formats of the original BASICs
+ *
+ * Used by the STOS, AMOS and C64 mode editors: open() lets the user pick a file
+ * and lists it in a new editor tab, save() converts the editor text and
+ * downloads the result. Memory banks found in an opened AMOS file are kept
+ * with the tab and written back when the program is saved.
+ */
+
+import AmosFile from './AmosFile.js';
+import C64File from './C64File.js';
+import StosFile from './StosFile.js';
+
+class BasicFiles {
+  /**
+   * Create the file handling for a dialect
+   *
+   * @param {Object} editor - Main Editor component
+   * @param {Object} dialect - Dialect profile
+   */
+  constructor(editor, dialect) {
+    this.editor = editor;
+    this.dialect = dialect;
+    switch (dialect.name) {
+      case 'stos':
+        this.format = new StosFile(dialect);
+        break;
+      case 'c64':
+        this.format = new C64File(dialect);
+        break;
+      default:
+        this.format = new AmosFile(dialect);
+    }
+  }
+
+  /**
+   * Ask for a file and load it into the editor
+   *
+   * @returns {Promise<boolean>} - Resolves with true once a program is loaded
+   */
+  async open() {
+    const file = await this.pickFile();
+    if (!file) return false;
+
+    try {
+      const bytes = new Uint8Array(await file.arrayBuffer());
+      const { text, banks, warnings } = this.format.read(bytes);
+
+      // The tab keeps the file name and the banks, for save()
+      this.editor.openDocument({ name: file.name, content: text, data: { fileName: file.name, banks } });
+      this.report(`Opened ${file.name}`, warnings);
+      return true;
+    } catch (error) {
+      console.error(`Error opening ${file.name}:`, error);
+      this.editor.appendOutput(`Cannot open ${file.name}: ${error.message}\n`, 'error');
+      return false;
+    }
+  }
+
+  /**
+   * Convert the program and download it
+   *
+   * @param {string} text - Program source
+   * @returns {boolean} - True if the file was saved
+   */
+  save(text) {
+    try {
+      const data = this.editor.getActiveTab().data;
+      const { bytes, fileName, warnings } = this.format.write(text, {
+        fileName: data.fileName || null,
+        banks: data.banks || null
+      });
+
+      this.download(bytes, fileName);
+      data.fileName = fileName;
+      this.editor.markSaved(fileName);
+      this.report(`Saved ${fileName}`, warnings);
+      return true;
+    } catch (error) {
+      console.error('Error saving program:', error);
+      this.editor.appendOutput(`Cannot save the program: ${error.message}\n`, 'error');
+      return false;
+    }
+  }
+
+  /**
+   * Show the result of an operation in the Output window
+   * @private
+   */
+  report(message, warnings) {
+    this.editor.appendOutput(`${message}\n`);
+    warnings.forEach(warning => this.editor.appendOutput(`${warning}\n`, 'warn'));
+  }
+
+  /**
+   * Let the user choose a file
+   * @returns {Promise<File|null>} - The chosen file, or null if cancelled
+   * @private
+   */
+  pickFile() {
+    return new Promise(resolve => {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = this.format.extensions.join(',');
+      input.addEventListener('change', () => resolve(input.files[0] || null));
+      input.addEventListener('cancel', () => resolve(null));
+      input.click();
+    });
+  }
+
+  /**
+   * Hand bytes to the browser as a downloaded file
+   *
+   * @param {Uint8Array} bytes - File contents
+   * @param {string} fileName - Name offered for the file
+   */
+  download(bytes, fileName) {
+    const url = URL.createObjectURL(new Blob([bytes], { type: 'application/octet-stream' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+}
+
+export default BasicFiles;
@@ -0,0 +1,1139 @@
+/**
+ * BasicInterpreter.js - Runtime shared by the BASIC dialects
+ *
+ * Executes the instruction list built by BasicParser. Programs run in
+ * slices of instructions; between slices control returns to the browser so
+ * the IDE stays responsive, and INPUT simply awaits the host.
+ *
+ * Variables follow the STOS/AMOS conventions: names ending in $ hold strings,
+ * names ending in # hold floats and all other variables are integers.
+ * Inside an AMOS procedure variables and arrays are local unless they were
+ * declared Shared in the procedure or Global in the main program.
+ */
+
+import BasicParser from './BasicParser.js';
+import BasicError from './BasicError.js';
+
+const TRUE = -1;
+const FALSE = 0;
+
+// Nested procedure calls allowed before "Out of stack space"
+const MAX_PROCEDURE_DEPTH = 1000;
+
+class BasicInterpreter {
+  /**
+   * Create a new interpreter
+   *
+   * @param {Object} options - Configuration options
+   * @param {Object} options.dialect - Dialect profile
+   * @param {Function} options.output - Called with batches of printed text
+   * @param {Function} options.display - Called with each piece of text as it is printed, for a program screen
+   * @param {Function} options.input - Called with a prompt, returns a Promise of the typed line
+   * @param {Function} options.clear - Called with the optional colour when the program clears the screen
+   * @param {Function} options.beforeStep - Called with each instruction before it runs; returning a Promise pauses the program (used by the debugger)
+   * @param {number} options.sliceSize - Instructions executed before yielding to the browser
+   */
+  constructor(options = {}) {
+    this.dialect = options.dialect;
+    this.output = options.output || (() => {});
+    this.display = options.display || (() => {});
+    this.input = options.input || (() => Promise.resolve(''));
+    this.clear = options.clear || (() => {});
+    this.beforeStep = options.beforeStep || null;
+    this.sliceSize = options.sliceSize || 1000;
+
+    this.parser = new BasicParser(this.dialect);
+    this.program = null;
+    this.loadedProgram = null; // In direct mode, the program whose procedures can be called
+    this.running = false;
+    this.interrupted = false; // Set when stop() ends a running program
+    this.stopSignal = null;
+    this.resolveStop = null;
+
+    // Dialect commands and functions, by upper-case keyword
+    this.commands = new Map();
+    this.functions = new Map();
+    this.registerCoreCommands();
+    this.registerCoreFunctions();
+
+    // Dialect-specific commands and functions
+    if (this.dialect.setup) {
+      this.dialect.setup(this);
+    }
+
+    this.reset();
+  }
+
+  /**
+   * Parse a program and reset the runtime state
+   *
+   * @param {string} source - Program source
+   */
+  load(source) {
+    this.program = this.parser.parse(source);
+    this.reset();
+  }
+
+  /**
+   * Reset variables, stacks and the program counter
+   */
+  reset() {
+    this.variables = new Map();
+    this.arrays = new Map();
+    this.forStack = [];
+    this.gosubStack = [];
+    this.frames = [];         // Procedure call frames, innermost last
+    this.globals = new Set(); // Names declared Global
+    this.param = 0;           // Value returned by the last End Proc[...]
+    this.dataPointer = 0;
+    this.pc = 0;
+    this.column = 0;
+    this.outputBuffer = '';
+    this.currentInstruction = null;
+    this.startTime = Date.now();
+  }
+
+  /**
+   * Register a command handler
+   *
+   * @param {string} name - Command keyword
+   * @param {Function} handler - Called with the evaluated arguments and the instruction
+   */
+  registerCommand(name, handler) {
+    this.commands.set(name.toUpperCase(), handler);
+  }
+
+  /**
+   * Register a function
+   *
+   * @param {string} name - Function keyword
+   * @param {number} minArgs - Minimum number of arguments
+   * @param {number} maxArgs - Maximum number of arguments
+   * @param {Function} handler - Called with the evaluated arguments, returns the result
+   */
+  registerFunction(name, minArgs, maxArgs, handler) {
+    this.functions.set(name.toUpperCase(), { minArgs, maxArgs, handler });
+  }
+
+  /**
+   * Run the loaded program until it ends, stops or fails
+   *
+   * @returns {Promise} - Resolves when the program ends, rejects with a BasicError
+   */
+  async run() {
+    if (!this.program) {
+      throw new Error('No program loaded');
+    }
+
+    this.running = true;
+    this.interrupted = false;
+    this.stopSignal = new Promise(resolve => {
+      this.resolveStop = resolve;
+    });
+
+    try {
+      while (this.running && this.pc < this.program.instructions.length) {
+        for (let count = 0; count < this.sliceSize && this.running &&
+             this.pc < this.program.instructions.length; count++) {
+          if (this.beforeStep) {
+            const pause = this.beforeStep(this.program.instructions[this.pc]);
+            if (pause) {
+              await Promise.race([pause, this.stopSignal]);
+              if (!this.running) break;
+            }
+          }
+
+          const pending = this.step();
+          if (pending) {
+            // INPUT and WAIT may never end by themselves; stop() must not wait for them
+            await Promise.race([pending, this.stopSignal]);
+          }
+        }
+
+        this.flushOutput();
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+    } finally {
+      this.running = false;
+      this.flushOutput();
+    }
+  }
+
+  /**
+   * Stop a running program at the next instruction, or at once if it is
+   * waiting for input or in a WAIT
+   */
+  stop() {
+    if (this.running) {
+      this.interrupted = true;
+      this.running = false;
+      this.resolveStop();
+    }
+  }
+
+  /**
+   * Describe where a stopped program was interrupted
+   *
+   * @returns {BasicError|null} - A "Break" error located on the interrupted line, or null if the program was not interrupted
+   */
+  getBreak() {
+    if (!this.interrupted || !this.currentInstruction) return null;
+    return new BasicError('Break', this.currentInstruction.line, this.currentInstruction.basicLine);
+  }
+
+  /**
+   * Run a direct mode line against the current variables: unlike load() and
+   * run() it keeps the variables of the last program, and the program itself
+   * is left where it stopped. The procedures of the program can be called.
+   *
+   * @param {string} source - Statements to run, without line number
+   * @returns {Promise} - Resolves when the statements end, rejects with a BasicError
+   */
+  async runDirect(source) {
+    const direct = this.parser.parse(source);
+    const program = this.program;
+    const pc = this.pc;
+    const currentInstruction = this.currentInstruction;
+    const depths = [this.frames.length, this.forStack.length, this.gosubStack.length];
+
+    this.program = direct;
+    this.loadedProgram = program;
+    this.pc = 0;
+    try {
+      await this.run();
+    } finally {
+      this.program = program;
+      this.loadedProgram = null;
+      this.pc = pc;
+      this.currentInstruction = currentInstruction;
+      // A line stopped inside a procedure leaves the stacks as they were
+      [this.frames.length, this.forStack.length, this.gosubStack.length] = depths;
+    }
+  }
+
+  /**
+   * Check whether a procedure can be called: one of the program, or in
+   * direct mode one of the loaded program
+   *
+   * @param {string} name - Procedure name
+   * @returns {boolean} - True if the procedure is defined
+   */
+  hasProcedure(name) {
+    return Boolean(this.program && this.program.procedures.has(name)) ||
+      Boolean(this.loadedProgram && this.loadedProgram.procedures.has(name));
+  }
+
+  /**
+   * Execute the instruction at the program counter
+   *
+   * @returns {Promise|undefined} - A promise when the instruction waits for the host
+   */
+  step() {
+    const instruction = this.program.instructions[this.pc];
+    this.currentInstruction = instruction;
+    this.pc++;
+
+    try {
+      const pending = this.execute(instruction);
+      if (pending) {
+        return pending.catch(error => {
+          throw this.locateError(error, instruction);
+        });
+      }
+    } catch (error) {
+      throw this.locateError(error, instruction);
+    }
+  }
+
+  /**
+   * Attach line information to an error raised while executing an instruction
+   * @private
+   */
+  locateError(error, instruction) {
+    if (!(error instanceof BasicError)) {
+      error = new BasicError(error.message);
+    }
+    if (error.line === null) {
+      error.line = instruction.line;
+      error.basicLine = instruction.basicLine;
+    }
+    return error;
+  }
+
+  /**
+   * Execute a single instruction
+   *
+   * @param {Object} instruction - The instruction to execute
+   * @returns {Promise|undefined} - A promise when the instruction waits for the host
+   */
+  execute(instruction) {
+    switch (instruction.type) {
+      case 'LET':
+        this.assign(instruction.target, this.evaluate(instruction.value));
+        return;
+
+      case 'PRINT':
+        this.executePrint(instruction);
+        return;
+
+      case 'INPUT':
+        return this.executeInput(instruction);
+
+      case 'IF':
+        if (!this.isTrue(this.evaluate(instruction.condition))) {
+          this.pc = instruction.target;
+        }
+        return;
+
+      case 'JUMP':
+        this.pc = instruction.target;
+        return;
+
+      case 'GOTO':
+        this.pc = this.findTarget(instruction.target);
+        return;
+
+      case 'GOSUB':
+        this.gosubStack.push(this.pc);
+        this.pc = this.findTarget(instruction.target);
+        return;
+
+      case 'RETURN':
+        if (this.gosubStack.length === 0) {
+          throw new BasicError('Return without gosub');
+        }
+        this.pc = this.gosubStack.pop();
+        return;
+
+      case 'ON':
+        this.executeOn(instruction);
+        return;
+
+      case 'FOR':
+        this.executeFor(instruction);
+        return;
+
+      case 'NEXT':
+        this.executeNext(instruction);
+        return;
+
+      case 'EXIT':
+        this.forStack = this.forStack.filter(frame => !instruction.forVariables.includes(frame.variable));
+        this.pc = instruction.target;
+        return;
+
+      case 'PROCEDURE':
+        this.pc = instruction.target;
+        return;
+
+      case 'CALL':
+        this.executeCall(instruction);
+        return;
+
+      case 'END PROC':
+        if (instruction.value !== null) {
+          this.param = this.evaluate(instruction.value);
+        }
+        this.returnFromProcedure();
+        return;
+
+      case 'POP PROC':
+        this.returnFromProcedure();
+        return;
+
+      case 'SHARED': {
+        const frame = this.frames[this.frames.length - 1];
+        if (frame) {
+          instruction.names.forEach(entry => frame.shared.add(this.scopeKey(entry.name, entry.array)));
+        }
+        return;
+      }
+
+      case 'GLOBAL':
+        instruction.names.forEach(entry => this.globals.add(this.scopeKey(entry.name, entry.array)));
+        return;
+
+      case 'DIM':
+        instruction.arrays.forEach(array => {
+          this.dimension(array.name, array.dimensions.map(dimension => this.evaluateNumber(dimension)));
+        });
+        return;
+
+      case 'READ':
+        instruction.targets.forEach(target => {
+          if (this.dataPointer >= this.program.data.length) {
+            throw new BasicError('Out of data');
+          }
+          // A number read into a string variable is read as its text
+          const value = this.program.data[this.dataPointer++];
+          this.assign(target, typeof value === 'number' && this.isStringName(target.name) ?
+            this.formatNumber(value).trimStart() : value);
+        });
+        return;
+
+      case 'RESTORE':
+        this.executeRestore(instruction);
+        return;
+
+      case 'END':
+      case 'STOP':
+        this.running = false;
+        return;
+
+      case 'COMMAND':
+        return this.executeCommand(instruction);
+    }
+
+    throw new BasicError('Syntax error');
+  }
+
+  /**
+   * Execute PRINT
+   * @private
+   */
+  executePrint(instruction) {
+    let newline = true;
+
+    instruction.items.forEach(item => {
+      if (item.separator === ',') {
+        // Commas move to the next 10-column print zone
+        this.print(' '.repeat(10 - (this.column % 10)));
+        newline = false;
+      } else if (item.separator === ';') {
+        newline = false;
+      } else {
+        this.print(this.formatValue(this.evaluate(item.expression)));
+        newline = true;
+      }
+    });
+
+    if (newline) {
+      this.print('\n');
+    }
+  }
+
+  /**
+   * Execute INPUT, waiting for the host to return a line
+   * @private
+   */
+  async executeInput(instruction) {
+    const prompt = instruction.prompt !== null ? instruction.prompt : '? ';
+    this.print(prompt);
+    this.flushOutput();
+
+    const response = await this.input(prompt);
+    this.print(`${response}\n`);
+
+    const values = instruction.targets.length > 1 ? response.split(',') : [response];
+    instruction.targets.forEach((target, index) => {
+      const text = (values[index] || '').trim();
+      if (this.isStringName(target.name)) {
+        this.assign(target, values[index] !== undefined ? values[index] : '');
+      } else {
+        const number = text === '' ? 0 : Number(text);
+        if (isNaN(number)) {
+          throw new BasicError('Type mismatch');
+        }
+        this.assign(target, number);
+      }
+    });
+  }
+
+  /**
+   * Execute ON ... GOTO/GOSUB
+   * @private
+   */
+  executeOn(instruction) {
+    const selector = Math.trunc(this.evaluateNumber(instruction.selector));
+    if (selector < 1 || selector > instruction.targets.length) {
+      return;
+    }
+
+    const target = this.findTarget(instruction.targets[selector - 1]);
+    if (instruction.mode === 'GOSUB') {
+      this.gosubStack.push(this.pc);
+    }
+    this.pc = target;
+  }
+
+  /**
+   * Execute FOR: initialise the variable and push a loop frame
+   * @private
+   */
+  executeFor(instruction) {
+    const target = { type: 'variable', name: instruction.variable };
+    this.assign(target, this.evaluateNumber(instruction.start));
+
+    // Re-entering a loop on the same variable discards the old frame
+    this.forStack = this.forStack.filter(frame => frame.variable !== instruction.variable);
+    this.forStack.push({
+      variable: instruction.variable,
+      end: this.evaluateNumber(instruction.end),
+      step: instruction.step ? this.evaluateNumber(instruction.step) : 1,
+      loopStart: this.pc
+    });
+  }
+
+  /**
+   * Execute NEXT: step the loop variable and jump back while in range
+   * @private
+   */
+  executeNext(instruction) {
+    let index = this.forStack.length - 1;
+
+    if (instruction.variable !== null) {
+      while (index >= 0 && this.forStack[index].variable !== instruction.variable) {
+        index--;
+      }
+    }
+
+    if (index < 0) {
+      throw new BasicError('Next without for');
+    }
+
+    const frame = this.forStack[index];
+    this.forStack.length = index + 1;
+
+    const target = { type: 'variable', name: frame.variable };
+    const value = this.getVariable(frame.variable) + frame.step;
+    this.assign(target, value);
+
+    const finished = frame.step >= 0 ? this.getVariable(frame.variable) > frame.end
+                                     : this.getVariable(frame.variable) < frame.end;
+    if (finished) {
+      this.forStack.pop();
+    } else {
+      this.pc = frame.loopStart;
+    }
+  }
+
+  /**
+   * Execute RESTORE [line]
+   * @private
+   */
+  executeRestore(instruction) {
+    if (instruction.target === null) {
+      this.dataPointer = 0;
+      return;
+    }
+
+    if (instruction.target.type === 'label') {
+      if (!this.program.dataLabels.has(instruction.target.name)) {
+        throw new BasicError('Label not defined');
+      }
+      this.dataPointer = this.program.dataLabels.get(instruction.target.name);
+      return;
+    }
+
+    const line = this.evaluateNumber(instruction.target);
+    if (!this.program.dataLines.has(line)) {
+      throw new BasicError('Line not found');
+    }
+    this.dataPointer = this.program.dataLines.get(line);
+  }
+
+  /**
+   * Call a procedure: parameters become local variables of a new frame
+   * @private
+   */
+  executeCall(instruction) {
+    // In direct mode, the procedure runs in the loaded program
+    const owner = this.program.procedures.has(instruction.name) || !this.loadedProgram ?
+      this.program : this.loadedProgram;
+    const procedure = owner.procedures.get(instruction.name);
+    if (!procedure) {
+      throw new BasicError('Procedure not defined');
+    }
+    if (instruction.args.length !== procedure.params.length) {
+      throw new BasicError('Illegal number of parameters');
+    }
+    if (this.frames.length >= MAX_PROCEDURE_DEPTH) {
+      throw new BasicError('Out of stack space');
+    }
+
+    // Arguments are evaluated in the caller's scope
+    const values = instruction.args.map(arg => this.evaluate(arg));
+    const frame = {
+      name: procedure.name,
+      returnPc: this.pc,
+      returnProgram: this.program,
+      variables: new Map(),
+      arrays: new Map(),
+      shared: new Set(),
+      forDepth: this.forStack.length,
+      gosubDepth: this.gosubStack.length
+    };
+
+    procedure.params.forEach((name, index) => {
+      frame.variables.set(name, this.convertForName(name, values[index]));
+    });
+
+    this.frames.push(frame);
+    this.program = owner;
+    this.pc = procedure.start;
+  }
+
+  /**
+   * Leave the current procedure, dropping the loops and Gosubs opened in it
+   * @private
+   */
+  returnFromProcedure() {
+    const frame = this.frames.pop();
+    if (!frame) {
+      throw new BasicError('Not in a procedure');
+    }
+
+    this.forStack.length = frame.forDepth;
+    this.gosubStack.length = frame.gosubDepth;
+    this.program = frame.returnProgram;
+    this.pc = frame.returnPc;
+  }
+
+  /**
+   * Execute a dialect command
+   * @private
+   */
+  executeCommand(instruction) {
+    const handler = this.commands.get(instruction.name);
+    if (!handler) {
+      throw new BasicError(`Instruction not implemented: ${instruction.name}`);
+    }
+
+    return handler(instruction.args.map(arg => this.evaluate(arg)), instruction);
+  }
+
+  /**
+   * Register the commands every dialect shares
+   * @private
+   */
+  registerCoreCommands() {
+    this.registerCommand('CLS', ([colour]) => {
+      this.outputBuffer = '';
+      this.column = 0;
+      this.clear(colour === undefined ? undefined : this.toNumber(colour));
+    });
+
+    // Wait n: pause for n 50ths of a second
+    this.registerCommand('WAIT', ([ticks]) => {
+      this.flushOutput();
+      return new Promise(resolve => {
+        const timer = setTimeout(resolve, Math.max(0, this.toNumber(ticks)) * 20);
+        this.stopSignal.then(() => clearTimeout(timer));
+      });
+    });
+  }
+
+  /**
+   * Register the functions every dialect shares
+   * @private
+   */
+  registerCoreFunctions() {
+    const num = value => this.toNumber(value);
+    const str = value => this.toString(value);
+
+    // Arithmetic
+    this.registerFunction('ABS', 1, 1, ([x]) => Math.abs(num(x)));
+    this.registerFunction('INT', 1, 1, ([x]) => Math.floor(num(x)));
+    this.registerFunction('SGN', 1, 1, ([x]) => Math.sign(num(x)));
+    this.registerFunction('SQR', 1, 1, ([x]) => {
+      if (num(x) < 0) throw new BasicError('Illegal function call');
+      return Math.sqrt(x);
+    });
+    this.registerFunction('RND', 1, 1, ([x]) => Math.floor(Math.random() * (Math.trunc(num(x)) + 1)));
+    this.registerFunction('SIN', 1, 1, ([x]) => Math.sin(num(x)));
+    this.registerFunction('COS', 1, 1, ([x]) => Math.cos(num(x)));
+    this.registerFunction('TAN', 1, 1, ([x]) => Math.tan(num(x)));
+    this.registerFunction('ATN', 1, 1, ([x]) => Math.atan(num(x)));
+    this.registerFunction('EXP', 1, 1, ([x]) => Math.exp(num(x)));
+    this.registerFunction('LN', 1, 1, ([x]) => Math.log(num(x)));
+    this.registerFunction('LOG', 1, 1, ([x]) => Math.log10(num(x)));
+    this.registerFunction('MAX', 2, 2, ([a, b]) => (typeof a === 'string' ? (str(a) > str(b) ? a : b) : Math.max(num(a), num(b))));
+    this.registerFunction('MIN', 2, 2, ([a, b]) => (typeof a === 'string' ? (str(a) < str(b) ? a : b) : Math.min(num(a), num(b))));
+    this.registerFunction('PI', 0, 0, () => Math.PI);
+    this.registerFunction('PI#', 0, 0, () => Math.PI);
+    this.registerFunction('TIMER', 0, 0, () => Math.floor((Date.now() - this.startTime) / 20));
+
+    // Strings
+    this.registerFunction('LEN', 1, 1, ([s]) => str(s).length);
+    this.registerFunction('LEFT$', 2, 2, ([s, n]) => str(s).slice(0, Math.max(0, num(n))));
+    this.registerFunction('RIGHT$', 2, 2, ([s, n]) => (num(n) > 0 ? str(s).slice(-num(n)) : ''));
+    this.registerFunction('MID$', 2, 3, ([s, start, length]) => {
+      const from = Math.max(1, num(start)) - 1;
+      return length === undefined ? str(s).slice(from) : str(s).substr(from, Math.max(0, num(length)));
+    });
+    this.registerFunction('INSTR', 2, 3, ([s, find, start]) => {
+      const from = start === undefined ? 0 : Math.max(1, num(start)) - 1;
+      return str(s).indexOf(str(find), from) + 1;
+    });
+    this.registerFunction('CHR$', 1, 1, ([n]) => String.fromCharCode(num(n)));
+    this.registerFunction('ASC', 1, 1, ([s]) => (str(s).length ? str(s).charCodeAt(0) : 0));
+    this.registerFunction('STR$', 1, 1, ([n]) => this.formatNumber(num(n)));
+    this.registerFunction('VAL', 1, 1, ([s]) => parseFloat(str(s)) || 0);
+    this.registerFunction('UPPER$', 1, 1, ([s]) => str(s).toUpperCase());
+    this.registerFunction('LOWER$', 1, 1, ([s]) => str(s).toLowerCase());
+    this.registerFunction('SPACE$', 1, 1, ([n]) => ' '.repeat(Math.max(0, num(n))));
+    this.registerFunction('STRING$', 2, 2, ([s, n]) => str(s).charAt(0).repeat(Math.max(0, num(n))));
+    this.registerFunction('FLIP$', 1, 1, ([s]) => str(s).split('').reverse().join(''));
+    this.registerFunction('HEX$', 1, 1, ([n]) => '$' + (num(n) >>> 0).toString(16).toUpperCase());
+    this.registerFunction('BIN$', 1, 1, ([n]) => '%' + (num(n) >>> 0).toString(2));
+    this.registerFunction('INKEY$', 0, 0, () => '');
+
+    // Procedures
+    this.registerFunction('PARAM', 0, 0, () => this.param);
+    this.registerFunction('PARAM$', 0, 0, () => this.param);
+    this.registerFunction('PARAM#', 0, 0, () => this.param);
+  }
+
+  // Expressions
+
+  /**
+   * Evaluate an expression
+   *
+   * @param {Object} node - Expression node from the parser
+   * @returns {number|string} - The value
+   */
+  evaluate(node) {
+    switch (node.type) {
+      case 'number':
+      case 'string':
+        return node.value;
+
+      case 'variable':
+        return this.getVariable(node.name);
+
+      case 'index':
+        return this.getArrayElement(node.name, node.args.map(arg => this.evaluateNumber(arg)));
+
+      case 'call':
+        return this.callFunction(node.name, node.args.map(arg => this.evaluate(arg)));
+
+      case 'unary': {
+        const value = this.toNumber(this.evaluate(node.operand));
+        return node.operator === '-' ? -value : ~Math.trunc(value);
+      }
+
+      case 'binary':
+        return this.evaluateBinary(node.operator, this.evaluate(node.left), this.evaluate(node.right));
+    }
+
+    throw new BasicError('Syntax error');
+  }
+
+  /**
+   * Evaluate an expression that must produce a number
+   * @private
+   */
+  evaluateNumber(node) {
+    return this.toNumber(this.evaluate(node));
+  }
+
+  /**
+   * Apply a binary operator
+   * @private
+   */
+  evaluateBinary(operator, left, right) {
+    const strings = typeof left === 'string';
+    if (strings !== (typeof right === 'string')) {
+      throw new BasicError('Type mismatch');
+    }
+
+    switch (operator) {
+      case '+':
+        return left + right;
+      case '=':
+        return left === right ? TRUE : FALSE;
+      case '<>':
+        return left !== right ? TRUE : FALSE;
+      case '<':
+        return left < right ? TRUE : FALSE;
+      case '>':
+        return left > right ? TRUE : FALSE;
+      case '<=':
+        return left <= right ? TRUE : FALSE;
+      case '>=':
+        return left >= right ? TRUE : FALSE;
+    }
+
+    if (strings) {
+      throw new BasicError('Type mismatch');
+    }
+
+    switch (operator) {
+      case '-':
+        return left - right;
+      case '*':
+        return left * right;
+      case '/':
+        if (right === 0) throw new BasicError('Division by zero');
+        return left / right;
+      case 'MOD':
+        if (Math.trunc(right) === 0) throw new BasicError('Division by zero');
+        return Math.trunc(left) % Math.trunc(right);
+      case '^':
+        return Math.pow(left, right);
+      case 'AND':
+        return Math.trunc(left) & Math.trunc(right);
+      case 'OR':
+        return Math.trunc(left) | Math.trunc(right);
+      case 'XOR':
+        return Math.trunc(left) ^ Math.trunc(right);
+    }
+
+    throw new BasicError('Syntax error');
+  }
+
+  /**
+   * Call a registered function
+   * @private
+   */
+  callFunction(name, args) {
+    const entry = this.functions.get(name);
+    if (!entry) {
+      throw new BasicError(`Function not implemented: ${name}`);
+    }
+    if (args.length < entry.minArgs || args.length > entry.maxArgs) {
+      throw new BasicError('Illegal function call');
+    }
+    return entry.handler(args);
+  }
+
+  // Variables
+
+  isStringName(name) {
+    return name.endsWith('$');
+  }
+
+  isFloatName(name) {
+    return name.endsWith('#');
+  }
+
+  /**
+   * Read a simple variable; unset variables read as 0 or ""
+   *
+   * @param {string} name - Upper-case variable name
+   * @returns {number|string} - The value
+   */
+  getVariable(name) {
+    const variables = this.variableScope(name);
+    if (variables.has(name)) {
+      return variables.get(name);
+    }
+    return this.isStringName(name) ? '' : 0;
+  }
+
+  /**
+   * Write a simple variable
+   *
+   * @param {string} name - Upper-case variable name
+   * @param {number|string} value - The value, already converted
+   */
+  setVariable(name, value) {
+    this.variableScope(name).set(name, value);
+  }
+
+  /**
+   * Get the map holding a variable in the current scope
+   * @private
+   */
+  variableScope(name) {
+    const frame = this.frames[this.frames.length - 1];
+    if (!frame || frame.variables.has(name)) {
+      return frame ? frame.variables : this.variables;
+    }
+    return this.isShared(frame, this.scopeKey(name, false)) ? this.variables : frame.variables;
+  }
+
+  /**
+   * Get the map holding an array in the current scope
+   * @private
+   */
+  arrayScope(name) {
+    const frame = this.frames[this.frames.length - 1];
+    if (!frame || frame.arrays.has(name)) {
+      return frame ? frame.arrays : this.arrays;
+    }
+    return this.isShared(frame, this.scopeKey(name, true)) ? this.arrays : frame.arrays;
+  }
+
+  /**
+   * Check whether a name refers to the main program inside a procedure frame
+   * @private
+   */
+  isShared(frame, key) {
+    return frame.shared.has(key) || this.globals.has(key);
+  }
+
+  /**
+   * Key used for Shared and Global declarations; arrays are written NAME()
+   * @private
+   */
+  scopeKey(name, array) {
+    return array ? `${name}()` : name;
+  }
+
+  /**
+   * Assign a value to a variable or array element, converting it to the
+   * variable's type
+   *
+   * @param {Object} target - Variable or index expression
+   * @param {number|string} value - The value to store
+   */
+  assign(target, value) {
+    value = this.convertForName(target.name, value);
+
+    if (target.type === 'index') {
+      const array = this.getArray(target.name);
+      array.values[this.arrayOffset(array, target.args.map(arg => this.evaluateNumber(arg)))] = value;
+      return;
+    }
+
+    this.setVariable(target.name, value);
+  }
+
+  /**
+   * Convert a value to the type implied by a variable name
+   * @private
+   */
+  convertForName(name, value) {
+    if (this.isStringName(name)) {
+      if (typeof value !== 'string') throw new BasicError('Type mismatch');
+      return value;
+    }
+    if (typeof value === 'string') {
+      throw new BasicError('Type mismatch');
+    }
+    return this.isFloatName(name) ? value : Math.trunc(value);
+  }
+
+  /**
+   * Create an array; each dimension runs from 0 to its size inclusive
+   *
+   * @param {string} name - Upper-case array name
+   * @param {Array<number>} sizes - Upper bound of each dimension
+   */
+  dimension(name, sizes) {
+    const arrays = this.arrayScope(name);
+    if (arrays.has(name)) {
+      throw new BasicError('Array already dimensioned');
+    }
+
+    const bounds = sizes.map(size => Math.trunc(size) + 1);
+    if (bounds.some(bound => bound < 1)) {
+      throw new BasicError('Illegal function call');
+    }
+
+    const length = bounds.reduce((total, bound) => total * bound, 1);
+    arrays.set(name, {
+      bounds,
+      values: new Array(length).fill(this.isStringName(name) ? '' : 0)
+    });
+  }
+
+  /**
+   * Get an array by name
+   * @private
+   */
+  getArray(name) {
+    const array = this.arrayScope(name).get(name);
+    if (!array) {
+      throw new BasicError('Array not dimensioned');
+    }
+    return array;
+  }
+
+  /**
+   * Read an array element
+   * @private
+   */
+  getArrayElement(name, indices) {
+    const array = this.getArray(name);
+    return array.values[this.arrayOffset(array, indices)];
+  }
+
+  /**
+   * Compute the flat offset of an element
+   * @private
+   */
+  arrayOffset(array, indices) {
+    if (indices.length !== array.bounds.length) {
+      throw new BasicError('Illegal function call');
+    }
+
+    return indices.reduce((offset, index, dimension) => {
+      index = Math.trunc(index);
+      if (index < 0 || index >= array.bounds[dimension]) {
+        throw new BasicError('Array index out of range');
+      }
+      return offset * array.bounds[dimension] + index;
+    }, 0);
+  }
+
+  // Inspection
+
+  /**
+   * Get the procedure call stack, innermost call first
+   *
+   * @returns {Array<Object>} - Entries with the procedure name and the editor line it is at
+   */
+  getCallStack() {
+    const stack = [];
+    let line = this.program.instructions[this.pc] ? this.program.instructions[this.pc].line : null;
+
+    for (let index = this.frames.length - 1; index >= 0; index--) {
+      const frame = this.frames[index];
+      stack.push({ name: frame.name, line });
+      line = this.program.instructions[frame.returnPc - 1].line;
+    }
+    stack.push({ name: 'Main program', line });
+
+    return stack;
+  }
+
+  /**
+   * Get the variables and arrays of the current procedure and of the main program
+   *
+   * @returns {Array<Object>} - Entries with name, value and scope ('local' or 'global')
+   */
+  getVariableList() {
+    const entries = [];
+    const frame = this.frames[this.frames.length - 1];
+    const add = (variables, arrays, scope) => {
+      variables.forEach((value, name) => entries.push({ name, value, scope }));
+      arrays.forEach((array, name) => entries.push({
+        name: `${name}(${array.bounds.map(bound => bound - 1).join(',')})`,
+        value: array.values,
+        scope
+      }));
+    };
+
+    if (frame) {
+      add(frame.variables, frame.arrays, 'local');
+    }
+    add(this.variables, this.arrays, 'global');
+
+    return entries;
+  }
+
+  /**
+   * Get the nesting depth of procedure calls and Gosubs
+   *
+   * @returns {number} - The depth, 0 in the main program
+   */
+  getDepth() {
+    return this.frames.length + this.gosubStack.length;
+  }
+
+  /**
+   * Get the index of the next instruction to run
+   *
+   * @returns {number} - Index in the program's instructions
+   */
+  getProgramCounter() {
+    return this.pc;
+  }
+
+  /**
+   * Check whether an instruction is the first one of its line
+   *
+   * @param {number} index - Index in the program's instructions
+   * @returns {boolean} - True if the instruction before it is on another line
+   */
+  isLineStart(index) {
+    const instructions = this.program.instructions;
+    return index === 0 || instructions[index - 1].line !== instructions[index].line;
+  }
+
+  // Program flow
+
+  /**
+   * Find the instruction index of a jump target: a label or an expression
+   * giving a line number
+   *
+   * @param {Object} node - Label or expression node
+   * @returns {number} - Instruction index
+   */
+  findTarget(node) {
+    if (node.type === 'label') {
+      if (!this.program.labels.has(node.name)) {
+        throw new BasicError('Label not defined');
+      }
+      return this.program.labels.get(node.name);
+    }
+    return this.findLine(this.evaluateNumber(node));
+  }
+
+  /**
+   * Find the instruction index of a BASIC line number
+   *
+   * @param {number} number - The line number
+   * @returns {number} - Instruction index
+   */
+  findLine(number) {
+    if (!this.program.lineNumbers.has(number)) {
+      throw new BasicError('Line not found');
+    }
+    return this.program.lineNumbers.get(number);
+  }
+
+  isTrue(value) {
+    return typeof value === 'string' ? value !== '' : value !== 0;
+  }
+
+  // Conversion and output
+
+  toNumber(value) {
+    if (typeof value !== 'number') {
+      throw new BasicError('Type mismatch');
+    }
+    return value;
+  }
+
+  toString(value) {
+    if (typeof value !== 'string') {
+      throw new BasicError('Type mismatch');
+    }
+    return value;
+  }
+
+  /**
+   * Format a number the way PRINT and STR$ show it: positive numbers get a
+   * leading space where the sign would be
+   *
+   * @param {number} value - The number
+   * @returns {string} - The formatted number
+   */
+  formatNumber(value) {
+    const text = Number.isInteger(value) ? String(value) : String(Number(value.toPrecision(7)));
+    return value >= 0 ? ` ${text}` : text;
+  }
+
+  formatValue(value) {
+    return typeof value === 'string' ? value : this.formatNumber(value);
+  }
+
+  /**
+   * Queue text for output, tracking the cursor column for print zones
+   *
+   * @param {string} text - Text to print
+   */
+  print(text) {
+    this.outputBuffer += text;
+    this.display(text);
+
+    const newline = text.lastIndexOf('\n');
+    this.column = newline === -1 ? this.column + text.length : text.length - newline - 1;
+  }
+
+  /**
+   * Send queued output to the host
+   */
+  flushOutput() {
+    if (this.outputBuffer) {
+      const text = this.outputBuffer;
+      this.outputBuffer = '';
+      this.output(text);
+    }
+  }
+}
+
+export default BasicInterpreter;
@@ -0,0 +1,226 @@
+/**
+ * BasicLanguage.js - CodeMirror language support for the BASIC dialects
+ *
+ * Builds a stream language from a dialect profile: keywords (including
+ * multi-word ones such as "End Proc"), numbers, strings, comments, labels,
+ * line numbers and procedure names. Tokens are highlighted with plain
+ * cm-keyword, cm-string, cm-number, cm-comment... classes so that the mode
+ * themes can colour them. Structured dialects also get block indentation,
+ * and dialects with procedures can fold Procedure ... End Proc blocks.
+ */
+
+import { StreamLanguage, LanguageSupport, foldService, syntaxHighlighting } from '@codemirror/language'
+import { tags, tagHighlighter } from '@lezer/highlight'
+
+// Theme classes for the highlighted tokens
+const basicHighlighter = tagHighlighter([
+  { tag: tags.keyword, class: 'cm-keyword' },
+  { tag: tags.string, class: 'cm-string' },
+  { tag: tags.number, class: 'cm-number' },
+  { tag: tags.comment, class: 'cm-comment' },
+  { tag: tags.operator, class: 'cm-operator' },
+  { tag: tags.labelName, class: 'cm-label' },
+  { tag: tags.function(tags.variableName), class: 'cm-procedure' },
+  { tag: tags.variableName, class: 'cm-variable' },
+  { tag: [tags.paren, tags.squareBracket], class: 'cm-bracket' }
+]);
+
+// Instructions that open and close an indented block
+const BLOCK_OPENERS = ['FOR', 'WHILE', 'REPEAT', 'DO', 'PROCEDURE'];
+const BLOCK_CLOSERS = ['NEXT', 'WEND', 'UNTIL', 'LOOP', 'END IF', 'END PROC'];
+// Keywords after the condition of an If that make it a single-line If
+const SINGLE_LINE_IF = ['THEN', 'GOTO', 'GOSUB'];
+const DEDENTED_LINE = /^\s*(next|wend|until|loop|end\s+if|end\s+proc|else)\b/i;
+
+/**
+ * Build the stream parser for a dialect
+ *
+ * @param {Object} dialect - Dialect profile
+ * @returns {Object} - StreamLanguage parser spec
+ */
+function createParser(dialect) {
+  const escape = (text) => text.replace(/[$#^*+?.()|[\]\\]/g, '\\$&');
+  const keywords = [...new Set(dialect.keywords.map(keyword => keyword.toUpperCase()))]
+    .sort((a, b) => b.length - a.length)
+    .map(keyword => keyword.split(/\s+/).map(escape).join('\\s+'));
+
+  // Dialects that store keywords packed (FORI=1TO10) find them inside words
+  const boundary = dialect.packedKeywords ? '' : '(?![A-Za-z0-9_$#])';
+  const keywordPattern = new RegExp(`^(?:${keywords.join('|')})${boundary}`, 'i');
+  const remPattern = dialect.packedKeywords ? /^rem/i : /^rem\b/i;
+
+  // Read a variable or procedure name
+  const readName = (stream) => {
+    if (!dialect.packedKeywords) {
+      stream.match(/^[A-Za-z_][A-Za-z0-9_]*[$#]?/);
+      return;
+    }
+    // Names stop where a keyword starts
+    stream.next();
+    while (stream.match(/^[A-Za-z0-9]/, false) && !stream.match(keywordPattern, false)) {
+      stream.next();
+    }
+    stream.eat(/[$%]/);
+  };
+
+  // Follow the blocks opened and closed by a keyword
+  const trackBlock = (keyword, state) => {
+    if (keyword === 'PROCEDURE' || keyword === 'PROC') {
+      state.procedureName = true;
+    }
+    if (!dialect.structured) return;
+
+    if (state.pendingIf && SINGLE_LINE_IF.includes(keyword)) {
+      // If ... Then and If ... Goto end on their line
+      state.pendingIf = false;
+    } else if (state.pendingIf && keyword === 'END IF') {
+      // A whole block on one line
+      state.pendingIf = false;
+    } else if (BLOCK_OPENERS.includes(keyword)) {
+      state.depth++;
+    } else if (BLOCK_CLOSERS.includes(keyword)) {
+      state.depth = Math.max(state.depth - 1, 0);
+    } else if (keyword === 'IF') {
+      state.pendingIf = true;
+    }
+  };
+
+  return {
+    name: dialect.name,
+
+    startState() {
+      return {
+        depth: 0, // Open blocks, for indentation
+        pendingIf: false, // An If with no Then yet on this line: a block If if none comes
+        lineStart: true,
+        procedureName: false // The next name is the one of a procedure
+      };
+    },
+
+    copyState(state) {
+      return { ...state };
+    },
+
+    token(stream, state) {
+      if (stream.sol()) {
+        if (state.pendingIf) {
+          state.depth++;
+          state.pendingIf = false;
+        }
+        state.lineStart = true;
+        state.procedureName = false;
+      }
+
+      if (stream.eatSpace()) return null;
+
+      const lineStart = state.lineStart;
+      state.lineStart = false;
+
+      // Line numbers, and labels at the start of a line
+      if (lineStart && stream.match(/^[0-9]+/)) {
+        state.lineStart = true; // A label may follow the number
+        return 'labelName';
+      }
+      if (lineStart && dialect.labels && stream.match(/^[A-Za-z_][A-Za-z0-9_]*:(?!=)/)) {
+        return 'labelName';
+      }
+
+      // Comments
+      if (stream.peek() === "'" || stream.match(remPattern, false)) {
+        stream.skipToEnd();
+        return 'comment';
+      }
+
+      // Strings
+      if (stream.eat('"')) {
+        if (!stream.skipTo('"')) {
+          stream.skipToEnd();
+          return 'string';
+        }
+        stream.next();
+        return 'string';
+      }
+
+      // Numbers: decimal, $hex and %binary
+      if (stream.match(/^\$[0-9A-Fa-f]+/) || stream.match(/^%[01]+/) ||
+          stream.match(/^([0-9]+\.?[0-9]*|\.[0-9]+)(e[+-]?[0-9]+)?/i)) {
+        return 'number';
+      }
+
+      // Keywords
+      const keyword = stream.match(keywordPattern);
+      if (keyword) {
+        trackBlock(keyword[0].toUpperCase().replace(/\s+/g, ' '), state);
+        return 'keyword';
+      }
+      if (stream.eat('?')) {
+        return 'keyword';
+      }
+
+      // Names: procedures (declared, called with Proc or followed by parameters) and variables
+      if (stream.match(/^[A-Za-z_]/, false)) {
+        readName(stream);
+        if (state.procedureName || (dialect.procedures && stream.match(/^\s*\[/, false))) {
+          state.procedureName = false;
+          return 'variableName.function';
+        }
+        return 'variableName';
+      }
+
+      // Operators and punctuation
+      if (stream.match(/^(<>|<=|>=|=<|=>|[-+*/^=<>])/)) return 'operator';
+      const char = stream.next();
+      if (char === '(' || char === ')') return 'paren';
+      if (char === '[' || char === ']') return 'squareBracket';
+      return 'punctuation';
+    },
+
+    indent(state, textAfter, context) {
+      if (!dialect.structured) return null;
+
+      let depth = state.depth + (state.pendingIf ? 1 : 0);
+      if (DEDENTED_LINE.test(textAfter)) {
+        depth--;
+      }
+      return Math.max(depth, 0) * context.unit;
+    },
+
+    languageData: {
+      ...(dialect.structured ? { indentOnInput: DEDENTED_LINE } : {}),
+      ...(dialect.lineNumbers ? {} : { commentTokens: { line: "'" } })
+    }
+  };
+}
+
+/**
+ * Fold Procedure ... End Proc blocks
+ * @private
+ */
+const procedureFolding = foldService.of((state, lineStart) => {
+  const line = state.doc.lineAt(lineStart);
+  if (!/^\s*procedure\b/i.test(line.text)) return null;
+
+  for (let number = line.number + 1; number <= state.doc.lines; number++) {
+    const next = state.doc.line(number);
+    if (/^\s*procedure\b/i.test(next.text)) return null;
+    if (/^\s*end\s+proc\b/i.test(next.text)) {
+      return next.from - 1 > line.to ? { from: line.to, to: next.from - 1 } : null;
+    }
+  }
+  return null;
+});
+
+/**
+ * Create the language support for a dialect
+ *
+ * @param {Object} dialect - Dialect profile
+ * @returns {LanguageSupport} - Language, highlighting and folding for the editor
+ */
+export function basicLanguage(dialect) {
+  const language = StreamLanguage.define(createParser(dialect));
+  const support = [syntaxHighlighting(basicHighlighter)];
+  if (dialect.procedures) {
+    support.push(procedureFolding);
+  }
+  return new LanguageSupport(language, support);
+}
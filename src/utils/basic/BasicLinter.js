@@ -0,0 +1,429 @@
+/**
+ * BasicLinter.js - Checks a BASIC program for problems without running it
+ *
+ * Unlike the parser, which stops at the first error, the linter reports
+ * every problem it finds: unknown instructions, FOR/NEXT and block
+ * instructions that do not match, Goto/Gosub targets that do not exist,
+ * duplicate line numbers, labels and procedures, missing $ and # suffixes
+ * and values of the wrong type. The first error of the parser is added
+ * for anything the checks below do not catch, in the dialects PCOS runs
+ * itself: the parser does not know every instruction of the emulated C64.
+ */
+
+import BasicTokenizer, { TOKEN_TYPES } from './BasicTokenizer.js';
+import BasicParser, { UNCLOSED_BLOCK_ERRORS } from './BasicParser.js';
+import BasicError from './BasicError.js';
+
+// Keywords closing a block, with the block they close
+const BLOCK_CLOSERS = {
+  WEND: { type: 'WHILE', message: 'Wend without While' },
+  UNTIL: { type: 'REPEAT', message: 'Until without Repeat' },
+  LOOP: { type: 'DO', message: 'Loop without Do' },
+  'END IF': { type: 'IF', message: 'End If without If' },
+  'END PROC': { type: 'PROCEDURE', message: 'End Proc without Procedure' }
+};
+
+// Instructions followed by a line number or label
+const JUMP_KEYWORDS = ['GOTO', 'GOSUB', 'RESTORE'];
+
+class BasicLinter {
+  /**
+   * Create a linter for a dialect
+   *
+   * @param {Object} dialect - Dialect profile
+   */
+  constructor(dialect) {
+    this.dialect = dialect;
+    this.tokenizer = new BasicTokenizer(dialect);
+    this.parser = dialect.emulated ? null : new BasicParser(dialect);
+    this.functions = new Set(dialect.functions.map(name => name.toUpperCase()));
+    this.unavailable = new Set(dialect.unavailable || []);
+  }
+
+  /**
+   * Check a program
+   *
+   * @param {string} source - Program source
+   * @returns {Array<Object>} - Problems with line (1-based), from and to
+   *   (columns), severity ('error' or 'warning') and message, in line order
+   */
+  lint(source) {
+    this.problems = [];
+    this.blocks = [];
+    this.lines = source.split('\n').map((text, index) => this.readLine(text, index + 1));
+    this.collectTargets();
+    this.lines.forEach(line => this.checkLine(line));
+
+    // Blocks still open at the end of the program
+    this.blocks.forEach(block => {
+      this.report(block.token, UNCLOSED_BLOCK_ERRORS[block.type], block.structured ? 'error' : 'warning');
+    });
+
+    this.checkWithParser(source);
+    return this.problems.sort((a, b) => a.line - b.line || a.from - b.from);
+  }
+
+  /**
+   * Tokenize a line and split it into statements
+   * @private
+   */
+  readLine(text, number) {
+    // tokens are the ones after the line number and label
+    const line = { number, text, tokens: [], statements: [], lineNumber: null, label: null };
+
+    // The line number is kept even if the rest of the line cannot be read,
+    // so that duplicates of it are still found
+    const numberMatch = /^(\s*)([0-9]+)/.exec(text);
+    if (numberMatch) {
+      line.lineNumber = {
+        ...this.tokenizer.createToken(TOKEN_TYPES.LINE_NUMBER, parseInt(numberMatch[2], 10), numberMatch[2], numberMatch[1].length),
+        line: number
+      };
+    }
+
+    let tokens;
+    try {
+      tokens = this.tokenizer.tokenizeLine(text, number).map(token => ({ ...token, line: number }));
+    } catch (error) {
+      if (!(error instanceof BasicError)) throw error;
+      this.problems.push({ line: number, from: 0, to: text.length, severity: 'error', message: error.message });
+      return line;
+    }
+
+    if (tokens.length && tokens[0].type === TOKEN_TYPES.LINE_NUMBER) {
+      tokens = tokens.slice(1);
+    }
+    if (this.dialect.labels && tokens.length > 1 && tokens[0].type === TOKEN_TYPES.IDENTIFIER &&
+        this.isToken(tokens[1], TOKEN_TYPES.PUNCTUATION, ':')) {
+      line.label = tokens[0];
+      tokens = tokens.slice(2);
+    }
+    line.tokens = tokens;
+
+    // Statements end at ':', and a new one starts after Then and Else
+    let statement = [];
+    tokens.forEach(token => {
+      if (this.isToken(token, TOKEN_TYPES.PUNCTUATION, ':')) {
+        line.statements.push(statement);
+        statement = [];
+        return;
+      }
+      if (this.isToken(token, TOKEN_TYPES.KEYWORD, 'THEN') || this.isToken(token, TOKEN_TYPES.KEYWORD, 'ELSE')) {
+        line.statements.push([...statement, token]);
+        statement = [];
+        return;
+      }
+      statement.push(token);
+    });
+    line.statements.push(statement);
+    line.statements = line.statements.filter(tokens => tokens.length);
+    return line;
+  }
+
+  /**
+   * Collect line numbers, labels and procedures, reporting duplicates
+   * @private
+   */
+  collectTargets() {
+    this.lineNumbers = new Set();
+    this.labels = new Set();
+    this.procedures = new Set();
+
+    this.lines.forEach(line => {
+      if (line.lineNumber) {
+        if (this.lineNumbers.has(line.lineNumber.value)) {
+          this.report(line.lineNumber, 'Line number already defined');
+        }
+        this.lineNumbers.add(line.lineNumber.value);
+      }
+      if (line.label) {
+        if (this.labels.has(line.label.value)) {
+          this.report(line.label, 'Label already defined');
+        }
+        this.labels.add(line.label.value);
+      }
+
+      const statement = line.statements[0];
+      if (this.dialect.procedures && statement && this.isToken(statement[0], TOKEN_TYPES.KEYWORD, 'PROCEDURE') &&
+          statement[1] && statement[1].type === TOKEN_TYPES.IDENTIFIER) {
+        if (this.procedures.has(statement[1].value)) {
+          this.report(statement[1], 'Procedure already defined');
+        }
+        this.procedures.add(statement[1].value);
+      }
+    });
+  }
+
+  /**
+   * Check the statements of a line
+   * @private
+   */
+  checkLine(line) {
+    line.statements.forEach(statement => this.checkStatement(statement, line));
+    this.checkTargets(line.tokens);
+    this.checkSuffixes(line.tokens);
+  }
+
+  /**
+   * Check the instruction starting a statement, and the blocks it opens or closes
+   * @private
+   */
+  checkStatement(tokens, line) {
+    const first = tokens[0];
+
+    if (first.type === TOKEN_TYPES.IDENTIFIER) {
+      this.checkNameStatement(tokens);
+      return;
+    }
+    if (first.type !== TOKEN_TYPES.KEYWORD) return;
+
+    if (this.unavailable.has(first.value)) {
+      this.report(first, `Instruction not available in ${this.dialect.title}`);
+      return;
+    }
+
+    const structured = Boolean(this.dialect.structured);
+    switch (first.value) {
+      case 'LET':
+        this.checkAssignment(tokens.slice(1));
+        break;
+
+      case 'FOR':
+        this.blocks.push({ type: 'FOR', token: first, structured, variable: tokens[1] ? tokens[1].value : null });
+        this.checkAssignment(tokens.slice(1, tokens.findIndex(token => this.isToken(token, TOKEN_TYPES.KEYWORD, 'TO'))));
+        break;
+
+      case 'NEXT':
+        this.checkNext(tokens, structured);
+        break;
+
+      case 'PROC':
+        if (tokens[1] && tokens[1].type === TOKEN_TYPES.IDENTIFIER && !this.procedures.has(tokens[1].value)) {
+          this.report(tokens[1], 'Procedure not defined');
+        }
+        break;
+
+      case 'IF':
+        // In structured dialects, an If without Then opens a block
+        if (structured && !line.statements.some(statement => statement.some(token =>
+          this.isToken(token, TOKEN_TYPES.KEYWORD, 'THEN')))) {
+          this.blocks.push({ type: 'IF', token: first, structured });
+        }
+        break;
+
+      case 'WHILE':
+      case 'REPEAT':
+      case 'DO':
+      case 'PROCEDURE':
+        if (structured || first.value === 'PROCEDURE') {
+          this.blocks.push({ type: first.value, token: first, structured: true });
+        }
+        break;
+
+      default:
+        if (BLOCK_CLOSERS[first.value] && (structured || first.value === 'END PROC')) {
+          this.closeBlock(first, BLOCK_CLOSERS[first.value]);
+        }
+    }
+  }
+
+  /**
+   * Check a statement starting with a name: an assignment, a procedure call or an unknown instruction
+   * @private
+   */
+  checkNameStatement(tokens) {
+    const [name, next] = tokens;
+
+    if (this.isToken(next, TOKEN_TYPES.OPERATOR, '=') || this.isToken(next, TOKEN_TYPES.PUNCTUATION, '(')) {
+      this.checkAssignment(tokens);
+      return;
+    }
+
+    if (this.dialect.procedures && (!next || this.isToken(next, TOKEN_TYPES.PUNCTUATION, '['))) {
+      if (!this.procedures.has(name.value)) {
+        this.report(name, 'Procedure not defined');
+      }
+      return;
+    }
+
+    this.report(name, `Unknown instruction ${name.text}`);
+  }
+
+  /**
+   * Check Next against the innermost For
+   * @private
+   */
+  checkNext(tokens, structured) {
+    const variables = tokens.slice(1).filter(token => token.type === TOKEN_TYPES.IDENTIFIER);
+    const count = Math.max(variables.length, 1);
+
+    for (let index = 0; index < count; index++) {
+      const variable = variables[index];
+      const forIndex = this.blocks.map(block => block.type).lastIndexOf('FOR');
+      if (forIndex === -1) {
+        this.report(variable || tokens[0], 'Next without For', structured ? 'error' : 'warning');
+        return;
+      }
+
+      this.closeOpenBlocks(forIndex);
+      const block = this.blocks.pop();
+      if (variable && block.variable && variable.value !== block.variable) {
+        this.report(variable, `Next ${variable.text} does not match For ${block.variable}`, structured ? 'error' : 'warning');
+      }
+    }
+  }
+
+  /**
+   * Close the innermost block of a type
+   * @private
+   */
+  closeBlock(token, { type, message }) {
+    const index = this.blocks.map(block => block.type).lastIndexOf(type);
+    if (index === -1) {
+      this.report(token, message);
+      return;
+    }
+    this.closeOpenBlocks(index);
+    this.blocks.pop();
+  }
+
+  /**
+   * Report the blocks left open inside the one being closed
+   * @private
+   */
+  closeOpenBlocks(index) {
+    this.blocks.splice(index + 1).forEach(block => {
+      this.report(block.token, UNCLOSED_BLOCK_ERRORS[block.type], block.structured ? 'error' : 'warning');
+    });
+  }
+
+  /**
+   * Check that Goto, Gosub, Restore, Then and On targets exist
+   * @private
+   */
+  checkTargets(tokens) {
+    tokens.forEach((token, index) => {
+      const jump = token.type === TOKEN_TYPES.KEYWORD &&
+        (JUMP_KEYWORDS.includes(token.value) || token.value === 'THEN' || token.value === 'ELSE');
+      if (!jump) return;
+
+      // On ... Goto takes a list of targets
+      for (let position = index + 1; position < tokens.length; position += 2) {
+        this.checkTarget(tokens[position], tokens[position + 1]);
+        if (!this.isToken(tokens[position + 1], TOKEN_TYPES.PUNCTUATION, ',')) break;
+      }
+    });
+  }
+
+  /**
+   * Check a single jump target
+   * @private
+   */
+  checkTarget(token, next) {
+    if (!token) return;
+    const alone = !next || this.isToken(next, TOKEN_TYPES.PUNCTUATION, ',') ||
+      this.isToken(next, TOKEN_TYPES.KEYWORD, 'ELSE');
+    if (!alone) return; // Computed targets are only known at run time
+
+    if (token.type === TOKEN_TYPES.NUMBER && !this.lineNumbers.has(token.value)) {
+      this.report(token, 'Line not found');
+    } else if (this.dialect.labels && token.type === TOKEN_TYPES.IDENTIFIER && !this.labels.has(token.value)) {
+      this.report(token, 'Label not defined');
+    }
+  }
+
+  /**
+   * Find names used without the $ or # of a function, e.g. Left instead of Left$
+   * @private
+   */
+  checkSuffixes(tokens) {
+    tokens.forEach(token => {
+      if (token.type !== TOKEN_TYPES.IDENTIFIER || /[$#]$/.test(token.value)) return;
+
+      const suffixed = ['$', '#'].map(suffix => token.value + suffix).find(name => this.functions.has(name));
+      if (suffixed) {
+        const written = token.text + suffixed.slice(-1);
+        this.report(token, `${token.text} is read as a variable: did you mean ${written}?`, 'warning');
+      }
+    });
+  }
+
+  /**
+   * Check that the value given to a variable has its type: a string for names ending with $
+   * @private
+   */
+  checkAssignment(tokens) {
+    const equals = tokens.findIndex(token => this.isToken(token, TOKEN_TYPES.OPERATOR, '='));
+    if (equals < 1 || tokens[0].type !== TOKEN_TYPES.IDENTIFIER) return;
+
+    const valueType = this.expressionType(tokens.slice(equals + 1));
+    const variableType = tokens[0].value.endsWith('$') ? 'string' : 'number';
+    if (valueType && valueType !== variableType) {
+      this.report(tokens[0], 'Type mismatch');
+    }
+  }
+
+  /**
+   * Guess the type of an expression from its first value
+   * @private
+   */
+  expressionType(tokens) {
+    const first = tokens.find(token => !this.isToken(token, TOKEN_TYPES.PUNCTUATION, '(') &&
+      !this.isToken(token, TOKEN_TYPES.OPERATOR, '-') && !this.isToken(token, TOKEN_TYPES.KEYWORD, 'NOT'));
+    if (!first) return null;
+
+    switch (first.type) {
+      case TOKEN_TYPES.STRING:
+        return 'string';
+      case TOKEN_TYPES.NUMBER:
+        return 'number';
+      case TOKEN_TYPES.IDENTIFIER:
+        return first.value.endsWith('$') ? 'string' : 'number';
+      case TOKEN_TYPES.KEYWORD:
+        if (!this.functions.has(first.value)) return null;
+        // Param and Max/Min take the type of their values
+        if (['PARAM', 'MAX', 'MIN'].includes(first.value)) return null;
+        return first.value.endsWith('$') ? 'string' : 'number';
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Add the first error of the parser, unless a check above already reported a problem on its line
+   * @private
+   */
+  checkWithParser(source) {
+    if (!this.parser) return;
+    try {
+      this.parser.parse(source);
+    } catch (error) {
+      if (!(error instanceof BasicError) || !error.line) throw error;
+      if (this.problems.some(problem => problem.line === error.line)) return;
+
+      const text = this.lines[error.line - 1].text;
+      const indent = text.length - text.trimStart().length;
+      this.problems.push({ line: error.line, from: indent, to: text.length, severity: 'error', message: error.message });
+    }
+  }
+
+  /**
+   * Record a problem on a token
+   * @private
+   */
+  report(token, message, severity = 'error') {
+    this.problems.push({
+      line: token.line,
+      from: token.column,
+      to: token.column + token.text.length,
+      severity,
+      message
+    });
+  }
+
+  isToken(token, type, value) {
+    return Boolean(token) && token.type === type && token.value === value;
+  }
+}
+
+export default BasicLinter;
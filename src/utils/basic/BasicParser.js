@@ -0,0 +1,1107 @@
+/**
+ * BasicParser.js - Parser shared by the BASIC dialects
+ *
+ * Turns source text into a flat list of instructions. Control flow that is
+ * known at parse time (IF/THEN/ELSE and, in structured dialects, block IF and
+ * the While, Repeat and Do loops) is compiled into JUMP and IF instructions
+ * carrying the index of their target; BASIC line numbers, labels, procedures
+ * and DATA values are collected into lookup tables for the runtime.
+ *
+ * Dialect flags enable the AMOS extensions:
+ *   structured - block If/Else/End If, While/Wend, Repeat/Until, Do/Loop, Exit
+ *   procedures - Procedure/End Proc, Shared, Global and procedure calls
+ *   labels     - "Name:" at the start of a line as a Goto/Gosub target
+ */
+
+import BasicTokenizer, { TOKEN_TYPES } from './BasicTokenizer.js';
+import BasicError from './BasicError.js';
+
+const COMPARISON_OPERATORS = ['=', '<>', '<', '>', '<=', '>='];
+
+// Blocks that Exit can leave
+const LOOP_BLOCKS = ['FOR', 'WHILE', 'REPEAT', 'DO'];
+
+// Error reported when a block is still open at the end of the program
+export const UNCLOSED_BLOCK_ERRORS = {
+  IF: 'If without End If',
+  FOR: 'For without Next',
+  WHILE: 'While without Wend',
+  REPEAT: 'Repeat without Until',
+  DO: 'Do without Loop',
+  PROCEDURE: 'Procedure without End Proc'
+};
+
+class BasicParser {
+  /**
+   * Create a parser for a dialect
+   *
+   * @param {Object} dialect - Dialect profile
+   */
+  constructor(dialect) {
+    this.dialect = dialect;
+    this.tokenizer = new BasicTokenizer(dialect);
+    this.functions = new Set(dialect.functions);
+    this.unavailable = new Set(dialect.unavailable || []);
+  }
+
+  /**
+   * Parse a whole program
+   *
+   * @param {string} source - Program source
+   * @returns {Object} - The parsed program
+   */
+  parse(source) {
+    this.program = {
+      instructions: [],
+      lineNumbers: new Map(), // BASIC line number -> instruction index
+      data: [],               // DATA values in program order
+      dataLines: new Map(),   // BASIC line number -> index of the next DATA value
+      labels: new Map(),      // Label name -> instruction index
+      dataLabels: new Map(),  // Label name -> index of the next DATA value
+      procedures: new Map()   // Procedure name -> { name, params, start, line }
+    };
+    this.blocks = [];
+
+    source.split('\n').forEach((text, index) => this.parseLine(text, index + 1));
+
+    if (this.blocks.length > 0) {
+      const block = this.blocks[this.blocks.length - 1];
+      throw new BasicError(UNCLOSED_BLOCK_ERRORS[block.type], block.line, block.basicLine);
+    }
+
+    return this.program;
+  }
+
+  /**
+   * Parse a single source line
+   *
+   * @param {string} text - The line text
+   * @param {number} line - Editor line number (1-based)
+   */
+  parseLine(text, line) {
+    this.line = line;
+    this.basicLine = null;
+    this.tokens = this.tokenizer.tokenizeLine(text, line);
+    this.pos = 0;
+
+    if (this.check(TOKEN_TYPES.LINE_NUMBER)) {
+      const number = this.next().value;
+      if (this.program.lineNumbers.has(number)) {
+        throw new BasicError('Line number already defined', line, number);
+      }
+      this.basicLine = number;
+      this.program.lineNumbers.set(number, this.program.instructions.length);
+      this.program.dataLines.set(number, this.program.data.length);
+    }
+
+    if (this.dialect.labels && this.check(TOKEN_TYPES.IDENTIFIER) && this.isPunctuation(this.pos + 1, ':')) {
+      const name = this.next().value;
+      this.next();
+      if (this.program.labels.has(name)) {
+        this.error('Label already defined');
+      }
+      this.program.labels.set(name, this.program.instructions.length);
+      this.program.dataLabels.set(name, this.program.data.length);
+    }
+
+    this.parseStatements(false);
+
+    if (!this.atEnd()) {
+      this.error();
+    }
+  }
+
+  /**
+   * Parse statements separated by ':' up to the end of the line
+   *
+   * @param {boolean} stopAtElse - Stop before an ELSE (inside a single-line IF)
+   */
+  parseStatements(stopAtElse) {
+    while (!this.atEnd()) {
+      if (this.accept(TOKEN_TYPES.PUNCTUATION, ':')) continue;
+      if (stopAtElse && this.atElse()) return;
+
+      this.parseStatement();
+
+      if (!this.atEnd() && !this.check(TOKEN_TYPES.PUNCTUATION, ':') &&
+          !(stopAtElse && this.atElse())) {
+        this.error();
+      }
+    }
+  }
+
+  /**
+   * Parse one statement and emit its instructions
+   */
+  parseStatement() {
+    const token = this.peek();
+
+    if (token.type === TOKEN_TYPES.COMMENT) {
+      this.next();
+      return;
+    }
+
+    if (token.type === TOKEN_TYPES.IDENTIFIER) {
+      // A name alone or followed by [parameters] calls a procedure
+      if (this.dialect.procedures &&
+          (this.isPunctuation(this.pos + 1, '[') || this.isStatementEnd(this.pos + 1))) {
+        this.parseCall();
+        return;
+      }
+      this.parseAssignment();
+      return;
+    }
+
+    if (token.type !== TOKEN_TYPES.KEYWORD) {
+      this.error();
+    }
+    this.checkAvailable(token);
+
+    switch (token.value) {
+      case 'REM':
+        this.next();
+        this.accept(TOKEN_TYPES.COMMENT);
+        return;
+
+      case 'LET':
+        this.next();
+        this.parseAssignment();
+        return;
+
+      case 'PRINT':
+        this.next();
+        this.parsePrint();
+        return;
+
+      case 'INPUT':
+        this.next();
+        this.parseInput();
+        return;
+
+      case 'IF':
+        this.next();
+        this.parseIf();
+        return;
+
+      case 'ELSE IF':
+        this.next();
+        this.parseElseIf();
+        return;
+
+      case 'ELSE':
+        this.next();
+        this.parseElse();
+        return;
+
+      case 'END IF':
+        this.next();
+        this.parseEndIf();
+        return;
+
+      case 'WHILE':
+      case 'REPEAT':
+      case 'DO':
+        this.next();
+        this.openLoop(token.value);
+        return;
+
+      case 'WEND':
+      case 'UNTIL':
+      case 'LOOP':
+        this.next();
+        this.closeLoop(token.value);
+        return;
+
+      case 'EXIT':
+        this.next();
+        this.parseExit(false);
+        return;
+
+      case 'EXIT IF':
+        this.next();
+        this.parseExit(true);
+        return;
+
+      case 'PROCEDURE':
+        this.next();
+        this.parseProcedure();
+        return;
+
+      case 'END PROC':
+        this.next();
+        this.parseEndProc();
+        return;
+
+      case 'POP PROC':
+        this.next();
+        this.currentProcedure();
+        this.emit('POP PROC');
+        return;
+
+      case 'PROC':
+        this.next();
+        this.parseCall();
+        return;
+
+      case 'SHARED':
+        this.next();
+        this.currentProcedure();
+        this.emit('SHARED', { names: this.parseNameList() });
+        return;
+
+      case 'GLOBAL':
+        this.next();
+        this.emit('GLOBAL', { names: this.parseNameList() });
+        return;
+
+      case 'INC':
+      case 'DEC':
+      case 'ADD':
+        this.next();
+        this.parseIncrement(token.value);
+        return;
+
+      case 'FOR':
+        this.next();
+        this.parseFor();
+        return;
+
+      case 'NEXT':
+        this.next();
+        this.parseNext();
+        return;
+
+      case 'GOTO':
+      case 'GOSUB':
+        this.next();
+        this.emit(token.value, { target: this.parseJumpTarget() });
+        return;
+
+      case 'ON':
+        this.next();
+        this.parseOn();
+        return;
+
+      case 'RETURN':
+      case 'END':
+      case 'STOP':
+        this.next();
+        this.emit(token.value);
+        return;
+
+      case 'DIM':
+        this.next();
+        this.parseDim();
+        return;
+
+      case 'DATA':
+        this.next();
+        this.parseData();
+        return;
+
+      case 'READ':
+        this.next();
+        this.emit('READ', { targets: this.parseTargetList() });
+        return;
+
+      case 'RESTORE':
+        this.next();
+        this.emit('RESTORE', { target: this.atStatementEnd() ? null : this.parseJumpTarget() });
+        return;
+    }
+
+    if (this.functions.has(token.value)) {
+      this.error();
+    }
+
+    this.next();
+    this.parseCommand(token.value);
+  }
+
+  /**
+   * Parse an assignment: target = expression
+   */
+  parseAssignment() {
+    const target = this.parseTarget();
+    this.expect(TOKEN_TYPES.OPERATOR, '=');
+    this.emit('LET', { target, value: this.parseExpression() });
+  }
+
+  /**
+   * Parse the items of a PRINT statement
+   */
+  parsePrint() {
+    const items = [];
+
+    while (!this.atStatementEnd()) {
+      if (this.check(TOKEN_TYPES.PUNCTUATION, ';') || this.check(TOKEN_TYPES.PUNCTUATION, ',')) {
+        items.push({ separator: this.next().value });
+        continue;
+      }
+      items.push({ expression: this.parseExpression() });
+    }
+
+    this.emit('PRINT', { items });
+  }
+
+  /**
+   * Parse an INPUT statement with its optional prompt
+   */
+  parseInput() {
+    let prompt = null;
+
+    // A semicolon after the prompt adds the usual question mark
+    if (this.check(TOKEN_TYPES.STRING)) {
+      prompt = this.next().value;
+      if (this.accept(TOKEN_TYPES.PUNCTUATION, ';')) {
+        prompt += '? ';
+      } else {
+        this.expect(TOKEN_TYPES.PUNCTUATION, ',');
+      }
+    }
+
+    this.emit('INPUT', { prompt, targets: this.parseTargetList() });
+  }
+
+  /**
+   * Parse an IF. IF ... THEN and IF ... GOTO are single-line; in structured
+   * dialects an IF with nothing after its condition opens an If/End If block.
+   */
+  parseIf() {
+    const condition = this.parseExpression();
+    const branch = this.emit('IF', { condition, target: null });
+
+    if (this.dialect.structured && this.atStatementEnd() && !this.atElse()) {
+      this.openBlock('IF', { branch, ends: [] });
+      return;
+    }
+
+    if (this.accept(TOKEN_TYPES.KEYWORD, 'GOTO')) {
+      this.emit('GOTO', { target: this.parseJumpTarget() });
+    } else {
+      this.expect(TOKEN_TYPES.KEYWORD, 'THEN');
+      this.parseIfBranch();
+    }
+
+    if (this.accept(TOKEN_TYPES.KEYWORD, 'ELSE')) {
+      const jump = this.emit('JUMP', { target: null });
+      branch.target = this.program.instructions.length;
+      this.parseIfBranch();
+      jump.target = this.program.instructions.length;
+    } else if (this.accept(TOKEN_TYPES.KEYWORD, 'ELSE IF')) {
+      const jump = this.emit('JUMP', { target: null });
+      branch.target = this.program.instructions.length;
+      this.parseIf();
+      jump.target = this.program.instructions.length;
+    } else {
+      branch.target = this.program.instructions.length;
+    }
+  }
+
+  /**
+   * Parse the THEN or ELSE part of an IF: a line number or statements
+   * @private
+   */
+  parseIfBranch() {
+    if (this.check(TOKEN_TYPES.NUMBER)) {
+      this.emit('GOTO', { target: { type: 'number', value: this.next().value } });
+      return;
+    }
+
+    this.parseStatements(true);
+  }
+
+  /**
+   * Parse Else If inside an If/End If block
+   */
+  parseElseIf() {
+    const block = this.currentBlock('IF', 'Else If without If');
+    if (!block.branch) {
+      this.error();
+    }
+
+    block.ends.push(this.emit('JUMP', { target: null }));
+    block.branch.target = this.program.instructions.length;
+    block.branch = this.emit('IF', { condition: this.parseExpression(), target: null });
+  }
+
+  /**
+   * Parse Else inside an If/End If block. A single-line IF consumes its own
+   * ELSE, so one reaching here always belongs to a block.
+   */
+  parseElse() {
+    const block = this.dialect.structured ? this.currentBlock('IF', 'Else without If') : null;
+    if (!block || !block.branch) {
+      this.error();
+    }
+
+    block.ends.push(this.emit('JUMP', { target: null }));
+    block.branch.target = this.program.instructions.length;
+    block.branch = null;
+  }
+
+  /**
+   * Parse End If, resolving the pending branch and the jumps to the end
+   */
+  parseEndIf() {
+    const block = this.closeBlock('IF', 'End If without If');
+    const end = this.program.instructions.length;
+
+    if (block.branch) {
+      block.branch.target = end;
+    }
+    block.ends.forEach(jump => { jump.target = end; });
+  }
+
+  /**
+   * Parse FOR variable = start TO end [STEP step]
+   */
+  parseFor() {
+    const variable = this.expect(TOKEN_TYPES.IDENTIFIER).value;
+    this.expect(TOKEN_TYPES.OPERATOR, '=');
+    const start = this.parseExpression();
+    this.expect(TOKEN_TYPES.KEYWORD, 'TO');
+    const end = this.parseExpression();
+    const step = this.accept(TOKEN_TYPES.KEYWORD, 'STEP') ? this.parseExpression() : null;
+
+    this.emit('FOR', { variable, start, end, step });
+
+    // Structured dialects pair FOR and NEXT at parse time so Exit knows where to go
+    if (this.dialect.structured) {
+      this.openBlock('FOR', { variable, exits: [] });
+    }
+  }
+
+  /**
+   * Parse NEXT [variable[, variable...]]
+   */
+  parseNext() {
+    if (this.dialect.structured) {
+      const block = this.closeBlock('FOR', 'Next without For');
+      if (!this.atStatementEnd() && this.expect(TOKEN_TYPES.IDENTIFIER).value !== block.variable) {
+        this.error('Next without For');
+      }
+      this.emit('NEXT', { variable: block.variable });
+      this.resolveExits(block);
+      return;
+    }
+
+    if (this.atStatementEnd()) {
+      this.emit('NEXT', { variable: null });
+      return;
+    }
+
+    do {
+      this.emit('NEXT', { variable: this.expect(TOKEN_TYPES.IDENTIFIER).value });
+    } while (this.accept(TOKEN_TYPES.PUNCTUATION, ','));
+  }
+
+  /**
+   * Open a While, Repeat or Do loop
+   *
+   * @param {string} type - The opening keyword
+   */
+  openLoop(type) {
+    const block = this.openBlock(type, { start: this.program.instructions.length, exits: [] });
+
+    if (type === 'WHILE') {
+      block.exits.push(this.emit('IF', { condition: this.parseExpression(), target: null }));
+    }
+  }
+
+  /**
+   * Close a loop with Wend, Until or Loop
+   *
+   * @param {string} keyword - The closing keyword
+   */
+  closeLoop(keyword) {
+    const type = { WEND: 'WHILE', UNTIL: 'REPEAT', LOOP: 'DO' }[keyword];
+    const block = this.closeBlock(type, `${this.capitalize(keyword)} without ${this.capitalize(type)}`);
+
+    if (keyword === 'UNTIL') {
+      this.emit('IF', { condition: this.parseExpression(), target: block.start });
+    } else {
+      this.emit('JUMP', { target: block.start });
+    }
+
+    this.resolveExits(block);
+  }
+
+  /**
+   * Parse Exit [levels] or Exit If condition[, levels]
+   *
+   * @param {boolean} conditional - True for Exit If
+   */
+  parseExit(conditional) {
+    const condition = conditional ? this.parseExpression() : null;
+    if (conditional && !this.accept(TOKEN_TYPES.PUNCTUATION, ',')) {
+      this.parseExitJump(condition, 1);
+      return;
+    }
+
+    const levels = this.atStatementEnd() ? 1 : this.expect(TOKEN_TYPES.NUMBER).value;
+    this.parseExitJump(condition, levels);
+  }
+
+  /**
+   * Emit the jump out of the enclosing loops for Exit
+   * @private
+   */
+  parseExitJump(condition, levels) {
+    const skip = condition ? this.emit('IF', { condition, target: null }) : null;
+    const exit = this.emit('EXIT', { target: null, forVariables: [] });
+
+    let count = 0;
+    for (let index = this.blocks.length - 1; index >= 0 && this.blocks[index].type !== 'PROCEDURE'; index--) {
+      const block = this.blocks[index];
+      if (!LOOP_BLOCKS.includes(block.type)) continue;
+
+      // FOR frames left behind are dropped by the runtime
+      if (block.type === 'FOR') {
+        exit.forVariables.push(block.variable);
+      }
+      if (++count === levels) {
+        block.exits.push(exit);
+        break;
+      }
+    }
+
+    if (count < levels) {
+      this.error('Not in a loop');
+    }
+    if (skip) {
+      skip.target = this.program.instructions.length;
+    }
+  }
+
+  /**
+   * Parse Procedure NAME[param, ...]. The definition is skipped when the
+   * main program runs into it.
+   */
+  parseProcedure() {
+    if (this.blocks.length > 0) {
+      this.error();
+    }
+
+    const name = this.expect(TOKEN_TYPES.IDENTIFIER).value;
+    const params = this.accept(TOKEN_TYPES.PUNCTUATION, '[') ? this.parseNameList(']') : [];
+    if (this.program.procedures.has(name)) {
+      this.error('Procedure already defined');
+    }
+
+    const skip = this.emit('PROCEDURE', { name, target: null });
+    this.program.procedures.set(name, {
+      name,
+      params: params.map(param => param.name),
+      start: this.program.instructions.length,
+      line: this.line
+    });
+    this.openBlock('PROCEDURE', { name, skip });
+  }
+
+  /**
+   * Parse End Proc[value]
+   */
+  parseEndProc() {
+    const block = this.closeBlock('PROCEDURE', 'End Proc without Procedure');
+    let value = null;
+
+    if (this.accept(TOKEN_TYPES.PUNCTUATION, '[')) {
+      value = this.parseExpression();
+      this.expect(TOKEN_TYPES.PUNCTUATION, ']');
+    }
+
+    this.emit('END PROC', { value });
+    block.skip.target = this.program.instructions.length;
+  }
+
+  /**
+   * Parse a procedure call: NAME, NAME[args] or Proc NAME[args]
+   */
+  parseCall() {
+    const name = this.expect(TOKEN_TYPES.IDENTIFIER).value;
+    const args = this.accept(TOKEN_TYPES.PUNCTUATION, '[') ? this.parseArguments(']') : [];
+
+    this.emit('CALL', { name, args });
+  }
+
+  /**
+   * Parse a list of variable names for Shared, Global or procedure
+   * parameters. Arrays are written NAME().
+   *
+   * @param {string|null} closing - Closing punctuation, or null to stop at the statement end
+   * @returns {Array<Object>} - Names with an array flag
+   */
+  parseNameList(closing = null) {
+    const names = [];
+
+    if (closing && this.accept(TOKEN_TYPES.PUNCTUATION, closing)) {
+      return names;
+    }
+
+    do {
+      const name = this.expect(TOKEN_TYPES.IDENTIFIER).value;
+      const array = !closing && !!this.accept(TOKEN_TYPES.PUNCTUATION, '(');
+      if (array) {
+        this.expect(TOKEN_TYPES.PUNCTUATION, ')');
+      }
+      names.push({ name, array });
+    } while (this.accept(TOKEN_TYPES.PUNCTUATION, ','));
+
+    if (closing) {
+      this.expect(TOKEN_TYPES.PUNCTUATION, closing);
+    }
+    return names;
+  }
+
+  /**
+   * Parse Inc var, Dec var and Add var, expression as assignments
+   *
+   * @param {string} keyword - INC, DEC or ADD
+   */
+  parseIncrement(keyword) {
+    const target = this.parseTarget();
+    let amount = { type: 'number', value: keyword === 'DEC' ? -1 : 1 };
+
+    if (keyword === 'ADD') {
+      this.expect(TOKEN_TYPES.PUNCTUATION, ',');
+      amount = this.parseExpression();
+    }
+
+    this.emit('LET', { target, value: { type: 'binary', operator: '+', left: target, right: amount } });
+  }
+
+  /**
+   * Parse ON expression GOTO/GOSUB line, line...
+   */
+  parseOn() {
+    const selector = this.parseExpression();
+    const mode = this.accept(TOKEN_TYPES.KEYWORD, 'GOSUB') ? 'GOSUB' : this.expect(TOKEN_TYPES.KEYWORD, 'GOTO').value;
+    const targets = [this.parseJumpTarget()];
+
+    while (this.accept(TOKEN_TYPES.PUNCTUATION, ',')) {
+      targets.push(this.parseJumpTarget());
+    }
+
+    this.emit('ON', { selector, mode, targets });
+  }
+
+  /**
+   * Parse DIM name(size[, size]) [, ...]
+   */
+  parseDim() {
+    const arrays = [];
+
+    do {
+      const name = this.expect(TOKEN_TYPES.IDENTIFIER).value;
+      this.expect(TOKEN_TYPES.PUNCTUATION, '(');
+      arrays.push({ name, dimensions: this.parseArguments(')') });
+    } while (this.accept(TOKEN_TYPES.PUNCTUATION, ','));
+
+    this.emit('DIM', { arrays });
+  }
+
+  /**
+   * Collect the values of a DATA statement
+   */
+  parseData() {
+    while (!this.atStatementEnd()) {
+      const token = this.peek();
+
+      if (token.type === TOKEN_TYPES.STRING) {
+        this.next();
+        this.program.data.push(token.value);
+      } else if (token.type === TOKEN_TYPES.NUMBER) {
+        this.next();
+        this.program.data.push(token.value);
+      } else if (token.type === TOKEN_TYPES.OPERATOR && token.value === '-' &&
+                 this.tokens[this.pos + 1] && this.tokens[this.pos + 1].type === TOKEN_TYPES.NUMBER) {
+        this.next();
+        this.program.data.push(-this.next().value);
+      } else {
+        // Unquoted strings run up to the next comma
+        const words = [];
+        while (!this.atStatementEnd() && !this.check(TOKEN_TYPES.PUNCTUATION, ',')) {
+          words.push(this.next().text);
+        }
+        this.program.data.push(words.join(' '));
+      }
+
+      if (!this.accept(TOKEN_TYPES.PUNCTUATION, ',')) break;
+    }
+  }
+
+  /**
+   * Parse a command keyword followed by its arguments. Arguments are separated
+   * by commas or by TO (as in DRAW x1,y1 TO x2,y2); a TO before the first
+   * argument (DRAW TO x,y) is flagged as leadingTo.
+   *
+   * @param {string} name - The command keyword
+   */
+  parseCommand(name) {
+    const args = [];
+    const leadingTo = !!this.accept(TOKEN_TYPES.KEYWORD, 'TO');
+
+    while (!this.atStatementEnd()) {
+      args.push(this.parseExpression());
+      if (!this.accept(TOKEN_TYPES.PUNCTUATION, ',') && !this.accept(TOKEN_TYPES.KEYWORD, 'TO')) break;
+    }
+
+    this.emit('COMMAND', { name, args, leadingTo });
+  }
+
+  /**
+   * Parse the target of GOTO, GOSUB, ON and RESTORE: a line number
+   * expression or, in dialects with labels, a label name
+   *
+   * @returns {Object} - Expression or label node
+   */
+  parseJumpTarget() {
+    if (this.dialect.labels && this.check(TOKEN_TYPES.IDENTIFIER) &&
+        (this.isStatementEnd(this.pos + 1) || this.isPunctuation(this.pos + 1, ','))) {
+      return { type: 'label', name: this.next().value };
+    }
+
+    return this.parseExpression();
+  }
+
+  /**
+   * Parse a comma-separated list of assignment targets
+   *
+   * @returns {Array<Object>} - Target expressions
+   */
+  parseTargetList() {
+    const targets = [this.parseTarget()];
+
+    while (this.accept(TOKEN_TYPES.PUNCTUATION, ',')) {
+      targets.push(this.parseTarget());
+    }
+
+    return targets;
+  }
+
+  /**
+   * Parse a variable or array element that can be assigned to
+   *
+   * @returns {Object} - Variable or index expression
+   */
+  parseTarget() {
+    const name = this.expect(TOKEN_TYPES.IDENTIFIER).value;
+
+    if (this.accept(TOKEN_TYPES.PUNCTUATION, '(')) {
+      return { type: 'index', name, args: this.parseArguments(')') };
+    }
+
+    return { type: 'variable', name };
+  }
+
+  /**
+   * Parse comma-separated expressions up to a closing bracket
+   *
+   * @param {string} closing - The closing punctuation
+   * @returns {Array<Object>} - Argument expressions
+   */
+  parseArguments(closing) {
+    const args = [];
+
+    if (this.accept(TOKEN_TYPES.PUNCTUATION, closing)) {
+      return args;
+    }
+
+    do {
+      args.push(this.parseExpression());
+    } while (this.accept(TOKEN_TYPES.PUNCTUATION, ','));
+
+    this.expect(TOKEN_TYPES.PUNCTUATION, closing);
+    return args;
+  }
+
+  // Expressions, from lowest to highest precedence
+
+  parseExpression() {
+    let left = this.parseAnd();
+
+    while (this.check(TOKEN_TYPES.KEYWORD, 'OR') || this.check(TOKEN_TYPES.KEYWORD, 'XOR')) {
+      const operator = this.next().value;
+      left = { type: 'binary', operator, left, right: this.parseAnd() };
+    }
+
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+
+    while (this.accept(TOKEN_TYPES.KEYWORD, 'AND')) {
+      left = { type: 'binary', operator: 'AND', left, right: this.parseNot() };
+    }
+
+    return left;
+  }
+
+  parseNot() {
+    if (this.accept(TOKEN_TYPES.KEYWORD, 'NOT')) {
+      return { type: 'unary', operator: 'NOT', operand: this.parseNot() };
+    }
+
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    let left = this.parseAdditive();
+
+    while (this.peek() && this.peek().type === TOKEN_TYPES.OPERATOR &&
+           COMPARISON_OPERATORS.includes(this.peek().value)) {
+      const operator = this.next().value;
+      left = { type: 'binary', operator, left, right: this.parseAdditive() };
+    }
+
+    return left;
+  }
+
+  parseAdditive() {
+    let left = this.parseMultiplicative();
+
+    while (this.check(TOKEN_TYPES.OPERATOR, '+') || this.check(TOKEN_TYPES.OPERATOR, '-')) {
+      const operator = this.next().value;
+      left = { type: 'binary', operator, left, right: this.parseMultiplicative() };
+    }
+
+    return left;
+  }
+
+  parseMultiplicative() {
+    let left = this.parseUnary();
+
+    while (this.check(TOKEN_TYPES.OPERATOR, '*') || this.check(TOKEN_TYPES.OPERATOR, '/') ||
+           this.check(TOKEN_TYPES.KEYWORD, 'MOD')) {
+      const operator = this.next().value;
+      left = { type: 'binary', operator, left, right: this.parseUnary() };
+    }
+
+    return left;
+  }
+
+  parseUnary() {
+    if (this.accept(TOKEN_TYPES.OPERATOR, '-')) {
+      return { type: 'unary', operator: '-', operand: this.parseUnary() };
+    }
+    if (this.accept(TOKEN_TYPES.OPERATOR, '+')) {
+      return this.parseUnary();
+    }
+
+    return this.parsePower();
+  }
+
+  parsePower() {
+    let left = this.parsePrimary();
+
+    while (this.accept(TOKEN_TYPES.OPERATOR, '^')) {
+      left = { type: 'binary', operator: '^', left, right: this.parsePrimary() };
+    }
+
+    return left;
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+    if (!token) this.error();
+
+    switch (token.type) {
+      case TOKEN_TYPES.NUMBER:
+        this.next();
+        return { type: 'number', value: token.value };
+
+      case TOKEN_TYPES.STRING:
+        this.next();
+        return { type: 'string', value: token.value };
+
+      case TOKEN_TYPES.IDENTIFIER:
+        return this.parseTarget();
+
+      case TOKEN_TYPES.KEYWORD:
+        this.checkAvailable(token);
+        if (this.functions.has(token.value)) {
+          this.next();
+          const args = this.accept(TOKEN_TYPES.PUNCTUATION, '(') ? this.parseArguments(')') : [];
+          return { type: 'call', name: token.value, args };
+        }
+        break;
+
+      case TOKEN_TYPES.PUNCTUATION:
+        if (token.value === '(') {
+          this.next();
+          const expression = this.parseExpression();
+          this.expect(TOKEN_TYPES.PUNCTUATION, ')');
+          return expression;
+        }
+        break;
+    }
+
+    this.error();
+  }
+
+  // Blocks
+
+  /**
+   * Open a block that a later keyword closes
+   *
+   * @param {string} type - Block type (IF, FOR, WHILE, REPEAT, DO, PROCEDURE)
+   * @param {Object} fields - Block data
+   * @returns {Object} - The block
+   */
+  openBlock(type, fields) {
+    const block = { type, line: this.line, basicLine: this.basicLine, ...fields };
+    this.blocks.push(block);
+    return block;
+  }
+
+  /**
+   * Get the innermost block, which must be of the given type
+   *
+   * @param {string} type - Expected block type
+   * @param {string} message - Error when no such block is open
+   * @returns {Object} - The block
+   */
+  currentBlock(type, message) {
+    const block = this.blocks[this.blocks.length - 1];
+
+    if (!block || block.type !== type) {
+      // Report the block left open inside the one being closed
+      if (block && this.blocks.some(open => open.type === type)) {
+        throw new BasicError(UNCLOSED_BLOCK_ERRORS[block.type], block.line, block.basicLine);
+      }
+      this.error(message);
+    }
+    return block;
+  }
+
+  /**
+   * Close the innermost block, which must be of the given type
+   *
+   * @param {string} type - Expected block type
+   * @param {string} message - Error when no such block is open
+   * @returns {Object} - The closed block
+   */
+  closeBlock(type, message) {
+    const block = this.currentBlock(type, message);
+    this.blocks.pop();
+    return block;
+  }
+
+  /**
+   * Get the procedure being defined; Shared and Pop Proc only make sense inside one
+   * @private
+   */
+  currentProcedure() {
+    const block = this.blocks.find(open => open.type === 'PROCEDURE');
+    if (!block) {
+      this.error('Not in a procedure');
+    }
+    return block;
+  }
+
+  /**
+   * Point the Exit jumps of a loop at the instruction after it
+   * @private
+   */
+  resolveExits(block) {
+    const end = this.program.instructions.length;
+    block.exits.forEach(exit => { exit.target = end; });
+  }
+
+  /**
+   * Reject keywords the dialect knows but does not support
+   * (AMOS Professional instructions in AMOS 1.3)
+   * @private
+   */
+  checkAvailable(token) {
+    if (this.unavailable.has(token.value)) {
+      this.error(`Instruction not available in ${this.dialect.title}`);
+    }
+  }
+
+  capitalize(word) {
+    return word.charAt(0) + word.slice(1).toLowerCase();
+  }
+
+  // Token helpers
+
+  /**
+   * Emit an instruction for the current line
+   *
+   * @param {string} type - Instruction type
+   * @param {Object} fields - Instruction fields
+   * @returns {Object} - The emitted instruction
+   */
+  emit(type, fields = {}) {
+    const instruction = { type, line: this.line, basicLine: this.basicLine, ...fields };
+    this.program.instructions.push(instruction);
+    return instruction;
+  }
+
+  peek() {
+    return this.tokens[this.pos] || null;
+  }
+
+  next() {
+    return this.tokens[this.pos++] || null;
+  }
+
+  atEnd() {
+    return this.pos >= this.tokens.length;
+  }
+
+  /**
+   * Check for the end of the current statement
+   * @returns {boolean} - True at ':', ELSE, a comment or the end of the line
+   */
+  atStatementEnd() {
+    return this.isStatementEnd(this.pos);
+  }
+
+  /**
+   * Check whether the token at a position ends a statement
+   * @private
+   */
+  isStatementEnd(pos) {
+    const token = this.tokens[pos];
+    return !token ||
+           (token.type === TOKEN_TYPES.PUNCTUATION && token.value === ':') ||
+           (token.type === TOKEN_TYPES.KEYWORD && (token.value === 'ELSE' || token.value === 'ELSE IF')) ||
+           token.type === TOKEN_TYPES.COMMENT;
+  }
+
+  atElse() {
+    return this.check(TOKEN_TYPES.KEYWORD, 'ELSE') || this.check(TOKEN_TYPES.KEYWORD, 'ELSE IF');
+  }
+
+  isPunctuation(pos, value) {
+    const token = this.tokens[pos];
+    return !!token && token.type === TOKEN_TYPES.PUNCTUATION && token.value === value;
+  }
+
+  check(type, value = undefined) {
+    const token = this.peek();
+    return !!token && token.type === type && (value === undefined || token.value === value);
+  }
+
+  accept(type, value = undefined) {
+    if (this.check(type, value)) {
+      return this.next();
+    }
+    return null;
+  }
+
+  expect(type, value = undefined) {
+    const token = this.accept(type, value);
+    if (!token) this.error();
+    return token;
+  }
+
+  error(message = 'Syntax error') {
+    throw new BasicError(message, this.line, this.basicLine);
+  }
+}
+
+export default BasicParser;
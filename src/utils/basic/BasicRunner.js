@@ -0,0 +1,314 @@
+/**
+ * BasicRunner.js - Runs BASIC programs for a mode editor
+ *
+ * Connects a BasicInterpreter to the main Editor component: PRINT goes to the
+ * output window and to the program screen, INPUT reads from the output
+ * window's input line and graphics commands draw on a RetroScreen that the
+ * editor displays while the program runs. Programs can also run under a
+ * BasicDebugger. Only one program runs at a time; starting a new one stops
+ * the previous one.
+ */
+
+import BasicInterpreter from './BasicInterpreter.js';
+import BasicDebugger from './BasicDebugger.js';
+import { getBreakpointLines, setDebugLine, setStateDebugLine } from './DebuggerExtensions.js';
+import RetroScreen from '../screen/RetroScreen.js';
+
+class BasicRunner {
+  /**
+   * Create a runner for a dialect
+   *
+   * @param {Object} editor - Main Editor component
+   * @param {Object} dialect - Dialect profile
+   */
+  constructor(editor, dialect) {
+    this.editor = editor;
+    this.dialect = dialect;
+    this.interpreter = null;
+    this.screen = null;
+    this.debugSession = null; // BasicDebugger while debugging
+  }
+
+  /**
+   * Create an interpreter connected to the output window
+   *
+   * @returns {BasicInterpreter} - The new interpreter
+   */
+  createInterpreter() {
+    const interpreter = new BasicInterpreter({
+      dialect: this.dialect,
+      output: (text) => this.editor.appendOutput(text),
+      display: (text) => this.screen.print(text),
+      input: (prompt) => this.editor.requestInput(prompt),
+      clear: (colour) => {
+        this.editor.clearOutput();
+        this.screen.cls(colour);
+      }
+    });
+
+    this.screen.registerCommands(interpreter);
+    return interpreter;
+  }
+
+  /**
+   * Run a program, reporting errors in the output window
+   *
+   * @param {string} source - Program source
+   * @returns {Promise} - Resolves when the program ends
+   */
+  async run(source) {
+    await this.start(source, null);
+  }
+
+  /**
+   * Run the program of the active tab under the debugger, pausing on its
+   * first line
+   *
+   * @param {string} source - Program source
+   * @returns {Promise} - Resolves when the program ends
+   */
+  async debug(source) {
+    // The user may show another tab, or another mode, during the session:
+    // the breakpoints and the current line are those of the debugged tab
+    const tab = this.editor.getActiveTab();
+    const showLine = (line) => this.showDebugLine(tab, line);
+
+    const debugSession = new BasicDebugger({
+      breakpoints: () => {
+        const view = this.viewOf(tab);
+        const state = view ? view.state : tab && tab.state;
+        return state ? getBreakpointLines(state) : new Set();
+      },
+      onPause: (state) => {
+        showLine(state.line);
+        this.editor.setScreenTitle(`${this.dialect.title} - paused at line ${state.line}`);
+        this.editor.showDebugState({ status: 'paused', ...state });
+      },
+      onResume: () => {
+        showLine(null);
+        this.editor.setScreenTitle(`${this.dialect.title} - running`);
+        this.editor.showDebugState({ status: 'running' });
+      }
+    });
+
+    await this.start(source, debugSession);
+
+    // A newer session owns the editor highlight now
+    if (this.debugSession === debugSession) {
+      showLine(null);
+      this.debugSession = null;
+      this.editor.showDebugState({ status: 'stopped' });
+    }
+  }
+
+  /**
+   * Highlight the current line of a debugged tab, in the editor if the tab
+   * is shown and in its stored state otherwise
+   * @private
+   */
+  showDebugLine(tab, line) {
+    const view = this.viewOf(tab);
+    if (view) {
+      setDebugLine(view, line);
+    } else if (tab && tab.state) {
+      tab.state = setStateDebugLine(tab.state, line);
+    }
+  }
+
+  /**
+   * The editor view, if it shows a tab
+   * @private
+   */
+  viewOf(tab) {
+    return this.editor.getActiveTab() === tab ? this.editor.getEditorView() : null;
+  }
+
+  /**
+   * Send a command to the debugger: 'step', 'stepOver', 'continue', 'stop'
+   * or 'screen' to show the program screen
+   *
+   * @param {string} command - The command
+   */
+  debugCommand(command) {
+    if (!this.debugSession) return;
+
+    switch (command) {
+      case 'stop':
+        this.debugSession.stop();
+        break;
+
+      case 'screen':
+        this.editor.showScreen(this.screen.canvas, `${this.dialect.title} - debugging`);
+        break;
+
+      default:
+        this.debugSession.command(command);
+    }
+  }
+
+  /**
+   * Check whether a program is being debugged
+   *
+   * @returns {boolean} - True during a debug session
+   */
+  isDebugging() {
+    return this.debugSession !== null;
+  }
+
+  /**
+   * Create the interpreter and screen for a program and run it
+   * @private
+   */
+  async start(source, debugSession) {
+    this.stop();
+
+    this.screen = new RetroScreen(this.dialect.screen);
+    const interpreter = this.interpreter = this.createInterpreter();
+    this.debugSession = debugSession;
+    this.editor.clearOutput();
+
+    // The debugger keeps the editor visible; its window can show the screen
+    if (debugSession) {
+      debugSession.attach(interpreter);
+    } else {
+      this.editor.showScreen(this.screen.canvas, `${this.dialect.title} - running`);
+    }
+
+    let status = 'program ended';
+    try {
+      interpreter.load(source);
+      await interpreter.run();
+    } catch (error) {
+      console.error(`${this.dialect.title} program error:`, error);
+      this.editor.appendOutput(`${error.toString()}\n`);
+      status = error.toString();
+    }
+
+    // A newer run owns the output and the screen now
+    if (this.interpreter === interpreter) {
+      const interruption = interpreter.getBreak();
+      if (interruption) {
+        this.editor.appendOutput(`${interruption.toString()}\n`);
+        status = interruption.toString();
+      }
+      this.editor.setScreenTitle(`${this.dialect.title} - ${status}`);
+    }
+  }
+
+  /**
+   * Run a direct mode command, as typed at the STOS or AMOS prompt: it draws
+   * on the screen left by the last program or command and sees the variables
+   * that program left. A line that is not a statement but an expression is
+   * printed, so the console doubles as a calculator.
+   *
+   * @param {string} command - One line of BASIC, without line number
+   * @param {Function} output - Receives the printed text instead of the output window, optional
+   * @returns {Promise} - Resolves when the command ends
+   */
+  async runDirect(command, output = null) {
+    const report = output || ((text) => this.editor.appendOutput(text, 'error'));
+    if (this.isRunning()) {
+      report('Stop the program before typing direct mode commands\n');
+      return;
+    }
+
+    if (!this.screen) {
+      this.screen = new RetroScreen(this.dialect.screen);
+    }
+    if (!this.interpreter) {
+      this.interpreter = this.createInterpreter();
+    }
+    const interpreter = this.interpreter;
+    this.editor.showScreen(this.screen.canvas, `${this.dialect.title} - direct mode`);
+
+    const programOutput = interpreter.output;
+    if (output) {
+      interpreter.output = output;
+    }
+    try {
+      await interpreter.runDirect(this.directSource(command));
+    } catch (error) {
+      report(`${error.toString()}\n`);
+    } finally {
+      interpreter.output = programOutput;
+    }
+  }
+
+  /**
+   * Turn a direct mode line into statements: an expression becomes a Print.
+   * A name alone reads as a procedure call: unless there is such a
+   * procedure, it is a variable to print.
+   * @private
+   */
+  directSource(command) {
+    const parser = this.interpreter.parser;
+    try {
+      const { instructions } = parser.parse(command);
+      const call = instructions.length === 1 && instructions[0].type === 'CALL' ? instructions[0] : null;
+      if (call && !this.interpreter.hasProcedure(call.name)) {
+        try {
+          parser.parse(`Print ${command}`);
+          return `Print ${command}`;
+        } catch (printError) {
+          return command;
+        }
+      }
+      return command;
+    } catch (error) {
+      try {
+        parser.parse(`Print ${command}`);
+        return `Print ${command}`;
+      } catch (printError) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * List the variables left by the last program or direct mode command
+   *
+   * @returns {Array<Object>} - Variables, with name, formatted value and scope
+   */
+  getVariables() {
+    if (!this.interpreter) return [];
+
+    const format = (value) => typeof value === 'string' ? `"${value}"` : String(value);
+    return this.interpreter.getVariableList().map(entry => ({
+      name: entry.name,
+      scope: entry.scope,
+      value: Array.isArray(entry.value) ? entry.value.map(format).join(', ') : format(entry.value)
+    }));
+  }
+
+  /**
+   * Open a new screen in the default mode, as STOS's Default key does
+   */
+  resetScreen() {
+    this.stop();
+    this.screen = new RetroScreen(this.dialect.screen);
+    this.editor.clearOutput();
+    this.editor.showScreen(this.screen.canvas, `${this.dialect.title} - ready`);
+  }
+
+  /**
+   * Stop the running program, if any
+   */
+  stop() {
+    if (this.debugSession) {
+      this.debugSession.stop();
+    } else if (this.interpreter && this.interpreter.running) {
+      this.interpreter.stop();
+    }
+  }
+
+  /**
+   * Check whether a program is running
+   *
+   * @returns {boolean} - True while a program runs
+   */
+  isRunning() {
+    return !!this.interpreter && this.interpreter.running;
+  }
+}
+
+export default BasicRunner;
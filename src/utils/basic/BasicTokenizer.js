@@ -0,0 +1,259 @@
+/**
+ * BasicTokenizer.js - Line tokenizer shared by the BASIC dialects
+ *
+ * Splits one line of source into tokens. Keywords come from the dialect
+ * profile and may span several words ("End Proc", "Screen Open"); they are
+ * matched case-insensitively and reported in their canonical upper-case form.
+ * In dialects with packed keywords (C64 BASIC) a keyword needs no space
+ * around it, and starts wherever it appears: FORI=1TO10 is FOR I = 1 TO 10.
+ * Their names end with $ for strings or % for integers.
+ */
+
+import BasicError from './BasicError.js';
+
+export const TOKEN_TYPES = {
+  LINE_NUMBER: 'lineNumber',
+  NUMBER: 'number',
+  STRING: 'string',
+  KEYWORD: 'keyword',
+  IDENTIFIER: 'identifier',
+  OPERATOR: 'operator',
+  PUNCTUATION: 'punctuation',
+  COMMENT: 'comment'
+};
+
+const OPERATORS = ['<>', '<=', '>=', '=<', '=>', '+', '-', '*', '/', '^', '=', '<', '>'];
+const PUNCTUATION = '(),;:[]#';
+
+class BasicTokenizer {
+  /**
+   * Create a tokenizer for a dialect
+   *
+   * @param {Object} dialect - Dialect profile (see src/components/stos/dialect.js)
+   */
+  constructor(dialect) {
+    this.dialect = dialect;
+    this.keywordIndex = new Map();
+
+    // Index keywords by their first word, longest candidates first, so that
+    // "END PROC" wins over "END"
+    dialect.keywords.forEach(keyword => {
+      const words = keyword.toUpperCase().split(/\s+/);
+      if (!this.keywordIndex.has(words[0])) {
+        this.keywordIndex.set(words[0], []);
+      }
+      this.keywordIndex.get(words[0]).push(words);
+    });
+    this.keywordIndex.forEach(candidates => {
+      candidates.sort((a, b) => b.length - a.length);
+    });
+
+    // Packed keywords, longest first so that GOTO wins over GO; functions
+    // written with their bracket, such as TAB(, are read as names
+    this.packedKeywords = dialect.packedKeywords ?
+      dialect.keywords
+        .map(keyword => keyword.toUpperCase())
+        .filter(keyword => !keyword.endsWith('('))
+        .sort((a, b) => b.length - a.length) :
+      null;
+  }
+
+  /**
+   * Check whether a word is the start of a keyword in this dialect
+   *
+   * @param {string} word - The word to check
+   * @returns {boolean} - True if the word is, or begins, a keyword
+   */
+  isKeyword(word) {
+    return this.keywordIndex.has(word.toUpperCase());
+  }
+
+  /**
+   * Tokenize a single source line
+   *
+   * @param {string} text - The line text
+   * @param {number} line - Editor line number (1-based), used in errors
+   * @returns {Array<Object>} - Tokens with type, value, text and column
+   */
+  tokenizeLine(text, line = null) {
+    const tokens = [];
+    let pos = 0;
+
+    while (pos < text.length) {
+      const char = text[pos];
+
+      // Whitespace
+      if (char === ' ' || char === '\t') {
+        pos++;
+        continue;
+      }
+
+      const start = pos;
+
+      // Line number at the start of the line
+      if (tokens.length === 0 && /[0-9]/.test(char)) {
+        const match = /^[0-9]+/.exec(text.slice(pos));
+        pos += match[0].length;
+        tokens.push(this.createToken(TOKEN_TYPES.LINE_NUMBER, parseInt(match[0], 10), match[0], start));
+        continue;
+      }
+
+      // Numbers: decimal, $hex and %binary
+      if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(text[pos + 1] || ''))) {
+        const match = /^([0-9]*\.?[0-9]+|[0-9]+\.)(E[+-]?[0-9]+)?/i.exec(text.slice(pos));
+        pos += match[0].length;
+        tokens.push(this.createToken(TOKEN_TYPES.NUMBER, parseFloat(match[0]), match[0], start));
+        continue;
+      }
+      if (char === '$' && /[0-9A-Fa-f]/.test(text[pos + 1] || '')) {
+        const match = /^\$[0-9A-Fa-f]+/.exec(text.slice(pos));
+        pos += match[0].length;
+        tokens.push(this.createToken(TOKEN_TYPES.NUMBER, parseInt(match[0].slice(1), 16), match[0], start));
+        continue;
+      }
+      if (char === '%' && /[01]/.test(text[pos + 1] || '')) {
+        const match = /^%[01]+/.exec(text.slice(pos));
+        pos += match[0].length;
+        tokens.push(this.createToken(TOKEN_TYPES.NUMBER, parseInt(match[0].slice(1), 2), match[0], start));
+        continue;
+      }
+
+      // Strings
+      if (char === '"') {
+        const end = text.indexOf('"', pos + 1);
+        if (end === -1) {
+          throw new BasicError('String not closed', line);
+        }
+        tokens.push(this.createToken(TOKEN_TYPES.STRING, text.slice(pos + 1, end), text.slice(pos, end + 1), start));
+        pos = end + 1;
+        continue;
+      }
+
+      // Apostrophe comments
+      if (char === "'") {
+        tokens.push(this.createToken(TOKEN_TYPES.COMMENT, text.slice(pos + 1), text.slice(pos), start));
+        break;
+      }
+
+      // Words: keywords and identifiers
+      if (/[A-Za-z_]/.test(char)) {
+        const match = (this.packedKeywords ? /^[A-Za-z][A-Za-z0-9]*[$%]?/ : /^[A-Za-z_][A-Za-z0-9_]*[$#]?/).exec(text.slice(pos));
+        const keyword = this.packedKeywords ?
+          this.matchPackedKeyword(text, pos) :
+          this.matchKeyword(text, pos, match[0]);
+
+        if (keyword) {
+          pos += keyword.length;
+          tokens.push(this.createToken(TOKEN_TYPES.KEYWORD, keyword.value, text.slice(start, pos), start));
+
+          // REM swallows the rest of the line
+          if (keyword.value === 'REM') {
+            tokens.push(this.createToken(TOKEN_TYPES.COMMENT, text.slice(pos).trim(), text.slice(pos), pos));
+            break;
+          }
+          continue;
+        }
+
+        // A packed keyword ends the name it follows
+        let name = match[0];
+        if (this.packedKeywords) {
+          for (let length = 1; length < name.length; length++) {
+            if (this.matchPackedKeyword(text, pos + length)) {
+              name = name.slice(0, length);
+              break;
+            }
+          }
+        }
+
+        pos += name.length;
+        tokens.push(this.createToken(TOKEN_TYPES.IDENTIFIER, name.toUpperCase(), name, start));
+        continue;
+      }
+
+      // Operators
+      const operator = OPERATORS.find(op => text.startsWith(op, pos));
+      if (operator) {
+        pos += operator.length;
+        const value = operator === '=<' ? '<=' : operator === '=>' ? '>=' : operator;
+        tokens.push(this.createToken(TOKEN_TYPES.OPERATOR, value, operator, start));
+        continue;
+      }
+
+      // '?' is the usual shorthand for PRINT
+      if (char === '?' && this.keywordIndex.has('PRINT')) {
+        pos++;
+        tokens.push(this.createToken(TOKEN_TYPES.KEYWORD, 'PRINT', char, start));
+        continue;
+      }
+
+      // Punctuation
+      if (PUNCTUATION.includes(char)) {
+        pos++;
+        tokens.push(this.createToken(TOKEN_TYPES.PUNCTUATION, char, char, start));
+        continue;
+      }
+
+      throw new BasicError('Syntax error', line);
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Try to match a (possibly multi-word) keyword at a position
+   *
+   * @param {string} text - The line text
+   * @param {number} pos - Position of the first word
+   * @param {string} word - The first word, as read from the source
+   * @returns {Object|null} - The keyword value and source length, or null
+   * @private
+   */
+  matchKeyword(text, pos, word) {
+    const candidates = this.keywordIndex.get(word.toUpperCase());
+    if (!candidates) return null;
+
+    for (const words of candidates) {
+      let length = word.length;
+      let matched = true;
+
+      for (let i = 1; i < words.length; i++) {
+        const match = /^\s+([A-Za-z_][A-Za-z0-9_]*[$#]?)/.exec(text.slice(pos + length));
+        if (!match || match[1].toUpperCase() !== words[i]) {
+          matched = false;
+          break;
+        }
+        length += match[0].length;
+      }
+
+      if (matched) {
+        return { value: words.join(' '), length };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the packed keyword starting at a position
+   *
+   * @param {string} text - The line text
+   * @param {number} pos - Position to look at
+   * @returns {Object|null} - The keyword value and source length, or null
+   * @private
+   */
+  matchPackedKeyword(text, pos) {
+    const rest = text.slice(pos, pos + this.packedKeywords[0].length).toUpperCase();
+    const value = this.packedKeywords.find(keyword => rest.startsWith(keyword));
+    return value ? { value, length: value.length } : null;
+  }
+
+  /**
+   * Create a token object
+   * @private
+   */
+  createToken(type, value, text, column) {
+    return { type, value, text, column };
+  }
+}
+
+export default BasicTokenizer;
@@ -0,0 +1,332 @@
+/**
+ * C64File.js - Reads and writes Commodore 64 BASIC V2 programs
+ *
+ * Programs are tokenized the way the C64 stores them in memory and in .PRG
+ * files: a load address, then one record per line with the address of the
+ * next line, the line number and the tokenized text, ending with a zero
+ * link. Keywords become single-byte tokens, as the C64 editor's CRUNCH
+ * routine does, so FORI=1TO10 packs exactly as it would on the machine.
+ *
+ * PETSCII that has no ASCII equivalent is written between braces in the
+ * listing, as petcat does: {clr}, {home}, {red}, {rvon}... and {$xx} for
+ * any other byte. In strings, REM and DATA, upper-case letters are the
+ * unshifted PETSCII letters and lower-case letters the shifted ones, so a
+ * program comes back from the C64 exactly as it was sent.
+ */
+
+// Keyword of each token, from $80
+const TOKENS = [
+  'END', 'FOR', 'NEXT', 'DATA', 'INPUT#', 'INPUT', 'DIM', 'READ',
+  'LET', 'GOTO', 'RUN', 'IF', 'RESTORE', 'GOSUB', 'RETURN', 'REM',
+  'STOP', 'ON', 'WAIT', 'LOAD', 'SAVE', 'VERIFY', 'DEF', 'POKE',
+  'PRINT#', 'PRINT', 'CONT', 'LIST', 'CLR', 'CMD', 'SYS', 'OPEN',
+  'CLOSE', 'GET', 'NEW', 'TAB(', 'TO', 'FN', 'SPC(', 'THEN',
+  'NOT', 'STEP', '+', '-', '*', '/', '^', 'AND',
+  'OR', '>', '=', '<', 'SGN', 'INT', 'ABS', 'USR',
+  'FRE', 'POS', 'SQR', 'RND', 'LOG', 'EXP', 'COS', 'SIN',
+  'TAN', 'ATN', 'PEEK', 'LEN', 'STR$', 'VAL', 'ASC', 'CHR$',
+  'LEFT$', 'RIGHT$', 'MID$', 'GO'
+];
+
+const TOKEN_DATA = 0x83;
+const TOKEN_REM = 0x8F;
+const TOKEN_PRINT = 0x99;
+const TOKEN_PI = 0xFF;
+
+// PETSCII control codes, by their petcat names
+const CONTROL_CODES = {
+  0x03: 'stop', 0x05: 'wht', 0x08: 'dish', 0x09: 'ensh', 0x0D: 'cr', 0x0E: 'swlc',
+  0x11: 'down', 0x12: 'rvon', 0x13: 'home', 0x14: 'del', 0x1C: 'red', 0x1D: 'rght',
+  0x1E: 'grn', 0x1F: 'blu', 0x81: 'orng', 0x85: 'f1', 0x86: 'f3', 0x87: 'f5',
+  0x88: 'f7', 0x89: 'f2', 0x8A: 'f4', 0x8B: 'f6', 0x8C: 'f8', 0x8D: 'sret',
+  0x8E: 'swuc', 0x90: 'blk', 0x91: 'up', 0x92: 'rvof', 0x93: 'clr', 0x94: 'inst',
+  0x95: 'brn', 0x96: 'lred', 0x97: 'gry1', 0x98: 'gry2', 0x99: 'lgrn', 0x9A: 'lblu',
+  0x9B: 'gry3', 0x9C: 'pur', 0x9D: 'left', 0x9E: 'yel', 0x9F: 'cyn'
+};
+
+const CONTROL_NAMES = Object.fromEntries(
+  Object.entries(CONTROL_CODES).map(([code, name]) => [name, Number(code)])
+);
+CONTROL_NAMES.pi = TOKEN_PI;
+
+const BASIC_START = 0x0801;
+const MAX_LINE_NUMBER = 63999;
+const MAX_LINE_LENGTH = 250; // Bytes of a tokenized line the C64 can list and edit
+
+class C64File {
+  /**
+   * Create a reader/writer for the C64 dialect
+   *
+   * @param {Object} dialect - C64 BASIC V2 dialect profile
+   */
+  constructor(dialect) {
+    this.dialect = dialect;
+    this.extensions = ['.PRG'];
+    this.defaultName = 'program.prg';
+  }
+
+  /**
+   * List a .PRG file
+   *
+   * @param {Uint8Array} bytes - File contents, starting with the load address
+   * @returns {Object} - text, banks (always null) and warnings
+   */
+  read(bytes) {
+    if (bytes.length < 4) {
+      throw new Error('This file is too short to be a C64 program');
+    }
+
+    const address = bytes[0] | (bytes[1] << 8);
+    const end = address + bytes.length - 2;
+    return this.detokenize((at) => at < end ? bytes[at - address + 2] : 0, address);
+  }
+
+  /**
+   * Write a program as a .PRG file loading at $0801
+   *
+   * @param {string} text - Program source
+   * @param {Object} options - Options
+   * @param {string} options.fileName - Name the program was opened as, if any
+   * @returns {Object} - bytes, fileName and warnings
+   */
+  write(text, options = {}) {
+    const { bytes: program, warnings } = this.tokenize(text, BASIC_START);
+    const bytes = new Uint8Array(program.length + 2);
+    bytes[0] = BASIC_START & 0xFF;
+    bytes[1] = BASIC_START >> 8;
+    bytes.set(program, 2);
+
+    const baseName = (options.fileName || this.defaultName).replace(/\.[^.]*$/, '');
+    return { bytes, fileName: `${baseName}.prg`, warnings };
+  }
+
+  /**
+   * Tokenize a listing into the lines BASIC keeps in memory
+   *
+   * @param {string} text - Program source, one numbered line per row
+   * @param {number} address - Address the program is stored at
+   * @returns {Object} - bytes (lines and end marker, without load address) and warnings
+   */
+  tokenize(text, address = BASIC_START) {
+    const warnings = [];
+    const lines = new Map();
+
+    text.split('\n').forEach((row, index) => {
+      if (row.trim() === '') return;
+
+      const match = /^\s*([0-9]+)\s*(.*?)\s*$/.exec(row);
+      if (!match) {
+        throw new Error(`Line ${index + 1} has no line number: "${row.trim()}"`);
+      }
+      const number = parseInt(match[1], 10);
+      if (number > MAX_LINE_NUMBER) {
+        throw new Error(`Line ${index + 1}: ${number} is above the highest line number, ${MAX_LINE_NUMBER}`);
+      }
+      if (lines.has(number)) {
+        warnings.push(`Line ${number} appears twice; the C64 keeps the last one`);
+      }
+
+      const bytes = this.crunch(match[2], index + 1, warnings);
+      if (bytes.length > MAX_LINE_LENGTH) {
+        warnings.push(`Line ${number} is ${bytes.length} bytes long; the C64 cannot edit it`);
+      }
+      lines.set(number, bytes);
+    });
+
+    // The C64 keeps its lines in number order, whatever the order they were typed in
+    const numbers = [...lines.keys()].sort((a, b) => a - b);
+    const size = numbers.reduce((total, number) => total + lines.get(number).length + 5, 2);
+    const bytes = new Uint8Array(size);
+    let offset = 0;
+    numbers.forEach(number => {
+      const line = lines.get(number);
+      const next = address + offset + line.length + 5;
+      bytes.set([next & 0xFF, next >> 8, number & 0xFF, number >> 8], offset);
+      bytes.set(line, offset + 4);
+      offset += line.length + 5; // The line ends with the zero already in the array
+    });
+
+    return { bytes, warnings };
+  }
+
+  /**
+   * Tokenize the text of one line, after its number
+   * @private
+   */
+  crunch(text, row, warnings) {
+    const bytes = [];
+    let quoted = false;
+    let literal = false; // After REM, or in DATA until the next colon
+    let data = false;
+    let position = 0;
+
+    while (position < text.length) {
+      const char = text[position];
+
+      // PETSCII written between braces, or pi
+      if (char === '{' || char === 'π') {
+        const { code, length } = this.readSpecial(text, position, row);
+        bytes.push(code);
+        position += length;
+        continue;
+      }
+
+      if (char === '"') {
+        quoted = !quoted;
+      } else if (data && !quoted && char === ':') {
+        data = literal = false;
+      }
+
+      if (quoted || literal || char === '"') {
+        bytes.push(this.toPetscii(char, true, row, warnings));
+        position++;
+        continue;
+      }
+
+      // Digits, colons and semicolons are never part of a keyword
+      if (/[0-9:;]/.test(char)) {
+        bytes.push(char.charCodeAt(0));
+        position++;
+        continue;
+      }
+      if (char === '?') {
+        bytes.push(TOKEN_PRINT);
+        position++;
+        continue;
+      }
+
+      // The first keyword of the table that matches here, as the C64 does
+      const upper = text.substr(position, 7).toUpperCase();
+      const token = TOKENS.findIndex(keyword => upper.startsWith(keyword));
+      if (token !== -1) {
+        bytes.push(0x80 + token);
+        position += TOKENS[token].length;
+        if (0x80 + token === TOKEN_REM) {
+          literal = true;
+        } else if (0x80 + token === TOKEN_DATA) {
+          literal = data = true;
+        }
+        continue;
+      }
+
+      bytes.push(this.toPetscii(char, false, row, warnings));
+      position++;
+    }
+
+    return bytes;
+  }
+
+  /**
+   * Read a {name}, {$xx} or pi in the listing
+   * @private
+   */
+  readSpecial(text, position, row) {
+    if (text[position] === 'π') {
+      return { code: TOKEN_PI, length: 1 };
+    }
+
+    const end = text.indexOf('}', position);
+    const name = end === -1 ? '' : text.substring(position + 1, end).toLowerCase();
+    const hex = /^\$([0-9a-f]{2})$/.exec(name);
+    if (hex) {
+      return { code: parseInt(hex[1], 16), length: end - position + 1 };
+    }
+    if (Object.prototype.hasOwnProperty.call(CONTROL_NAMES, name)) {
+      return { code: CONTROL_NAMES[name], length: end - position + 1 };
+    }
+    throw new Error(`Line ${row}: unknown PETSCII code {${name || text.substr(position + 1, 8)}`);
+  }
+
+  /**
+   * Convert a character of the listing to PETSCII
+   * @private
+   */
+  toPetscii(char, literal, row, warnings) {
+    if (/[A-Z]/.test(char)) return char.charCodeAt(0);
+    if (/[a-z]/.test(char)) {
+      // Shifted letters only in strings, REM and DATA; names and keywords are folded
+      return literal ? char.charCodeAt(0) - 0x20 + 0x80 : char.charCodeAt(0) - 0x20;
+    }
+    switch (char) {
+      case '£': return 0x5C;
+      case '^': return 0x5E;
+      case '←':
+      case '_': return 0x5F;
+    }
+    const code = char.charCodeAt(0);
+    if ((code >= 0x20 && code <= 0x40) || code === 0x5B || code === 0x5D) {
+      return code;
+    }
+
+    warnings.push(`Line ${row}: "${char}" has no PETSCII equivalent, written as "?"`);
+    return 0x3F;
+  }
+
+  /**
+   * List a tokenized program from memory or from a file. Lines are found by
+   * their ending zero rather than by their links, as the C64 relinks a
+   * program when it loads it.
+   *
+   * @param {Function} read - Returns the byte at an address
+   * @param {number} address - Address of the first line
+   * @returns {Object} - text, banks (always null) and warnings
+   */
+  detokenize(read, address = BASIC_START) {
+    const warnings = [];
+    const rows = [];
+
+    // A link with a zero high byte ends the program
+    while (read(address + 1) !== 0) {
+      const number = read(address + 2) | (read(address + 3) << 8);
+      let text = '';
+      let quoted = false;
+      let literal = null; // 'rem' or 'data' while their text is listed as is
+      let at = address + 4;
+      for (; at <= 0xFFFF && read(at) !== 0; at++) {
+        const byte = read(at);
+
+        if (byte === 0x22) {
+          quoted = !quoted;
+        } else if (literal === 'data' && !quoted && byte === 0x3A) {
+          literal = null;
+        }
+
+        if (!quoted && !literal && byte >= 0x80 && byte < 0x80 + TOKENS.length) {
+          text += TOKENS[byte - 0x80];
+          if (byte === TOKEN_REM) literal = 'rem';
+          if (byte === TOKEN_DATA) literal = 'data';
+        } else {
+          text += this.fromPetscii(byte);
+        }
+      }
+
+      rows.push(`${number} ${text}`);
+      address = at + 1;
+      if (address > 0xFFFF) {
+        warnings.push('The program does not end before the top of memory; the listing stops there');
+        break;
+      }
+    }
+
+    return { text: rows.join('\n'), banks: null, warnings };
+  }
+
+  /**
+   * Convert a PETSCII byte to listing text
+   * @private
+   */
+  fromPetscii(byte) {
+    if ((byte >= 0x20 && byte <= 0x5B) || byte === 0x5D) return String.fromCharCode(byte);
+    if (byte >= 0xC1 && byte <= 0xDA) return String.fromCharCode(byte - 0x80 + 0x20);
+    switch (byte) {
+      case 0x5C: return '£';
+      case 0x5E: return '^';
+      case 0x5F: return '←';
+      case TOKEN_PI: return 'π';
+    }
+    if (CONTROL_CODES[byte]) return `{${CONTROL_CODES[byte]}}`;
+    return `{$${byte.toString(16).padStart(2, '0')}}`;
+  }
+}
+
+export default C64File;
@@ -0,0 +1,170 @@
+/**
+ * DebuggerExtensions.js - CodeMirror support for the BASIC debugger
+ *
+ * Adds a breakpoint gutter (click to toggle) and a highlight on the line
+ * where execution is paused. Lines are 1-based editor lines, matching the
+ * line numbers BasicParser stores in its instructions.
+ */
+
+import { StateField, StateEffect, RangeSet } from '@codemirror/state'
+import { EditorView, Decoration, GutterMarker, gutter } from '@codemirror/view'
+
+const toggleBreakpointEffect = StateEffect.define({
+  map: (value, mapping) => ({ pos: mapping.mapPos(value.pos), on: value.on })
+});
+
+const setDebugLineEffect = StateEffect.define();
+
+class BreakpointMarker extends GutterMarker {
+  toDOM() {
+    const marker = document.createElement('span');
+    marker.className = 'cm-breakpoint-marker';
+    marker.textContent = '●';
+    return marker;
+  }
+}
+
+const breakpointMarker = new BreakpointMarker();
+
+// Breakpoints as gutter markers, kept in place while the document is edited
+const breakpointField = StateField.define({
+  create() {
+    return RangeSet.empty;
+  },
+  update(set, transaction) {
+    set = set.map(transaction.changes);
+    for (const effect of transaction.effects) {
+      if (effect.is(toggleBreakpointEffect)) {
+        set = effect.value.on
+          ? set.update({ add: [breakpointMarker.range(effect.value.pos)] })
+          : set.update({ filter: from => from !== effect.value.pos });
+      }
+    }
+    return set;
+  }
+});
+
+const debugLineDecoration = Decoration.line({ class: 'cm-debug-line' });
+
+// Highlight of the line where the program is paused
+const debugLineField = StateField.define({
+  create() {
+    return Decoration.none;
+  },
+  update(decorations, transaction) {
+    decorations = decorations.map(transaction.changes);
+    for (const effect of transaction.effects) {
+      if (effect.is(setDebugLineEffect)) {
+        decorations = effect.value === null
+          ? Decoration.none
+          : Decoration.set([debugLineDecoration.range(effect.value)]);
+      }
+    }
+    return decorations;
+  },
+  provide: field => EditorView.decorations.from(field)
+});
+
+/**
+ * Toggle the breakpoint on the line starting at a position
+ *
+ * @param {EditorView} view - The editor
+ * @param {number} pos - Start position of the line
+ */
+function toggleBreakpoint(view, pos) {
+  let on = true;
+  view.state.field(breakpointField).between(pos, pos, () => {
+    on = false;
+  });
+  view.dispatch({ effects: toggleBreakpointEffect.of({ pos, on }) });
+}
+
+// Line sets computed from each breakpoint RangeSet, so the debugger can ask
+// for them before every line without rebuilding the set
+const breakpointLineCache = new WeakMap();
+
+/**
+ * Get the lines that carry a breakpoint
+ *
+ * @param {EditorState} state - State of the editor, or of a tab not shown
+ * @returns {Set<number>} - 1-based line numbers
+ */
+export function getBreakpointLines(state) {
+  const set = state.field(breakpointField, false);
+  if (!set) return new Set();
+
+  if (!breakpointLineCache.has(set)) {
+    const lines = new Set();
+    set.between(0, state.doc.length, from => {
+      lines.add(state.doc.lineAt(from).number);
+    });
+    breakpointLineCache.set(set, lines);
+  }
+  return breakpointLineCache.get(set);
+}
+
+/**
+ * Highlight the line where execution is paused and scroll it into view
+ *
+ * @param {EditorView} view - The editor
+ * @param {number|null} line - 1-based line, or null to remove the highlight
+ */
+export function setDebugLine(view, line) {
+  if (line === null || line > view.state.doc.lines) {
+    view.dispatch({ effects: setDebugLineEffect.of(null) });
+    return;
+  }
+
+  const pos = view.state.doc.line(line).from;
+  view.dispatch({
+    effects: [setDebugLineEffect.of(pos), EditorView.scrollIntoView(pos, { y: 'center' })]
+  });
+}
+
+/**
+ * Move the highlight in the state of a tab that is not shown
+ *
+ * @param {EditorState} state - The stored state of the tab
+ * @param {number|null} line - 1-based line, or null to remove the highlight
+ * @returns {EditorState} - The new state
+ */
+export function setStateDebugLine(state, line) {
+  const pos = line === null || line > state.doc.lines ? null : state.doc.line(line).from;
+  return state.update({ effects: setDebugLineEffect.of(pos) }).state;
+}
+
+/**
+ * Create the debugger extensions for an editor
+ *
+ * @returns {Array} - CodeMirror extensions
+ */
+export function debuggerExtensions() {
+  return [
+    breakpointField,
+    debugLineField,
+    gutter({
+      class: 'cm-breakpoint-gutter',
+      markers: view => view.state.field(breakpointField),
+      initialSpacer: () => breakpointMarker,
+      domEventHandlers: {
+        mousedown(view, line) {
+          toggleBreakpoint(view, line.from);
+          return true;
+        }
+      }
+    }),
+    EditorView.baseTheme({
+      '.cm-breakpoint-gutter .cm-gutterElement': {
+        cursor: 'pointer',
+        paddingLeft: '4px',
+        paddingRight: '2px'
+      },
+      '.cm-breakpoint-marker': {
+        color: '#E53935'
+      },
+      '.cm-debug-line': {
+        backgroundColor: 'rgba(255, 213, 79, 0.35)'
+      }
+    })
+  ];
+}
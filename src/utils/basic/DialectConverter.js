@@ -0,0 +1,505 @@
+/**
+ * DialectConverter.js - Translates programs between STOS Basic, AMOS 1.3 and AMOS Professional
+ *
+ * Renamed keywords are mapped, STOS Mode and AMOS Screen Open are translated
+ * into each other, line numbers become labels when going to AMOS and labels
+ * become line numbers when going to STOS. A line with a statement that has no
+ * equivalent in the target dialect is kept whole as an annotated comment, so
+ * nothing is lost and the flow of the rest of the line is not changed.
+ */
+
+import BasicTokenizer, { TOKEN_TYPES } from './BasicTokenizer.js'
+import BasicError from './BasicError.js'
+
+// STOS keywords that AMOS 1.3 and AMOS Pro spell differently. STOS writes
+// the window and cursor instructions as one word, AMOS splits them. The
+// profiles do not run most of these, so the converter adds them to the
+// keywords it tokenizes.
+const STOS_NAMES = {
+  'PI': 'Pi#',
+  'WINDOPEN': 'Wind Open',
+  'WINDMOVE': 'Wind Move',
+  'XCURS': 'X Curs',
+  'YCURS': 'Y Curs',
+  'XTEXT': 'X Text',
+  'YTEXT': 'Y Text',
+  'XGRAPHIC': 'X Graphic',
+  'YGRAPHIC': 'Y Graphic'
+};
+
+const AMOS_NAMES = Object.fromEntries(
+  Object.entries(STOS_NAMES).map(([stos, amos]) => [amos.toUpperCase(), stos]));
+
+// Keywords with another name in the target dialect, by "source>target"
+const RENAMED = {
+  'stos>amos1_3': STOS_NAMES,
+  'stos>amosPro': STOS_NAMES,
+  'amos1_3>stos': AMOS_NAMES,
+  'amosPro>stos': AMOS_NAMES
+};
+
+// The screen opened by STOS Mode 0, 1 and 2, as AMOS Screen Open parameters
+const STOS_MODES = [
+  { width: 320, height: 200, colours: 16, resolution: 'Lowres' },
+  { width: 640, height: 200, colours: 4, resolution: 'Hires' },
+  { width: 640, height: 400, colours: 2, resolution: 'Hires+Laced' }
+];
+
+// Instructions followed by a line number or a label
+const JUMP_KEYWORDS = ['GOTO', 'GOSUB', 'RESTORE'];
+
+// Marks a label in a line until the line numbers are known
+const LABEL_MARK = '\u0000';
+
+class DialectConverter {
+  /**
+   * Create a converter between two dialects
+   *
+   * @param {Object} from - Dialect profile of the program
+   * @param {Object} to - Dialect profile to convert to
+   */
+  constructor(from, to) {
+    this.from = from;
+    this.to = to;
+    this.renamed = RENAMED[`${from.name}>${to.name}`] || {};
+    this.tokenizer = new BasicTokenizer({ ...from, keywords: [...from.keywords, ...Object.keys(this.renamed)] });
+    this.lineLabels = new Map(); // Line number -> label, going to AMOS
+    this.warnings = [];
+    this.line = 0; // Editor line being converted, for the warnings
+  }
+
+  /**
+   * Convert a program
+   *
+   * @param {string} source - Program in the source dialect
+   * @returns {Object} - text of the converted program and warnings
+   */
+  convert(source) {
+    this.warnings = [];
+    this.lineLabels.clear();
+
+    const lines = source.split('\n');
+    if (this.from.lineNumbers && !this.to.lineNumbers) {
+      this.nameLineLabels(lines);
+    }
+
+    const output = [];
+    lines.forEach((text, index) => {
+      this.line = index + 1;
+      this.convertLine(text, output);
+    });
+
+    const text = this.to.lineNumbers && !this.from.lineNumbers ?
+      this.numberLines(output) :
+      output.map(line => line.text).join('\n');
+    return { text, warnings: this.warnings };
+  }
+
+  /**
+   * Give a label to each line number used as a jump target
+   * @private
+   */
+  nameLineLabels(lines) {
+    const names = new Set();
+    const defined = new Set();
+    const targets = new Set();
+
+    lines.forEach(text => {
+      const tokens = this.tokenize(text, false);
+      if (!tokens) return;
+
+      tokens.forEach(token => {
+        if (token.type === TOKEN_TYPES.IDENTIFIER) names.add(token.value);
+        if (token.type === TOKEN_TYPES.LINE_NUMBER) defined.add(token.value);
+      });
+      this.findJumpTargets(tokens).forEach(target => {
+        if (!target.computed && target.token.type === TOKEN_TYPES.NUMBER) {
+          targets.add(target.token.value);
+        }
+      });
+    });
+
+    // Lines that do not exist keep their number, and are reported
+    const numbers = [...targets].filter(number => defined.has(number));
+
+    // L100, unless the program already uses the name for a variable
+    const prefix = ['L', 'Line', 'Line_'].find(candidate =>
+      numbers.every(number => !names.has(`${candidate}${number}`.toUpperCase()))) || 'Line_';
+    numbers.forEach(number => this.lineLabels.set(number, `${prefix}${number}`));
+  }
+
+  /**
+   * Convert one line and add the result to the output
+   * @private
+   */
+  convertLine(text, output) {
+    const tokens = this.tokenize(text, true);
+    if (!tokens) {
+      output.push({ text, labels: [] });
+      return;
+    }
+
+    const edits = [];
+    const labels = [];
+    let body = tokens;
+
+    // Line number: a label if it is jumped to, going to AMOS
+    if (body[0] && body[0].type === TOKEN_TYPES.LINE_NUMBER && !this.to.lineNumbers) {
+      const label = this.lineLabels.get(body[0].value);
+      edits.push({ from: 0, to: body[1] ? body[1].column : text.length, insert: label ? `${label}: ` : '' });
+      body = body.slice(1);
+    }
+
+    // Label: kept between AMOS versions, replaced by the line number going to STOS
+    const labelled = this.from.labels && body[0] && body[0].type === TOKEN_TYPES.IDENTIFIER &&
+      body[1] && body[1].type === TOKEN_TYPES.PUNCTUATION && body[1].value === ':';
+    if (labelled && !this.to.lineNumbers) {
+      body = body.slice(2);
+    } else if (labelled) {
+      labels.push(body[0].value);
+
+      // A label alone on its line stays visible as a comment
+      if (body.length === 2) {
+        output.push({ text: `${this.word('Rem')} ${body[0].text}:`, labels });
+        return;
+      }
+      edits.push({ from: body[0].column, to: body[2].column, insert: '' });
+      body = body.slice(2);
+    }
+
+    // Lines are numbered again going to STOS, so empty ones are dropped
+    if (!body.length && this.to.lineNumbers && !this.from.lineNumbers) {
+      return;
+    }
+
+    const parts = this.splitStatements(body);
+    parts.forEach(part => {
+      part.flag = this.convertStatement(part, edits);
+    });
+    this.convertJumps(body, parts, edits);
+
+    const flagged = parts.filter(part => part.flag);
+    if (!flagged.length) {
+      output.push({ text: applyEdits(text, edits, 0, text.length), labels });
+      return;
+    }
+
+    // What comes before the statements: the label that replaces the line number
+    const start = body[0].column;
+    const lead = applyEdits(text, edits, 0, start);
+
+    // Moving the statement out of the line, or dropping it, would change the
+    // flow of the statements around it: the whole line becomes a comment
+    const problems = flagged.map(part => ({ statement: text.slice(part.from, part.to), reason: part.flag }));
+    output.push({ text: lead + this.comment(text.slice(start), problems), labels });
+  }
+
+  /**
+   * Split a line into statements: at ':', and after THEN and ELSE, whose
+   * statements form the branches of a single-line If. THEN and ELSE stay
+   * with the statement before them.
+   * @private
+   */
+  splitStatements(tokens) {
+    const parts = [];
+    let branch = false;
+    let part = { tokens: [] };
+
+    const close = (closedBy) => {
+      if (part.tokens.length) {
+        const last = part.tokens[part.tokens.length - 1];
+        part.from = part.tokens[0].column;
+        part.to = last.column + last.text.length;
+        part.closedBy = closedBy;
+        parts.push(part);
+      }
+      part = { tokens: [] };
+    };
+
+    tokens.forEach(token => {
+      if (token.type === TOKEN_TYPES.PUNCTUATION && token.value === ':') {
+        close(':');
+      } else if (token.type === TOKEN_TYPES.KEYWORD && (token.value === 'THEN' || (token.value === 'ELSE' && branch))) {
+        part.tokens.push(token);
+        branch = true;
+        close(token.value);
+      } else {
+        part.tokens.push(token);
+      }
+    });
+    close(null);
+    return parts;
+  }
+
+  /**
+   * Translate a statement, adding its edits
+   *
+   * @returns {string|null} - Why the statement cannot be converted, or null
+   * @private
+   */
+  convertStatement(part, edits) {
+    const tokens = part.tokens;
+    const first = tokens[0];
+    const args = splitArguments(tokens.slice(1));
+    const replace = (insert) => {
+      edits.push({ from: part.from, to: part.to, insert });
+      return null;
+    };
+
+    switch (first.type === TOKEN_TYPES.KEYWORD ? first.value : null) {
+      case 'MODE':
+        if (this.available('MODE')) break;
+        if (args.length === 1 && args[0].length === 1 && STOS_MODES[args[0][0].value]) {
+          const screen = STOS_MODES[args[0][0].value];
+          return replace(`${this.word('Screen Open')} 0,${screen.width},${screen.height},${screen.colours},${screen.resolution}`);
+        }
+        return 'Mode needs a number from 0 to 2';
+
+      case 'SCREEN OPEN': {
+        if (this.available('SCREEN OPEN')) break;
+        const numbers = args.slice(0, 4).map(arg => arg.length === 1 && arg[0].type === TOKEN_TYPES.NUMBER ? arg[0].value : null);
+        if (numbers.length < 4 || numbers.includes(null)) {
+          return `${first.text} needs its size and colours as numbers`;
+        }
+        const [number, width, height, colours] = numbers;
+        const mode = width <= 320 ? 0 : height >= 400 ? 2 : 1;
+        const screen = STOS_MODES[mode];
+        if (number !== 0 || width !== screen.width || height !== screen.height || colours !== screen.colours) {
+          this.warnings.push(`Line ${this.line}: ${first.text} ${number},${width},${height},${colours} becomes ` +
+            `Mode ${mode}, ${screen.width}x${screen.height} in ${screen.colours} colours`);
+        }
+        return replace(`${this.word('Mode')} ${mode}`);
+      }
+
+      case 'INC':
+      case 'DEC':
+      case 'ADD': {
+        if (this.available(first.value)) break;
+        const count = first.value === 'ADD' ? 2 : 1;
+        if (args.length !== count || !args[0].length) {
+          return `${first.text} with a range has no ${this.to.title} equivalent`;
+        }
+        const target = sliceText(args[0]);
+        const change = first.value === 'INC' ? '+1' : first.value === 'DEC' ? '-1' : `+(${sliceText(args[1])})`;
+        return replace(`${target}=${target}${change}`);
+      }
+
+      case 'IF':
+        // If with nothing after its condition: an If/End If block
+        if (!this.to.structured && part.closedBy !== 'THEN' && !tokens.some(token => token.value === 'GOTO')) {
+          return `block If has no ${this.to.title} equivalent`;
+        }
+        break;
+
+      case 'ELSE':
+        if (!this.to.structured) {
+          return `block Else has no ${this.to.title} equivalent`;
+        }
+        break;
+    }
+
+    return this.convertWords(tokens, edits);
+  }
+
+  /**
+   * Rename the keywords of a statement, or tell which one has no equivalent
+   * @private
+   */
+  convertWords(tokens, edits) {
+    const renames = [];
+    for (const token of tokens) {
+      if (token.type !== TOKEN_TYPES.KEYWORD) continue;
+
+      if (this.renamed[token.value]) {
+        renames.push({ from: token.column, to: token.column + token.text.length, insert: this.renamed[token.value] });
+      } else if (!this.available(token.value)) {
+        return `${token.text} has no ${this.to.title} equivalent`;
+      }
+    }
+    edits.push(...renames);
+    return null;
+  }
+
+  /**
+   * Rewrite the jump targets: line numbers into labels going to AMOS, labels
+   * into line numbers (marked until the lines are numbered) going to STOS
+   * @private
+   */
+  convertJumps(tokens, parts, edits) {
+    const toLabels = this.from.lineNumbers && !this.to.lineNumbers;
+    const toNumbers = this.from.labels && this.to.lineNumbers;
+    if (!toLabels && !toNumbers) return;
+
+    this.findJumpTargets(tokens).forEach(({ keyword, token, computed }) => {
+      const part = parts.find(each => token.column >= each.from && token.column <= each.to);
+      if (!part || part.flag) return;
+
+      if (computed) {
+        part.flag = `computed ${keyword.text} has no ${this.to.title} equivalent`;
+        return;
+      }
+
+      const end = token.column + token.text.length;
+      if (toLabels && token.type === TOKEN_TYPES.NUMBER) {
+        const label = this.lineLabels.get(token.value);
+        if (!label) {
+          this.warnings.push(`Line ${this.line}: ${keyword.text} ${token.text} points to a missing line`);
+          return;
+        }
+        // Then 100 is a jump only with a line number
+        const jump = keyword.value === 'THEN' || keyword.value === 'ELSE' ? `${this.word('Goto')} ` : '';
+        edits.push({ from: token.column, to: end, insert: `${jump}${label}` });
+      } else if (toNumbers && token.type === TOKEN_TYPES.IDENTIFIER) {
+        edits.push({ from: token.column, to: end, insert: `${LABEL_MARK}${token.value}${LABEL_MARK}` });
+      }
+    });
+  }
+
+  /**
+   * Find the line numbers and labels jumped to in a line
+   *
+   * @param {Array<Object>} tokens - Tokens of the line
+   * @returns {Array<Object>} - Targets with keyword and target token, and whether they are computed
+   * @private
+   */
+  findJumpTargets(tokens) {
+    const targets = [];
+
+    tokens.forEach((token, position) => {
+      if (token.type !== TOKEN_TYPES.KEYWORD) return;
+      const next = tokens[position + 1];
+      const jump = JUMP_KEYWORDS.includes(token.value) ||
+        ((token.value === 'THEN' || token.value === 'ELSE') && next && next.type === TOKEN_TYPES.NUMBER);
+      if (!jump || !next || (next.type === TOKEN_TYPES.PUNCTUATION && next.value === ':')) return;
+
+      // Each target of the list, as long as it is a plain number or label
+      for (let index = position + 1; index < tokens.length; index += 2) {
+        const target = tokens[index];
+        const after = tokens[index + 1];
+        const plain = target.type === TOKEN_TYPES.NUMBER || (target.type === TOKEN_TYPES.IDENTIFIER && this.from.labels);
+        const computed = !plain || (Boolean(after) &&
+          !(after.type === TOKEN_TYPES.PUNCTUATION && [',', ':'].includes(after.value)) &&
+          !(after.type === TOKEN_TYPES.KEYWORD && after.value === 'ELSE'));
+
+        targets.push({ keyword: token, token: target, computed });
+        if (computed || !after || after.value !== ',') break;
+      }
+    });
+    return targets;
+  }
+
+  /**
+   * Number the lines going to STOS, and replace the labels by their number
+   * @private
+   */
+  numberLines(output) {
+    const numbers = new Map();
+    output.forEach((line, index) => {
+      line.labels.forEach(label => numbers.set(label, (index + 1) * 10));
+    });
+
+    const mark = new RegExp(`${LABEL_MARK}([^${LABEL_MARK}]*)${LABEL_MARK}`, 'g');
+    return output.map((line, index) => {
+      const text = line.text.replace(mark, (match, label) => {
+        if (numbers.has(label)) return String(numbers.get(label));
+        this.warnings.push(`Label ${label} is not defined, it is left as it is`);
+        return label;
+      });
+      return `${(index + 1) * 10} ${text}`;
+    }).join('\n');
+  }
+
+  /**
+   * Tokenize a line; a line that cannot be read is copied unchanged
+   * @private
+   */
+  tokenize(text, report) {
+    try {
+      return this.tokenizer.tokenizeLine(text, this.line);
+    } catch (error) {
+      if (!(error instanceof BasicError)) throw error;
+      if (report) {
+        this.warnings.push(`Line ${this.line}: ${error.message}, copied as it is`);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Check whether the target dialect has a keyword
+   * @private
+   */
+  available(keyword) {
+    return this.to.keywords.includes(keyword) && !(this.to.unavailable || []).includes(keyword);
+  }
+
+  /**
+   * Write a keyword the way the target dialect lists it: STOS in capitals,
+   * AMOS with capital initials
+   * @private
+   */
+  word(name) {
+    return this.to.lineNumbers ? name.toUpperCase() : name;
+  }
+
+  /**
+   * Keep the statements of a line as a comment telling why they were not
+   * converted, and report each one that has no equivalent
+   * @private
+   */
+  comment(statements, problems) {
+    problems.forEach(({ statement, reason }) => {
+      this.warnings.push(`Line ${this.line}: ${statement.trim()} not converted, ${reason}`);
+    });
+    const reasons = [...new Set(problems.map(problem => problem.reason))].join(', ');
+    return `${this.word('Rem')} ** Not converted, ${reasons}: ${statements.trim()}`;
+  }
+}
+
+// Split the arguments of an instruction at the commas outside brackets
+function splitArguments(tokens) {
+  const args = [];
+  let current = [];
+  let depth = 0;
+
+  tokens.forEach(token => {
+    if (token.type === TOKEN_TYPES.PUNCTUATION && token.value === '(') depth++;
+    if (token.type === TOKEN_TYPES.PUNCTUATION && token.value === ')') depth--;
+    if (depth === 0 && token.type === TOKEN_TYPES.PUNCTUATION && token.value === ',') {
+      args.push(current);
+      current = [];
+    } else {
+      current.push(token);
+    }
+  });
+  if (current.length || args.length) {
+    args.push(current);
+  }
+  return args;
+}
+
+// Source text of a run of tokens, with single spaces where there were some
+function sliceText(tokens) {
+  return tokens.map((token, index) => {
+    const next = tokens[index + 1];
+    const gap = next && next.column > token.column + token.text.length ? ' ' : '';
+    return token.text + gap;
+  }).join('');
+}
+
+// Apply the edits falling between two positions of a line
+function applyEdits(text, edits, from, to) {
+  let result = '';
+  let position = from;
+  edits
+    .filter(edit => edit.from >= from && edit.to <= to)
+    .sort((a, b) => a.from - b.from)
+    .forEach(edit => {
+      if (edit.from < position) return;
+      result += text.slice(position, edit.from) + edit.insert;
+      position = edit.to;
+    });
+  return result + text.slice(position, to);
+}
+
+export default DialectConverter;
@@ -0,0 +1,191 @@
+/**
+ * KeywordDatabase.js - Documentation of the keywords of a BASIC dialect
+ *
+ * Each mode describes its instructions, functions and operators with the
+ * instruction(), func() and operator() helpers: parameters, return type
+ * and a short description. The database is used by the editor for
+ * completion, hover tooltips and signature hints, and by the Help window.
+ */
+
+/**
+ * Describe an instruction
+ *
+ * @param {string} name - Keyword as it is listed, e.g. "Screen Open"
+ * @param {Array<string>} params - Parameter names; a trailing ? marks an optional one
+ * @param {string} description - Short description
+ * @param {string} syntax - Syntax, when it is not "Name param,param..."
+ * @returns {Object} - Keyword entry
+ */
+export function instruction(name, params, description, syntax = null) {
+  const list = formatParams(params);
+  return {
+    name,
+    kind: 'instruction',
+    params: params.map(param => param.replace('?', '')),
+    returns: null,
+    syntax: syntax || (list ? `${name} ${list}` : name),
+    description
+  };
+}
+
+/**
+ * Describe a function
+ *
+ * @param {string} name - Keyword as it is listed, e.g. "Left$"
+ * @param {Array<string>} params - Parameter names; a trailing ? marks an optional one
+ * @param {string} returns - Return type: 'integer', 'float' or 'string'
+ * @param {string} description - Short description
+ * @param {string} syntax - Syntax, when it is not "Name(param,param...)"
+ * @returns {Object} - Keyword entry
+ */
+export function func(name, params, returns, description, syntax = null) {
+  // Some dialects (C64 TAB( and SPC() include the bracket in the keyword
+  const open = name.endsWith('(') ? name : `${name}(`;
+  return {
+    name,
+    kind: 'function',
+    params: params.map(param => param.replace('?', '')),
+    returns,
+    syntax: syntax || (params.length ? `${open}${formatParams(params)})` : name),
+    description
+  };
+}
+
+/**
+ * Describe a word operator
+ *
+ * @param {string} name - Operator, e.g. "Mod"
+ * @param {string} syntax - Syntax, e.g. "a Mod b"
+ * @param {string} returns - Return type
+ * @param {string} description - Short description
+ * @returns {Object} - Keyword entry
+ */
+export function operator(name, syntax, returns, description) {
+  return { name, kind: 'operator', params: [], returns, syntax, description };
+}
+
+// "x,y,colour?" -> "x,y[,colour]"
+function formatParams(params) {
+  return params.map((param, index) => {
+    const separator = index ? ',' : '';
+    return param.endsWith('?') ? `[${separator}${param.slice(0, -1)}]` : `${separator}${param}`;
+  }).join('');
+}
+
+class KeywordDatabase {
+  /**
+   * Create the keyword database of a dialect
+   *
+   * @param {Object} dialect - Dialect profile
+   * @param {Array<Object>} entries - Keyword entries
+   */
+  constructor(dialect, entries) {
+    this.dialect = dialect;
+    this.title = dialect.title;
+    this.entries = [...entries].sort((a, b) => a.name.localeCompare(b.name));
+    this.index = new Map(this.entries.map(entry => [KeywordDatabase.normalize(entry.name), entry]));
+
+    // Longest names first, so that "End Proc" wins over "End"
+    const escape = (text) => text.replace(/[$#^*+?.()|[\]\\]/g, '\\$&');
+    const names = this.entries
+      .map(entry => entry.name)
+      .sort((a, b) => b.length - a.length)
+      .map(name => name.split(/\s+/).map(escape).join('\\s+'));
+    const boundary = dialect.packedKeywords ? '' : '(?![A-Za-z0-9_$#])';
+    this.pattern = new RegExp(`(?:${names.join('|')})${boundary}`, 'iy');
+  }
+
+  /**
+   * Bring a keyword to the form used as index key
+   *
+   * @param {string} name - Keyword
+   * @returns {string} - Upper case keyword with single spaces
+   */
+  static normalize(name) {
+    return name.trim().toUpperCase().replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Look up a keyword
+   *
+   * @param {string} name - Keyword, in any case
+   * @returns {Object|null} - Keyword entry, or null if unknown
+   */
+  find(name) {
+    return this.index.get(KeywordDatabase.normalize(name)) || null;
+  }
+
+  /**
+   * Find the keywords matching a search text, names first then descriptions
+   *
+   * @param {string} query - Text to search for
+   * @returns {Array<Object>} - Matching entries
+   */
+  search(query) {
+    const text = query.trim().toLowerCase();
+    if (!text) return this.entries;
+
+    const byName = this.entries.filter(entry => entry.name.toLowerCase().includes(text));
+    const byDescription = this.entries.filter(entry =>
+      !byName.includes(entry) && entry.description.toLowerCase().includes(text));
+    return [...byName, ...byDescription];
+  }
+
+  /**
+   * Find the keywords of a line of code, skipping strings and comments
+   *
+   * @param {string} text - Line of code
+   * @returns {Array<Object>} - Matches with entry, from and to (offsets in the line)
+   */
+  scan(text) {
+    const matches = [];
+    let position = 0;
+
+    while (position < text.length) {
+      const char = text[position];
+
+      if (char === '"') {
+        const end = text.indexOf('"', position + 1);
+        position = end === -1 ? text.length : end + 1;
+        continue;
+      }
+      if (char === "'") break;
+
+      // Keywords start a word, unless they can be packed
+      const previous = text[position - 1];
+      if (this.dialect.packedKeywords || !previous || !/[A-Za-z0-9_$#]/.test(previous)) {
+        this.pattern.lastIndex = position;
+        const match = this.pattern.exec(text);
+        if (match) {
+          matches.push({ entry: this.find(match[0]), from: position, to: position + match[0].length });
+          if (/^rem$/i.test(match[0])) break; // The rest of the line is a comment
+          position += match[0].length;
+          continue;
+        }
+      }
+
+      // Skip the rest of a name
+      if (/[A-Za-z_]/.test(char)) {
+        const name = /[A-Za-z_][A-Za-z0-9_]*[$#]?/y;
+        name.lastIndex = position;
+        position += this.dialect.packedKeywords ? 1 : name.exec(text)[0].length;
+        continue;
+      }
+      position++;
+    }
+    return matches;
+  }
+
+  /**
+   * Find the keyword at a position in a line of code
+   *
+   * @param {string} text - Line of code
+   * @param {number} offset - Position in the line
+   * @returns {Object|null} - Match with entry, from and to, or null
+   */
+  keywordAt(text, offset) {
+    return this.scan(text).find(match => offset >= match.from && offset <= match.to) || null;
+  }
+}
+
+export default KeywordDatabase;
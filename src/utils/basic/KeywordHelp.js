@@ -0,0 +1,235 @@
+/**
+ * KeywordHelp.js - Editor help built on the keyword database of a dialect
+ *
+ * keywordHelp() returns the CodeMirror extensions of a BASIC mode editor:
+ * keyword completion, a tooltip describing the keyword under the mouse,
+ * and a signature hint showing the parameter being typed.
+ */
+
+import { EditorState, StateField } from '@codemirror/state'
+import { EditorView, hoverTooltip, showTooltip } from '@codemirror/view'
+
+/**
+ * Build the DOM of a keyword description
+ *
+ * @param {Object} entry - Keyword entry
+ * @param {number} paramIndex - Parameter to highlight, or -1
+ * @returns {HTMLElement} - Description element
+ */
+export function renderKeyword(entry, paramIndex = -1) {
+  const dom = document.createElement('div');
+  dom.className = 'cm-keyword-help';
+
+  const syntax = document.createElement('div');
+  syntax.className = 'cm-keyword-help-syntax';
+  appendSyntax(syntax, entry, paramIndex);
+  if (entry.returns) {
+    const returns = document.createElement('span');
+    returns.className = 'cm-keyword-help-returns';
+    returns.textContent = ` → ${entry.returns}`;
+    syntax.appendChild(returns);
+  }
+
+  const description = document.createElement('div');
+  description.className = 'cm-keyword-help-description';
+  description.textContent = entry.description;
+
+  dom.appendChild(syntax);
+  dom.appendChild(description);
+  return dom;
+}
+
+// Write the syntax of an entry, with the current parameter in bold
+function appendSyntax(element, entry, paramIndex) {
+  const param = entry.params[paramIndex];
+  const start = param ? findParam(entry, paramIndex) : -1;
+  if (start === -1) {
+    element.textContent = entry.syntax;
+    return;
+  }
+
+  const current = document.createElement('strong');
+  current.textContent = param;
+  element.append(entry.syntax.slice(0, start), current, entry.syntax.slice(start + param.length));
+}
+
+// Position of a parameter name in the syntax, searching after the previous ones
+function findParam(entry, paramIndex) {
+  let position = entry.name.length;
+  for (let index = 0; index <= paramIndex; index++) {
+    const match = new RegExp(`(?<![A-Za-z0-9_])${entry.params[index].replace(/[$#]/g, '\\$&')}(?![A-Za-z0-9_])`, 'g');
+    match.lastIndex = position;
+    const found = match.exec(entry.syntax);
+    if (!found) return -1;
+    position = found.index + (index < paramIndex ? found[0].length : 0);
+  }
+  return position;
+}
+
+/**
+ * Find what is being typed at the end of a line: the innermost function call
+ * or, outside brackets, the instruction of the statement
+ *
+ * @param {Object} database - KeywordDatabase
+ * @param {string} text - Line of code up to the cursor
+ * @returns {Object|null} - entry and paramIndex, or null
+ */
+export function findSignature(database, text) {
+  const matches = database.scan(text);
+  const brackets = []; // Opening positions, with the commas seen inside
+  const commas = []; // Positions of the commas outside brackets
+  let statementStart = 0;
+
+  for (let position = 0; position < text.length; position++) {
+    const char = text[position];
+    if (char === '"') {
+      const end = text.indexOf('"', position + 1);
+      if (end === -1) break;
+      position = end;
+    } else if (char === "'") {
+      return null;
+    } else if (char === '(' || char === '[') {
+      brackets.push({ position, commas: 0 });
+    } else if ((char === ')' || char === ']') && brackets.length) {
+      brackets.pop();
+    } else if (char === ',') {
+      if (brackets.length) brackets[brackets.length - 1].commas++;
+      else commas.push(position);
+    } else if (char === ':' && !brackets.length) {
+      statementStart = position + 1;
+    }
+  }
+
+  // Inside brackets: a function call, or a procedure / array that has no hint
+  for (let index = brackets.length - 1; index >= 0; index--) {
+    const bracket = brackets[index];
+    const call = matches.find(match => match.to === bracket.position || match.to === bracket.position + 1);
+    if (call && call.entry.kind === 'function') {
+      return { entry: call.entry, paramIndex: bracket.commas };
+    }
+  }
+  if (brackets.length) return null;
+
+  // Outside brackets: the instruction starting the statement, after Then or Else
+  const statement = matches.filter(match => match.from >= statementStart);
+  let start = statement.findIndex(match => text.slice(statementStart, match.from).trim() === '' ||
+    /^\s*[0-9]+\s*$/.test(text.slice(statementStart, match.from)));
+  for (let index = statement.length - 1; index > start; index--) {
+    if (/^(then|else)$/i.test(statement[index].entry.name)) {
+      start = index + 1 < statement.length ? index + 1 : -1;
+      break;
+    }
+  }
+  const instruction = statement[start];
+  if (!instruction || instruction.entry.kind !== 'instruction' ||
+      !instruction.entry.params.length || instruction.to >= text.length) {
+    return null;
+  }
+
+  // Parameters are separated by commas and To (Draw x1,y1 To x2,y2)
+  const separators = commas.filter(position => position > instruction.to).length +
+    statement.filter(match => match.from > instruction.from && /^to$/i.test(match.entry.name)).length;
+  return { entry: instruction.entry, paramIndex: Math.min(separators, instruction.entry.params.length - 1) };
+}
+
+/**
+ * Find the keyword under the cursor of an editor
+ *
+ * @param {Object} database - KeywordDatabase
+ * @param {EditorView} view - Editor view
+ * @returns {Object|null} - Keyword entry, or null
+ */
+export function keywordAtCursor(database, view) {
+  const head = view.state.selection.main.head;
+  const line = view.state.doc.lineAt(head);
+  const match = database.keywordAt(line.text, head - line.from);
+  return match ? match.entry : null;
+}
+
+/**
+ * Create the completion, hover and signature extensions for a dialect
+ *
+ * @param {Object} database - KeywordDatabase of the dialect
+ * @returns {Array} - CodeMirror extensions
+ */
+export function keywordHelp(database) {
+  // Keywords offered by the completion list
+  const options = database.entries.map(entry => ({
+    label: entry.name,
+    type: entry.kind === 'function' ? 'function' : 'keyword',
+    detail: entry.returns || '',
+    info: () => renderKeyword(entry)
+  }));
+
+  const completeKeyword = (context) => {
+    const word = context.matchBefore(/[A-Za-z][A-Za-z0-9_]*[$#]?/);
+    if (!word || (word.from === word.to && !context.explicit)) return null;
+
+    // No completion inside strings and comments
+    const line = context.state.doc.lineAt(context.pos);
+    const before = line.text.slice(0, word.from - line.from);
+    if ((before.match(/"/g) || []).length % 2 || before.includes("'") ||
+        database.scan(before).some(match => /^rem$/i.test(match.entry.name))) {
+      return null;
+    }
+    return { from: word.from, options, validFor: /^[A-Za-z0-9_]*[$#]?$/ };
+  };
+
+  const keywordTooltip = hoverTooltip((view, pos) => {
+    const line = view.state.doc.lineAt(pos);
+    const match = database.keywordAt(line.text, pos - line.from);
+    if (!match) return null;
+
+    return {
+      pos: line.from + match.from,
+      end: line.from + match.to,
+      above: true,
+      create: () => ({ dom: renderKeyword(match.entry) })
+    };
+  });
+
+  // Signature of the call being typed, shown above the cursor
+  const signature = (state) => {
+    const selection = state.selection.main;
+    if (!selection.empty) return null;
+
+    const line = state.doc.lineAt(selection.head);
+    const found = findSignature(database, line.text.slice(0, selection.head - line.from));
+    if (!found) return null;
+
+    return {
+      pos: selection.head,
+      above: true,
+      strictSide: true,
+      create: () => ({ dom: renderKeyword(found.entry, found.paramIndex) })
+    };
+  };
+  const signatureField = StateField.define({
+    create: signature,
+    update: (tooltip, transaction) =>
+      (transaction.docChanged || transaction.selection ? signature(transaction.state) : tooltip),
+    provide: field => showTooltip.from(field)
+  });
+
+  return [
+    EditorState.languageData.of(() => [{ autocomplete: completeKeyword }]),
+    keywordTooltip,
+    signatureField,
+    EditorView.baseTheme({
+      '.cm-keyword-help': {
+        padding: '3px 6px',
+        maxWidth: '420px',
+        fontFamily: 'monospace',
+        fontSize: '13px'
+      },
+      '.cm-keyword-help-returns': {
+        opacity: '0.7'
+      },
+      '.cm-keyword-help-description': {
+        marginTop: '2px',
+        fontFamily: 'sans-serif',
+        whiteSpace: 'normal'
+      }
+    })
+  ];
+}
@@ -0,0 +1,372 @@
+/**
+ * LineNumberTools.js - Editing aids for the line-numbered BASIC dialects
+ *
+ * RENUM renumbers the program and rewrites the GOTO, GOSUB, THEN, ELSE,
+ * RESTORE, RUN and ON ... GOTO targets. Enter at the end of a numbered line
+ * starts the next one with a new number, and the go-to command finds a
+ * BASIC line number rather than an editor row.
+ */
+
+import { Prec } from '@codemirror/state'
+import { keymap } from '@codemirror/view'
+import BasicTokenizer, { TOKEN_TYPES } from './BasicTokenizer.js'
+import BasicError from './BasicError.js'
+
+// Instructions followed by a line number, or a list of them for ON
+const JUMP_KEYWORDS = ['GOTO', 'GOSUB', 'THEN', 'ELSE', 'RESTORE', 'RUN'];
+
+// Instructions whose target can be an expression; after THEN and ELSE, a
+// name starts a statement
+const COMPUTED_KEYWORDS = ['GOTO', 'GOSUB', 'RESTORE', 'RUN'];
+
+const LINE_NUMBER = /^(\s*)([0-9]+)/;
+
+/**
+ * Compute the changes that renumber a program
+ *
+ * @param {string} source - Program source
+ * @param {Object} dialect - Dialect profile
+ * @param {number} start - First new line number
+ * @param {number} step - Difference between line numbers
+ * @returns {Object} - changes ({from, to, insert} in source offsets), count of lines and warnings
+ */
+export function renumberProgram(source, dialect, start = 10, step = 10) {
+  // RUN is not run by the STOS profile, but RUN 100 still names a line
+  const keywords = dialect.keywords.includes('RUN') ? dialect.keywords : [...dialect.keywords, 'RUN'];
+  const tokenizer = new BasicTokenizer({ ...dialect, keywords });
+  const maxLineNumber = dialect.maxLineNumber || 65535;
+  const lines = source.split('\n');
+
+  // Old number -> new number, in program order
+  const numbers = new Map();
+  lines.forEach((text, index) => {
+    const match = LINE_NUMBER.exec(text);
+    if (!match) return;
+
+    const number = parseInt(match[2], 10);
+    if (numbers.has(number)) {
+      throw new BasicError('Line number already defined', index + 1, number);
+    }
+    numbers.set(number, start + numbers.size * step);
+  });
+
+  const last = start + (numbers.size - 1) * step;
+  if (numbers.size && last > maxLineNumber) {
+    throw new BasicError(`Line numbers would go past ${maxLineNumber}`);
+  }
+
+  const changes = [];
+  const warnings = [];
+  let offset = 0;
+  lines.forEach((text, index) => {
+    const match = LINE_NUMBER.exec(text);
+    if (match) {
+      const from = offset + match[1].length;
+      changes.push({ from, to: from + match[2].length, insert: String(numbers.get(parseInt(match[2], 10))) });
+    }
+
+    findJumpTargets(text, dialect, tokenizer, index + 1).forEach(target => {
+      if (target.computed) {
+        warnings.push(`Line ${index + 1}: computed ${target.keyword} target not renumbered`);
+      } else if (numbers.has(target.value)) {
+        changes.push({
+          from: offset + target.column,
+          to: offset + target.column + target.text.length,
+          insert: String(numbers.get(target.value))
+        });
+      } else {
+        warnings.push(`Line ${index + 1}: ${target.keyword} ${target.text} points to a missing line`);
+      }
+    });
+
+    offset += text.length + 1;
+  });
+
+  return { changes, count: numbers.size, warnings };
+}
+
+/**
+ * Find the editor line holding a BASIC line number, or the first one after it
+ *
+ * @param {Object} doc - CodeMirror document
+ * @param {number} number - BASIC line number
+ * @returns {Object|null} - CodeMirror line, or null if the program ends before
+ */
+export function findBasicLine(doc, number) {
+  let best = null;
+  let bestNumber = Infinity;
+
+  for (let index = 1; index <= doc.lines; index++) {
+    const line = doc.line(index);
+    const match = LINE_NUMBER.exec(line.text);
+    if (!match) continue;
+
+    const lineNumber = parseInt(match[2], 10);
+    if (lineNumber === number) return line;
+    if (lineNumber > number && lineNumber < bestNumber) {
+      best = line;
+      bestNumber = lineNumber;
+    }
+  }
+  return best;
+}
+
+/**
+ * Find the line numbers used as jump targets in a line of code
+ *
+ * @param {string} text - Line of code
+ * @param {Object} dialect - Dialect profile
+ * @param {BasicTokenizer} tokenizer - Tokenizer of the dialect
+ * @param {number} line - Editor line, for errors
+ * @returns {Array<Object>} - Targets with keyword, text, value, column and computed
+ */
+function findJumpTargets(text, dialect, tokenizer, line) {
+  if (dialect.packedKeywords) {
+    return findPackedJumpTargets(text);
+  }
+
+  // A tokenizer error leaves the line as it is; the linter reports it
+  let tokens;
+  try {
+    tokens = tokenizer.tokenizeLine(text, line);
+  } catch (error) {
+    return [];
+  }
+
+  const targets = [];
+  tokens.forEach((token, position) => {
+    if (token.type !== TOKEN_TYPES.KEYWORD || !JUMP_KEYWORDS.includes(token.value)) return;
+
+    // Each target of the list, as long as it is a plain number
+    for (let next = position + 1; next < tokens.length; next += 2) {
+      const target = tokens[next];
+      const after = tokens[next + 1];
+      if (target.type !== TOKEN_TYPES.NUMBER) {
+        if (COMPUTED_KEYWORDS.includes(token.value) && isComputedTarget(tokens, next)) {
+          targets.push({ keyword: token.value, text: target.text, value: null, column: target.column, computed: true });
+        }
+        break;
+      }
+
+      const computed = Boolean(after) && !(after.type === TOKEN_TYPES.PUNCTUATION && [',', ':'].includes(after.value)) &&
+        !(after.type === TOKEN_TYPES.KEYWORD && after.value === 'ELSE');
+      targets.push({ keyword: token.value, text: target.text, value: target.value, column: target.column, computed });
+      if (computed || !after || after.value !== ',') break;
+    }
+  });
+  return targets;
+}
+
+/**
+ * Check whether the target of a jump, which is not a number, is an expression
+ * @private
+ */
+function isComputedTarget(tokens, position) {
+  const target = tokens[position];
+  if (target.type === TOKEN_TYPES.STRING || target.type === TOKEN_TYPES.COMMENT) return false;
+  if (target.type === TOKEN_TYPES.PUNCTUATION && target.value === ':') return false;
+  if (target.type === TOKEN_TYPES.KEYWORD && target.value === 'ELSE') return false;
+  return true;
+}
+
+// Keywords are found inside words on the C64 (IFA=1THEN100), so the line
+// is searched with strings blanked out and the comment cut off
+function findPackedJumpTargets(text) {
+  let code = text.replace(/"[^"]*("|$)/g, string => ' '.repeat(string.length));
+  const rem = /rem/i.exec(code);
+  if (rem) {
+    code = code.slice(0, rem.index);
+  }
+
+  const targets = [];
+  const jump = /(GO\s*TO|GOSUB|THEN|ELSE|RESTORE|RUN)(\s*)([0-9]+(?:\s*,\s*[0-9]+)*)(?=(\s*[^\s,:]?))/gi;
+  let match;
+  while ((match = jump.exec(code)) !== null) {
+    const keyword = match[1].toUpperCase().replace(/\s+/g, '');
+    const computed = match[4].trim() !== '' && !/^\s*e/i.test(match[4]);
+    let column = match.index + match[1].length + match[2].length;
+    match[3].split(',').forEach(part => {
+      const leading = part.length - part.trimStart().length;
+      const number = part.trim();
+      targets.push({ keyword, text: number, value: parseInt(number, 10), column: column + leading, computed });
+      column += part.length + 1;
+    });
+  }
+
+  // Targets that do not start with a number, e.g. GOTOA*10 or GOSUB N
+  const computedJump = /(GO\s*TO|GOSUB|RESTORE|RUN)(\s*)([^\s0-9:][^:]*)/gi;
+  while ((match = computedJump.exec(code)) !== null) {
+    const keyword = match[1].toUpperCase().replace(/\s+/g, '');
+    const expression = match[3].replace(/\s*ELSE.*$/i, '').trimEnd();
+    if (expression === '') continue;
+    targets.push({ keyword, text: expression, value: null, column: match.index + match[1].length + match[2].length, computed: true });
+  }
+  return targets;
+}
+
+class LineNumberTools {
+  /**
+   * Create the line number tools of a mode
+   *
+   * @param {Object} editor - Main Editor component, used for messages
+   * @param {Object} dialect - Dialect profile
+   * @param {number} step - Step of the automatic line numbers
+   */
+  constructor(editor, dialect, step = 10) {
+    this.editor = editor;
+    this.dialect = dialect;
+    this.step = step;
+  }
+
+  /**
+   * Editor extensions: automatic numbering on Enter, and go to line number
+   * instead of go to row
+   *
+   * @returns {Extension} - CodeMirror extension
+   */
+  extensions() {
+    return Prec.high(keymap.of([
+      { key: 'Enter', run: view => this.insertNumberedLine(view) },
+      { key: 'Mod-Alt-g', run: view => { this.askGoToLine(view); return true; } }
+    ]));
+  }
+
+  /**
+   * Start a new line numbered after the current one, when Enter is pressed
+   * at the end of a numbered line
+   *
+   * @param {EditorView} view - Editor view
+   * @returns {boolean} - False to let Enter insert a plain new line
+   */
+  insertNumberedLine(view) {
+    const { state } = view;
+    const selection = state.selection.main;
+    const line = state.doc.lineAt(selection.head);
+    const match = /^\s*([0-9]+)(?![0-9])\s*\S/.exec(line.text);
+    if (!selection.empty || selection.head !== line.to || !match) return false;
+
+    // Fit the new number before the next numbered line
+    const current = parseInt(match[1], 10);
+    let number = current + this.step;
+    for (let index = line.number + 1; index <= state.doc.lines; index++) {
+      const next = LINE_NUMBER.exec(state.doc.line(index).text);
+      if (!next) continue;
+
+      const following = parseInt(next[2], 10);
+      if (following <= number) {
+        number = current + Math.floor((following - current) / 2);
+      }
+      break;
+    }
+    if (number <= current || number > (this.dialect.maxLineNumber || 65535)) return false;
+
+    const insert = `\n${number} `;
+    view.dispatch(state.update({
+      changes: { from: selection.head, insert },
+      selection: { anchor: selection.head + insert.length },
+      scrollIntoView: true,
+      userEvent: 'input'
+    }));
+    return true;
+  }
+
+  /**
+   * Renumber the program in the editor
+   *
+   * @param {EditorView} view - Editor view
+   * @param {number} start - First line number
+   * @param {number} step - Difference between line numbers
+   * @returns {boolean} - True if the program was renumbered
+   */
+  renumber(view, start = 10, step = 10) {
+    try {
+      const { changes, count, warnings } = renumberProgram(view.state.doc.toString(), this.dialect, start, step);
+      view.dispatch({ changes, userEvent: 'renumber' });
+
+      this.editor.appendOutput(`Renumbered ${count} lines from ${start} step ${step}\n`, 'info');
+      warnings.forEach(warning => this.editor.appendOutput(`${warning}\n`, 'warn'));
+      return true;
+    } catch (error) {
+      if (!(error instanceof BasicError)) throw error;
+      this.editor.appendOutput(`Cannot renumber: ${error.toString()}\n`, 'error');
+      return false;
+    }
+  }
+
+  /**
+   * Move the cursor to a BASIC line number
+   *
+   * @param {EditorView} view - Editor view
+   * @param {number} number - BASIC line number
+   * @returns {boolean} - True if a line was found
+   */
+  goToLineNumber(view, number) {
+    const line = findBasicLine(view.state.doc, number);
+    if (!line) {
+      this.editor.appendOutput(`Line ${number} not found\n`, 'warn');
+      return false;
+    }
+
+    view.dispatch({ selection: { anchor: line.from }, scrollIntoView: true });
+    view.focus();
+    return true;
+  }
+
+  /**
+   * Ask for the start and step, then renumber
+   *
+   * @param {EditorView} view - Editor view
+   */
+  askRenumber(view) {
+    const answer = prompt('Renumber: first line, step', `10,${this.step}`);
+    if (answer === null) return;
+
+    const match = /^\s*([0-9]+)\s*(?:,\s*([0-9]+))?\s*$/.exec(answer);
+    if (!match || parseInt(match[2] || '10', 10) === 0) {
+      this.editor.appendOutput(`Cannot renumber: "${answer}" is not "first line, step"\n`, 'error');
+      return;
+    }
+    this.renumber(view, parseInt(match[1], 10), parseInt(match[2] || '10', 10));
+  }
+
+  /**
+   * Ask for a line number and go there
+   *
+   * @param {EditorView} view - Editor view
+   */
+  askGoToLine(view) {
+    const answer = prompt('Go to line number');
+    if (answer === null || answer.trim() === '') return;
+
+    if (!/^\s*[0-9]+\s*$/.test(answer)) {
+      this.editor.appendOutput(`"${answer}" is not a line number\n`, 'warn');
+      return;
+    }
+    this.goToLineNumber(view, parseInt(answer, 10));
+  }
+
+  /**
+   * The List key: LIST [line] goes to a line, RENUM [start[,step]] renumbers
+   *
+   * @param {EditorView} view - Editor view
+   */
+  askList(view) {
+    const answer = prompt('LIST [line] or RENUM [first[,step]]', 'LIST ');
+    if (answer === null) return;
+
+    const renum = /^\s*renum\s*([0-9]+)?\s*(?:,\s*([0-9]+))?\s*$/i.exec(answer);
+    if (renum) {
+      this.renumber(view, parseInt(renum[1] || '10', 10), parseInt(renum[2] || '10', 10) || 10);
+      return;
+    }
+
+    const list = /^\s*(?:list)?\s*([0-9]+)?\s*(?:-\s*[0-9]*)?\s*$/i.exec(answer);
+    if (!list) {
+      this.editor.appendOutput(`Syntax error: ${answer}\n`, 'error');
+      return;
+    }
+    this.goToLineNumber(view, parseInt(list[1] || '0', 10));
+  }
+}
+
+export default LineNumberTools;
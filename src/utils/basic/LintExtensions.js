@@ -0,0 +1,46 @@
+/**
+ * LintExtensions.js - Live diagnostics for the BASIC mode editors
+ *
+ * Runs the BasicLinter as the user types, shows the problems in the lint
+ * gutter and underlines them, and hands the list to a callback so that
+ * the Editor can show it in the Output window.
+ */
+
+import { linter, lintGutter } from '@codemirror/lint'
+import BasicLinter from './BasicLinter.js'
+
+/**
+ * Create the lint extensions for a dialect
+ *
+ * @param {Object} dialect - Dialect profile
+ * @param {Function} onProblems - Called with the problems after each check
+ * @returns {Array} - CodeMirror extensions
+ */
+export function lintExtensions(dialect, onProblems = null) {
+  const basicLinter = new BasicLinter(dialect);
+
+  const lintSource = (view) => {
+    const doc = view.state.doc;
+    const problems = basicLinter.lint(doc.toString());
+
+    if (onProblems) {
+      onProblems(problems);
+    }
+
+    return problems.map(problem => {
+      const line = doc.line(problem.line);
+      return {
+        from: line.from + problem.from,
+        to: line.from + Math.max(problem.to, problem.from),
+        severity: problem.severity,
+        message: problem.message,
+        source: dialect.title
+      };
+    });
+  };
+
+  return [
+    linter(lintSource, { delay: 500 }),
+    lintGutter()
+  ];
+}
@@ -0,0 +1,88 @@
+/**
+ * StosFile.js - Reads and writes STOS Basic programs
+ *
+ * Programs move between PCOS and STOS as ASCII listings, which STOS loads
+ * and saves itself (LOAD "NAME.ASC", SAVE "NAME.ASC"): CR/LF line endings
+ * and a line number on every line. Tokenized .BAS files are recognised but
+ * neither listed nor written, as the STOS token table is not part of PCOS
+ * yet: a program opened from a .BAS name is saved as a .ASC listing beside it.
+ */
+
+class StosFile {
+  /**
+   * Create a reader/writer for the STOS dialect
+   *
+   * @param {Object} dialect - STOS dialect profile
+   */
+  constructor(dialect) {
+    this.dialect = dialect;
+    this.extensions = ['.ASC', '.BAS', '.TXT'];
+    this.defaultName = 'program.ASC';
+  }
+
+  /**
+   * Check whether bytes hold a tokenized program rather than a listing
+   *
+   * @param {Uint8Array} bytes - File contents
+   * @returns {boolean} - True if the file contains binary data
+   */
+  static isTokenized(bytes) {
+    const sample = bytes.subarray(0, 512);
+    return sample.some(byte => byte < 0x09 || (byte > 0x0D && byte < 0x20));
+  }
+
+  /**
+   * Read a program listing
+   *
+   * @param {Uint8Array} bytes - File contents
+   * @returns {Object} - text, banks (always null) and warnings
+   */
+  read(bytes) {
+    if (StosFile.isTokenized(bytes)) {
+      throw new Error('This is a tokenized STOS program, which PCOS cannot list yet. ' +
+                      'Load it in STOS and save it as ASCII (SAVE "NAME.ASC"), then open that file.');
+    }
+
+    let text = '';
+    for (let i = 0; i < bytes.length; i++) {
+      text += String.fromCharCode(bytes[i]);
+    }
+
+    return { text: text.replace(/\r\n?/g, '\n').replace(/\n+$/, ''), banks: null, warnings: [] };
+  }
+
+  /**
+   * Write a program as an ASCII listing STOS can load
+   *
+   * @param {string} text - Program source
+   * @param {Object} options - Options
+   * @param {string} options.fileName - Name the program was opened as, if any
+   * @returns {Object} - bytes, fileName and warnings
+   */
+  write(text, options = {}) {
+    const lines = text.split('\n').filter(line => line.trim() !== '');
+
+    // STOS would run a line without a number as a direct command while loading
+    const unnumbered = lines.findIndex(line => !/^\s*[0-9]+/.test(line));
+    if (unnumbered !== -1) {
+      throw new Error(`"${lines[unnumbered].trim()}" has no line number: STOS needs one on every line`);
+    }
+
+    const listing = lines.map(line => line.trim()).join('\r\n') + '\r\n';
+    const bytes = Uint8Array.from(listing, char => {
+      const code = char.charCodeAt(0);
+      return code < 256 ? code : 0x3F;
+    });
+
+    const fileName = options.fileName || this.defaultName;
+    const baseName = fileName.replace(/\.[^.]*$/, '');
+    const warnings = [];
+    if (/\.BAS$/i.test(fileName)) {
+      warnings.push(`Saved as ${baseName}.ASC: PCOS cannot write tokenized STOS programs, ` +
+                    `load the listing in STOS and SAVE "${baseName}.BAS" there`);
+    }
+    return { bytes, fileName: `${baseName}.ASC`, warnings };
+  }
+}
+
+export default StosFile;
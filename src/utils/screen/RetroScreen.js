@@ -0,0 +1,543 @@
+/**
+ * RetroScreen.js - Canvas screen emulating the Atari ST and Amiga displays
+ *
+ * Drawing happens in an indexed framebuffer: every pixel holds a colour
+ * index limited by the number of bitplanes, and the palette is applied when
+ * the framebuffer is copied to the canvas. Changing the palette therefore
+ * recolours the whole screen, as on the real machines.
+ *
+ * Text uses an 8x8 character grid with its own cursor (Locate), pen and
+ * paper; graphics use the ink colour and a separate graphic cursor (Draw To).
+ */
+
+import BasicError from '../basic/BasicError.js';
+
+const CHAR_SIZE = 8;
+
+// Screen modes and default palettes. Colours are written as on the machines:
+// $RGB with 3 bits per component on the ST and 4 bits on the Amiga.
+const MACHINES = {
+  atari: {
+    title: 'Atari ST',
+    componentBits: 3,
+    modes: [
+      { name: 'Low', width: 320, height: 200, colours: 16 },
+      { name: 'Medium', width: 640, height: 200, colours: 4 },
+      { name: 'High', width: 640, height: 400, colours: 2 }
+    ],
+    palettes: {
+      16: [0x000, 0x700, 0x070, 0x770, 0x007, 0x707, 0x077, 0x555,
+           0x333, 0x733, 0x373, 0x773, 0x337, 0x737, 0x377, 0x777],
+      4: [0x000, 0x700, 0x070, 0x777],
+      2: [0x777, 0x000]
+    },
+    maxColours: 16,
+    maxWidth: 640,
+    maxHeight: 400,
+    // Text is drawn in the last colour on paper 0
+    defaultPen: colours => colours - 1
+  },
+  amiga: {
+    title: 'Amiga',
+    componentBits: 4,
+    modes: [
+      { name: 'Lowres', width: 320, height: 200, colours: 16 }
+    ],
+    palettes: {
+      32: [0x000, 0xA40, 0xFFF, 0x000, 0xF00, 0x0F0, 0x00F, 0x666,
+           0x555, 0x333, 0x733, 0x373, 0x773, 0x337, 0x737, 0x377,
+           0x000, 0xEEC, 0xCCA, 0xAA8, 0x886, 0x664, 0x442, 0x220,
+           0xF80, 0x0FF, 0xF0F, 0x8F0, 0x08F, 0xF08, 0x888, 0xCCC]
+    },
+    maxColours: 32,
+    maxWidth: 1024,
+    maxHeight: 1024,
+    // Text is drawn in colour 2 (white) on paper 0
+    defaultPen: colours => (colours > 2 ? 2 : 1)
+  }
+};
+
+// Screen Open mode flags, as returned by Lowres, Hires and Laced
+export const SCREEN_FLAGS = {
+  LOWRES: 0,
+  HIRES: 0x8000,
+  LACED: 0x4
+};
+
+class RetroScreen {
+  /**
+   * Create a screen for a machine
+   *
+   * @param {string} machine - 'atari' or 'amiga'
+   */
+  constructor(machine = 'amiga') {
+    this.machine = MACHINES[machine] || MACHINES.amiga;
+    this.canvas = document.createElement('canvas');
+    this.canvas.className = 'retro-screen-canvas';
+    this.canvas.style.imageRendering = 'pixelated'; // Inline so it survives a move to another window
+    this.context = this.canvas.getContext('2d');
+    this.glyphs = new Map(); // Character -> 8x8 bitmap
+    this.renderPending = false;
+
+    const mode = this.machine.modes[0];
+    this.open(mode.width, mode.height, mode.colours, false);
+  }
+
+  /**
+   * Open (or reopen) the screen with a new size and colour count
+   *
+   * @param {number} width - Width in pixels
+   * @param {number} height - Height in pixels
+   * @param {number} colours - Number of colours, a power of two
+   * @param {boolean} hires - True for a high resolution (narrow pixel) mode
+   */
+  open(width, height, colours, hires) {
+    this.width = width;
+    this.height = height;
+    this.colours = colours;
+    this.pixelAspect = hires && height <= 256 ? 2 : 1;
+    this.pixels = new Uint8Array(width * height);
+    this.canvas.width = width;
+    this.canvas.height = height;
+    this.canvas.dataset.pixelAspect = this.pixelAspect;
+    this.canvas.dispatchEvent(new Event('screenresize')); // Lets the display rescale the canvas
+    this.imageData = this.context.createImageData(width, height);
+
+    this.palette = this.createPalette(colours);
+    this.paper = 0;
+    this.pen = this.machine.defaultPen(colours);
+    this.ink = this.pen;
+    this.cursorX = 0;
+    this.cursorY = 0;
+    this.graphicX = 0;
+    this.graphicY = 0;
+
+    this.cls(this.paper);
+  }
+
+  /**
+   * Switch to one of the machine's numbered modes (STOS Mode)
+   *
+   * @param {number} number - Mode number
+   */
+  setMode(number) {
+    const mode = this.machine.modes[number];
+    if (!mode) {
+      throw new BasicError('Illegal function call');
+    }
+    this.open(mode.width, mode.height, mode.colours, mode.width >= 640);
+  }
+
+  /**
+   * Build the default palette for a colour count, as RGB triplets
+   * @private
+   */
+  createPalette(colours) {
+    const palettes = this.machine.palettes;
+    const source = palettes[colours] || palettes[Object.keys(palettes).pop()];
+    const palette = [];
+
+    for (let index = 0; index < colours; index++) {
+      palette.push(this.toRGB(source[index % source.length]));
+    }
+    return palette;
+  }
+
+  /**
+   * Convert a machine colour ($RGB) to an RGB triplet
+   * @private
+   */
+  toRGB(value) {
+    const bits = this.machine.componentBits;
+    const max = (1 << bits) - 1;
+    const component = shift => Math.round((((value >> shift) & 0xF) & max) * 255 / max);
+    return [component(8), component(4), component(0)];
+  }
+
+  /**
+   * Limit a colour index to the available bitplanes
+   * @private
+   */
+  colourIndex(colour) {
+    return Math.trunc(colour) & (this.colours - 1);
+  }
+
+  // Colours
+
+  setInk(ink, paper = undefined) {
+    this.ink = this.colourIndex(ink);
+    if (paper !== undefined) {
+      this.paper = this.colourIndex(paper);
+    }
+  }
+
+  setPen(colour) {
+    this.pen = this.colourIndex(colour);
+  }
+
+  setPaper(colour) {
+    this.paper = this.colourIndex(colour);
+  }
+
+  /**
+   * Change palette entries, starting at colour 0
+   *
+   * @param {Array<number>} values - Machine colours ($RGB)
+   */
+  setPalette(values) {
+    values.slice(0, this.colours).forEach((value, index) => {
+      this.palette[index] = this.toRGB(value);
+    });
+    this.scheduleRender();
+  }
+
+  // Drawing
+
+  /**
+   * Clear the screen and home the text cursor
+   *
+   * @param {number} colour - Colour index, the paper colour by default
+   */
+  cls(colour = this.paper) {
+    this.pixels.fill(this.colourIndex(colour));
+    this.cursorX = 0;
+    this.cursorY = 0;
+    this.scheduleRender();
+  }
+
+  setPixel(x, y, colour) {
+    x = Math.round(x);
+    y = Math.round(y);
+    if (x >= 0 && y >= 0 && x < this.width && y < this.height) {
+      this.pixels[y * this.width + x] = colour;
+    }
+  }
+
+  /**
+   * Plot a pixel and move the graphic cursor there
+   */
+  plot(x, y, colour = undefined) {
+    if (colour !== undefined) {
+      this.ink = this.colourIndex(colour);
+    }
+    this.setPixel(x, y, this.ink);
+    this.graphicX = x;
+    this.graphicY = y;
+    this.scheduleRender();
+  }
+
+  /**
+   * Read the colour index of a pixel, -1 outside the screen
+   */
+  point(x, y) {
+    x = Math.round(x);
+    y = Math.round(y);
+    if (x < 0 || y < 0 || x >= this.width || y >= this.height) {
+      return -1;
+    }
+    return this.pixels[y * this.width + x];
+  }
+
+  /**
+   * Draw a line in the ink colour (Bresenham)
+   */
+  drawLine(x1, y1, x2, y2) {
+    x1 = Math.round(x1); y1 = Math.round(y1);
+    x2 = Math.round(x2); y2 = Math.round(y2);
+    const dx = Math.abs(x2 - x1);
+    const dy = -Math.abs(y2 - y1);
+    const sx = x1 < x2 ? 1 : -1;
+    const sy = y1 < y2 ? 1 : -1;
+    let error = dx + dy;
+
+    for (;;) {
+      this.setPixel(x1, y1, this.ink);
+      if (x1 === x2 && y1 === y2) break;
+      const double = 2 * error;
+      if (double >= dy) { error += dy; x1 += sx; }
+      if (double <= dx) { error += dx; y1 += sy; }
+    }
+
+    this.graphicX = x2;
+    this.graphicY = y2;
+    this.scheduleRender();
+  }
+
+  /**
+   * Draw a line from the graphic cursor
+   */
+  drawTo(x, y) {
+    this.drawLine(this.graphicX, this.graphicY, x, y);
+  }
+
+  /**
+   * Draw a filled rectangle
+   */
+  bar(x1, y1, x2, y2) {
+    const left = Math.max(0, Math.round(Math.min(x1, x2)));
+    const right = Math.min(this.width - 1, Math.round(Math.max(x1, x2)));
+    const top = Math.max(0, Math.round(Math.min(y1, y2)));
+    const bottom = Math.min(this.height - 1, Math.round(Math.max(y1, y2)));
+
+    for (let y = top; y <= bottom; y++) {
+      this.pixels.fill(this.ink, y * this.width + left, y * this.width + right + 1);
+    }
+    this.scheduleRender();
+  }
+
+  /**
+   * Draw a rectangle outline
+   */
+  box(x1, y1, x2, y2) {
+    this.drawLine(x1, y1, x2, y1);
+    this.drawLine(x2, y1, x2, y2);
+    this.drawLine(x2, y2, x1, y2);
+    this.drawLine(x1, y2, x1, y1);
+  }
+
+  /**
+   * Draw a circle outline (midpoint algorithm)
+   */
+  circle(cx, cy, radius) {
+    cx = Math.round(cx);
+    cy = Math.round(cy);
+    let x = Math.round(Math.abs(radius));
+    let y = 0;
+    let error = 1 - x;
+
+    while (x >= y) {
+      [[x, y], [y, x], [-y, x], [-x, y], [-x, -y], [-y, -x], [y, -x], [x, -y]].forEach(([px, py]) => {
+        this.setPixel(cx + px, cy + py, this.ink);
+      });
+      y++;
+      if (error < 0) {
+        error += 2 * y + 1;
+      } else {
+        x--;
+        error += 2 * (y - x) + 1;
+      }
+    }
+
+    this.graphicX = cx;
+    this.graphicY = cy;
+    this.scheduleRender();
+  }
+
+  // Text
+
+  get columns() {
+    return Math.floor(this.width / CHAR_SIZE);
+  }
+
+  get rows() {
+    return Math.floor(this.height / CHAR_SIZE);
+  }
+
+  /**
+   * Move the text cursor
+   */
+  locate(x, y) {
+    if (x < 0 || y < 0 || x >= this.columns || y >= this.rows) {
+      throw new BasicError('Illegal function call');
+    }
+    this.cursorX = Math.trunc(x);
+    this.cursorY = Math.trunc(y);
+  }
+
+  /**
+   * Print text at the cursor in the pen and paper colours, wrapping and
+   * scrolling like a console
+   *
+   * @param {string} text - Text to print
+   */
+  print(text) {
+    for (const char of text) {
+      if (char === '\n') {
+        this.newLine();
+        continue;
+      }
+      if (this.cursorX >= this.columns) {
+        this.newLine();
+      }
+      this.drawChar(char, this.cursorX * CHAR_SIZE, this.cursorY * CHAR_SIZE);
+      this.cursorX++;
+    }
+    this.scheduleRender();
+  }
+
+  /**
+   * Move the cursor to the next line, scrolling at the bottom
+   * @private
+   */
+  newLine() {
+    this.cursorX = 0;
+    this.cursorY++;
+
+    if (this.cursorY >= this.rows) {
+      const lineSize = this.width * CHAR_SIZE;
+      this.pixels.copyWithin(0, lineSize, this.rows * lineSize);
+      this.pixels.fill(this.paper, (this.rows - 1) * lineSize, this.rows * lineSize);
+      this.cursorY = this.rows - 1;
+    }
+  }
+
+  /**
+   * Draw one character cell
+   * @private
+   */
+  drawChar(char, left, top) {
+    const glyph = this.getGlyph(char);
+
+    for (let y = 0; y < CHAR_SIZE; y++) {
+      for (let x = 0; x < CHAR_SIZE; x++) {
+        this.setPixel(left + x, top + y, glyph[y * CHAR_SIZE + x] ? this.pen : this.paper);
+      }
+    }
+  }
+
+  /**
+   * Get the 8x8 bitmap of a character, rasterising it on first use
+   * @private
+   */
+  getGlyph(char) {
+    if (!this.glyphs.has(char)) {
+      const canvas = document.createElement('canvas');
+      canvas.width = CHAR_SIZE;
+      canvas.height = CHAR_SIZE;
+      const context = canvas.getContext('2d');
+      context.font = `${CHAR_SIZE}px monospace`;
+      context.textBaseline = 'top';
+      context.fillStyle = '#fff';
+      context.fillText(char, 0, 0);
+
+      const data = context.getImageData(0, 0, CHAR_SIZE, CHAR_SIZE).data;
+      const glyph = new Uint8Array(CHAR_SIZE * CHAR_SIZE);
+      for (let index = 0; index < glyph.length; index++) {
+        glyph[index] = data[index * 4 + 3] > 96 ? 1 : 0;
+      }
+      this.glyphs.set(char, glyph);
+    }
+    return this.glyphs.get(char);
+  }
+
+  // Display
+
+  /**
+   * Copy the framebuffer to the canvas at the next animation frame
+   */
+  scheduleRender() {
+    if (this.renderPending) return;
+    this.renderPending = true;
+    requestAnimationFrame(() => {
+      this.renderPending = false;
+      this.render();
+    });
+  }
+
+  /**
+   * Copy the framebuffer to the canvas through the palette
+   */
+  render() {
+    const data = this.imageData.data;
+
+    for (let index = 0; index < this.pixels.length; index++) {
+      const [r, g, b] = this.palette[this.pixels[index]];
+      const offset = index * 4;
+      data[offset] = r;
+      data[offset + 1] = g;
+      data[offset + 2] = b;
+      data[offset + 3] = 255;
+    }
+    this.context.putImageData(this.imageData, 0, 0);
+  }
+
+  // BASIC commands
+
+  /**
+   * Register the graphics commands and functions on an interpreter. Only
+   * the keywords listed by the interpreter's dialect can be reached.
+   *
+   * @param {Object} interpreter - A BasicInterpreter
+   */
+  registerCommands(interpreter) {
+    const num = value => interpreter.toNumber(value);
+    const count = (args, min, max) => {
+      if (args.length < min || args.length > max) {
+        throw new BasicError('Illegal function call');
+      }
+    };
+
+    interpreter.registerCommand('SCREEN OPEN', (args) => {
+      count(args, 4, 5);
+      const [number, width, height, colours, flags = SCREEN_FLAGS.LOWRES] = args.map(num);
+      const machine = this.machine;
+      if (number < 0 || number > 7 || width < CHAR_SIZE || height < CHAR_SIZE ||
+          width > machine.maxWidth || height > machine.maxHeight ||
+          colours < 2 || colours > machine.maxColours || (colours & (colours - 1)) !== 0) {
+        throw new BasicError('Illegal function call');
+      }
+      this.open(Math.trunc(width), Math.trunc(height), colours, (flags & SCREEN_FLAGS.HIRES) !== 0);
+    });
+    interpreter.registerCommand('MODE', (args) => {
+      count(args, 1, 1);
+      this.setMode(num(args[0]));
+    });
+    interpreter.registerCommand('INK', (args) => {
+      // The third colour outlines the filled shapes drawn after Set Paint 1,
+      // which the screen does not have
+      if (args.length === 3) {
+        throw new BasicError('Ink outline colour not supported');
+      }
+      count(args, 1, 2);
+      this.setInk(num(args[0]), args[1] !== undefined ? num(args[1]) : undefined);
+    });
+    interpreter.registerCommand('PLOT', (args) => {
+      count(args, 2, 3);
+      this.plot(num(args[0]), num(args[1]), args[2] !== undefined ? num(args[2]) : undefined);
+    });
+    interpreter.registerCommand('DRAW', (args, instruction) => {
+      if (instruction.leadingTo) {
+        count(args, 2, 2);
+        this.drawTo(num(args[0]), num(args[1]));
+      } else {
+        count(args, 4, 4);
+        this.drawLine(...args.map(num));
+      }
+    });
+    interpreter.registerCommand('BAR', (args) => {
+      count(args, 4, 4);
+      this.bar(...args.map(num));
+    });
+    interpreter.registerCommand('BOX', (args) => {
+      count(args, 4, 4);
+      this.box(...args.map(num));
+    });
+    interpreter.registerCommand('CIRCLE', (args) => {
+      count(args, 3, 3);
+      this.circle(...args.map(num));
+    });
+    interpreter.registerCommand('PAPER', (args) => {
+      count(args, 1, 1);
+      this.setPaper(num(args[0]));
+    });
+    interpreter.registerCommand('PEN', (args) => {
+      count(args, 1, 1);
+      this.setPen(num(args[0]));
+    });
+    interpreter.registerCommand('LOCATE', (args) => {
+      count(args, 2, 2);
+      this.locate(num(args[0]), num(args[1]));
+    });
+    interpreter.registerCommand('PALETTE', (args) => {
+      count(args, 1, this.colours);
+      this.setPalette(args.map(num));
+    });
+
+    interpreter.registerFunction('POINT', 2, 2, ([x, y]) => this.point(num(x), num(y)));
+    interpreter.registerFunction('LOWRES', 0, 0, () => SCREEN_FLAGS.LOWRES);
+    interpreter.registerFunction('HIRES', 0, 0, () => SCREEN_FLAGS.HIRES);
+    interpreter.registerFunction('LACED', 0, 0, () => SCREEN_FLAGS.LACED);
+  }
+}
+
+export default RetroScreen;